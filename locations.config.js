@@ -5,7 +5,8 @@
  * All locations share one raffle, one database, one LND node.
  *
  * To add a new city:
- *   1. Add an entry here with BTCMap bounding box(es)
+ *   1. Add an entry here with BTCMap bounding box(es), and the fiat `currency`
+ *      its prizes are shown in (any code in services/price.js; default USD)
  *   2. Deploy — the routes are auto-generated
  *
  * Find bounding boxes at: https://btcmap.org (draw a rectangle around the area)
@@ -21,6 +22,7 @@ module.exports = [
         heroText: 'Review Bitcoin merchants in the Bay Islands, win sats!',
         footerMadeIn: 'Made with ⚡ in Roatan',
         description: 'Incentivizing Bitcoin adoption in Roatan through community reviews.',
+        currency: 'HNL',  // Lempira for locals; USD is shown alongside for tourists
         merchantAreas: [
             {
                 name: 'Roatan',
@@ -53,6 +55,7 @@ module.exports = [
         heroText: 'Review Bitcoin merchants in Austin, win sats!',
         footerMadeIn: 'Made with ⚡ in Austin',
         description: 'Incentivizing Bitcoin adoption in Austin through community reviews.',
+        currency: 'USD',
         merchantAreas: [
             {
                 name: 'Austin',
@@ -18,12 +18,24 @@ const bitcoin = require('./services/bitcoin');
 const btcmap = require('./services/btcmap');
 const lightning = require('./services/lightning');
 const telegram = require('./services/telegram');
+const commitment = require('./services/commitment');
+const prizes = require('./services/prizes');
+const prizePolicy = require('./services/prize-policy');
+const ledger = require('./services/ledger');
+const claimExpiry = require('./services/claim-expiry');
+const claimReminders = require('./services/claim-reminders');
+const emailVerification = require('./services/email-verification');
+const payments = require('./services/payments');
+const autoPayout = require('./services/auto-payout');
+const reviewJobs = require('./services/review-jobs');
+const reviewSimilarity = require('./services/review-similarity');
 
 // Import routes
 const apiRoutes = require('./routes/api');
 const adminRoutes = require('./routes/admin');
 const pageRoutes = require('./routes/pages');
 const locationRoutes = require('./routes/location');
+const wellKnownRoutes = require('./routes/well-known');
 const allLocationConfigs = require('../locations.config');
 const locations = allLocationConfigs.filter(loc => loc.enabled !== false);
 
@@ -90,9 +102,19 @@ const registrationLimiter = rateLimit({
     message: { error: 'Too many registration attempts, please try again later.' }
 });
 
+// Each login link is an email sent on someone's behalf
+const loginLinkLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many login link requests, please try again later.' }
+});
+
 // Apply rate limiting
 app.use('/api', apiLimiter);
 app.use('/api/register', registrationLimiter);
+app.use('/api/me/login-link', loginLinkLimiter);
 
 // Inject default location + allLocations into res.locals for all page renders
 const defaultLocation = locations.find(l => l.isDefault) || locations[0];
@@ -157,6 +179,7 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api', apiRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/.well-known', wellKnownRoutes);
 app.use('/', locationRoutes);  // /:slug/* location mini-sites (before pageRoutes)
 app.use('/', pageRoutes);      // / root pages (default location)
 
@@ -378,6 +401,28 @@ async function startServer() {
         console.warn('⚠️  Failed to warm deposit cache:', err.message);
     });
     
+    // Settle prize payments left in flight by a crash or restart before any
+    // can be retried (their claim lock holds until the node says they failed)
+    try {
+        await payments.reconcilePayments();
+    } catch (err) {
+        console.warn('⚠️  Startup payment reconciliation error:', err.message);
+    }
+    
+    // Review jobs a restart interrupted go back in the queue
+    try {
+        reviewJobs.recoverInterruptedJobs();
+    } catch (err) {
+        console.warn('⚠️  Review job recovery error:', err.message);
+    }
+    
+    // Fingerprint review text submitted before the similarity index existed
+    try {
+        reviewSimilarity.indexMissing();
+    } catch (err) {
+        console.warn('⚠️  Review similarity indexing error:', err.message);
+    }
+    
     // Pre-warm BTCMap merchant cache so /submit and /merchants load instantly
     try {
         const merchants = await btcmap.getMerchantList();
@@ -397,6 +442,13 @@ async function startServer() {
         }
     }, 60 * 1000);
 
+    // Review jobs (scrape + validate) that are due, including retries, every 30s
+    setInterval(() => {
+        reviewJobs.processJobs().catch(err => {
+            console.warn('Review job error:', err.message);
+        });
+    }, 30 * 1000);
+
     // Raffle events + Telegram delivery every 5 minutes
     setInterval(async () => {
         // Deliver any held Telegram notifications (quiet hours ended)
@@ -412,11 +464,50 @@ async function startServer() {
         } catch (err) {
             console.warn('Raffle watcher error:', err.message);
         }
+
+        // Track prize payments still in flight
+        try {
+            await payments.reconcilePayments();
+        } catch (err) {
+            console.warn('Payment reconciliation error:', err.message);
+        }
+
+        // Pay winners scheduled for an auto-payout to their Lightning Address
+        try {
+            await autoPayout.processAutoPayouts();
+        } catch (err) {
+            console.warn('Auto-payout error:', err.message);
+        }
+
+        // Settle prizes whose claim link expired unclaimed (rollover or redraw)
+        try {
+            await claimExpiry.sweepExpiredClaims();
+        } catch (err) {
+            console.warn('Claim expiry sweep error:', err.message);
+        }
+
+        // Remind winners whose claim link expires soon
+        try {
+            await claimReminders.sendDueReminders();
+        } catch (err) {
+            console.warn('Claim reminder error:', err.message);
+        }
+
+        // Remind entrants whose tickets wait on an unconfirmed email
+        try {
+            await emailVerification.sendDueReminders();
+        } catch (err) {
+            console.warn('Email confirmation reminder error:', err.message);
+        }
     }, 5 * 60 * 1000);
 
-    // Run raffle watcher once on startup too (catches up if server was down)
+    // Run raffle watcher, auto-payouts, expiry sweep and reminders once on startup too (catches up if server was down)
     setTimeout(async () => {
         try { await checkRaffleEvents(); } catch (e) { console.warn('Startup raffle check error:', e.message); }
+        try { await autoPayout.processAutoPayouts(); } catch (e) { console.warn('Startup auto-payout error:', e.message); }
+        try { await claimExpiry.sweepExpiredClaims(); } catch (e) { console.warn('Startup claim expiry sweep error:', e.message); }
+        try { await claimReminders.sendDueReminders(); } catch (e) { console.warn('Startup claim reminder error:', e.message); }
+        try { await emailVerification.sendDueReminders(); } catch (e) { console.warn('Startup email confirmation reminder error:', e.message); }
     }, 15 * 1000); // 15s after startup (after cache is warm)
     
     app.listen(PORT, () => {
@@ -427,9 +518,10 @@ async function startServer() {
 
 /**
  * Raffle watcher — runs every 5 minutes.
- * Checks for two events:
+ * Checks for three events:
  *   1. 144-block warning (fires once per raffle cycle)
- *   2. Raffle block mined (fires once; auto-runs raffle if enabled)
+ *   2. Commit window reached (freezes the ticket set + publishes its Merkle root)
+ *   3. Raffle block + the draw's follow-up blocks mined (fires once; auto-runs raffle if enabled)
  */
 async function checkRaffleEvents() {
     let info;
@@ -452,34 +544,68 @@ async function checkRaffleEvents() {
     ) {
         console.log(`⏰ Raffle warning: ~${blocksUntilNext} blocks until block #${nextRaffleBlock}`);
         db.setSetting('raffle_warning_sent_block', String(nextRaffleBlock));
-        await telegram.notifyRaffleWarning(nextRaffleBlock, approvedTickets, db);
+        await telegram.notifyRaffleWarning(nextRaffleBlock, approvedTickets, db, prizePolicy.getNextPrize());
     }
 
-    // ── 2. Raffle block mined — ALWAYS commit result (transparent & deterministic) ─
+    // ── 2. Freeze + commit the ticket set N blocks before the raffle block ─
+    const leadBlocks = commitment.getCommitLeadBlocks();
+    if (blocksUntilNext <= leadBlocks && blocksUntilNext > 0 && !db.getRaffleCommitment(nextRaffleBlock)) {
+        await publishRaffleCommitment(nextRaffleBlock, currentHeight);
+    }
+
+    // ── 3. Raffle block mined — ALWAYS commit result (transparent & deterministic) ─
+    // The most recent difficulty-adjustment block is the one to draw. The
+    // selection algorithm also chains in the blocks mined right after it, so
+    // wait until those exist too.
+    const drawBlock = info.currentRaffleBlock;
+    const extraBlocks = bitcoin.getExtraBlocksForAlgo(bitcoin.CURRENT_ALGO_VERSION);
     const blockAlreadyNotified = parseInt(db.getSetting('raffle_block_notified') || '0', 10);
-    const raffleBlockMined = currentHeight >= nextRaffleBlock;
-    const raffleAlreadyRun = !!db.findRaffleByBlock(nextRaffleBlock);
+    const drawBlocksMined = currentHeight >= drawBlock + extraBlocks;
+    const raffleAlreadyRun = !!db.findRaffleByBlock(drawBlock);
 
-    if (raffleBlockMined && blockAlreadyNotified !== nextRaffleBlock && !raffleAlreadyRun) {
-        db.setSetting('raffle_block_notified', String(nextRaffleBlock));
+    if (drawBlocksMined && blockAlreadyNotified !== drawBlock && !raffleAlreadyRun) {
+        db.setSetting('raffle_block_notified', String(drawBlock));
 
         // Raffle commitment is ALWAYS automatic — only payment is manual vs auto
-        const autoPay = db.getSetting('raffle_auto_trigger') === 'true';
+        await commitRaffleResult(drawBlock);
+    }
+}
 
-        // Always commit the raffle result
-        await commitRaffleResult(nextRaffleBlock, autoPay);
+/**
+ * Freeze the ticket set for an upcoming raffle and publish its Merkle root
+ * (Telegram + a proof email to every entrant). The root is also served by
+ * /api/commitments/:blockHeight and shown on /raffles.
+ */
+async function publishRaffleCommitment(raffleBlock, currentHeight) {
+    const { commitment: committed, tickets, created } = commitment.freezeRaffleEntries(raffleBlock, currentHeight);
+    if (!created) return;
+
+    await telegram.notifyRaffleCommitment(committed, db);
+
+    // Group tickets by entrant so each person gets a single email
+    const ticketsByEmail = new Map();
+    for (const ticket of tickets) {
+        if (!ticket.email) continue;
+        if (!ticketsByEmail.has(ticket.email)) ticketsByEmail.set(ticket.email, []);
+        ticketsByEmail.get(ticket.email).push(ticket.id);
+    }
+    for (const [entrantEmail, ticketIds] of ticketsByEmail) {
+        email.sendCommitmentProofEmail(entrantEmail, raffleBlock, committed.merkle_root, ticketIds)
+            .catch(err => console.error('Commitment proof email error:', err));
     }
 }
 
 /**
  * Commit raffle result for a given block height.
  * ALWAYS called when the raffle block is mined — the result is deterministic.
- * The `autoPay` flag controls whether payment is also sent automatically.
+ * With auto-pay on, winners with a Lightning Address are scheduled for the
+ * auto-payout worker instead of being sent their claim link.
  */
-async function commitRaffleResult(blockHeight, autoPay) {
+async function commitRaffleResult(blockHeight) {
     try {
         const { v4: uuidv4 } = require('uuid');
-        const blockHash = await bitcoin.getBlockHash(blockHeight);
+        const algoVersion = bitcoin.CURRENT_ALGO_VERSION;
+        const { blockHash, extraBlockHashes } = await bitcoin.getDrawBlockHashes(blockHeight, algoVersion);
         const tickets = db.getValidTicketsForBlock(blockHeight);
 
         if (tickets.length === 0) {
@@ -491,55 +617,104 @@ async function commitRaffleResult(blockHeight, autoPay) {
             return;
         }
 
-        const winnerIndex = bitcoin.selectWinnerIndex(blockHash, tickets.length);
-        const winningTicket = tickets[winnerIndex];
-        
-        // Prize = 50% of the raffle fund (the other 50% carries over to the next raffle)
-        const currentFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-        const prizeSats = Math.floor(currentFund / 2);
-        
-        // Deduct prize from fund
-        if (prizeSats > 0) {
-            db.setSetting('raffle_fund_sats', String(currentFund - prizeSats));
-            console.log(`🎯 Raffle fund: ${currentFund} - ${prizeSats} (prize) = ${currentFund - prizeSats} sats remaining`);
+        // Refuse to draw if the ticket set differs from the pre-draw commitment
+        const check = commitment.checkAgainstCommitment(blockHeight, tickets);
+        if (check.committed && !check.matches) {
+            console.error(`🚫 Raffle block #${blockHeight}: ticket set does not match committed root ${check.expectedRoot} (live: ${check.actualRoot}) — draw refused.`);
+            await telegram.notifyCommitmentMismatch(blockHeight, check, db);
+            return;
+        }
+        if (!check.committed) {
+            console.warn(`⚠️ Raffle block #${blockHeight}: no pre-draw commitment found — drawing from the live ticket set.`);
         }
 
-        const raffle = db.createRaffle(
-            blockHeight, blockHash, tickets.length, winnerIndex, winningTicket.id, prizeSats || null
+        // Draw every prize tier from the same block hashes (distinct entrants),
+        // then size each prize with the prize policy of the winner's location
+        const currentFund = ledger.getFundSats();
+        const tiers = prizes.getPrizeTiers();
+        const { winners: drawn } = prizes.drawWinners(
+            algoVersion, [blockHash, ...extraBlockHashes], tickets, prizes.computeTierPrizes(null, tiers)
+        );
+        const { prizes: prizeSats, totalPrizeSats } = prizePolicy.allocateWinnerPrizes(
+            currentFund, drawn.map(w => ({ tier: w.tier, locationSlug: w.ticket.location_slug }))
         );
+        drawn.forEach((w, i) => { w.prizeSats = prizeSats[i]; });
+        const firstWinner = drawn[0];
 
-        // Generate claim token and set 30-day expiry
-        const claimToken = uuidv4();
+        // One claim token per winner, each valid for 30 days
         const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-        db.setRaffleClaimToken(raffle.id, claimToken, expiresAt);
+        const winners = drawn.map(w => ({
+            rank: w.rank,
+            tier: w.tier,
+            tierName: w.tierName,
+            winningIndex: w.winningIndex,
+            ticketId: w.ticket.id,
+            prizeSats: w.prizeSats,
+            claimToken: uuidv4(),
+            claimExpiresAt: expiresAt,
+            autoPayAt: autoPayout.scheduleFor(w.ticket, w.prizeSats),
+            // An auto-payout goes here, whatever address the account has later
+            autoPayAddress: w.ticket.lnurl_address,
+            ticket: w.ticket
+        }));
+
+        // Raffle row + frozen entry snapshot + winners are written atomically so the
+        // draw can always be replayed against the exact ticket order used here.
+        // The prizes move from the fund to reserved in the same transaction
+        // (the rest of the fund carries over to the next raffle).
+        const raffle = db.createRaffleWithEntries(
+            blockHeight, blockHash, tickets.length, firstWinner.winningIndex, firstWinner.ticket.id, totalPrizeSats || null, tickets,
+            {
+                algoVersion, extraBlockHashes, prizeTiers: tiers, winners,
+                posting: ledger.prizeReservation(totalPrizeSats, `Block #${blockHeight} — ${drawn.length} prize${drawn.length === 1 ? '' : 's'}`)
+            }
+        );
+        if (totalPrizeSats > 0) {
+            console.log(`🎯 Raffle fund: ${currentFund} - ${totalPrizeSats} (${drawn.length} prize${drawn.length === 1 ? '' : 's'}) = ${ledger.getFundSats()} sats remaining`);
+        }
 
-        console.log(`🎰 Raffle committed! Block #${blockHeight}, hash: ${blockHash.substring(0, 16)}..., winner index: ${winnerIndex}/${tickets.length}, ticket #${winningTicket.id}`);
-        console.log(`🔗 Claim link: ${process.env.BASE_URL || 'http://localhost:3000'}/claim/${claimToken}`);
+        console.log(`🎰 Raffle #${raffle.id} committed! Block #${blockHeight} (algo v${algoVersion}), hash: ${blockHash.substring(0, 16)}..., ${winners.length} winner(s) from ${tickets.length} entries`);
+        for (const w of winners) {
+            console.log(`   🏆 ${w.tierName} #${w.rank + 1}: index ${w.winningIndex}, ticket #${w.ticketId} — ${process.env.BASE_URL || 'http://localhost:3000'}/claim/${w.claimToken}`);
+        }
 
-        // Notify via Telegram (always — include claim link for admin)
+        // Notify via Telegram (always — include claim links for admin)
         await telegram.notifyRaffleResult(
-            { block_height: blockHeight, total_tickets: tickets.length, prize_amount_sats: prizeSats },
-            winningTicket,
+            { block_height: blockHeight, total_tickets: tickets.length, prize_amount_sats: totalPrizeSats },
+            winners.map(w => ({
+                tier_name: w.tierName,
+                prize_amount_sats: w.prizeSats,
+                email: w.ticket.email,
+                lnurl_address: w.ticket.lnurl_address,
+                claim_token: w.claimToken,
+                auto_pay_at: w.autoPayAt
+            })),
             db
         );
 
-        // Send winner email with claim link (LNURL-withdraw)
-        if (winningTicket.email) {
+        for (const w of winners) {
+            if (!w.ticket.email || w.autoPayAt) continue;
+
+            // Send winner email with claim link (LNURL-withdraw)
             email.sendWinnerEmail(
-                winningTicket.email, prizeSats, claimToken, blockHeight
+                w.ticket.email, w.prizeSats, w.claimToken, blockHeight, winners.length > 1 ? w.tierName : null
             ).catch(err => console.error('Winner claim email error:', err));
-        }
 
-        // Send winner Telegram notification (if they linked their Telegram)
-        if (winningTicket.email) {
-            const winnerUser = db.findUserByEmail(winningTicket.email);
+            // Send winner Telegram notification (if they linked their Telegram)
+            const winnerUser = db.findUserByEmail(w.ticket.email);
             if (winnerUser && winnerUser.telegram_chat_id) {
-                telegram.notifyWinner(winnerUser.telegram_chat_id, prizeSats, claimToken, blockHeight)
+                telegram.notifyWinner(winnerUser.telegram_chat_id, w.prizeSats, w.claimToken, blockHeight, winners.length > 1 ? w.tierName : null)
                     .catch(err => console.error('Winner Telegram notification error:', err));
             }
         }
 
-        console.log(`📧 Claim link sent to winner. Prize will be paid when they scan the QR code.`);
+        const autoPaid = winners.filter(w => w.autoPayAt).length;
+        if (autoPaid > 0) {
+            console.log(`🤖 ${autoPaid} winner(s) will be auto-paid to their Lightning Address after ${autoPayout.getGraceMinutes()} min`);
+        }
+        if (autoPaid < winners.length) {
+            console.log(`📧 Claim links sent to winners. Prizes will be paid when they scan the QR code.`);
+        }
     } catch (err) {
         console.error('Raffle commit error:', err.message);
         // Notify admin of the failure
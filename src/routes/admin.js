@@ -9,9 +9,22 @@ const db = require('../services/database');
 const bitcoin = require('../services/bitcoin');
 const email = require('../services/email');
 const lightning = require('../services/lightning');
-const anthropic = require('../services/anthropic');
+const reviewValidators = require('../services/review-validators');
+const reviewValidatorPrompts = require('../services/review-validators/llm');
+const reviewJobs = require('../services/review-jobs');
+const reviewLinks = require('../services/review-links');
+const reviewSimilarity = require('../services/review-similarity');
+const emailVerification = require('../services/email-verification');
 const telegram = require('../services/telegram');
 const auth = require('../services/auth');
+const commitment = require('../services/commitment');
+const prizes = require('../services/prizes');
+const prizePolicy = require('../services/prize-policy');
+const claimExpiry = require('../services/claim-expiry');
+const ledger = require('../services/ledger');
+const payments = require('../services/payments');
+const autoPayout = require('../services/auto-payout');
+const campaigns = require('../services/campaigns');
 
 /**
  * Session/password authentication middleware.
@@ -193,6 +206,41 @@ router.get('/users', (req, res) => {
     }
 });
 
+/**
+ * POST /admin/users/:id/verify
+ * Confirm a user's email by hand, so their tickets count
+ */
+router.post('/users/:id/verify', (req, res) => {
+    try {
+        const user = emailVerification.markVerified(parseInt(req.params.id, 10));
+        res.json({ success: true, user });
+    } catch (error) {
+        if (error.code === 'USER_NOT_FOUND') return res.status(404).json({ error: error.message });
+        if (error.code === 'VERIFICATION_INVALID') return res.status(400).json({ error: error.message });
+        console.error('Verify user error:', error);
+        res.status(500).json({ error: 'Failed to verify user' });
+    }
+});
+
+/**
+ * POST /admin/users/:id/resend-verification
+ * Email a user their confirm link again
+ */
+router.post('/users/:id/resend-verification', async (req, res) => {
+    try {
+        const result = await emailVerification.resend(parseInt(req.params.id, 10));
+        if (!result || !result.success) {
+            return res.status(502).json({ error: `Failed to send the email: ${(result && result.error) || 'unknown error'}` });
+        }
+        res.json({ success: true, message: 'Confirmation link sent' });
+    } catch (error) {
+        if (error.code === 'USER_NOT_FOUND') return res.status(404).json({ error: error.message });
+        if (error.code === 'VERIFICATION_INVALID') return res.status(400).json({ error: error.message });
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to resend confirmation' });
+    }
+});
+
 /**
  * GET /admin/tickets
  * Get all tickets
@@ -274,32 +322,40 @@ router.post('/raffle/test', async (req, res) => {
             });
         }
 
-        // Use the current block height to get a real block hash for randomness
-        const currentHeight = await bitcoin.getCurrentBlockHeight();
-        const blockHash = await bitcoin.getBlockHash(currentHeight);
-
-        // Select winner deterministically
-        const winnerIndex = bitcoin.selectWinnerIndex(blockHash, allApproved.length);
-        const winningTicket = allApproved[winnerIndex];
-
-        // Deduct prize from raffle fund
-        const currentFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-        if (currentFund >= prizeSats) {
-            db.setSetting('raffle_fund_sats', String(currentFund - prizeSats));
-            console.log(`🧪 Test raffle: fund ${currentFund} - ${prizeSats} = ${currentFund - prizeSats} sats`);
-        }
+        // Draw from a recent real block. Step back far enough that the blocks
+        // the selection algorithm chains in after it have already been mined.
+        const algoVersion = bitcoin.CURRENT_ALGO_VERSION;
+        const drawHeight = await bitcoin.getCurrentBlockHeight() - bitcoin.getExtraBlocksForAlgo(algoVersion);
+        const { blockHash, extraBlockHashes } = await bitcoin.getDrawBlockHashes(drawHeight, algoVersion);
 
-        // Create a real raffle record
-        const raffle = db.createRaffle(
-            currentHeight, blockHash, allApproved.length, winnerIndex, winningTicket.id, prizeSats
+        // Select winner deterministically — a test draw always has one 100-sat prize
+        const testTier = { name: 'Test prize', count: 1, percent: 100 };
+        const { winners: [drawn] } = prizes.drawWinners(
+            algoVersion, [blockHash, ...extraBlockHashes], allApproved, [{ tier: 0, ...testTier, prizeSats }]
         );
-
-        console.log(`🧪 Test raffle committed! Block #${currentHeight}, winner index: ${winnerIndex}/${allApproved.length}, ticket #${winningTicket.id}, prize: ${prizeSats} sats`);
+        const winnerIndex = drawn.winningIndex;
+        const winningTicket = drawn.ticket;
 
         // Generate claim token (LNURL-withdraw) — winner scans QR to claim
         const claimToken = crypto.randomUUID();
         const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-        db.setRaffleClaimToken(raffle.id, claimToken, expiresAt);
+
+        // Create a real raffle record (with its frozen entry snapshot and winner),
+        // reserving the prize from the raffle fund
+        const raffle = db.createRaffleWithEntries(
+            drawHeight, blockHash, allApproved.length, winnerIndex, winningTicket.id, prizeSats, allApproved,
+            {
+                algoVersion,
+                extraBlockHashes,
+                prizeTiers: [testTier],
+                winners: [{ rank: 0, tier: 0, tierName: testTier.name, winningIndex: winnerIndex, ticketId: winningTicket.id, prizeSats, claimToken, claimExpiresAt: expiresAt }],
+                posting: ledger.prizeReservation(prizeSats, `Test raffle, block #${drawHeight}`)
+            }
+        );
+        console.log(`🧪 Test raffle: ${prizeSats} sats reserved, fund now ${ledger.getFundSats()} sats`);
+
+        console.log(`🧪 Test raffle committed! Block #${drawHeight}, winner index: ${winnerIndex}/${allApproved.length}, ticket #${winningTicket.id}, prize: ${prizeSats} sats`);
+
         const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
         const claimLink = `${baseUrl}/claim/${claimToken}`;
 
@@ -310,7 +366,7 @@ router.post('/raffle/test', async (req, res) => {
         if (winningTicket.email) {
             try {
                 emailResult = await email.sendWinnerEmail(
-                    winningTicket.email, prizeSats, claimToken, currentHeight
+                    winningTicket.email, prizeSats, claimToken, drawHeight
                 );
                 console.log(`📧 Test raffle winner email sent to ${winningTicket.email}`);
             } catch (emailErr) {
@@ -325,11 +381,12 @@ router.post('/raffle/test', async (req, res) => {
             message: 'LIVE TEST — raffle record created, claim link generated' + (emailResult && !emailResult.error ? ', email sent!' : emailResult ? ' (email failed: ' + emailResult.error + ')' : ' (no email on file)') + ' Delete from Raffles tab to clean up.',
             raffle: {
                 id: raffle.id,
-                blockHeight: currentHeight,
+                blockHeight: drawHeight,
                 blockHash,
                 totalTickets: allApproved.length,
                 winnerIndex,
-                formula: `int("0x0000...${blockHash.slice(-16)}") mod ${allApproved.length} = ${winnerIndex}`,
+                algoVersion,
+                formula: `v${algoVersion}: blocks #${drawHeight}–#${drawHeight + extraBlockHashes.length} → index ${winnerIndex} of ${allApproved.length}`,
                 winner: {
                     ticketId: winningTicket.id,
                     email: winningTicket.email || 'Anonymous',
@@ -353,7 +410,8 @@ router.post('/raffle/test', async (req, res) => {
 /**
  * DELETE /admin/raffle/:id
  * Delete a raffle record (for cleaning up test raffles)
- * Optionally refunds the prize amount back to the raffle fund
+ * Its unpaid prizes are refunded to the raffle fund, or written off
+ * without `refund`
  */
 router.delete('/raffle/:id', (req, res) => {
     try {
@@ -368,21 +426,27 @@ router.delete('/raffle/:id', (req, res) => {
             return res.status(404).json({ error: 'Raffle not found' });
         }
         
-        // Optionally refund the prize to the raffle fund
-        if (refund && raffle.prize_amount_sats) {
-            const currentFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-            db.setSetting('raffle_fund_sats', String(currentFund + raffle.prize_amount_sats));
-            console.log(`🗑️ Raffle #${id} deleted — refunded ${raffle.prize_amount_sats} sats to fund (${currentFund} + ${raffle.prize_amount_sats} = ${currentFund + raffle.prize_amount_sats})`);
-        } else {
-            console.log(`🗑️ Raffle #${id} deleted (no refund)`);
+        if (db.getOpenPayments().some(p => p.raffle_id === raffle.id)) {
+            return res.status(409).json({ error: 'This raffle has a Lightning payment in flight. Wait for it to settle before deleting.' });
         }
         
-        db.deleteRaffle(parseInt(id));
+        // Release the prizes still reserved. Paid prizes have left the site,
+        // and expired ones were already returned to the fund or redrawn.
+        const release = ledger.raffleRelease(raffle, !!refund);
+        const releasedSats = release ? -release.entries.find(e => e.account === 'reserved').amountSats : 0;
+        const refundSats = refund ? releasedSats : 0;
+        db.deleteRaffle(parseInt(id), release);
+        
+        if (refundSats) {
+            console.log(`🗑️ Raffle #${id} deleted — refunded ${refundSats} sats to fund (now ${ledger.getFundSats()})`);
+        } else {
+            console.log(`🗑️ Raffle #${id} deleted (no refund${releasedSats ? `, ${releasedSats} sats written off` : ''})`);
+        }
         
         res.json({
             success: true,
-            message: `Raffle #${id} deleted` + (refund && raffle.prize_amount_sats ? ` (${raffle.prize_amount_sats} sats refunded to fund)` : ''),
-            refunded: refund ? (raffle.prize_amount_sats || 0) : 0
+            message: `Raffle #${id} deleted` + (refund && refundSats ? ` (${refundSats} sats refunded to fund)` : ''),
+            refunded: refund ? refundSats : 0
         });
     } catch (error) {
         console.error('Delete raffle error:', error);
@@ -411,14 +475,20 @@ router.post('/raffle/run', async (req, res) => {
             });
         }
         
-        // Check if block has been mined
-        const isMined = await bitcoin.isRaffleBlockMined(blockHeight);
+        // Check if block has been mined (plus the blocks the draw chains in after it)
+        const algoVersion = bitcoin.CURRENT_ALGO_VERSION;
+        const extraBlocks = bitcoin.getExtraBlocksForAlgo(algoVersion);
+        const isMined = await bitcoin.isRaffleBlockMined(blockHeight + extraBlocks);
         if (!isMined) {
-            return res.status(400).json({ error: 'Block has not been mined yet' });
+            return res.status(400).json({
+                error: extraBlocks > 0
+                    ? `Block #${blockHeight} and the ${extraBlocks} blocks after it must be mined before the draw`
+                    : 'Block has not been mined yet'
+            });
         }
         
-        // Get block hash
-        const blockHash = await bitcoin.getBlockHash(blockHeight);
+        // Get block hashes
+        const { blockHash, extraBlockHashes } = await bitcoin.getDrawBlockHashes(blockHeight, algoVersion);
         
         // Get valid tickets for this raffle period
         const tickets = db.getValidTicketsForBlock(blockHeight);
@@ -427,6 +497,18 @@ router.post('/raffle/run', async (req, res) => {
             return res.status(400).json({ error: 'No valid tickets for this raffle period' });
         }
 
+        // The ticket set must reproduce the pre-draw Merkle commitment exactly
+        const check = commitment.checkAgainstCommitment(blockHeight, tickets);
+        if (check.committed && !check.matches) {
+            return res.status(409).json({
+                error: 'Ticket set differs from the committed Merkle root — draw refused. Restore the committed tickets first.',
+                expectedRoot: check.expectedRoot,
+                actualRoot: check.actualRoot,
+                added: check.added,
+                removed: check.removed
+            });
+        }
+
         // Site-budget guard: refuse to commit a raffle whose prize exceeds the
         // site's available ledger balance. The shared LND node may have more —
         // those funds belong to other sites.
@@ -441,67 +523,108 @@ router.post('/raffle/run', async (req, res) => {
             }
         }
 
-        // Select winner
-        const winnerIndex = bitcoin.selectWinnerIndex(blockHash, tickets.length);
-        const winningTicket = tickets[winnerIndex];
+        // Draw every tier. A named prize pool is split across the tiers in
+        // proportion to their percents; without one the prizes stay TBD.
+        const crypto = require('crypto');
+        const tiers = prizes.getPrizeTiers();
+        const { winners: drawn, totalPrizeSats } = prizes.drawWinners(
+            algoVersion, [blockHash, ...extraBlockHashes], tickets, prizes.splitPrizePool(prizeAmountSats || null, tiers)
+        );
 
-        // Create raffle record
-        const raffle = db.createRaffle(
+        // Generate one claim token (LNURL-withdraw) per winner
+        const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+        const winners = drawn.map(w => ({
+            rank: w.rank,
+            tier: w.tier,
+            tierName: w.tierName,
+            winningIndex: w.winningIndex,
+            ticketId: w.ticket.id,
+            prizeSats: w.prizeSats,
+            claimToken: crypto.randomUUID(),
+            claimExpiresAt: expiresAt,
+            ticket: w.ticket
+        }));
+        const first = winners[0];
+
+        // Create raffle record + frozen entry snapshot + winners, and reserve
+        // the prizes in the ledger (atomic)
+        const raffle = db.createRaffleWithEntries(
             blockHeight,
             blockHash,
             tickets.length,
-            winnerIndex,
-            winningTicket.id,
-            prizeAmountSats || null
+            first.winningIndex,
+            first.ticketId,
+            totalPrizeSats || null,
+            tickets,
+            {
+                algoVersion, extraBlockHashes, prizeTiers: tiers, winners,
+                posting: ledger.prizeReservation(totalPrizeSats, `Block #${blockHeight} — manual draw`)
+            }
         );
         
-        const crypto = require('crypto');
-        const prizeSats = prizeAmountSats || parseInt(process.env.DEFAULT_PRIZE_SATS) || 0;
-        
-        // Generate claim token (LNURL-withdraw)
-        const claimToken = crypto.randomUUID();
-        const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-        db.setRaffleClaimToken(raffle.id, claimToken, expiresAt);
         const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-        const claimLink = `${baseUrl}/claim/${claimToken}`;
+        const claimLinkFor = (w) => `${baseUrl}/claim/${w.claimToken}`;
         
-        console.log(`🎰 Manual raffle committed! Block #${blockHeight}, claim link: ${claimLink}`);
+        console.log(`🎰 Manual raffle committed! Block #${blockHeight}, ${winners.length} winner(s), first claim link: ${claimLinkFor(first)}`);
         
         // Notify admin via Telegram
         telegram.notifyRaffleResult(
-            { block_height: blockHeight, total_tickets: tickets.length, prize_amount_sats: prizeSats },
-            winningTicket,
+            { block_height: blockHeight, total_tickets: tickets.length, prize_amount_sats: totalPrizeSats },
+            winners.map(w => ({
+                tier_name: w.tierName,
+                prize_amount_sats: w.prizeSats,
+                email: w.ticket.email,
+                lnurl_address: w.ticket.lnurl_address,
+                claim_token: w.claimToken
+            })),
             db
         ).catch(err => console.error('Telegram raffle notify error:', err));
         
-        // Send winner email with claim link
-        if (winningTicket.email) {
+        // Send each winner an email with their claim link
+        for (const w of winners) {
+            if (!w.ticket.email) continue;
             email.sendWinnerEmail(
-                winningTicket.email,
-                prizeSats,
-                claimToken,
-                blockHeight
+                w.ticket.email,
+                w.prizeSats,
+                w.claimToken,
+                blockHeight,
+                winners.length > 1 ? w.tierName : null
             ).catch(err => {
                 console.error('Failed to send winner email:', err);
             });
         }
         
+        const describeWinner = (w) => ({
+            rank: w.rank,
+            tierName: w.tierName,
+            winnerIndex: w.winningIndex,
+            ticketId: w.ticketId,
+            email: w.ticket.email,
+            lnurl: w.ticket.lnurl_address,
+            reviewLink: w.ticket.review_link,
+            prizeAmountSats: w.prizeSats,
+            claimLink: claimLinkFor(w)
+        });
+        
         res.json({
             success: true,
             raffle: {
                 id: raffle.id,
                 blockHeight,
                 blockHash,
+                extraBlockHashes,
+                algoVersion,
                 totalTickets: tickets.length,
-                winnerIndex,
+                winnerIndex: first.winningIndex,
                 winner: {
-                    ticketId: winningTicket.id,
-                    email: winningTicket.email,
-                    lnurl: winningTicket.lnurl_address,
-                    reviewLink: winningTicket.review_link
+                    ticketId: first.ticketId,
+                    email: first.ticket.email,
+                    lnurl: first.ticket.lnurl_address,
+                    reviewLink: first.ticket.review_link
                 },
-                prizeAmountSats: prizeSats,
-                claimLink
+                winners: winners.map(describeWinner),
+                prizeAmountSats: totalPrizeSats || null,
+                claimLink: claimLinkFor(first)
             }
         });
         
@@ -512,21 +635,34 @@ router.post('/raffle/run', async (req, res) => {
 });
 
 /**
- * POST /admin/raffle/:id/mark-paid
- * Mark a raffle as paid
+ * POST /admin/raffle/:id/winners/:winnerId/mark-paid
+ * Mark one raffle winner as paid (e.g. paid by hand outside the claim flow)
  */
-router.post('/raffle/:id/mark-paid', (req, res) => {
+router.post('/raffle/:id/winners/:winnerId/mark-paid', (req, res) => {
     try {
-        const { id } = req.params;
+        const winner = db.getRaffleWinnerById(parseInt(req.params.winnerId));
+        if (!winner || winner.raffle_id !== parseInt(req.params.id)) {
+            return res.status(404).json({ error: 'Winner not found' });
+        }
+        
+        if (winner.expiry_action) {
+            return res.status(400).json({ error: `This prize expired and was already ${winner.expiry_action === 'rollover' ? 'returned to the fund' : 'redrawn'}` });
+        }
         
-        db.markRafflePaid(parseInt(id));
+        const active = db.getActivePayment(winner.id);
+        if (active) {
+            return res.status(409).json({ error: `Lightning payment #${active.id} for this prize is ${active.status === 'succeeded' ? 'already recorded' : 'still in flight'}` });
+        }
+        
+        // Paid outside the claim flow: the stamped prize left the site
+        db.markWinnerPaid(winner.id, null, ledger.prizePayout(winner, winner.prize_amount_sats || 0));
         
         res.json({
             success: true,
-            message: 'Raffle marked as paid'
+            message: `${winner.tier_name} #${winner.rank + 1} marked as paid`
         });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to mark raffle as paid' });
+        res.status(500).json({ error: 'Failed to mark winner as paid' });
     }
 });
 
@@ -544,27 +680,42 @@ router.get('/raffles', (req, res) => {
 });
 
 /**
- * POST /admin/raffle/:id/pay
- * Pay the raffle winner via Lightning
+ * GET /admin/payments
+ * Recent prize payments with their status (initiated, in_flight, succeeded, failed)
+ */
+router.get('/payments', (req, res) => {
+    try {
+        res.json({ success: true, payments: db.getRecentPayments() });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch payments' });
+    }
+});
+
+/**
+ * POST /admin/raffle/:id/winners/:winnerId/pay
+ * Pay one raffle winner via Lightning
  */
-router.post('/raffle/:id/pay', async (req, res) => {
+router.post('/raffle/:id/winners/:winnerId/pay', async (req, res) => {
     try {
         const { id } = req.params;
         const { amountSats } = req.body;
         
-        // Get raffle with winner info
-        const raffles = db.getAllRaffles();
-        const raffle = raffles.find(r => r.id === parseInt(id));
+        // Get winner with ticket/user info
+        const winner = db.getRaffleWinnerById(parseInt(req.params.winnerId));
         
-        if (!raffle) {
-            return res.status(404).json({ error: 'Raffle not found' });
+        if (!winner || winner.raffle_id !== parseInt(id)) {
+            return res.status(404).json({ error: 'Winner not found' });
         }
         
-        if (raffle.paid_at) {
-            return res.status(400).json({ error: 'Raffle already paid' });
+        if (winner.paid_at) {
+            return res.status(400).json({ error: 'Winner already paid' });
         }
         
-        if (!raffle.lnurl_address) {
+        if (winner.expiry_action) {
+            return res.status(400).json({ error: `This prize expired and was already ${winner.expiry_action === 'rollover' ? 'returned to the fund' : 'redrawn'}` });
+        }
+        
+        if (!winner.lnurl_address) {
             return res.status(400).json({ error: 'Winner has no Lightning Address' });
         }
         
@@ -574,38 +725,38 @@ router.post('/raffle/:id/pay', async (req, res) => {
         //
         // Priority:
         //   1. Explicit amountSats passed from the client (admin override)
-        //   2. raffle.prize_amount_sats — the value stamped at raffle commit time
+        //   2. winner.prize_amount_sats — the value stamped at raffle commit time
         //      (this IS the advertised prize that was shown when the raffle ran)
-        //   3. 50% of the CURRENT raffle fund — fallback only if the raffle was
-        //      committed with a null/0 prize (e.g. fund was empty at commit time).
+        //   3. The winner's tier share of the prize the policy would pay from the
+        //      CURRENT fund — fallback only if the raffle was committed with a
+        //      null/0 prize (e.g. fund was empty at commit time).
         let prizeSats = 0;
         let prizeSource = '';
         if (amountSats && parseInt(amountSats) > 0) {
             prizeSats = parseInt(amountSats);
             prizeSource = 'admin-override';
-        } else if (raffle.prize_amount_sats && raffle.prize_amount_sats > 0) {
-            prizeSats = raffle.prize_amount_sats;
+        } else if (winner.prize_amount_sats && winner.prize_amount_sats > 0) {
+            prizeSats = winner.prize_amount_sats;
             prizeSource = 'stamped-at-commit';
         } else {
-            const currentFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-            prizeSats = Math.floor(currentFund / 2);
-            prizeSource = 'current-half-fund';
+            prizeSats = prizePolicy.allocateWinnerPrizes(ledger.getFundSats(), [{ tier: winner.tier, locationSlug: winner.location_slug }]).totalPrizeSats;
+            prizeSource = 'current-policy';
         }
         if (prizeSats <= 0) {
             return res.status(400).json({
-                error: 'No prize amount available: raffle has no stamped prize and the raffle fund is empty. Donate to the fund or pass an explicit amountSats.'
+                error: 'No prize amount available: winner has no stamped prize and the raffle fund is empty. Donate to the fund or pass an explicit amountSats.'
             });
         }
 
         // Don't let an admin override pay MORE than what was reserved at commit
         // time (the advertised prize). Otherwise the override could silently
         // drain a sibling site's funds on the shared LND node.
-        if (prizeSource === 'admin-override' && raffle.prize_amount_sats &&
-                prizeSats > raffle.prize_amount_sats) {
+        if (prizeSource === 'admin-override' && winner.prize_amount_sats &&
+                prizeSats > winner.prize_amount_sats) {
             return res.status(400).json({
-                error: `Override amount (${prizeSats.toLocaleString()} sats) exceeds the reserved prize (${raffle.prize_amount_sats.toLocaleString()} sats). The advertised prize is the cap.`,
+                error: `Override amount (${prizeSats.toLocaleString()} sats) exceeds the reserved prize (${winner.prize_amount_sats.toLocaleString()} sats). The advertised prize is the cap.`,
                 requested: prizeSats,
-                reserved: raffle.prize_amount_sats
+                reserved: winner.prize_amount_sats
             });
         }
 
@@ -623,39 +774,45 @@ router.post('/raffle/:id/pay', async (req, res) => {
                 available: siteAvailable
             });
         }
-        console.log(`💰 Pay prize: ${prizeSats} sats (source: ${prizeSource}) for raffle #${id}`);
+        console.log(`💰 Pay prize: ${prizeSats} sats (source: ${prizeSource}) for raffle #${id}, ${winner.tier_name} #${winner.rank + 1}`);
         
-        // Pay via Lightning
-        console.log(`⚡ Paying ${prizeSats} sats to ${raffle.lnurl_address} for raffle #${id}...`);
-        const paymentResult = await lightning.payLightningAddress(
-            raffle.lnurl_address,
-            prizeSats,
-            `Reviews Raffle winner! Block #${raffle.block_height}`
-        );
+        // Pay via Lightning (tracked in the payments table, see services/payments.js)
+        console.log(`⚡ Paying ${prizeSats} sats to ${winner.lnurl_address} for raffle #${id}...`);
+        const payment = await payments.payWinnerAddress(winner, winner.lnurl_address, prizeSats, {
+            source: 'admin',
+            comment: `Reviews Raffle ${winner.tier_name} winner! Block #${winner.block_height}`
+        });
         
-        db.markRafflePaid(parseInt(id), paymentResult.paymentHash);
-        console.log(`✅ Payment successful: ${paymentResult.paymentHash}`);
+        if (payment.status === 'failed') {
+            return res.status(502).json({ error: 'Payment failed: ' + payment.failure_reason });
+        }
         
         res.json({
             success: true,
             payment: {
-                address: raffle.lnurl_address,
-                amountSats: prizeSats,
-                paymentHash: paymentResult.paymentHash
+                id: payment.id,
+                status: payment.status,
+                pending: payment.status !== 'succeeded',
+                address: winner.lnurl_address,
+                amountSats: payment.amount_sats,
+                paymentHash: payment.payment_hash
             }
         });
         
     } catch (error) {
+        if (error.code === 'PAYMENT_LOCKED') {
+            return res.status(409).json({ error: error.message, payment: error.existing });
+        }
         console.error('Payment error:', error);
         // Record the failure
-        try { db.markRafflePaymentFailed(parseInt(req.params.id), error.message); } catch(e) {}
+        try { db.markWinnerPaymentFailed(parseInt(req.params.winnerId), error.message); } catch(e) {}
         res.status(500).json({ error: 'Payment failed: ' + error.message });
     }
 });
 
 /**
  * GET /admin/lightning/status
- * Check LND node connection status and balance
+ * Check Lightning backend connection status and balance
  */
 router.get('/lightning/status', async (req, res) => {
     try {
@@ -666,12 +823,13 @@ router.get('/lightning/status', async (req, res) => {
                 success: true,
                 lightning: {
                     configured: false,
+                    backend: status.backend,
                     reason: status.reason
                 }
             });
         }
 
-        // Site-scoped view only. The underlying Voltage node is shared with
+        // Site-scoped view only. The underlying node is shared with
         // other sites — its node alias, pubkey, and channel balance are NOT
         // appropriate to show to a per-site admin (information disclosure).
         // What the admin actually needs to know:
@@ -684,9 +842,11 @@ router.get('/lightning/status', async (req, res) => {
             success: true,
             lightning: {
                 configured: true,
+                backend: status.backend,
                 synced: status.synced,
                 siteAvailableSats,
-                autoPayEnabled: process.env.AUTO_PAY_ENABLED === 'true'
+                autoPayEnabled: autoPayout.isEnabled(),
+                autoPayGraceMinutes: autoPayout.getGraceMinutes()
             }
         });
     } catch (error) {
@@ -696,7 +856,7 @@ router.get('/lightning/status', async (req, res) => {
 
 /**
  * POST /admin/tickets/:id/ai-check
- * AI-validate a single ticket using its review_text
+ * Run a single ticket's review_text through the review validator chain
  */
 router.post('/tickets/:id/ai-check', async (req, res) => {
     try {
@@ -711,16 +871,21 @@ router.post('/tickets/:id/ai-check', async (req, res) => {
             return res.status(400).json({ error: 'Ticket has no review text to check. Ask the user to paste their review text.' });
         }
         
-        // AI validate using the review text
-        const validation = await anthropic.validateReview(ticket.review_text, ticket.merchant_name);
-        db.validateTicket(parseInt(id), validation.isValid, validation.reason);
+        // Validate the review text with the first validator in the chain that answers
+        const validation = await reviewValidators.validateReview(ticket.review_text, ticket.merchant_name, { ticketId: ticket.id });
+        // No validator answered: leave the ticket as it was for an admin to decide
+        if (validation.validator) {
+            db.validateTicket(parseInt(id), validation.isValid, validation.reason, validation.validator);
+        }
         
         res.json({
             success: true,
             validation: {
                 isValid: validation.isValid,
                 reason: validation.reason,
-                confidence: validation.confidence
+                confidence: validation.confidence,
+                validator: validation.validator,
+                validationId: validation.validationId
             }
         });
     } catch (error) {
@@ -729,6 +894,29 @@ router.post('/tickets/:id/ai-check', async (req, res) => {
     }
 });
 
+/**
+ * GET /admin/tickets/:id/validations
+ * Every validator attempt on a ticket, newest first: prompt version, model,
+ * raw reply, parsed verdict and latency (or the error)
+ */
+router.get('/tickets/:id/validations', (req, res) => {
+    try {
+        const ticket = db.getTicketById(parseInt(req.params.id));
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+        const validations = db.getReviewValidations(ticket.id).map(v => {
+            let verdict = null;
+            try { verdict = v.verdict ? JSON.parse(v.verdict) : null; } catch (e) { /* keep null */ }
+            return { ...v, is_valid: v.is_valid === null ? null : !!v.is_valid, verdict };
+        });
+        res.json({ success: true, validations });
+    } catch (error) {
+        console.error('Ticket validations error:', error);
+        res.status(500).json({ error: 'Failed to fetch ticket validations' });
+    }
+});
+
 /**
  * GET /admin/tickets/:id/quick-approve
  * One-tap approve from Telegram link (token auth, no admin password needed)
@@ -807,6 +995,110 @@ router.get('/settings', (req, res) => {
     }
 });
 
+/**
+ * GET /admin/review-validators
+ * Review validators, whether each is configured, the chain order, and the
+ * prompt versions the language-model validators can use
+ */
+router.get('/review-validators', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            chain: reviewValidators.getChain(),
+            validators: reviewValidators.describeValidators(),
+            promptVersion: reviewValidators.getPromptVersion(),
+            promptVersions: reviewValidatorPrompts.listPromptVersions()
+        });
+
+/**
+ * GET /admin/review-jobs
+ * Review jobs (scrape + validate), newest first, with counts per status and
+ * each job's error history. `?status=failed` to filter.
+ */
+router.get('/review-jobs', (req, res) => {
+    try {
+        const status = ['queued', 'running', 'done', 'failed'].includes(req.query.status) ? req.query.status : null;
+        res.json({
+            success: true,
+            counts: db.getReviewJobCounts(),
+            concurrency: reviewJobs.getConcurrency(),
+            maxConcurrency: reviewJobs.MAX_CONCURRENCY,
+            jobs: reviewJobs.listJobs({ status })
+        });
+    } catch (error) {
+        console.error('Review jobs error:', error);
+        res.status(500).json({ error: 'Failed to fetch review jobs' });
+    }
+});
+
+/**
+ * POST /admin/review-jobs/:id/requeue
+ * Run a done or failed job again, with a fresh set of attempts
+ */
+router.post('/review-jobs/:id/requeue', (req, res) => {
+    try {
+        const job = db.getReviewJob(parseInt(req.params.id, 10));
+        if (!job) return res.status(404).json({ error: 'Review job not found' });
+        if (!reviewJobs.requeue(job.id)) {
+            return res.status(400).json({ error: `Review job is already ${job.status}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Requeue review job error:', error);
+        res.status(500).json({ error: 'Failed to requeue review job' });
+    }
+});
+
+/**
+ * POST /admin/review-jobs/revalidate-pending
+ * Queue a job for every ticket still waiting for a verdict
+ */
+router.post('/review-jobs/revalidate-pending', (req, res) => {
+    try {
+        res.json({ success: true, ...reviewJobs.revalidateAllPending() });
+    } catch (error) {
+        console.error('Revalidate pending error:', error);
+        res.status(500).json({ error: 'Failed to queue pending tickets' });
+    }
+});
+
+/**
+ * GET /admin/duplicates
+ * Clusters of tickets whose links lead to the same review (or place, or URL)
+ */
+router.get('/duplicates', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            policy: reviewLinks.getPolicy(),
+            similarityThreshold: reviewSimilarity.getThreshold(),
+            clusters: reviewLinks.listClusters()
+        });
+    } catch (error) {
+        console.error('Duplicate clusters error:', error);
+        res.status(500).json({ error: 'Failed to fetch duplicate clusters' });
+    }
+});
+
+/**
+ * POST /admin/duplicates/rescan
+ * Work out canonical ids for tickets submitted before they were stored
+ * (follows short links, so it can take a while)
+ */
+router.post('/duplicates/rescan', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await reviewLinks.backfillCanonicalIds()) });
+    } catch (error) {
+        console.error('Duplicate rescan error:', error);
+        res.status(500).json({ error: 'Failed to scan tickets for duplicates' });
+    }
+});
+    } catch (error) {
+        console.error('Review validators error:', error);
+        res.status(500).json({ error: 'Failed to fetch review validators' });
+    }
+});
+
 /**
  * POST /admin/settings
  * Update settings (accepts key-value pairs)
@@ -820,8 +1112,8 @@ router.post('/settings', (req, res) => {
         }
         
         const allowedKeys = [
-            'review_mode', 'review_link_mode', 'google_api_key',
-            'raffle_auto_trigger',
+            'review_mode', 'review_link_mode', 'review_validator_chain', 'review_prompt_version', 'review_job_concurrency', 'duplicate_review_policy', 'review_similarity_threshold', 'fraud_hold_score', 'google_api_key',
+            'raffle_auto_trigger', 'auto_pay_grace_minutes', 'raffle_commit_lead_blocks', 'raffle_prize_tiers', 'prize_policy', 'unclaimed_prize_policy',
             'contact_telegram', 'contact_email', 'contact_whatsapp'
         ];
         
@@ -829,6 +1121,80 @@ router.post('/settings', (req, res) => {
             if (!allowedKeys.includes(key)) {
                 return res.status(400).json({ error: `Unknown setting: ${key}` });
             }
+        }
+        if (settings.raffle_commit_lead_blocks !== undefined) {
+            const lead = parseInt(settings.raffle_commit_lead_blocks, 10);
+            if (!Number.isInteger(lead) || lead < 1 || lead > 2015) {
+                return res.status(400).json({ error: 'Commit lead must be between 1 and 2015 blocks' });
+            }
+            settings.raffle_commit_lead_blocks = String(lead);
+        }
+        if (settings.auto_pay_grace_minutes !== undefined) {
+            const grace = parseInt(settings.auto_pay_grace_minutes, 10);
+            if (!Number.isInteger(grace) || grace < 0 || grace > 10080) {
+                return res.status(400).json({ error: 'Auto-pay grace period must be between 0 and 10080 minutes' });
+            }
+            settings.auto_pay_grace_minutes = String(grace);
+        }
+        if (settings.review_mode !== undefined && !['manual_review', 'auto_approve', 'ai_assisted'].includes(settings.review_mode)) {
+            return res.status(400).json({ error: 'Review mode must be one of: manual_review, auto_approve, ai_assisted' });
+        }
+        if (settings.duplicate_review_policy !== undefined && !reviewLinks.DUPLICATE_POLICIES.includes(settings.duplicate_review_policy)) {
+            return res.status(400).json({ error: `Duplicate review policy must be one of: ${reviewLinks.DUPLICATE_POLICIES.join(', ')}` });
+        }
+        if (settings.review_similarity_threshold !== undefined) {
+            const threshold = parseFloat(settings.review_similarity_threshold);
+            if (!(threshold >= 0.3 && threshold <= 1)) {
+                return res.status(400).json({ error: 'Review similarity threshold must be between 0.3 and 1' });
+            }
+            settings.review_similarity_threshold = String(threshold);
+        }
+        if (settings.fraud_hold_score !== undefined) {
+            const holdScore = parseInt(settings.fraud_hold_score, 10);
+            if (!Number.isInteger(holdScore) || holdScore < 0 || holdScore > 100) {
+                return res.status(400).json({ error: 'Fraud hold score must be between 0 (never hold) and 100' });
+            }
+            settings.fraud_hold_score = String(holdScore);
+        }
+        if (settings.review_job_concurrency !== undefined) {
+            const concurrency = parseInt(settings.review_job_concurrency, 10);
+            if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > reviewJobs.MAX_CONCURRENCY) {
+                return res.status(400).json({ error: `Review job concurrency must be between 1 and ${reviewJobs.MAX_CONCURRENCY}` });
+            }
+            settings.review_job_concurrency = String(concurrency);
+        }
+        if (settings.review_validator_chain !== undefined) {
+            try {
+                settings.review_validator_chain = reviewValidators.parseChain(settings.review_validator_chain).join(',');
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+        }
+        if (settings.review_prompt_version !== undefined) {
+            try {
+                reviewValidatorPrompts.loadPrompt(settings.review_prompt_version);
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+        }
+        if (settings.unclaimed_prize_policy !== undefined && !claimExpiry.EXPIRY_POLICIES.includes(settings.unclaimed_prize_policy)) {
+            return res.status(400).json({ error: `Unclaimed prize policy must be one of: ${claimExpiry.EXPIRY_POLICIES.join(', ')}` });
+        }
+        if (settings.prize_policy !== undefined) {
+            try {
+                settings.prize_policy = JSON.stringify(prizePolicy.parsePrizePolicy(settings.prize_policy));
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+        }
+        if (settings.raffle_prize_tiers !== undefined) {
+            try {
+                settings.raffle_prize_tiers = JSON.stringify(prizes.parsePrizeTiers(settings.raffle_prize_tiers));
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+        }
+        for (const [key, value] of Object.entries(settings)) {
             db.setSetting(key, value);
         }
         
@@ -1042,16 +1408,18 @@ router.get('/raffle/next', async (req, res) => {
 
 /**
  * GET /api/admin/treasury
- * Returns a unified, time-sorted list of donations (incoming) and payouts
- * (outgoing — raffle prizes). Default JSON; pass ?format=csv for download.
+ * The treasury ledger as a time-sorted log, newest first: donations
+ * (incoming), prize payouts and fees (outgoing), and internal moves between
+ * the fund and reserved prizes. The summary is the ledger's account balances.
+ * Default JSON; pass ?format=csv for download.
  *
  * Query params:
- *   format=csv|json   (default json)
- *   direction=in|out  (optional filter)
- *   page=N            (1-based, default 1; ignored for CSV)
- *   perPage=N         (default 15, max 200; ignored for CSV)
- *   limit=N           (legacy: hard cap on total entries returned; default
- *                      500 for paginated views, 5000 for CSV)
+ *   format=csv|json            (default json)
+ *   direction=in|out|internal  (optional filter)
+ *   page=N                     (1-based, default 1; ignored for CSV)
+ *   perPage=N                  (default 15, max 200; ignored for CSV)
+ *   limit=N                    (legacy: hard cap on total entries returned;
+ *                               default 500 for paginated views, 5000 for CSV)
  */
 router.get('/treasury', (req, res) => {
     try {
@@ -1064,69 +1432,53 @@ router.get('/treasury', (req, res) => {
             ? Math.min(parseInt(req.query.limit) || 5000, 5000)
             : Math.min(parseInt(req.query.limit) || 500, 5000);
 
-        // ── Donations: every row from deposit_addresses with received_at set ──
-        // Also include unfilled invoices/addresses if you want a full picture; we
-        // only return CONFIRMED received donations here for the financial log.
-        const allDeposits = db.getAllDepositAddresses() || [];
-        const donations = allDeposits
-            .filter(d => d.received_at && d.amount_received_sats > 0)
-            .map(d => ({
-                timestamp: d.received_at,
-                direction: 'in',
-                type: d.type === 'lightning' ? 'Lightning donation' : 'On-chain donation',
-                channel: d.type, // 'lightning' or 'onchain'
-                amountSats: d.amount_received_sats,
-                address: d.type === 'onchain' ? d.address : null,
-                invoice: d.type === 'lightning' ? d.invoice : null,
-                paymentHash: d.payment_hash || null,
-                memo: d.memo || null,
-                status: 'received',
-                refId: 'deposit#' + d.id
-            }));
-
-        // ── Payouts: raffles that have been paid ──
-        const allRaffles = db.getAllRaffles() || [];
-        const payouts = allRaffles
-            .filter(r => r.paid_at && r.prize_amount_sats > 0)
-            .map(r => ({
-                timestamp: r.paid_at,
-                direction: 'out',
-                type: 'Raffle prize payout',
-                channel: 'lightning',
-                amountSats: r.prize_amount_sats,
-                address: r.lnurl_address || null,    // winner LN address
-                invoice: null,
-                paymentHash: r.payment_hash || r.claim_payment_hash || null,
-                memo: `Block #${r.block_height} winner (raffle #${r.id})`,
-                status: r.payment_status || 'paid',
-                refId: 'raffle#' + r.id
-            }));
-
-        // ── Failed/in-flight payouts (committed raffles awaiting pay) ──
-        const pendingPayouts = allRaffles
-            .filter(r => !r.paid_at && r.prize_amount_sats > 0)
-            .map(r => ({
-                timestamp: r.created_at,
-                direction: 'out',
-                type: 'Raffle prize (pending)',
-                channel: 'lightning',
-                amountSats: r.prize_amount_sats,
-                address: r.lnurl_address || null,
-                invoice: null,
-                paymentHash: null,
-                memo: `Block #${r.block_height} winner (raffle #${r.id})${r.payment_error ? ' — error: ' + r.payment_error : ''}`,
-                status: r.payment_error ? 'failed' : 'pending',
-                refId: 'raffle#' + r.id
-            }));
-
-        let entries = [...donations, ...payouts, ...pendingPayouts];
-
-        if (directionFilter === 'in' || directionFilter === 'out') {
+        const depositsById = new Map((db.getAllDepositAddresses() || []).map(d => [d.id, d]));
+        const allWinners = db.getAllRaffleWinners() || [];
+        const winnersById = new Map(allWinners.map(w => [w.id, w]));
+
+        // Sats entering or leaving the site pass through an outside account
+        // (donations, paid_out, fees, adjustments, sponsors); moves between
+        // the fund and reserved prizes stay inside it.
+        const OUTSIDE = ['donations', 'paid_out', 'fees', 'adjustments', 'sponsors'];
+        const STATUS = {
+            donation: 'received', prize_paid: 'paid', prize_reserved: 'reserved', prize_returned: 'returned',
+            prize_redrawn: 'redrawn', prize_written_off: 'written off', adjustment: 'adjusted', opening_balance: 'opening',
+            donation_match: 'matched', sponsor_paid: 'received'
+        };
+        const toEntry = (t) => {
+            const outside = t.entries.filter(e => OUTSIDE.includes(e.account)).reduce((sum, e) => sum + e.amountSats, 0);
+            const moved = t.entries.filter(e => e.amountSats > 0).reduce((sum, e) => sum + e.amountSats, 0);
+            const deposit = t.ref_type === 'deposit' ? depositsById.get(t.ref_id) : null;
+            const winner = t.ref_type === 'winner' ? winnersById.get(t.ref_id) : null;
+            return {
+                id: t.id,
+                timestamp: t.created_at,
+                // Outside accounts go negative when sats come in
+                direction: outside < 0 ? 'in' : outside > 0 ? 'out' : 'internal',
+                type: deposit
+                    ? (deposit.type === 'lightning' ? 'Lightning donation' : 'On-chain donation')
+                    : (ledger.KIND_LABELS[t.kind] || t.kind),
+                kind: t.kind,
+                channel: deposit ? deposit.type : t.kind === 'prize_paid' ? 'lightning' : 'internal',
+                amountSats: outside !== 0 ? Math.abs(outside) : moved,
+                address: deposit ? (deposit.type === 'onchain' ? deposit.address : null) : (winner ? winner.lnurl_address || null : null),
+                invoice: deposit && deposit.type === 'lightning' ? deposit.invoice : null,
+                paymentHash: deposit ? deposit.payment_hash || null : (winner && t.kind === 'prize_paid' ? winner.payment_hash || winner.claim_payment_hash || null : null),
+                memo: t.memo || null,
+                status: STATUS[t.kind] || 'posted',
+                refId: t.ref_type ? `${t.ref_type}#${t.ref_id}` : `ledger#${t.id}`,
+                postings: t.entries
+            };
+        };
+
+        const transactions = db.getLedgerTransactions(5000);
+        let entries = transactions.map(toEntry);
+
+        if (['in', 'out', 'internal'].includes(directionFilter)) {
             entries = entries.filter(e => e.direction === directionFilter);
         }
 
-        // Newest first
-        entries.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+        // Already newest first
         entries = entries.slice(0, limit);
 
         // Pagination is applied AFTER sort/filter so newest entries are on page 1.
@@ -1147,33 +1499,30 @@ router.get('/treasury', (req, res) => {
             entries = entries.slice(start, start + perPage);
         }
 
-        // Summary totals (computed across UNFILTERED entries — admins want totals
-        // even if they're viewing a filtered slice)
-        const totalIn = donations.reduce((s, e) => s + (e.amountSats || 0), 0);
-        const totalOut = payouts.reduce((s, e) => s + (e.amountSats || 0), 0);
-        // Reserved = pending + failed raffle payouts. These are sats already
-        // subtracted from the fund at commit time but not yet sent (so they
-        // explain the gap between Net and Current fund).
-        const reserved = pendingPayouts.reduce((s, e) => s + (e.amountSats || 0), 0);
-        const reservedPending = pendingPayouts.filter(e => e.status === 'pending').reduce((s, e) => s + (e.amountSats || 0), 0);
-        const reservedFailed = pendingPayouts.filter(e => e.status === 'failed').reduce((s, e) => s + (e.amountSats || 0), 0);
-        const fund = parseInt(db.getSetting('raffle_fund_sats') || '0');
+        // Summary: account balances (unfiltered — admins want totals even if
+        // they're viewing a filtered slice). The ledger always balances, so
+        // donated + adjustments + matches sponsors still owe − paid out − fees −
+        // reserved IS the fund.
+        const balances = ledger.getBalances();
+        const countOf = (kind) => transactions.filter(t => t.kind === kind).length;
+        // Reserved prizes, split by winners still waiting and failed payouts
+        const reservedWinners = allWinners.filter(w => !w.paid_at && !w.expiry_action && w.prize_amount_sats > 0);
+        const reservedFailed = reservedWinners.filter(w => w.payment_error).reduce((s, w) => s + w.prize_amount_sats, 0);
         const summary = {
-            totalDonations: donations.length,
-            totalDonatedSats: totalIn,
-            totalPayouts: payouts.length,
-            totalPaidOutSats: totalOut,
-            reservedSats: reserved,
-            reservedPendingSats: reservedPending,
+            totalDonations: countOf('donation'),
+            totalDonatedSats: -balances.donations,
+            totalPayouts: countOf('prize_paid'),
+            totalPaidOutSats: balances.paid_out,
+            feesSats: balances.fees,
+            adjustmentsSats: -balances.adjustments,
+            sponsorOwedSats: -balances.sponsors,
+            reservedSats: balances.reserved,
+            reservedPendingSats: balances.reserved - reservedFailed,
             reservedFailedSats: reservedFailed,
-            reservedCount: pendingPayouts.length,
-            netSats: totalIn - totalOut - reserved,  // Now matches Current fund
-            currentFundSats: fund,
-            // Drift between expected (donated − paid − reserved) and actual fund.
-            // Should be ~0 if the ledger is consistent. Non-zero indicates a
-            // manual seed (set via /api/raffle-fund/set or /add) or another
-            // mutation that bypassed the deposit_addresses table.
-            unaccountedSats: fund - (totalIn - totalOut - reserved)
+            reservedCount: reservedWinners.length,
+            currentFundSats: balances.fund,
+            heldSats: ledger.getHeldSats(balances),
+            balances
         };
 
         if (format === 'csv') {
@@ -1183,7 +1532,7 @@ router.get('/treasury', (req, res) => {
                 const s = String(v);
                 return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
             };
-            const header = ['timestamp', 'direction', 'type', 'channel', 'amount_sats', 'address', 'invoice', 'payment_hash', 'memo', 'status', 'ref'];
+            const header = ['timestamp', 'direction', 'type', 'channel', 'amount_sats', 'address', 'invoice', 'payment_hash', 'memo', 'status', 'ref', 'postings'];
             const lines = [header.join(',')];
             for (const e of entries) {
                 lines.push([
@@ -1197,7 +1546,8 @@ router.get('/treasury', (req, res) => {
                     e.paymentHash || '',
                     e.memo || '',
                     e.status,
-                    e.refId
+                    e.refId,
+                    e.postings.map(p => `${p.account}:${p.amountSats > 0 ? '+' : ''}${p.amountSats}`).join(' ')
                 ].map(escape).join(','));
             }
             const filename = `reviews-raffle-treasury-${new Date().toISOString().slice(0,10)}.csv`;
@@ -1213,4 +1563,108 @@ router.get('/treasury', (req, res) => {
     }
 });
 
+/**
+ * GET /admin/donor-wall
+ * Comments sent with Lightning Address donations, including hidden ones
+ */
+router.get('/donor-wall', (req, res) => {
+    try {
+        res.json({ success: true, donors: db.getDonorWall({ limit: 200, includeHidden: true }) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch donor wall' });
+    }
+});
+
+/**
+ * POST /admin/donor-wall/:id/hide
+ * Hide a donor comment from the public wall, or show it again.
+ * Body: { hidden: boolean }
+ */
+router.post('/donor-wall/:id/hide', (req, res) => {
+    try {
+        const hidden = (req.body || {}).hidden !== false;
+        db.setDonorCommentHidden(parseInt(req.params.id, 10), hidden);
+        console.log(`💬 Donor comment #${req.params.id} ${hidden ? 'hidden' : 'shown'} by admin`);
+        res.json({ success: true, hidden });
+    } catch (error) {
+        console.error('Donor wall update error:', error);
+        res.status(500).json({ error: 'Failed to update donor comment' });
+    }
+});
+
+/**
+ * GET /admin/campaigns
+ * Every donation campaign with its progress, plus the block heights the
+ * create form starts from
+ */
+router.get('/campaigns', async (req, res) => {
+    try {
+        let raffleInfo = null;
+        try {
+            raffleInfo = await bitcoin.getRaffleInfo();
+        } catch (err) {
+            console.warn('Campaigns: block height unavailable:', err.message);
+        }
+        const height = raffleInfo ? raffleInfo.currentHeight : null;
+        res.json({
+            success: true,
+            currentHeight: height,
+            nextRaffleBlock: raffleInfo ? raffleInfo.nextRaffleBlock : null,
+            campaigns: db.getAllCampaigns().map(c => campaigns.toProgress(c, height))
+        });
+    } catch (error) {
+        console.error('Campaigns error:', error);
+        res.status(500).json({ error: 'Failed to fetch campaigns' });
+    }
+});
+
+/**
+ * POST /admin/campaigns
+ * Create a campaign.
+ * Body: { name, goalSats, startBlock, endBlock, sponsorName?, matchRatioPct?, matchCapSats? }
+ */
+router.post('/campaigns', (req, res) => {
+    try {
+        const campaign = campaigns.createCampaign(req.body || {});
+        res.json({ success: true, campaign: campaigns.toProgress(campaign) });
+    } catch (error) {
+        if (error.code === 'CAMPAIGN_INVALID') return res.status(400).json({ error: error.message });
+        console.error('Create campaign error:', error);
+        res.status(500).json({ error: 'Failed to create campaign' });
+    }
+});
+
+/**
+ * POST /admin/campaigns/:id/cancel
+ * Stop a campaign early. Matches already posted stay in the fund.
+ */
+router.post('/campaigns/:id/cancel', (req, res) => {
+    try {
+        const campaign = db.getCampaign(parseInt(req.params.id, 10));
+        if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+        db.cancelCampaign(campaign.id);
+        console.log(`🤝 Campaign #${campaign.id} "${campaign.name}" cancelled by admin`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Cancel campaign error:', error);
+        res.status(500).json({ error: 'Failed to cancel campaign' });
+    }
+});
+
+/**
+ * POST /admin/campaigns/:id/sponsor-payment
+ * Record sats the sponsor paid in toward their matches.
+ * Body: { amountSats }
+ */
+router.post('/campaigns/:id/sponsor-payment', (req, res) => {
+    try {
+        const campaign = campaigns.recordSponsorPayment(parseInt(req.params.id, 10), (req.body || {}).amountSats);
+        res.json({ success: true, campaign: campaigns.toProgress(campaign) });
+    } catch (error) {
+        if (error.code === 'CAMPAIGN_INVALID') return res.status(400).json({ error: error.message });
+        console.error('Sponsor payment error:', error);
+        res.status(500).json({ error: 'Failed to record sponsor payment' });
+    }
+});
+
 module.exports = router;
@@ -7,13 +7,24 @@ const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 
 const db = require('../services/database');
-const email = require('../services/email');
 const bitcoin = require('../services/bitcoin');
 const btcmap = require('../services/btcmap');
 const lightning = require('../services/lightning');
 const anthropic = require('../services/anthropic');
 const telegram = require('../services/telegram');
 const price = require('../services/price');
+const commitment = require('../services/commitment');
+const verification = require('../services/verification');
+const prizePolicy = require('../services/prize-policy');
+const ledger = require('../services/ledger');
+const payments = require('../services/payments');
+const lnurlPay = require('../services/lnurl-pay');
+const reviewJobs = require('../services/review-jobs');
+const reviewLinks = require('../services/review-links');
+const reviewSimilarity = require('../services/review-similarity');
+const fraudScoring = require('../services/fraud-scoring');
+const emailVerification = require('../services/email-verification');
+const playerPortal = require('../services/player-portal');
 
 /**
  * POST /api/submit
@@ -120,6 +131,7 @@ router.post('/submit', async (req, res) => {
         
         let user = null;
         let userCreated = false;
+        let lnurlKept = false;
         let ticketCreated = false;
         let hasRaffleTicket = false;
         let raffleBlock = null;
@@ -138,6 +150,7 @@ router.post('/submit', async (req, res) => {
             
             user = result.user;
             userCreated = result.created;
+            lnurlKept = !!result.lnurlKept;
             
             if (!user) {
                 console.error('findOrCreateUser returned null user. Result:', JSON.stringify(result));
@@ -147,9 +160,22 @@ router.post('/submit', async (req, res) => {
                 });
             }
             
-            // Send registration email if new user with email
-            if (userCreated && cleanEmail && user.opt_out_token) {
-                email.sendRegistrationEmail(cleanEmail, user.opt_out_token).catch(err => {
+            if (lnurlKept) {
+                try {
+                    const changed = playerPortal.applySubmittedLnurl(req, user, cleanLnurl);
+                    if (changed) {
+                        user = changed;
+                        lnurlKept = false;
+                    }
+                } catch (err) {
+                    if (err.code !== 'PORTAL_INVALID') throw err;
+                    return res.status(400).json({ success: false, error: err.message });
+                }
+            }
+            
+            // New emails get a confirm link; their tickets only count once it's opened
+            if (cleanEmail && user.email_verified === 0 && !user.verify_sent_at) {
+                emailVerification.sendConfirmation(user).catch(err => {
                     console.error('Failed to send registration email:', err);
                 });
             }
@@ -167,6 +193,17 @@ router.post('/submit', async (req, res) => {
                     });
                 }
             }
+
+            // The same review under another link shape or another email
+            const canonical = await reviewLinks.canonicalize(cleanReview);
+            const duplicate = reviewLinks.checkDuplicate(canonical, user ? user.id : null);
+            if (duplicate.reject) {
+                console.log(`🧬 Rejected a repeat of ticket #${duplicate.duplicateOf.id} (${canonical.canonicalReviewId})`);
+                return res.status(400).json({
+                    success: false,
+                    error: 'This review has already been submitted'
+                });
+            }
             
             // Get current raffle block
             const currentHeight = await bitcoin.getCurrentBlockHeight();
@@ -190,13 +227,33 @@ router.post('/submit', async (req, res) => {
                 !!merchantAccepted,
                 cleanLocationSlug
             );
+            // May have rolled forward if this raffle's entries are already committed
+            raffleBlock = ticket.raffleBlock;
+            reviewLinks.recordTicket(ticket.id, canonical, duplicate.duplicateOf);
+            const similarText = cleanReviewText ? reviewSimilarity.indexTicket(ticket.id, cleanReviewText) : null;
+            const risk = fraudScoring.scoreSubmission(ticket.id, {
+                ip: req.ip,
+                userAgent: req.get('user-agent'),
+                email: cleanEmail,
+                lnurl: cleanLnurl
+            });
             
             // Check review_mode setting to determine validation behavior
             const reviewMode = db.getSetting('review_mode') || 'manual_review';
             
-            if (reviewMode === 'auto_approve') {
+            if (duplicate.duplicateOf) {
+                // Flagged as a repeat: always left for an admin (duplicate clusters)
+                db.validateTicket(ticket.id, false, null);
+            } else if (reviewMode === 'auto_approve' && (similarText || fraudScoring.shouldHold(risk.score))) {
+                // Text close to another ticket's, or a risky submission: an admin decides instead
+                db.validateTicket(ticket.id, false, null);
+            } else if (reviewMode === 'auto_approve') {
                 // Auto-approve: mark valid immediately
                 db.validateTicket(ticket.id, true, 'Auto-approved');
+            } else if (reviewMode === 'ai_assisted') {
+                // AI-assisted: pending until a review job scrapes and validates it
+                db.validateTicket(ticket.id, false, null);
+                reviewJobs.enqueue(ticket.id);
             } else {
                 // Manual review (default): mark as pending for admin review
                 db.validateTicket(ticket.id, false, null);
@@ -214,7 +271,13 @@ router.post('/submit', async (req, res) => {
         // --- Build response message based on what happened ---
         const response = { success: true };
         
-        if (cleanReview && hasRaffleTicket) {
+        if (cleanReview && hasRaffleTicket && user.email_verified === 0) {
+            // Review + identity, but the email isn't confirmed yet
+            response.message = '🎉 Review submitted! Confirm your email with the link we just sent to enter the raffle.';
+            response.raffleTicket = true;
+            response.raffleBlock = raffleBlock;
+            response.needsVerification = true;
+        } else if (cleanReview && hasRaffleTicket) {
             // Best case: review + identity = raffle ticket
             response.message = '🎉 Review submitted! You\'re entered in the raffle.';
             response.raffleTicket = true;
@@ -231,6 +294,12 @@ router.post('/submit', async (req, res) => {
             response.needsReview = true;
         }
         
+        if (lnurlKept) {
+            // The form can't change an existing account's payout address
+            response.message += ' We kept the Lightning address already on your account; log in at /me to change it.';
+            response.lnurlKept = true;
+        }
+        
         res.json(response);
         
     } catch (error) {
@@ -266,15 +335,16 @@ router.post('/register', async (req, res) => {
             return res.status(400).json({ success: false, error: result.error });
         }
         
-        if (result.created && userEmail) {
-            email.sendRegistrationEmail(userEmail, result.user.opt_out_token).catch(err => {
+        if (result.user.email_verified === 0 && !result.user.verify_sent_at) {
+            emailVerification.sendConfirmation(result.user).catch(err => {
                 console.error('Failed to send registration email:', err);
             });
         }
         
         res.json({
             success: true,
-            message: 'Registration successful! Check your email for confirmation.'
+            message: 'Registration successful! Check your email and confirm it to enter the raffle.' +
+                (result.lnurlKept ? ' We kept the Lightning address already on your account; log in at /me to change it.' : '')
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -311,18 +381,30 @@ router.post('/submit-review', async (req, res) => {
             }
         }
         
+        const canonical = await reviewLinks.canonicalize(cleanReview);
+        const duplicate = reviewLinks.checkDuplicate(canonical, user ? user.id : null);
+        if (duplicate.reject) {
+            return res.status(400).json({ success: false, error: 'This review has already been submitted' });
+        }
+        
         const currentHeight = await bitcoin.getCurrentBlockHeight();
         const raffleBlock = bitcoin.getNextRaffleBlock(currentHeight);
         
         const ticket = db.createTicket(user ? user.id : null, cleanReview, null, null, raffleBlock);
-        if (user) {
+        reviewLinks.recordTicket(ticket.id, canonical, duplicate.duplicateOf);
+        const risk = fraudScoring.scoreSubmission(ticket.id, {
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            email: cleanEmail
+        });
+        if (user && !duplicate.duplicateOf && !fraudScoring.shouldHold(risk.score)) {
             db.validateTicket(ticket.id, true, 'Auto-validated');
         }
         
         res.json({
             success: true,
             message: 'Review submitted and validated! You are entered in the raffle.',
-            raffleBlock
+            raffleBlock: ticket.raffleBlock
         });
     } catch (error) {
         console.error('Submit review error:', error);
@@ -370,7 +452,12 @@ router.get('/raffle-info', async (req, res) => {
                 totalTickets: latestRaffle.total_tickets,
                 prizeAmount: latestRaffle.prize_amount_sats,
                 winnerEmail: latestRaffle.email ? 
-                    latestRaffle.email.replace(/(.{2}).*(@.*)/, '$1***$2') : null
+                    latestRaffle.email.replace(/(.{2}).*(@.*)/, '$1***$2') : null,
+                winners: latestRaffle.winners.map(w => ({
+                    tierName: w.tier_name,
+                    prizeAmount: w.prize_amount_sats,
+                    winnerEmail: w.email ? w.email.replace(/(.{2}).*(@.*)/, '$1***$2') : null
+                }))
             } : null
         });
     } catch (error) {
@@ -455,12 +542,44 @@ router.get('/deposit-info', async (req, res) => {
 
 /**
  * POST /api/generate-invoice
- * Generate a Lightning invoice with a specific amount
+ * Generate a Lightning invoice with a specific amount — in sats, or in a fiat
+ * currency ({ amount: 10, currency: 'USD' }), converted at the current BTC
+ * price. The rate used goes in the memo and is kept with the deposit.
  */
 router.post('/generate-invoice', async (req, res) => {
     try {
-        const { amount } = req.body;
-        const amountSats = parseInt(amount);
+        const { amount, currency } = req.body;
+        const isFiat = currency != null && currency !== '' && !/^sats?$/i.test(String(currency));
+        let amountSats;
+        let fiat = null;
+
+        if (isFiat) {
+            const code = price.normalizeCurrency(currency);
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unsupported currency (use sats or one of ${price.SUPPORTED_CURRENCIES.join(', ')})`
+                });
+            }
+            const fiatAmount = Math.round(parseFloat(amount) * 100) / 100;
+            if (!(fiatAmount > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Please provide a valid amount in ${code}`
+                });
+            }
+            const rate = await price.getBtcPrice(code);
+            if (!rate) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'The BTC price is unavailable right now. Please enter an amount in sats.'
+                });
+            }
+            amountSats = price.fiatToSats(fiatAmount, rate);
+            fiat = { currency: code, amount: fiatAmount, rate };
+        } else {
+            amountSats = parseInt(amount);
+        }
         
         if (!amountSats || amountSats < 1) {
             return res.status(400).json({
@@ -476,13 +595,23 @@ router.post('/generate-invoice', async (req, res) => {
             });
         }
         
-        const result = await lightning.createDonationInvoice(amountSats, `Donation to Reviews Raffle - ${amountSats} sats`);
+        const result = fiat
+            ? await lightning.createDonationInvoice(amountSats,
+                `Donation to Reviews Raffle - ${fiat.amount.toFixed(2)} ${fiat.currency} (${amountSats} sats at ${Math.round(fiat.rate)} ${fiat.currency}/BTC)`,
+                { fiat })
+            : await lightning.createDonationInvoice(amountSats, `Donation to Reviews Raffle - ${amountSats} sats`);
         
         res.json({
             success: true,
             bolt11: result.bolt11,
             paymentHash: result.paymentHash,
-            amountSats
+            amountSats,
+            ...(fiat && {
+                currency: fiat.currency,
+                fiatAmount: fiat.amount,
+                btcPrice: fiat.rate,
+                expiresInSecs: result.expiresInSecs
+            })
         });
     } catch (error) {
         console.error('Generate invoice error:', error);
@@ -493,19 +622,69 @@ router.post('/generate-invoice', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/lnurlp/:name/callback
+ * LNURL-pay callback — the wallet asks for an invoice of `amount` millisats,
+ * with an optional LUD-12 `comment` or NIP-57 zap request (`nostr`). Paying it
+ * is a donation like any other.
+ */
+router.get('/lnurlp/:name/callback', async (req, res) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    try {
+        const handle = lnurlPay.resolveHandle(req.params.name);
+        if (!handle) {
+            return res.status(404).json({ status: 'ERROR', reason: 'Unknown Lightning Address' });
+        }
+        res.json(await lnurlPay.createPayInvoice(handle, {
+            amount: req.query.amount,
+            comment: req.query.comment,
+            nostr: req.query.nostr
+        }));
+    } catch (error) {
+        if (error.code === 'LNURL_INVALID') {
+            return res.json({ status: 'ERROR', reason: error.message });
+        }
+        console.error('LNURL-pay callback error:', error);
+        res.status(500).json({ status: 'ERROR', reason: 'Could not create an invoice right now' });
+    }
+});
+
+/**
+ * GET /api/donors
+ * The donor wall: paid donations that came with a comment, newest first
+ */
+router.get('/donors', (req, res) => {
+    try {
+        const donors = db.getDonorWall().map(d => ({
+            amountSats: d.amount_received_sats,
+            comment: d.comment,
+            location: d.location_slug,
+            receivedAt: d.received_at
+        }));
+        res.json({ success: true, donors });
+    } catch (error) {
+        console.error('Donor wall error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch donors' });
+    }
+});
+
 /**
  * GET /api/raffle-fund
  * Get current raffle fund balance and next prize amount
  * The fund is tracked separately from the LND node balance.
- * Prize = 50% of fund, awarded each raffle.
+ * The prize comes from the prize policy; ?location=slug applies that
+ * location's override. Amounts are also given in the location's currency.
  */
 router.get('/raffle-fund', async (req, res) => {
     try {
-        const fundSats = parseInt(db.getSetting('raffle_fund_sats') || '0');
-        const nextPrizeSats = Math.floor(fundSats / 2);
+        const nextPrize = prizePolicy.getNextPrize(req.query.location || null);
+        const fundSats = nextPrize.fundSats;
+        const nextPrizeSats = nextPrize.totalPrizeSats;
 
-        // BTC/USD (cached 5 min; may be null if upstream down)
+        // BTC/USD and BTC in the location's currency (cached 5 min; may be null if upstream down)
+        const currency = price.getLocationCurrency(req.query.location || null);
         const usdPerBtc = await price.getBtcUsdPrice();
+        const fiatPerBtc = await price.getBtcPrice(currency);
         const totalFundUsd = usdPerBtc ? (fundSats / 100_000_000) * usdPerBtc : null;
         const nextPrizeUsd = usdPerBtc ? (nextPrizeSats / 100_000_000) * usdPerBtc : null;
 
@@ -515,7 +694,14 @@ router.get('/raffle-fund', async (req, res) => {
             nextPrizeSats: nextPrizeSats,
             btcUsd: usdPerBtc,
             totalFundUsd: totalFundUsd,
-            nextPrizeUsd: nextPrizeUsd
+            nextPrizeUsd: nextPrizeUsd,
+            currency,
+            btcPrice: fiatPerBtc,
+            totalFundFiat: fiatPerBtc ? (fundSats / 100_000_000) * fiatPerBtc : null,
+            nextPrizeFiat: fiatPerBtc ? (nextPrizeSats / 100_000_000) * fiatPerBtc : null,
+            policySummary: nextPrize.summary,
+            reserveSats: nextPrize.reserveSats,
+            tiers: nextPrize.tiers.map(t => ({ name: t.name, count: t.count, prizeSats: t.prizeSats }))
         });
     } catch (error) {
         console.error('Raffle fund error:', error);
@@ -525,7 +711,8 @@ router.get('/raffle-fund', async (req, res) => {
 
 /**
  * POST /api/raffle-fund/add
- * Admin: add sats to the raffle fund (e.g. manual seed deposit)
+ * Admin: add sats to the raffle fund (e.g. manual seed deposit), posted to
+ * the ledger as a manual adjustment
  * Requires admin password in body
  */
 router.post('/raffle-fund/add', (req, res) => {
@@ -542,9 +729,9 @@ router.post('/raffle-fund/add', (req, res) => {
             return res.status(400).json({ success: false, error: 'Invalid amount' });
         }
         
-        const currentFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-        const newFund = currentFund + amountSats;
-        db.setSetting('raffle_fund_sats', String(newFund));
+        const currentFund = ledger.getFundSats();
+        ledger.post(ledger.fundAdjustment(amountSats, 'Manual top-up'));
+        const newFund = ledger.getFundSats();
         
         console.log(`🎯 Raffle fund manually increased: ${currentFund} + ${amountSats} = ${newFund} sats`);
         
@@ -553,7 +740,7 @@ router.post('/raffle-fund/add', (req, res) => {
             previousFund: currentFund,
             added: amountSats,
             newFund: newFund,
-            nextPrize: Math.floor(newFund / 2)
+            nextPrize: prizePolicy.getNextPrize(null, newFund).totalPrizeSats
         });
     } catch (error) {
         console.error('Add to fund error:', error);
@@ -563,7 +750,8 @@ router.post('/raffle-fund/add', (req, res) => {
 
 /**
  * POST /api/raffle-fund/set
- * Admin: set the raffle fund to an exact amount (for corrections)
+ * Admin: set the raffle fund to an exact amount (for corrections). The
+ * difference is posted to the ledger as a manual adjustment.
  * Requires admin password in body
  */
 router.post('/raffle-fund/set', (req, res) => {
@@ -580,8 +768,8 @@ router.post('/raffle-fund/set', (req, res) => {
             return res.status(400).json({ success: false, error: 'Invalid amount (must be >= 0)' });
         }
         
-        const previousFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-        db.setSetting('raffle_fund_sats', String(amountSats));
+        const previousFund = ledger.getFundSats();
+        ledger.post(ledger.fundAdjustment(amountSats - previousFund, `Fund set to ${amountSats.toLocaleString()} sats`));
         
         console.log(`🎯 Raffle fund manually set: ${previousFund} → ${amountSats} sats`);
         
@@ -589,7 +777,7 @@ router.post('/raffle-fund/set', (req, res) => {
             success: true,
             previousFund,
             newFund: amountSats,
-            nextPrize: Math.floor(amountSats / 2)
+            nextPrize: prizePolicy.getNextPrize(null, amountSats).totalPrizeSats
         });
     } catch (error) {
         console.error('Set fund error:', error);
@@ -619,27 +807,27 @@ function encodeLnurl(url) {
 router.get('/lnurl/withdraw/:token', (req, res) => {
     try {
         const { token } = req.params;
-        const raffle = db.findRaffleByClaimToken(token);
+        const winner = db.findWinnerByClaimToken(token);
         
-        if (!raffle) {
+        if (!winner) {
             return res.status(404).json({ status: 'ERROR', reason: 'Claim not found' });
         }
         
-        if (raffle.claim_status === 'claimed') {
+        if (winner.claim_status === 'claimed') {
             return res.status(400).json({ status: 'ERROR', reason: 'Prize already claimed' });
         }
         
-        if (raffle.claim_status === 'expired') {
+        if (winner.claim_status === 'expired') {
             return res.status(400).json({ status: 'ERROR', reason: 'Claim link has expired' });
         }
         
         // Check expiry
-        if (raffle.claim_expires_at && new Date(raffle.claim_expires_at) < new Date()) {
-            db.markRaffleClaimExpired(raffle.id);
+        if (winner.claim_expires_at && new Date(winner.claim_expires_at) < new Date()) {
+            db.markWinnerClaimExpired(winner.id);
             return res.status(400).json({ status: 'ERROR', reason: 'Claim link has expired' });
         }
         
-        const prizeSats = raffle.prize_amount_sats || 0;
+        const prizeSats = winner.prize_amount_sats || 0;
         const prizeMillisats = prizeSats * 1000;
         
         const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
@@ -650,6 +838,7 @@ router.get('/lnurl/withdraw/:token', (req, res) => {
             tag: 'withdrawRequest',
             callback: callbackUrl,
             k1: token,
+            defaultDescription: `Reviews Raffle ${winner.tier_name || 'prize'} — block #${winner.block_height}`,
             defaultWithdrawable: prizeMillisats,
             minWithdrawable: prizeMillisats,
             maxWithdrawable: prizeMillisats
@@ -678,32 +867,33 @@ router.get('/lnurl/withdraw/:token/callback', async (req, res) => {
             return res.json({ status: 'ERROR', reason: 'Missing invoice (pr parameter)' });
         }
         
-        const raffle = db.findRaffleByClaimToken(token);
+        const winner = db.findWinnerByClaimToken(token);
         
-        if (!raffle) {
+        if (!winner) {
             return res.json({ status: 'ERROR', reason: 'Claim not found' });
         }
         
-        if (raffle.claim_status === 'claimed') {
+        if (winner.claim_status === 'claimed') {
             return res.json({ status: 'ERROR', reason: 'Prize already claimed' });
         }
         
-        if (raffle.claim_status === 'expired') {
+        if (winner.claim_status === 'expired') {
             return res.json({ status: 'ERROR', reason: 'Claim has expired' });
         }
         
         // Check expiry
-        if (raffle.claim_expires_at && new Date(raffle.claim_expires_at) < new Date()) {
-            db.markRaffleClaimExpired(raffle.id);
+        if (winner.claim_expires_at && new Date(winner.claim_expires_at) < new Date()) {
+            db.markWinnerClaimExpired(winner.id);
             return res.json({ status: 'ERROR', reason: 'Claim has expired' });
         }
         
-        const prizeSats = raffle.prize_amount_sats || 0;
+        const prizeSats = winner.prize_amount_sats || 0;
         
         // Decode invoice to verify amount
+        let decoded;
         try {
-            const decoded = await lightning.decodePayReq(pr);
-            const invoiceSats = parseInt(decoded.num_satoshis || '0');
+            decoded = await lightning.decodePayReq(pr);
+            const invoiceSats = decoded.amountSats;
             
             // Allow the invoice amount to match (wallet may round slightly)
             if (invoiceSats > prizeSats) {
@@ -714,20 +904,29 @@ router.get('/lnurl/withdraw/:token/callback', async (req, res) => {
             return res.json({ status: 'ERROR', reason: 'Failed to decode invoice' });
         }
         
-        // Pay the invoice via LND
+        // Pay through the payments table: the claim lock stops a retried
+        // callback (or a second wallet) from paying the prize twice. A smaller
+        // invoice than the prize returns the rest to the fund.
         try {
-            console.log(`⚡ LNURL-withdraw: paying ${prizeSats} sats for claim ${token.substring(0, 8)}...`);
-            const paymentResult = await lightning.payInvoice(pr);
-            
-            const paymentHash = paymentResult.payment_hash || '';
-            db.markRaffleClaimed(raffle.id, paymentHash);
+            console.log(`⚡ LNURL-withdraw: paying ${decoded.amountSats} sats for claim ${token.substring(0, 8)}...`);
+            const payment = await payments.payWinnerInvoice(winner, pr, { source: 'lnurl_withdraw', decoded });
             
-            console.log(`✅ LNURL-withdraw claim successful! Raffle #${raffle.id}, ${prizeSats} sats, hash: ${paymentHash}`);
+            if (payment.status === 'failed') {
+                return res.json({ status: 'ERROR', reason: 'Payment failed: ' + payment.failure_reason });
+            }
+            if (payment.status === 'succeeded') {
+                console.log(`✅ LNURL-withdraw claim successful! Raffle #${winner.raffle_id} (${winner.tier_name || 'prize'} #${winner.rank + 1}), ${payment.amount_sats} sats, hash: ${payment.payment_hash}`);
+            } else {
+                console.log(`⏳ LNURL-withdraw payment #${payment.id} in flight for raffle #${winner.raffle_id} — it will be recorded once the node settles it`);
+            }
             
             res.json({ status: 'OK' });
         } catch (payErr) {
+            if (payErr.code === 'PAYMENT_LOCKED') {
+                return res.json({ status: 'ERROR', reason: payErr.message });
+            }
             console.error('LNURL-withdraw payment failed:', payErr.message);
-            db.markRafflePaymentFailed(raffle.id, payErr.message);
+            db.markWinnerPaymentFailed(winner.id, payErr.message);
             return res.json({ status: 'ERROR', reason: 'Payment failed: ' + payErr.message });
         }
     } catch (error) {
@@ -743,23 +942,162 @@ router.get('/lnurl/withdraw/:token/callback', async (req, res) => {
 router.get('/claim/:token/status', (req, res) => {
     try {
         const { token } = req.params;
-        const raffle = db.findRaffleByClaimToken(token);
+        const winner = db.findWinnerByClaimToken(token);
         
-        if (!raffle) {
+        if (!winner) {
             return res.status(404).json({ success: false, error: 'Claim not found' });
         }
         
         res.json({
             success: true,
-            status: raffle.claim_status || 'pending',
-            claimedAt: raffle.claimed_at || null,
-            prizeSats: raffle.prize_amount_sats || 0
+            status: winner.claim_status || 'pending',
+            claimedAt: winner.claimed_at || null,
+            prizeSats: winner.prize_amount_sats || 0,
+            tierName: winner.tier_name || null
         });
     } catch (error) {
         res.status(500).json({ success: false, error: 'Failed to check status' });
     }
 });
 
+/**
+ * GET /api/raffles/:id/entries
+ * Public frozen entry snapshot for a committed raffle. Anyone can replay the
+ * raffle's selection algorithm (algoVersion) against this ordered list.
+ * Entrants are identified only by a salted hash — no emails or addresses.
+ */
+router.get('/raffles/:id/entries', (req, res) => {
+    try {
+        const raffle = db.getRaffleById(parseInt(req.params.id));
+
+        if (!raffle) {
+            return res.status(404).json({ success: false, error: 'Raffle not found' });
+        }
+
+        const entries = db.getRaffleEntries(raffle.id);
+        const algoVersion = raffle.algo_version || 1;
+
+        res.json({
+            success: true,
+            raffle: {
+                id: raffle.id,
+                blockHeight: raffle.block_height,
+                blockHash: raffle.block_hash,
+                extraBlockHashes: raffle.draw_block_hashes ? JSON.parse(raffle.draw_block_hashes) : [],
+                algoVersion,
+                totalTickets: raffle.total_tickets,
+                winningIndex: raffle.winning_index,
+                winningTicketId: raffle.winning_ticket_id,
+                merkleRoot: raffle.merkle_root || null,
+                createdAt: raffle.created_at
+            },
+            // Winners in draw order; each winner's entrants leave the pool before the next draw
+            winners: raffle.winners.map(w => ({
+                rank: w.rank,
+                tier: w.tier,
+                tierName: w.tier_name,
+                winningIndex: w.winning_index,
+                ticketId: w.ticket_id
+            })),
+            // Raffles committed before snapshots existed have no frozen entries
+            snapshot: entries.length > 0,
+            entries: entries.map(e => ({
+                position: e.position,
+                ticketId: e.ticket_id,
+                entrantHash: e.entrant_hash
+            })),
+            formula: algoVersion === 1
+                ? `int(blockHash, 16) mod ${raffle.total_tickets} = ${raffle.winning_index}`
+                : `v${algoVersion}: seed = sha256 chain of [blockHash, ...extraBlockHashes]; first int(sha256(seed || uint32be(k))) below the largest multiple of ${raffle.total_tickets} under 2^256, mod ${raffle.total_tickets} = ${raffle.winning_index}` +
+                    (raffle.winners.length > 1 ? `; each further winner continues k over the entries of entrants who haven't won yet` : '')
+        });
+    } catch (error) {
+        console.error('Raffle entries error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch raffle entries' });
+    }
+});
+
+/**
+ * GET /api/raffles/:id/verify
+ * Re-derive a raffle's result from the chain: fetches the block hashes the
+ * draw used, replays its selection algorithm over the frozen entry list, and
+ * cross-checks the stored hashes, index, winning ticket and Merkle roots.
+ */
+router.get('/raffles/:id/verify', async (req, res) => {
+    try {
+        const result = await verification.verifyRaffle(parseInt(req.params.id));
+
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Raffle not found' });
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Raffle verify error:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify raffle' });
+    }
+});
+
+/**
+ * GET /api/commitments/:blockHeight
+ * Pre-draw commitment for a raffle block: the Merkle root published before
+ * the block was mined, plus the frozen ordered entries it was computed over.
+ */
+router.get('/commitments/:blockHeight', (req, res) => {
+    try {
+        const blockHeight = parseInt(req.params.blockHeight);
+        const committed = db.getRaffleCommitment(blockHeight);
+
+        if (!committed) {
+            return res.status(404).json({ success: false, error: 'No commitment for this raffle block' });
+        }
+
+        const raffle = db.findRaffleByBlock(blockHeight);
+
+        res.json({
+            success: true,
+            commitment: {
+                blockHeight: committed.block_height,
+                commitHeight: committed.commit_height,
+                merkleRoot: committed.merkle_root,
+                totalEntries: committed.total_entries,
+                createdAt: committed.created_at
+            },
+            entries: db.getRaffleCommitmentEntries(committed.id),
+            // Once drawn, the raffle's own root must equal the committed one
+            draw: raffle ? {
+                raffleId: raffle.id,
+                merkleRoot: raffle.merkle_root || null,
+                matchesCommitment: (raffle.merkle_root || null) === (committed.merkle_root || null)
+            } : null
+        });
+    } catch (error) {
+        console.error('Commitment fetch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch commitment' });
+    }
+});
+
+/**
+ * GET /api/commitments/:blockHeight/proof/:ticketId
+ * Merkle inclusion proof for one ticket. Verify by hashing the leaf
+ * (sha256(0x00 || "position:ticketId:entrantHash")) up through each step —
+ * sha256(0x01 || left || right) — and comparing to merkleRoot.
+ */
+router.get('/commitments/:blockHeight/proof/:ticketId', (req, res) => {
+    try {
+        const proof = commitment.getInclusionProof(parseInt(req.params.blockHeight), parseInt(req.params.ticketId));
+
+        if (!proof) {
+            return res.status(404).json({ success: false, error: 'Ticket is not part of this raffle commitment' });
+        }
+
+        res.json({ success: true, ...proof });
+    } catch (error) {
+        console.error('Commitment proof error:', error);
+        res.status(500).json({ success: false, error: 'Failed to build inclusion proof' });
+    }
+});
+
 // ============================================================
 // Telegram notification linking for players
 // ============================================================
@@ -837,6 +1175,70 @@ router.get('/telegram/link-status', (req, res) => {
     }
 });
 
+// ============================================================
+// Player portal (/me)
+// ============================================================
+
+/**
+ * POST /api/me/login-link
+ * Email a magic login link. Answers the same whether or not the email has
+ * entered, so it can't be used to find out who has.
+ * Body: { email: "user@example.com" }
+ */
+router.post('/me/login-link', async (req, res) => {
+    try {
+        await playerPortal.requestLoginLink(req.body && req.body.email);
+        res.json({
+            success: true,
+            message: `If that email has entered the raffle, a login link is on its way. It works for ${playerPortal.LOGIN_LINK_MINUTES} minutes.`
+        });
+    } catch (error) {
+        if (error.code === 'PORTAL_INVALID') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Login link error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send a login link. Please try again.' });
+    }
+});
+
+/**
+ * POST /api/me/preferences
+ * Update the logged-in player's preferences.
+ * Body: { lnurl: "you@wallet.com" | "" , unlinkTelegram: true }
+ */
+router.post('/me/preferences', (req, res) => {
+    const user = playerPortal.getSessionUser(req);
+    if (!user) {
+        return res.status(401).json({ success: false, error: 'Please log in again' });
+    }
+    try {
+        const { lnurl, unlinkTelegram } = req.body || {};
+        const updated = playerPortal.updatePreferences(user.id, { lnurl, unlinkTelegram: unlinkTelegram === true });
+        res.json({
+            success: true,
+            lnurlAddress: updated.lnurl_address,
+            telegramLinked: !!updated.telegram_chat_id
+        });
+    } catch (error) {
+        if (error.code === 'PORTAL_INVALID') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error.code === 'USER_NOT_FOUND') {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        console.error('Preferences error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save your preferences' });
+    }
+});
+
+/**
+ * POST /api/me/logout
+ */
+router.post('/me/logout', (req, res) => {
+    playerPortal.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
 /**
  * GET /api/health
  * Lightweight health check - no external dependencies
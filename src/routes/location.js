@@ -7,6 +7,7 @@
  *   /:slug/merchants — Local merchant list
  *   /:slug/reviews   — Reviews from this location
  *   /:slug/raffles   — Raffle history (global — one raffle for all)
+ *   /:slug/raffles/:id — Verify a single raffle
  *   /:slug/how-it-works — How it works with local flavor
  */
 
@@ -16,9 +17,14 @@ const { bech32 } = require('bech32');
 
 const allLocations = require('../../locations.config');
 const db = require('../services/database');
+const prizePolicy = require('../services/prize-policy');
 const bitcoin = require('../services/bitcoin');
 const btcmap = require('../services/btcmap');
 const lightning = require('../services/lightning');
+const lnurlPay = require('../services/lnurl-pay');
+const zaps = require('../services/zaps');
+const campaigns = require('../services/campaigns');
+const verification = require('../services/verification');
 
 // Filter to only enabled locations (enabled defaults to true if not specified)
 const locations = allLocations.filter(loc => loc.enabled !== false);
@@ -90,6 +96,11 @@ router.get('/:slug', resolveLocation, async (req, res) => {
             lightningInvoice: depositInfo.lightningInvoice,
             totalDonationsSats: totalDonations,
             donationAddress: depositInfo.onchainAddress || process.env.DONATION_ADDRESS || 'Not configured',
+            lightningAddress: lnurlPay.getAddress(loc),
+            donors: db.getDonorWall({ limit: 20 }),
+            zappers: zaps.getRecentZappers(),
+            campaigns: campaigns.getActiveProgress(raffleInfo.currentHeight),
+            prizePolicySummary: prizePolicy.getNextPrize(loc.slug).summary,
             location: loc,
             allLocations: locations
         });
@@ -104,6 +115,10 @@ router.get('/:slug', resolveLocation, async (req, res) => {
             onchainAddress: null, lightningInvoice: null,
             totalDonationsSats: 0,
             donationAddress: process.env.DONATION_ADDRESS || 'Not configured',
+            lightningAddress: lnurlPay.getAddress(loc),
+            donors: [],
+            zappers: [],
+            campaigns: [],
             location: loc,
             allLocations: locations
         });
@@ -243,12 +258,13 @@ router.get('/:slug/reviews', resolveLocation, (req, res) => {
 router.get('/:slug/raffles', resolveLocation, (req, res) => {
     const loc = req.location;
     try {
-        const raffles = db.getAllRaffles();
+        const raffles = db.getAllRaffles().map(r => ({ ...r, entries: db.getRaffleEntries(r.id) }));
         const depositInfo = lightning.getDepositInfoCached();
 
         res.render('raffles', {
             title: `Raffle History - ${loc.name} - Reviews Raffle`,
             raffles,
+            commitments: db.getAllRaffleCommitments(),
             donationAddress: depositInfo.onchainAddress || process.env.DONATION_ADDRESS || 'Not configured',
             location: loc,
             allLocations: locations
@@ -266,6 +282,35 @@ router.get('/:slug/raffles', resolveLocation, (req, res) => {
     }
 });
 
+/**
+ * GET /:slug/raffles/:id
+ * Verify a single raffle (global — same result for every location)
+ */
+router.get('/:slug/raffles/:id', resolveLocation, async (req, res) => {
+    const loc = req.location;
+    try {
+        const result = await verification.verifyRaffle(parseInt(req.params.id));
+
+        if (!result) {
+            return res.status(404).render('404', { title: 'Not Found - Reviews Raffle' });
+        }
+
+        res.render('raffle-verify', {
+            title: `Verify Raffle #${result.raffle.blockHeight} - ${loc.name} - Reviews Raffle`,
+            verification: result,
+            ...getCommonData(),
+            location: loc,
+            allLocations: locations
+        });
+    } catch (error) {
+        console.error(`Raffle verify page error (${loc.slug}):`, error);
+        res.status(500).render('error', {
+            title: 'Error - Reviews Raffle',
+            error: 'Failed to verify raffle'
+        });
+    }
+});
+
 /**
  * GET /:slug/how-it-works
  * How it works with local flavor
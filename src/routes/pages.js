@@ -7,10 +7,18 @@ const router = express.Router();
 
 const { bech32 } = require('bech32');
 const db = require('../services/database');
+const prizePolicy = require('../services/prize-policy');
 const bitcoin = require('../services/bitcoin');
 const btcmap = require('../services/btcmap');
 const lightning = require('../services/lightning');
+const lnurlPay = require('../services/lnurl-pay');
+const zaps = require('../services/zaps');
+const campaigns = require('../services/campaigns');
 const auth = require('../services/auth');
+const verification = require('../services/verification');
+const reviewSimilarity = require('../services/review-similarity');
+const emailVerification = require('../services/email-verification');
+const playerPortal = require('../services/player-portal');
 
 /**
  * Encode a URL as an LNURL (bech32-encoded, uppercase)
@@ -50,7 +58,12 @@ router.get('/', async (req, res) => {
             onchainAddress: depositInfo.onchainAddress,
             lightningInvoice: depositInfo.lightningInvoice,
             totalDonationsSats: totalDonations,
-            donationAddress: depositInfo.onchainAddress || process.env.DONATION_ADDRESS || 'Not configured'
+            donationAddress: depositInfo.onchainAddress || process.env.DONATION_ADDRESS || 'Not configured',
+            lightningAddress: lnurlPay.getAddress(),
+            donors: db.getDonorWall({ limit: 20 }),
+            zappers: zaps.getRecentZappers(),
+            campaigns: campaigns.getActiveProgress(raffleInfo.currentHeight),
+            prizePolicySummary: prizePolicy.getNextPrize().summary
         });
     } catch (error) {
         console.error('Landing page error:', error);
@@ -66,7 +79,11 @@ router.get('/', async (req, res) => {
             onchainAddress: null,
             lightningInvoice: null,
             totalDonationsSats: 0,
-            donationAddress: process.env.DONATION_ADDRESS || 'Not configured'
+            donationAddress: process.env.DONATION_ADDRESS || 'Not configured',
+            lightningAddress: lnurlPay.getAddress(),
+            donors: [],
+            zappers: [],
+            campaigns: []
         });
     }
 });
@@ -191,6 +208,101 @@ router.get('/opt-out/:token', (req, res) => {
     });
 });
 
+/**
+ * GET /verify/:token
+ * Email confirmation link (double opt-in)
+ */
+router.get('/verify/:token', (req, res) => {
+    try {
+        const user = emailVerification.verify(req.params.token);
+        if (!user) {
+            return res.render('verify-email', {
+                title: 'Confirm Email - Reviews Raffle',
+                error: 'This confirmation link is invalid or has already been used.'
+            });
+        }
+        res.render('verify-email', {
+            title: 'Email Confirmed - Reviews Raffle',
+            message: 'Thanks! Your email is confirmed, and your approved reviews now count in the raffle.'
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.render('verify-email', {
+            title: 'Confirm Email - Reviews Raffle',
+            error: 'Something went wrong. Please try the link again.'
+        });
+    }
+});
+
+/**
+ * GET /me
+ * Player portal: the login form, or the logged-in player's tickets, odds and wins
+ */
+router.get('/me', async (req, res) => {
+    const user = playerPortal.getSessionUser(req);
+    if (!user) {
+        return res.render('me-login', { title: 'My Tickets - Reviews Raffle' });
+    }
+
+    try {
+        // The odds need the chain height; the rest of the page doesn't
+        let raffleInfo = null;
+        try {
+            raffleInfo = await bitcoin.getRaffleInfo();
+        } catch (e) {
+            console.warn('Player portal: raffle info unavailable:', e.message);
+        }
+
+        res.render('me', {
+            title: 'My Tickets - Reviews Raffle',
+            me: playerPortal.getDashboard(user, raffleInfo ? raffleInfo.nextRaffleBlock : null),
+            raffleInfo
+        });
+    } catch (error) {
+        console.error('Player portal error:', error);
+        res.status(500).render('error', {
+            title: 'Error - Reviews Raffle',
+            error: 'Failed to load your tickets'
+        });
+    }
+});
+
+/**
+ * GET /me/login/:token
+ * Magic link from the login email. Link scanners and previews open it too, so
+ * this only shows a "Log in" button; the link is used up by the POST below.
+ */
+router.get('/me/login/:token', (req, res) => {
+    res.render('me-login', {
+        title: 'My Tickets - Reviews Raffle',
+        loginToken: req.params.token
+    });
+});
+
+/**
+ * POST /me/login/:token
+ * Starts a session, then redirects to /me
+ */
+router.post('/me/login/:token', (req, res) => {
+    try {
+        const user = playerPortal.redeemLoginLink(req.params.token);
+        if (!user) {
+            return res.render('me-login', {
+                title: 'My Tickets - Reviews Raffle',
+                error: 'This login link has expired or was already used. Ask for a new one below.'
+            });
+        }
+        playerPortal.setSessionCookie(res, req, user.id);
+        res.redirect(303, '/me');
+    } catch (error) {
+        console.error('Player login error:', error);
+        res.render('me-login', {
+            title: 'My Tickets - Reviews Raffle',
+            error: 'Something went wrong. Please ask for a new login link.'
+        });
+    }
+});
+
 /**
  * GET /reviews
  * Public reviews page - shows only approved reviews, featured first
@@ -230,7 +342,8 @@ router.get('/reviews', (req, res) => {
  */
 router.get('/raffles', (req, res) => {
     try {
-        const raffles = db.getAllRaffles();
+        // Attach each raffle's frozen entry snapshot so visitors can replay the draw
+        const raffles = db.getAllRaffles().map(r => ({ ...r, entries: db.getRaffleEntries(r.id) }));
 
         // Use cached deposit info (instant, no LND API call)
         const depositInfo = lightning.getDepositInfoCached();
@@ -238,6 +351,7 @@ router.get('/raffles', (req, res) => {
         res.render('raffles', {
             title: 'Raffle History - Reviews Raffle',
             raffles,
+            commitments: db.getAllRaffleCommitments(),
             donationAddress: depositInfo.onchainAddress || process.env.DONATION_ADDRESS || 'Not configured'
         });
     } catch (error) {
@@ -251,6 +365,35 @@ router.get('/raffles', (req, res) => {
     }
 });
 
+/**
+ * GET /raffles/:id
+ * Step-by-step verification of a single raffle. The server's result is
+ * rendered, and an inline script repeats the check against mempool.space.
+ */
+router.get('/raffles/:id', async (req, res) => {
+    try {
+        const result = await verification.verifyRaffle(parseInt(req.params.id));
+
+        if (!result) {
+            return res.status(404).render('404', { title: 'Not Found - Reviews Raffle' });
+        }
+
+        const depositInfo = lightning.getDepositInfoCached();
+
+        res.render('raffle-verify', {
+            title: `Verify Raffle #${result.raffle.blockHeight} - Reviews Raffle`,
+            verification: result,
+            donationAddress: depositInfo.onchainAddress || process.env.DONATION_ADDRESS || 'Not configured'
+        });
+    } catch (error) {
+        console.error('Raffle verify page error:', error);
+        res.status(500).render('error', {
+            title: 'Error - Reviews Raffle',
+            error: 'Failed to verify raffle'
+        });
+    }
+});
+
 /**
  * GET /how-it-works
  * How it works page
@@ -277,26 +420,27 @@ router.get('/how-it-works', async (req, res) => {
 
 /**
  * GET /claim/:token
- * Claim page — winner sees QR code to withdraw prize via LNURL-withdraw
+ * Claim page — winner sees QR code to withdraw prize via LNURL-withdraw.
+ * Every winner of a multi-winner raffle has their own token and page.
  */
 router.get('/claim/:token', (req, res) => {
     try {
         const { token } = req.params;
-        const raffle = db.findRaffleByClaimToken(token);
+        const winner = db.findWinnerByClaimToken(token);
         
-        if (!raffle) {
+        if (!winner) {
             return res.render('claim', {
                 title: 'Claim Prize - Reviews Raffle',
                 error: 'Invalid or unknown claim link',
-                raffle: null,
+                winner: null,
                 lnurlEncoded: null
             });
         }
         
         // Check expiry
-        if (raffle.claim_status === 'pending' && raffle.claim_expires_at && new Date(raffle.claim_expires_at) < new Date()) {
-            db.markRaffleClaimExpired(raffle.id);
-            raffle.claim_status = 'expired';
+        if (winner.claim_status === 'pending' && winner.claim_expires_at && new Date(winner.claim_expires_at) < new Date()) {
+            db.markWinnerClaimExpired(winner.id);
+            winner.claim_status = 'expired';
         }
         
         // Generate LNURL-withdraw encoded string for QR code
@@ -306,7 +450,7 @@ router.get('/claim/:token', (req, res) => {
         
         res.render('claim', {
             title: 'Claim Your Prize - Reviews Raffle',
-            raffle,
+            winner,
             lnurlEncoded,
             error: null
         });
@@ -315,7 +459,7 @@ router.get('/claim/:token', (req, res) => {
         res.render('claim', {
             title: 'Claim Prize - Reviews Raffle',
             error: 'Something went wrong loading this page',
-            raffle: null,
+            winner: null,
             lnurlEncoded: null
         });
     }
@@ -362,10 +506,16 @@ router.get('/admin/review/:id', (req, res) => {
             return res.status(404).render('404', { title: 'Not Found' });
         }
 
+        // Tickets whose review text is close to this one's, either way round
+        const similarTickets = reviewSimilarity.findSimilar(ticket.id)
+            .map(match => ({ ...db.getTicketById(match.ticketId), similarity: match.similarity }))
+            .filter(similar => similar.id);
+
         // No password is embedded anymore — admin-authed fetches use the cookie.
         res.render('admin-review', {
             title: `Review #${id} - Admin`,
             ticket,
+            similarTickets,
             approveToken: isTokenAuth ? (process.env.TELEGRAM_APPROVE_TOKEN || token || '') : '',
             isAdminAuth: isAdmin,
             baseUrl: process.env.BASE_URL || ''
@@ -0,0 +1,32 @@
+/**
+ * /.well-known routes
+ *
+ *   /.well-known/lnurlp/:name — Lightning Address (LUD-16) for donations:
+ *                               donate@ or a location's handle (roatan@)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const lnurlPay = require('../services/lnurl-pay');
+
+/**
+ * GET /.well-known/lnurlp/:name
+ * LNURL-pay first call — the wallet fetches the payRequest (LUD-06)
+ */
+router.get('/lnurlp/:name', (req, res) => {
+    // Web wallets fetch this cross-origin (LUD-01)
+    res.set('Access-Control-Allow-Origin', '*');
+    try {
+        const handle = lnurlPay.resolveHandle(req.params.name);
+        if (!handle) {
+            return res.status(404).json({ status: 'ERROR', reason: 'Unknown Lightning Address' });
+        }
+        res.json(lnurlPay.getPayRequest(handle));
+    } catch (error) {
+        console.error('LNURL-pay error:', error);
+        res.status(500).json({ status: 'ERROR', reason: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Evaluate a review validator against labelled reviews
+ *
+ *   npm run eval:reviews -- --validator openai --prompt v2
+ *
+ * Options:
+ *   --validator <name>   anthropic | openai | rules (default: rules)
+ *   --prompt <version>   prompt file in services/review-validators/prompts (default: v1)
+ *   --fixtures <file>    labelled reviews (default: services/review-validators/fixtures/reviews.json)
+ *   --json               print the full report as JSON instead of text
+ *
+ * Uses the same env config as the server (ANTHROPIC_*, OPENAI_*) and never
+ * touches the database. Exits non-zero if the validator isn't configured or
+ * any review errored.
+ */
+
+require('dotenv').config();
+
+const anthropic = require('../services/anthropic');
+const reviewValidators = require('../services/review-validators');
+const llm = require('../services/review-validators/llm');
+const reviewEval = require('../services/review-validators/eval');
+
+function parseArgs(argv) {
+    const args = { validator: 'rules', prompt: llm.DEFAULT_PROMPT_VERSION, fixtures: reviewEval.FIXTURES_PATH, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            args.json = true;
+        } else if (['--validator', '--prompt', '--fixtures'].includes(arg) && argv[i + 1]) {
+            args[arg.slice(2)] = argv[++i];
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [name] = reviewValidators.parseChain(args.validator);
+    llm.loadPrompt(args.prompt);
+
+    if (name === 'anthropic') anthropic.initializeAnthropic();
+    const validator = reviewValidators.getValidator(name);
+    const status = validator.isConfigured();
+    if (!status.configured) throw new Error(`The ${name} validator isn't configured: ${status.reason}`);
+
+    const fixtures = reviewEval.loadFixtures(args.fixtures);
+    if (!args.json) console.log(`🧪 Evaluating ${name} on ${fixtures.length} reviews...\n`);
+
+    const report = await reviewEval.evaluate(validator, fixtures, {
+        promptVersion: args.prompt,
+        onResult: args.json ? null : (r) => process.stdout.write(r.error !== null ? 'E' : r.actual === r.expected ? '.' : 'x')
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`\n\n${reviewEval.formatReport(report)}\n`);
+    }
+    return report.errors === 0;
+}
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    });
@@ -1,6 +1,7 @@
 /**
- * Anthropic API service for review validation
- * Uses Claude to verify reviews mention Bitcoin purchases
+ * Anthropic API service
+ * Holds the Claude client used by the Anthropic review validator
+ * (services/review-validators/anthropic.js), plus Google review URL helpers
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
@@ -35,91 +36,26 @@ function initializeAnthropic() {
 }
 
 /**
- * Validate a review mentions Bitcoin payment
- * Returns { isValid: boolean, reason: string }
+ * Whether the Anthropic client was set up (ANTHROPIC_API_KEY present)
  */
-async function validateReview(reviewText, merchantName = null) {
-    if (!client) {
-        console.log('⚠️  Anthropic not configured, auto-approving review');
-        return {
-            isValid: true,
-            reason: 'Auto-approved (AI validation not configured)',
-            confidence: 'low'
-        };
-    }
-    
-    if (!reviewText || reviewText.trim().length < 10) {
-        return {
-            isValid: false,
-            reason: 'Review text is too short or empty',
-            confidence: 'high'
-        };
-    }
-    
-    const prompt = `You are a review validator for a Bitcoin adoption program. Your job is to determine if a Google review mentions that the reviewer paid with Bitcoin (or Lightning Network, sats, etc.).
-
-Review to analyze:
-"""
-${reviewText}
-"""
-
-${merchantName ? `Merchant name: ${merchantName}` : ''}
-
-Analyze this review and determine:
-1. Does the review mention paying with Bitcoin, Lightning, sats, or any cryptocurrency?
-2. Does it seem like a genuine review of a real experience?
-
-Respond in JSON format:
-{
-    "mentions_bitcoin_payment": true/false,
-    "is_genuine_review": true/false,
-    "confidence": "high"/"medium"/"low",
-    "reason": "Brief explanation of your decision"
+function isConfigured() {
+    return !!client;
 }
 
-Only respond with the JSON, no other text.`;
-
-    try {
-        const response = await client.messages.create({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 256,
-            messages: [
-                { role: 'user', content: prompt }
-            ]
-        });
-        
-        const content = response.content[0].text.trim();
-        
-        // Parse JSON response
-        let result;
-        try {
-            result = JSON.parse(content);
-        } catch (parseError) {
-            console.error('Failed to parse Anthropic response:', content);
-            return {
-                isValid: false,
-                reason: 'Failed to validate review (AI response error)',
-                confidence: 'low'
-            };
-        }
-        
-        const isValid = result.mentions_bitcoin_payment && result.is_genuine_review;
-        
-        return {
-            isValid,
-            reason: result.reason,
-            confidence: result.confidence,
-            details: result
-        };
-        
-    } catch (error) {
-        console.error('Anthropic API error:', error.message);
-        return {
-            isValid: false,
-            reason: `Validation error: ${error.message}`,
-            confidence: 'low'
-        };
-    }
+/**
+ * Send a single-turn prompt and return the text of the reply.
+ * Throws on API errors; review-validators/anthropic.js decides what that means.
+ */
+async function complete(prompt, { model = 'claude-sonnet-4-20250514', maxTokens = 256 } = {}) {
+    if (!client) throw new Error('Anthropic API not configured (ANTHROPIC_API_KEY missing)');
+    const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        messages: [
+            { role: 'user', content: prompt }
+        ]
+    });
+    return response.content[0].text.trim();
 }
 
 /**
@@ -173,7 +109,8 @@ function isValidGoogleReviewUrl(url) {
 
 module.exports = {
     initializeAnthropic,
-    validateReview,
+    isConfigured,
+    complete,
     extractReviewFromUrl,
     isValidGoogleReviewUrl
 };
@@ -9,6 +9,8 @@
  *     expiry timestamp. No server-side session store needed.
  *   - Back-compat: existing code paths that pass a raw password (body/header/query)
  *     still work via `verifyPassword`.
+ *   - The same signed-token scheme, under a different key, backs the player
+ *     portal's session (services/player-portal.js).
  *
  * Why scrypt over bcrypt: it's in Node's stdlib, so no new dependency is needed,
  * and it's memory-hard → resists GPU cracking similarly to argon2/bcrypt.
@@ -26,12 +28,15 @@ const SCRYPT_SALT_BYTES = 16;
  * Derive a 32-byte key from ADMIN_PASSWORD (or a dedicated SESSION_SECRET)
  * to sign session cookies. Rotating ADMIN_PASSWORD automatically invalidates
  * all existing sessions, which is what we want.
+ *
+ * Each `purpose` gets its own key, so a token signed for one kind of session
+ * (e.g. a player's /me login) can never pass as an admin session.
  */
-function getCookieSigningKey() {
+function getCookieSigningKey(purpose = 'admin-session') {
     const secret = process.env.SESSION_SECRET
         || process.env.ADMIN_PASSWORD
         || 'insecure-default-change-me';
-    return crypto.createHash('sha256').update('admin-session:' + secret).digest();
+    return crypto.createHash('sha256').update(purpose + ':' + secret).digest();
 }
 
 /**
@@ -100,20 +105,20 @@ function setPassword(plain, db) {
 // ── Signed cookie session ────────────────────────────────────────────────
 
 /** Sign a payload string → `payload.hmacHex` */
-function signToken(payload) {
-    const key = getCookieSigningKey();
+function signToken(payload, purpose) {
+    const key = getCookieSigningKey(purpose);
     const mac = crypto.createHmac('sha256', key).update(payload).digest('hex');
     return payload + '.' + mac;
 }
 
 /** Verify a signed token; returns decoded payload object or null */
-function verifyToken(token) {
+function verifyToken(token, purpose) {
     if (!token || typeof token !== 'string') return null;
     const idx = token.lastIndexOf('.');
     if (idx < 0) return null;
     const payload = token.slice(0, idx);
     const mac = token.slice(idx + 1);
-    const key = getCookieSigningKey();
+    const key = getCookieSigningKey(purpose);
     const expected = crypto.createHmac('sha256', key).update(payload).digest('hex');
     try {
         const a = Buffer.from(mac, 'hex');
@@ -131,11 +136,16 @@ function verifyToken(token) {
     } catch (e) { return null; }
 }
 
+/** Sign `claims` plus an expiry `maxAgeMs` from now, with the key for `purpose` */
+function createSignedToken(claims, maxAgeMs, purpose) {
+    const payload = { ...claims, exp: Date.now() + maxAgeMs };
+    const encoded = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+    return signToken(encoded, purpose);
+}
+
 /** Build a fresh signed session token with a 30-day exp */
 function createSessionToken() {
-    const payload = { sub: 'admin', exp: Date.now() + COOKIE_MAX_AGE_MS };
-    const encoded = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
-    return signToken(encoded);
+    return createSignedToken({ sub: 'admin' }, COOKIE_MAX_AGE_MS);
 }
 
 /** Parse cookies from a request (no cookie-parser dependency) */
@@ -153,14 +163,21 @@ function parseCookies(req) {
     return out;
 }
 
+/**
+ * Should cookies get the Secure flag? Yes when BASE_URL is https (production)
+ * or the request came over https; otherwise omits so localhost works.
+ */
+function isSecureRequest(req) {
+    return !!((req && ((req.protocol === 'https') || (req.headers && req.headers['x-forwarded-proto'] === 'https')))
+        || /^https:/i.test(process.env.BASE_URL || ''));
+}
+
 /**
  * Write the session cookie on the response.
- * Uses Secure when BASE_URL is https (production); otherwise omits so localhost works.
  */
 function setSessionCookie(res, req) {
     const token = createSessionToken();
-    const isHttps = (req && ((req.protocol === 'https') || (req.headers && req.headers['x-forwarded-proto'] === 'https')))
-        || /^https:/i.test(process.env.BASE_URL || '');
+    const isHttps = isSecureRequest(req);
     const parts = [
         `${COOKIE_NAME}=${encodeURIComponent(token)}`,
         'Path=/',
@@ -220,8 +237,11 @@ module.exports = {
     verifyHash,
     verifyPassword,
     setPassword,
+    createSignedToken,
+    verifyToken,
     createSessionToken,
     parseCookies,
+    isSecureRequest,
     setSessionCookie,
     clearSessionCookie,
     hasValidSession,
@@ -0,0 +1,194 @@
+/**
+ * Auto-payout worker
+ *
+ * With AUTO_PAY_ENABLED=true on the server and auto-pay chosen in the admin
+ * settings (`raffle_auto_trigger`), winners who registered a Lightning Address
+ * are paid there instead of being sent a claim link. The draw schedules each
+ * of them `auto_pay_grace_minutes` ahead (time for an admin to step in) and
+ * records the address to pay, so changing the account's address after the
+ * draw can't redirect the prize. The worker runs with the raffle watcher:
+ *
+ *   scheduled ──► paid
+ *       │  └────► retry with backoff (10 min, 20 min, 40 min, ...)
+ *       └───────► fallback — the winner gets their claim link after all
+ *
+ * It falls back straight away when the address can never take the payment
+ * (Bolt12-only, out of its limits — ADDRESS_UNPAYABLE), after MAX_ATTEMPTS
+ * failures, or when auto-pay has been switched off since the draw. Payments
+ * go through services/payments.js, so the claim lock and reconciler apply,
+ * and every attempt is reported to the admins on Telegram.
+ */
+
+const db = require('./database');
+const email = require('./email');
+const telegram = require('./telegram');
+const payments = require('./payments');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 10 * 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const CLAIM_VALID_MS = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_MINUTES = 60;
+
+/**
+ * Auto-pay needs both the server switch and the admin setting.
+ */
+function isEnabled() {
+    return process.env.AUTO_PAY_ENABLED === 'true' && db.getSetting('raffle_auto_trigger') === 'true';
+}
+
+/**
+ * Minutes between the draw and the first auto-payout attempt.
+ */
+function getGraceMinutes() {
+    const minutes = parseInt(db.getSetting('auto_pay_grace_minutes'), 10);
+    return Number.isInteger(minutes) && minutes >= 0 ? minutes : DEFAULT_GRACE_MINUTES;
+}
+
+/**
+ * When a winner drawn now should first be auto-paid, or null if they won't
+ * be (auto-pay off, no Lightning Address or no prize).
+ * @returns {string|null} ISO timestamp
+ */
+function scheduleFor(ticket, prizeSats, now = Date.now()) {
+    if (!isEnabled() || !ticket.lnurl_address || !(prizeSats > 0)) return null;
+    return new Date(now + getGraceMinutes() * 60 * 1000).toISOString();
+}
+
+/**
+ * Wait before attempt `attempt + 1`: 10 min, 20 min, 40 min, ... capped at 6 hours.
+ */
+function retryDelay(attempt) {
+    return Math.min(RETRY_BASE_MS * Math.pow(2, attempt - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Send the winner the claim link they would have had without auto-pay.
+ */
+function sendClaimLink(winner) {
+    if (!winner.email) return;
+    email.sendWinnerEmail(winner.email, winner.prize_amount_sats || 0, winner.claim_token, winner.block_height, winner.tier_name)
+        .catch(err => console.error('Auto-payout fallback email error:', err));
+    const winnerUser = db.findUserByEmail(winner.email);
+    if (winnerUser && winnerUser.telegram_chat_id) {
+        telegram.notifyWinner(winnerUser.telegram_chat_id, winner.prize_amount_sats || 0, winner.claim_token, winner.block_height, winner.tier_name)
+            .catch(err => console.error('Auto-payout fallback Telegram notification error:', err));
+    }
+}
+
+/**
+ * Give up on paying a winner automatically; their claim link is valid for
+ * 30 days from now.
+ */
+function fallBack(winner, attempt, error, now) {
+    db.fallBackToClaimLink(winner.id, attempt, error, new Date(now + CLAIM_VALID_MS).toISOString());
+    sendClaimLink(winner);
+    return { outcome: 'fallback', error };
+}
+
+/**
+ * One auto-payout attempt for a due winner.
+ * @returns {Promise<Object|null>} the attempt result, or null if there was
+ *   nothing to report (a payment still in flight)
+ */
+async function attemptPayout(winner, now) {
+    // A payment already holds the claim lock (an earlier attempt in flight,
+    // or an admin paid): wait for it, and finish once it has succeeded
+    const active = db.getActivePayment(winner.id);
+    if (active) {
+        if (active.status === 'succeeded') {
+            db.markAutoPayoutPaid(winner.id, winner.auto_pay_attempts);
+            return active.source === 'auto' ? { outcome: 'paid', attempt: winner.auto_pay_attempts, paymentId: active.id } : null;
+        }
+        db.deferAutoPayout(winner.id, new Date(now + RETRY_BASE_MS).toISOString());
+        return null;
+    }
+
+    // Marked paid by hand in the meantime
+    if (winner.paid_at) {
+        db.markAutoPayoutPaid(winner.id, winner.auto_pay_attempts);
+        return null;
+    }
+
+    const attempt = winner.auto_pay_attempts + 1;
+    // Only ever the address recorded at the draw (see createRaffleWithEntries)
+    if (!winner.auto_pay_address) {
+        return { ...fallBack(winner, attempt, 'no payout address was recorded at the draw', now), attempt };
+    }
+    let error;
+    try {
+        const payment = await payments.payWinnerAddress(winner, winner.auto_pay_address, winner.prize_amount_sats, {
+            source: 'auto',
+            comment: `Reviews Raffle prize - block #${winner.block_height}`
+        });
+        if (payment.status === 'succeeded') {
+            db.markAutoPayoutPaid(winner.id, attempt);
+            return { outcome: 'paid', attempt, paymentId: payment.id };
+        }
+        if (payment.status !== 'failed') {
+            db.recordAutoPayoutRetry(winner.id, attempt, new Date(now + RETRY_BASE_MS).toISOString(), null);
+            return { outcome: 'pending', attempt, paymentId: payment.id };
+        }
+        error = payment.failure_reason || 'payment failed';
+    } catch (err) {
+        if (err.code === 'ADDRESS_UNPAYABLE') {
+            return { ...fallBack(winner, attempt, err.message, now), attempt };
+        }
+        error = err.message;
+    }
+
+    if (attempt >= MAX_ATTEMPTS) {
+        return { ...fallBack(winner, attempt, `gave up after ${attempt} attempts: ${error}`, now), attempt };
+    }
+    const nextAt = new Date(now + retryDelay(attempt)).toISOString();
+    db.recordAutoPayoutRetry(winner.id, attempt, nextAt, error);
+    return { outcome: 'retry', attempt, error, nextAt };
+}
+
+/**
+ * Attempt every auto-payout that is due. Runs with the raffle watcher.
+ * @returns {Promise<Array<Object>>} one result per reported attempt
+ */
+async function processAutoPayouts(now = Date.now()) {
+    const due = db.getDueAutoPayouts();
+    if (due.length === 0) return [];
+
+    const enabled = isEnabled();
+    const results = [];
+    for (const winner of due) {
+        const label = `raffle #${winner.raffle_id} ${winner.tier_name} #${winner.rank + 1} (${winner.auto_pay_address})`;
+        let result;
+        try {
+            result = enabled
+                ? await attemptPayout(winner, now)
+                : { ...fallBack(winner, winner.auto_pay_attempts, 'auto-pay was switched off', now), attempt: winner.auto_pay_attempts };
+        } catch (err) {
+            console.error(`Auto-payout error for winner #${winner.id}:`, err.message);
+            continue;
+        }
+        if (!result) continue;
+
+        result = { ...result, winner, maxAttempts: MAX_ATTEMPTS };
+        results.push(result);
+        if (result.outcome === 'paid') {
+            console.log(`🤖 Auto-paid ${label}: ${winner.prize_amount_sats} sats`);
+        } else if (result.outcome === 'pending') {
+            console.log(`🤖 Auto-payout for ${label} is in flight`);
+        } else if (result.outcome === 'retry') {
+            console.warn(`🤖 Auto-payout attempt ${result.attempt}/${MAX_ATTEMPTS} for ${label} failed: ${result.error} — retrying at ${result.nextAt}`);
+        } else {
+            console.warn(`🤖 Auto-payout for ${label} fell back to the claim link: ${result.error}`);
+        }
+        await telegram.notifyAutoPayout(result, db);
+    }
+    return results;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    isEnabled,
+    getGraceMinutes,
+    scheduleFor,
+    retryDelay,
+    processAutoPayouts
+};
@@ -3,8 +3,19 @@
  * Fetches block data from mempool.space API
  */
 
+const crypto = require('crypto');
+
 const MEMPOOL_API = 'https://mempool.space/api';
 
+// Winner-selection algorithm versions. Every raffle stores the version it was
+// drawn with, so older results stay reproducible after the default changes.
+//   v1: int(raffle_block_hash) mod n
+//   v2: seed = hash chain of the raffle block + the next ALGO_V2_EXTRA_BLOCKS
+//       block hashes, then unbiased rejection sampling of an index from the seed
+const CURRENT_ALGO_VERSION = 2;
+const ALGO_V2_EXTRA_BLOCKS = 3;
+const TWO_POW_256 = 1n << 256n;
+
 // Cache for raffle info to avoid slow API calls on every page load
 let raffleInfoCache = null;
 let raffleCacheTime = 0;
@@ -74,8 +85,9 @@ function getBlocksUntilNextRaffle(currentHeight) {
 }
 
 /**
- * Select winner using block hash
+ * Select winner using block hash (algorithm v1)
  * Deterministic: hash mod totalTickets
+ * Kept unchanged so raffles drawn with v1 can always be replayed.
  */
 function selectWinnerIndex(blockHash, totalTickets) {
     if (totalTickets === 0) return null;
@@ -86,6 +98,155 @@ function selectWinnerIndex(blockHash, totalTickets) {
     return winnerIndex;
 }
 
+/**
+ * How many blocks after the raffle block must be mined before a draw with
+ * this algorithm version can run.
+ */
+function getExtraBlocksForAlgo(algoVersion) {
+    return algoVersion >= 2 ? ALGO_V2_EXTRA_BLOCKS : 0;
+}
+
+function sha256Hex(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * v2 seed: hash-chain the raffle block hash with the hashes that follow it.
+ *   seed_0 = sha256(h_0)
+ *   seed_i = sha256(seed_{i-1} || h_i)
+ * Hashes are taken as the raw 32 bytes of their usual hex form. A miner who
+ * withholds the raffle block can't know the seed without also controlling
+ * every block after it.
+ */
+function deriveDrawSeed(blockHashes) {
+    if (!blockHashes || blockHashes.length === 0) {
+        throw new Error('At least one block hash is required');
+    }
+    let seed = sha256Hex(Buffer.from(blockHashes[0], 'hex'));
+    for (const hash of blockHashes.slice(1)) {
+        seed = sha256Hex(Buffer.concat([Buffer.from(seed, 'hex'), Buffer.from(hash, 'hex')]));
+    }
+    return seed;
+}
+
+/**
+ * Rejection-sample one index in [0, n) from the seed's candidate stream,
+ * starting at `startCounter`.
+ * candidate_k = int(sha256(seed || uint32be(k))); accepted when
+ * candidate_k < limit, where limit is the largest multiple of n <= 2^256,
+ * so every index is exactly equally likely. The index is candidate mod n.
+ */
+function sampleIndex(seed, totalTickets, startCounter) {
+    const n = BigInt(totalTickets);
+    const limit = TWO_POW_256 - (TWO_POW_256 % n);
+    const rounds = [];
+
+    for (let counter = startCounter; ; counter++) {
+        const counterBytes = Buffer.alloc(4);
+        counterBytes.writeUInt32BE(counter);
+        const candidate = BigInt('0x' + sha256Hex(Buffer.concat([Buffer.from(seed, 'hex'), counterBytes])));
+        const accepted = candidate < limit;
+        rounds.push({ counter, candidate: candidate.toString(), accepted });
+        if (accepted) {
+            return { limit: limit.toString(), rounds, index: Number(candidate % n), nextCounter: counter + 1 };
+        }
+    }
+}
+
+/**
+ * Explain a v2 draw: the seed plus every rejection-sampling round.
+ */
+function explainWinnerIndexV2(blockHashes, totalTickets) {
+    if (totalTickets === 0) return null;
+
+    const seed = deriveDrawSeed(blockHashes);
+    const { limit, rounds, index } = sampleIndex(seed, totalTickets, 0);
+    return { seed, limit, rounds, index };
+}
+
+/**
+ * Explain a v2 multi-winner draw. Winners are drawn one after another from
+ * the same candidate stream (the counter keeps counting), each time from the
+ * entries still in the pool. Once an entrant wins, all of their entries leave
+ * the pool, so every winner is a different person.
+ *
+ * `entrantKeys[i]` identifies who owns entry i (the public entrant hash).
+ * The first winner is always the same as the single-winner v2 result.
+ * Stops early if the pool runs out of distinct entrants.
+ */
+function explainWinnersV2(blockHashes, entrantKeys, count) {
+    const seed = deriveDrawSeed(blockHashes);
+    let pool = entrantKeys.map((key, position) => ({ key, position }));
+    let counter = 0;
+    const winners = [];
+
+    while (winners.length < count && pool.length > 0) {
+        const sample = sampleIndex(seed, pool.length, counter);
+        const picked = pool[sample.index];
+        winners.push({
+            position: picked.position,
+            poolSize: pool.length,
+            poolIndex: sample.index,
+            limit: sample.limit,
+            rounds: sample.rounds
+        });
+        counter = sample.nextCounter;
+        pool = pool.filter(entry => entry.key !== picked.key);
+    }
+
+    return { seed, winners };
+}
+
+/**
+ * Select winner with algorithm v2 (multi-block seed + rejection sampling)
+ */
+function selectWinnerIndexV2(blockHashes, totalTickets) {
+    const result = explainWinnerIndexV2(blockHashes, totalTickets);
+    return result ? result.index : null;
+}
+
+/**
+ * Select winner with the given algorithm version.
+ * `blockHashes` is [raffle block hash, ...following block hashes]; v1 only
+ * uses the first.
+ */
+function selectWinner(algoVersion, blockHashes, totalTickets) {
+    if (algoVersion === 1) return selectWinnerIndex(blockHashes[0], totalTickets);
+    if (algoVersion === 2) return selectWinnerIndexV2(blockHashes, totalTickets);
+    throw new Error(`Unknown raffle algorithm version: ${algoVersion}`);
+}
+
+/**
+ * Select several distinct winners with the given algorithm version.
+ * Returns positions into the entry list, in draw order. v1 predates
+ * multi-winner draws and only supports a single winner.
+ */
+function selectWinners(algoVersion, blockHashes, entrantKeys, count) {
+    if (entrantKeys.length === 0 || count < 1) return [];
+    if (algoVersion === 1) {
+        if (count > 1) throw new Error('Algorithm v1 supports a single winner only');
+        return [selectWinnerIndex(blockHashes[0], entrantKeys.length)];
+    }
+    if (algoVersion === 2) {
+        return explainWinnersV2(blockHashes, entrantKeys, count).winners.map(w => w.position);
+    }
+    throw new Error(`Unknown raffle algorithm version: ${algoVersion}`);
+}
+
+/**
+ * Fetch the block hashes a draw at `blockHeight` needs: the raffle block
+ * itself, then any blocks the algorithm chains in after it.
+ * @returns {Promise<{ blockHash: string, extraBlockHashes: string[] }>}
+ */
+async function getDrawBlockHashes(blockHeight, algoVersion) {
+    const blockHash = (await getBlockHash(blockHeight)).trim();
+    const extraBlockHashes = [];
+    for (let i = 1; i <= getExtraBlocksForAlgo(algoVersion); i++) {
+        extraBlockHashes.push((await getBlockHash(blockHeight + i)).trim());
+    }
+    return { blockHash, extraBlockHashes };
+}
+
 /**
  * Get raffle info for display
  */
@@ -168,6 +329,16 @@ module.exports = {
     getNextRaffleBlock,
     getBlocksUntilNextRaffle,
     selectWinnerIndex,
+    selectWinnerIndexV2,
+    explainWinnerIndexV2,
+    explainWinnersV2,
+    deriveDrawSeed,
+    selectWinner,
+    selectWinners,
+    getExtraBlocksForAlgo,
+    getDrawBlockHashes,
+    CURRENT_ALGO_VERSION,
+    ALGO_V2_EXTRA_BLOCKS,
     getRaffleInfo,
     isRaffleBlockMined,
     warmCache
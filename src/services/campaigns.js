@@ -0,0 +1,151 @@
+/**
+ * Donation campaigns
+ *
+ * An admin sets a goal for a window of blocks ("500k sats before block
+ * 870,912"), optionally with a sponsor who matches donations — by default
+ * sat for sat — up to a cap. Every donation credited while a campaign runs
+ * (Lightning or on-chain, see lightning.js) counts toward its goal, and the
+ * sponsor's match is posted to the ledger straight away:
+ *
+ *   sponsors ──match──► fund        when the donation is credited
+ *   donations ──paid──► sponsors    when the admin records the sponsor's payment
+ *
+ * Progress is shown on the landing pages' prize card.
+ */
+
+const db = require('./database');
+const ledger = require('./ledger');
+const bitcoin = require('./bitcoin');
+
+function invalid(message) {
+    const err = new Error(message);
+    err.code = 'CAMPAIGN_INVALID';
+    return err;
+}
+
+/**
+ * Validate and create a campaign.
+ * @returns {Object} the new campaign
+ */
+function createCampaign({ name, goalSats, startBlock, endBlock, sponsorName, matchRatioPct = 100, matchCapSats = 0 }) {
+    const title = String(name || '').trim();
+    const goal = parseInt(goalSats, 10);
+    const start = parseInt(startBlock, 10);
+    const end = parseInt(endBlock, 10);
+    const ratio = parseInt(matchRatioPct, 10);
+    const cap = parseInt(matchCapSats || 0, 10);
+    const sponsor = String(sponsorName || '').trim() || null;
+
+    if (!title || title.length > 100) throw invalid('Campaign name is required (up to 100 characters)');
+    if (!Number.isInteger(goal) || goal <= 0) throw invalid('Goal must be a positive number of sats');
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+        throw invalid('End block must be at or after the start block');
+    }
+    if (!Number.isInteger(cap) || cap < 0) throw invalid('Match cap must be zero or more sats');
+    if (cap > 0 && !sponsor) throw invalid('A matching campaign needs a sponsor name');
+    if (!Number.isInteger(ratio) || ratio < 1 || ratio > 1000) throw invalid('Match ratio must be between 1% and 1000%');
+
+    const id = db.createCampaign({
+        name: title, goalSats: goal, startBlock: start, endBlock: end,
+        sponsorName: sponsor, matchRatioPct: ratio, matchCapSats: cap
+    });
+    console.log(`🤝 Campaign #${id} "${title}" created: ${goal.toLocaleString()} sats, blocks ${start}–${end}` +
+        (cap > 0 ? `, ${sponsor} matches ${ratio}% up to ${cap.toLocaleString()} sats` : ''));
+    return db.getCampaign(id);
+}
+
+/**
+ * What a campaign's sponsor matches for a donation, within what's left of the cap
+ */
+function matchFor(campaign, donatedSats) {
+    const remaining = Math.max(0, campaign.match_cap_sats - campaign.matched_sats);
+    return Math.min(Math.floor(donatedSats * campaign.match_ratio_pct / 100), remaining);
+}
+
+/**
+ * Count a credited donation toward every campaign running now, posting
+ * sponsor matches. Never throws: the donation is already credited, and a
+ * campaign problem must not undo that.
+ * @param {number} [height] - block height; defaults to the chain tip
+ * @returns {Promise<Array<{ campaignId: number, matchedSats: number }>>}
+ */
+async function recordDonation(deposit, donatedSats, height = null) {
+    if (!(donatedSats > 0)) return [];
+    try {
+        // Skip the chain tip lookup when there's nothing to count toward
+        if (!db.getAllCampaigns().some(c => !c.cancelled_at)) return [];
+        if (height == null) height = (await bitcoin.getRaffleInfo()).currentHeight;
+        const results = [];
+        for (const campaign of db.getCampaignsAtBlock(height)) {
+            const matchedSats = matchFor(campaign, donatedSats);
+            const posting = ledger.donationMatch(campaign, deposit, matchedSats);
+            if (db.recordCampaignContribution(campaign.id, deposit.id, donatedSats, matchedSats, posting) === null) continue;
+            if (matchedSats > 0) {
+                console.log(`🤝 ${campaign.sponsor_name} matched ${matchedSats} sats for "${campaign.name}"`);
+            }
+            results.push({ campaignId: campaign.id, matchedSats });
+        }
+        return results;
+    } catch (err) {
+        console.error(`Campaign matching error for deposit #${deposit.id}:`, err.message);
+        return [];
+    }
+}
+
+/**
+ * Record sats a sponsor paid in against what they matched.
+ */
+function recordSponsorPayment(campaignId, sats) {
+    const campaign = db.getCampaign(campaignId);
+    if (!campaign) throw invalid('Campaign not found');
+    const amount = parseInt(sats, 10);
+    const owed = campaign.matched_sats - campaign.sponsor_paid_sats;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > owed) {
+        throw invalid(`Payment must be between 1 and ${owed.toLocaleString()} sats (what the sponsor still owes)`);
+    }
+    ledger.post(ledger.sponsorPayment(campaign, amount));
+    console.log(`🤝 ${campaign.sponsor_name} paid ${amount} sats for "${campaign.name}"`);
+    return db.getCampaign(campaignId);
+}
+
+/**
+ * A campaign as the landing page and admin panel show it
+ */
+function toProgress(campaign, height = null) {
+    const raisedSats = campaign.donated_sats + campaign.matched_sats;
+    return {
+        id: campaign.id,
+        name: campaign.name,
+        goalSats: campaign.goal_sats,
+        raisedSats,
+        donatedSats: campaign.donated_sats,
+        matchedSats: campaign.matched_sats,
+        percent: Math.min(100, Math.floor(raisedSats * 100 / campaign.goal_sats)),
+        sponsorName: campaign.sponsor_name,
+        matchRatioPct: campaign.match_ratio_pct,
+        matchCapSats: campaign.match_cap_sats,
+        matchRemainingSats: Math.max(0, campaign.match_cap_sats - campaign.matched_sats),
+        sponsorOwedSats: campaign.matched_sats - campaign.sponsor_paid_sats,
+        startBlock: campaign.start_block,
+        endBlock: campaign.end_block,
+        blocksLeft: height == null ? null : Math.max(0, campaign.end_block - height),
+        cancelled: !!campaign.cancelled_at
+    };
+}
+
+/**
+ * Progress of the campaigns running at a block height
+ */
+function getActiveProgress(height) {
+    if (!Number.isInteger(height)) return [];
+    return db.getCampaignsAtBlock(height).map(c => toProgress(c, height));
+}
+
+module.exports = {
+    createCampaign,
+    matchFor,
+    recordDonation,
+    recordSponsorPayment,
+    toProgress,
+    getActiveProgress
+};
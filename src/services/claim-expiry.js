@@ -0,0 +1,156 @@
+/**
+ * Unclaimed prize expiry
+ *
+ * Every claim link is valid for 30 days. The sweeper runs with the raffle
+ * watcher and settles each prize whose link lapsed without being paid, using
+ * the `unclaimed_prize_policy` setting:
+ *   rollover — the prize goes back into the raffle fund
+ *   redraw   — the same prize goes to the next winner of the same draw
+ *
+ * A redraw simply keeps drawing from the raffle's own seed and frozen entry
+ * list, so it skips everyone who has already won that raffle (including the
+ * winner whose prize expired) and anyone can replay it on the verification
+ * page. v1 raffles can't draw a second winner, and a draw can run out of
+ * entrants; both fall back to rollover.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const bitcoin = require('./bitcoin');
+const email = require('./email');
+const telegram = require('./telegram');
+const ledger = require('./ledger');
+
+const EXPIRY_POLICIES = ['rollover', 'redraw'];
+const CLAIM_VALID_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Current policy for expired prizes (falls back to rollover).
+ */
+function getExpiryPolicy() {
+    const policy = db.getSetting('unclaimed_prize_policy');
+    return EXPIRY_POLICIES.includes(policy) ? policy : 'rollover';
+}
+
+/**
+ * The next winner of a raffle's draw, after every winner recorded so far.
+ * @returns {{ position: number, ticketId: number }|null} null if the raffle
+ *   can't be redrawn (v1, no frozen entries, or no entrants left)
+ */
+function findReplacementWinner(raffle) {
+    const algoVersion = raffle.algo_version || 1;
+    if (algoVersion < 2) return null;
+
+    const entries = db.getRaffleEntries(raffle.id);
+    if (entries.length === 0) return null;
+
+    let extraBlockHashes = [];
+    try {
+        extraBlockHashes = raffle.draw_block_hashes ? JSON.parse(raffle.draw_block_hashes) : [];
+    } catch (e) {
+        return null;
+    }
+
+    const count = db.getRaffleWinners(raffle.id).length + 1;
+    const positions = bitcoin.selectWinners(
+        algoVersion, [raffle.block_hash, ...extraBlockHashes], entries.map(e => e.entrant_hash), count
+    );
+    if (positions.length < count) return null;
+
+    const position = positions[count - 1];
+    return { position, ticketId: entries[position].ticket_id };
+}
+
+/**
+ * Settle one expired prize. Returns what was done, for logging and the
+ * admin summary.
+ */
+function settleExpiredWinner(winner, policy) {
+    const prizeSats = winner.prize_amount_sats || 0;
+    const base = {
+        winnerId: winner.id,
+        raffleId: winner.raffle_id,
+        blockHeight: winner.block_height,
+        tierName: winner.tier_name,
+        rank: winner.rank,
+        email: winner.email,
+        prizeSats
+    };
+
+    let fallbackReason = null;
+    if (policy === 'redraw') {
+        const raffle = db.getRaffleById(winner.raffle_id);
+        const next = raffle ? findReplacementWinner(raffle) : null;
+        if (next) {
+            const claimToken = uuidv4();
+            const claimExpiresAt = new Date(Date.now() + CLAIM_VALID_MS).toISOString();
+            const { id, rank } = db.redrawExpiredWinner(winner, {
+                winningIndex: next.position,
+                ticketId: next.ticketId,
+                claimToken,
+                claimExpiresAt
+            }, ledger.prizeRedraw(winner, `entry #${next.position} (ticket #${next.ticketId})`));
+            return { ...base, action: 'redrawn', newWinner: db.getRaffleWinnerById(id), newRank: rank };
+        }
+        fallbackReason = (raffle && (raffle.algo_version || 1) < 2)
+            ? 'v1 raffles draw a single winner'
+            : 'no entrants left to draw';
+    }
+
+    db.rolloverExpiredWinner(winner.id, ledger.prizeReturn(winner, 'claim expired, returned to the fund'));
+    return { ...base, action: 'rollover', fundSats: ledger.getFundSats(), fallbackReason };
+}
+
+/**
+ * Settle every expired, unclaimed prize. Notifies admins once per sweep and
+ * sends each replacement winner their claim link.
+ * @returns {Promise<Array<Object>>} one result per settled prize
+ */
+async function sweepExpiredClaims() {
+    const expired = db.getExpiredUnclaimedWinners();
+    if (expired.length === 0) return [];
+
+    const policy = getExpiryPolicy();
+    const results = [];
+    for (const winner of expired) {
+        try {
+            const result = settleExpiredWinner(winner, policy);
+            results.push(result);
+
+            const label = `Raffle #${result.raffleId} (block #${result.blockHeight}) ${result.tierName} #${result.rank + 1}`;
+            if (result.action === 'redrawn') {
+                console.log(`🔁 Claim expired: ${label} — ${result.prizeSats} sats redrawn to entry #${result.newWinner.winning_index} (ticket #${result.newWinner.ticket_id})`);
+            } else {
+                console.log(`⏰ Claim expired: ${label} — ${result.prizeSats} sats returned to the fund (now ${result.fundSats} sats)${result.fallbackReason ? ` — redraw skipped: ${result.fallbackReason}` : ''}`);
+            }
+        } catch (err) {
+            console.error(`Claim expiry error for winner #${winner.id}:`, err.message);
+        }
+    }
+
+    if (results.length > 0) {
+        await telegram.notifyExpiredClaims(results, db);
+    }
+
+    // Replacement winners get the same email / Telegram message as a fresh draw
+    for (const result of results) {
+        const w = result.newWinner;
+        if (!w || !w.email) continue;
+        email.sendWinnerEmail(w.email, w.prize_amount_sats || 0, w.claim_token, w.block_height, w.tier_name)
+            .catch(err => console.error('Redraw winner email error:', err));
+        const winnerUser = db.findUserByEmail(w.email);
+        if (winnerUser && winnerUser.telegram_chat_id) {
+            telegram.notifyWinner(winnerUser.telegram_chat_id, w.prize_amount_sats || 0, w.claim_token, w.block_height, w.tier_name)
+                .catch(err => console.error('Redraw winner Telegram notification error:', err));
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    EXPIRY_POLICIES,
+    getExpiryPolicy,
+    findReplacementWinner,
+    sweepExpiredClaims
+};
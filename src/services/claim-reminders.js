@@ -0,0 +1,105 @@
+/**
+ * Claim-expiry reminders
+ *
+ * Winners who haven't claimed get a reminder 7 days, 3 days and 24 hours
+ * before their claim link expires, by email and by Telegram if they linked
+ * it. Every reminder is recorded per channel in `claim_reminders`, so none is
+ * sent twice (even across restarts). Reminders stop as soon as the prize is
+ * claimed or paid.
+ *
+ * If the server was down through a reminder's window, only the most urgent
+ * reminder that is due gets sent — a winner never gets "7 days left" after
+ * "24 hours left".
+ */
+
+const db = require('./database');
+const email = require('./email');
+const telegram = require('./telegram');
+
+// Most distant first
+const REMINDER_SCHEDULE = [
+    { key: '7d', hoursBefore: 7 * 24 },
+    { key: '3d', hoursBefore: 3 * 24 },
+    { key: '24h', hoursBefore: 24 }
+];
+
+/**
+ * The reminder to send now, if any.
+ * @param {number} hoursLeft - hours until the claim link expires
+ * @param {string[]} sentKeys - reminders already recorded for this winner
+ * @returns {Object|null} a REMINDER_SCHEDULE entry
+ */
+function dueReminder(hoursLeft, sentKeys) {
+    if (hoursLeft <= 0) return null;
+    const due = REMINDER_SCHEDULE.filter(r => hoursLeft <= r.hoursBefore);
+    if (due.length === 0) return null;
+    const mostUrgent = due[due.length - 1];
+    return sentKeys.includes(mostUrgent.key) ? null : mostUrgent;
+}
+
+/**
+ * Readable time left, e.g. "7 days" or "23 hours" (a reminder sent late
+ * after downtime states the real time left, not its schedule slot).
+ */
+function formatTimeLeft(hoursLeft) {
+    if (hoursLeft >= 47.5) return `${Math.round(hoursLeft / 24)} days`;
+    const hours = Math.max(1, Math.round(hoursLeft));
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+}
+
+/**
+ * Send one reminder over every channel the winner has linked.
+ * @returns {Promise<Array<{ channel: string, ok: boolean }>>}
+ */
+async function sendReminder(winner, timeLeft) {
+    const sent = [];
+    if (winner.email) {
+        const result = await email.sendClaimReminderEmail(
+            winner.email, winner.prize_amount_sats, winner.claim_token, winner.block_height,
+            winner.claim_expires_at, timeLeft, winner.tier_name
+        ).catch(err => ({ success: false, error: err.message }));
+        sent.push({ channel: 'email', ok: !!(result && result.success) });
+    }
+    if (winner.telegram_chat_id) {
+        const ok = await telegram.notifyClaimReminder(
+            winner.telegram_chat_id, winner.prize_amount_sats, winner.claim_token, winner.block_height,
+            timeLeft, winner.tier_name
+        ).catch(() => false);
+        sent.push({ channel: 'telegram', ok: !!ok });
+    }
+    return sent;
+}
+
+/**
+ * Send every reminder that is due. Runs with the raffle watcher.
+ * @returns {Promise<number>} reminders sent (one per winner, any channel)
+ */
+async function sendDueReminders(now = Date.now()) {
+    let count = 0;
+    for (const winner of db.getWinnersAwaitingClaim()) {
+        const hoursLeft = (new Date(winner.claim_expires_at).getTime() - now) / (60 * 60 * 1000);
+        const sentKeys = db.getClaimReminders(winner.id).map(r => r.reminder);
+        const reminder = dueReminder(hoursLeft, sentKeys);
+        if (!reminder) continue;
+
+        const timeLeft = formatTimeLeft(hoursLeft);
+        const channels = await sendReminder(winner, timeLeft);
+        if (channels.length === 0) continue; // nothing linked to remind them on
+
+        // Failures are recorded too: a dead channel shouldn't be retried every
+        // five minutes, and the next reminder will try again
+        for (const c of channels) {
+            db.recordClaimReminder(winner.id, reminder.key, c.channel, c.ok ? 'sent' : 'failed');
+        }
+        count++;
+        console.log(`⏳ Claim reminder (${reminder.key}, ${timeLeft} left) for raffle #${winner.raffle_id} ${winner.tier_name} #${winner.rank + 1}: ${channels.map(c => `${c.channel} ${c.ok ? '✓' : '✗'}`).join(', ')}`);
+    }
+    return count;
+}
+
+module.exports = {
+    REMINDER_SCHEDULE,
+    dueReminder,
+    formatTimeLeft,
+    sendDueReminders
+};
@@ -0,0 +1,100 @@
+/**
+ * Pre-draw raffle commitments
+ *
+ * A configurable number of blocks before each raffle block, the watcher
+ * freezes the ordered ticket set and publishes its Merkle root. At draw time
+ * the live ticket set is re-hashed and the draw refuses to run unless it
+ * reproduces the committed root exactly.
+ */
+
+const db = require('./database');
+const merkle = require('./merkle');
+
+const DEFAULT_LEAD_BLOCKS = 6;
+
+/**
+ * How many blocks before the raffle block the ticket set is frozen.
+ */
+function getCommitLeadBlocks() {
+    const lead = parseInt(db.getSetting('raffle_commit_lead_blocks'), 10);
+    return Number.isInteger(lead) && lead > 0 ? lead : DEFAULT_LEAD_BLOCKS;
+}
+
+/**
+ * Freeze the current valid ticket set for `raffleBlock` and store its root.
+ * Idempotent: returns the existing commitment if one was already made.
+ * @returns {{ commitment: Object, entries: Array, tickets: Array, created: boolean }}
+ */
+function freezeRaffleEntries(raffleBlock, commitHeight) {
+    const existing = db.getRaffleCommitment(raffleBlock);
+    if (existing) {
+        return { commitment: existing, entries: db.getRaffleCommitmentEntries(existing.id), tickets: [], created: false };
+    }
+
+    const tickets = db.getValidTicketsForBlock(raffleBlock);
+    const entries = db.buildEntryList(tickets);
+    const merkleRoot = merkle.computeRoot(entries);
+
+    db.createRaffleCommitment(raffleBlock, commitHeight, entries, merkleRoot);
+    console.log(`🔒 Raffle #${raffleBlock} committed at block #${commitHeight}: ${entries.length} entries, root ${merkleRoot || '(empty)'}`);
+
+    return { commitment: db.getRaffleCommitment(raffleBlock), entries, tickets, created: true };
+}
+
+/**
+ * Compare the tickets about to be drawn against the commitment for that block.
+ * `committed: false` means no commitment exists (e.g. the server was down for
+ * the whole freeze window) — callers decide whether that's acceptable.
+ * @returns {{ committed: boolean, matches: boolean, expectedRoot: string|null, actualRoot: string|null, added: number[], removed: number[] }}
+ */
+function checkAgainstCommitment(raffleBlock, tickets) {
+    const entries = db.buildEntryList(tickets);
+    const actualRoot = merkle.computeRoot(entries);
+    const commitment = db.getRaffleCommitment(raffleBlock);
+
+    if (!commitment) {
+        return { committed: false, matches: false, expectedRoot: null, actualRoot, added: [], removed: [] };
+    }
+
+    const committedIds = db.getRaffleCommitmentEntries(commitment.id).map(e => e.ticketId);
+    const liveIds = entries.map(e => e.ticketId);
+
+    return {
+        committed: true,
+        matches: (commitment.merkle_root || null) === actualRoot,
+        expectedRoot: commitment.merkle_root || null,
+        actualRoot,
+        added: liveIds.filter(id => !committedIds.includes(id)),
+        removed: committedIds.filter(id => !liveIds.includes(id))
+    };
+}
+
+/**
+ * Inclusion proof for one ticket in a committed raffle.
+ * @returns {Object|null} null if there is no commitment or the ticket isn't in it
+ */
+function getInclusionProof(raffleBlock, ticketId) {
+    const commitment = db.getRaffleCommitment(raffleBlock);
+    if (!commitment) return null;
+
+    const entries = db.getRaffleCommitmentEntries(commitment.id);
+    const index = entries.findIndex(e => e.ticketId === ticketId);
+    if (index === -1) return null;
+
+    const built = merkle.buildProof(entries, index);
+    return {
+        blockHeight: commitment.block_height,
+        commitHeight: commitment.commit_height,
+        merkleRoot: commitment.merkle_root,
+        entry: entries[index],
+        leaf: built.leaf,
+        proof: built.proof
+    };
+}
+
+module.exports = {
+    getCommitLeadBlocks,
+    freezeRaffleEntries,
+    checkAgainstCommitment,
+    getInclusionProof
+};
@@ -1,6 +1,9 @@
 const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const merkle = require('./merkle');
+const { getNextRaffleBlock } = require('./bitcoin');
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, '../../data');
@@ -93,6 +96,253 @@ async function initializeDatabase() {
         );
     `);
     
+    // Frozen entry list for each committed raffle — the exact ordered ticket
+    // set the winner selection ran against, so past draws can be replayed even
+    // after tickets are edited, rejected, or their users opt out.
+    db.run(`
+        CREATE TABLE IF NOT EXISTS raffle_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            raffle_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            ticket_id INTEGER NOT NULL,
+            entrant_hash TEXT NOT NULL,
+            UNIQUE (raffle_id, position),
+            FOREIGN KEY (raffle_id) REFERENCES raffles(id),
+            FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+        );
+    `);
+
+    // Pre-draw commitment: the ticket set is frozen a few blocks BEFORE the
+    // raffle block and its Merkle root published, so nobody (admin included)
+    // can add or remove tickets once the winning hash is known.
+    db.run(`
+        CREATE TABLE IF NOT EXISTS raffle_commitments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            block_height INTEGER NOT NULL UNIQUE,
+            commit_height INTEGER NOT NULL,
+            merkle_root TEXT,
+            total_entries INTEGER NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    db.run(`
+        CREATE TABLE IF NOT EXISTS raffle_commitment_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            commitment_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            ticket_id INTEGER NOT NULL,
+            entrant_hash TEXT NOT NULL,
+            UNIQUE (commitment_id, position),
+            FOREIGN KEY (commitment_id) REFERENCES raffle_commitments(id),
+            FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+        );
+    `);
+
+    // One row per prize winner. A raffle can have several winners across
+    // prize tiers; each gets their own claim token and payment state.
+    db.run(`
+        CREATE TABLE IF NOT EXISTS raffle_winners (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            raffle_id INTEGER NOT NULL,
+            rank INTEGER NOT NULL,
+            tier INTEGER NOT NULL DEFAULT 0,
+            tier_name TEXT,
+            winning_index INTEGER NOT NULL,
+            ticket_id INTEGER,
+            prize_amount_sats INTEGER,
+            claim_token TEXT,
+            claim_status TEXT DEFAULT 'pending',
+            claim_expires_at TEXT,
+            claimed_at TEXT,
+            claim_payment_hash TEXT,
+            payment_status TEXT DEFAULT 'pending',
+            payment_hash TEXT,
+            payment_error TEXT,
+            paid_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (raffle_id, rank),
+            FOREIGN KEY (raffle_id) REFERENCES raffles(id),
+            FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+        );
+    `);
+
+    // Claim-expiry reminders sent to winners, one row per reminder and
+    // channel, so a reminder is never repeated (e.g. after a restart)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS claim_reminders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            winner_id INTEGER NOT NULL,
+            reminder TEXT NOT NULL,
+            channel TEXT NOT NULL,
+            status TEXT NOT NULL,
+            sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (winner_id, reminder, channel),
+            FOREIGN KEY (winner_id) REFERENCES raffle_winners(id)
+        );
+    `);
+
+    // Treasury ledger (double-entry, append-only). Each transaction moves sats
+    // between accounts and its entries sum to zero; balances are the sums of
+    // the entries. See services/ledger.js.
+    db.run(`
+        CREATE TABLE IF NOT EXISTS ledger_transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            kind TEXT NOT NULL,
+            memo TEXT,
+            ref_type TEXT,
+            ref_id INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS ledger_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transaction_id INTEGER NOT NULL,
+            account TEXT NOT NULL,
+            amount_sats INTEGER NOT NULL,
+            FOREIGN KEY (transaction_id) REFERENCES ledger_transactions(id)
+        );
+    `);
+    for (const table of ['ledger_transactions', 'ledger_entries']) {
+        for (const op of ['UPDATE', 'DELETE']) {
+            db.run(`
+                CREATE TRIGGER IF NOT EXISTS ${table}_no_${op.toLowerCase()}
+                BEFORE ${op} ON ${table}
+                BEGIN SELECT RAISE(ABORT, 'the ledger is append-only'); END;
+            `);
+        }
+    }
+
+    // Prize payments, one row per attempt to pay a winner over Lightning:
+    // initiated → in_flight → succeeded | failed. See services/payments.js.
+    db.run(`
+        CREATE TABLE IF NOT EXISTS payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            winner_id INTEGER NOT NULL,
+            raffle_id INTEGER NOT NULL,
+            source TEXT NOT NULL,
+            destination TEXT,
+            bolt11 TEXT NOT NULL,
+            payment_hash TEXT NOT NULL,
+            amount_sats INTEGER NOT NULL,
+            fee_sats INTEGER,
+            preimage TEXT,
+            status TEXT NOT NULL DEFAULT 'initiated',
+            failure_reason TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            completed_at TEXT,
+            FOREIGN KEY (winner_id) REFERENCES raffle_winners(id),
+            FOREIGN KEY (raffle_id) REFERENCES raffles(id)
+        );
+    `);
+
+    // Donation campaigns (services/campaigns.js): a goal over a block window,
+    // optionally with a sponsor matching donations up to a cap
+    db.run(`
+        CREATE TABLE IF NOT EXISTS campaigns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            goal_sats INTEGER NOT NULL,
+            start_block INTEGER NOT NULL,
+            end_block INTEGER NOT NULL,
+            sponsor_name TEXT,
+            match_ratio_pct INTEGER NOT NULL DEFAULT 100,
+            match_cap_sats INTEGER NOT NULL DEFAULT 0,
+            cancelled_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    // Each donation credited while a campaign ran, and what its sponsor matched
+    db.run(`
+        CREATE TABLE IF NOT EXISTS campaign_contributions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            campaign_id INTEGER NOT NULL,
+            deposit_id INTEGER NOT NULL,
+            donated_sats INTEGER NOT NULL,
+            matched_sats INTEGER NOT NULL DEFAULT 0,
+            ledger_transaction_id INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (campaign_id, deposit_id),
+            FOREIGN KEY (campaign_id) REFERENCES campaigns(id),
+            FOREIGN KEY (deposit_id) REFERENCES deposit_addresses(id)
+        );
+    `);
+
+    // Every review validator attempt (services/review-validators): what was
+    // asked, what came back and how long it took, including attempts that failed
+    db.run(`
+        CREATE TABLE IF NOT EXISTS review_validations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ticket_id INTEGER,
+            validator TEXT NOT NULL,
+            prompt_version TEXT,
+            model TEXT,
+            raw_response TEXT,
+            verdict TEXT,
+            is_valid INTEGER,
+            confidence TEXT,
+            reason TEXT,
+            latency_ms INTEGER,
+            error TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+        );
+    `);
+
+    // Review processing jobs (services/review-jobs.js): scrape a ticket's
+    // review and run it through the validators, retried with backoff
+    db.run(`
+        CREATE TABLE IF NOT EXISTS review_jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ticket_id INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'queued',  -- queued | running | done | failed
+            attempts INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL,
+            next_run_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            last_error TEXT,
+            error_history TEXT NOT NULL DEFAULT '[]',  -- JSON: [{ attempt, error, at }]
+            result TEXT,
+            started_at TEXT,
+            finished_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+        );
+    `);
+
+    // Review text fingerprints (services/review-similarity.js): a MinHash
+    // signature per ticket, and its LSH band keys for finding candidates
+    db.run(`
+        CREATE TABLE IF NOT EXISTS review_fingerprints (
+            ticket_id INTEGER PRIMARY KEY,
+            signature TEXT NOT NULL,  -- JSON: MinHash values
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+        );
+    `);
+    db.run(`
+        CREATE TABLE IF NOT EXISTS review_fingerprint_bands (
+            ticket_id INTEGER NOT NULL,
+            band_key TEXT NOT NULL,
+            FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+        );
+    `);
+
+    // What a submission's request looked like (services/fraud-scoring.js):
+    // the IP is stored only as a salted hash
+    db.run(`
+        CREATE TABLE IF NOT EXISTS submission_signals (
+            ticket_id INTEGER PRIMARY KEY,
+            ip_hash TEXT,
+            user_agent TEXT,
+            email TEXT,
+            email_domain TEXT,
+            lnurl_address TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (ticket_id) REFERENCES tickets(id)
+        );
+    `);
+
     // Settings table (key-value store for admin config)
     db.run(`
         CREATE TABLE IF NOT EXISTS settings (
@@ -134,12 +384,104 @@ async function initializeDatabase() {
         console.log('✅ Added telegram_chat_id column to users');
     } catch (e) { /* already exists */ }
 
+    // Email double opt-in (services/email-verification.js). The column
+    // defaults to verified so users from before it keep their tickets;
+    // createUser() starts new users with an email unverified.
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN email_verified INTEGER DEFAULT 1`);
+        console.log('✅ Added email_verified column to users');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN verify_token TEXT`);
+        console.log('✅ Added verify_token column to users');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN verify_sent_at TEXT`);
+        console.log('✅ Added verify_sent_at column to users');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN verify_reminders INTEGER DEFAULT 0`);
+        console.log('✅ Added verify_reminders column to users');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN verified_at TEXT`);
+        console.log('✅ Added verified_at column to users');
+    } catch (e) { /* already exists */ }
+
+    // Magic-link login to the player portal (services/player-portal.js)
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN login_token TEXT`);
+        console.log('✅ Added login_token column to users');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN login_token_expires_at TEXT`);
+        console.log('✅ Added login_token_expires_at column to users');
+    } catch (e) { /* already exists */ }
+
     // Add location_slug column to tickets (multi-location support)
     try {
         db.run(`ALTER TABLE tickets ADD COLUMN location_slug TEXT`);
         console.log('✅ Added location_slug column to tickets');
     } catch (e) { /* already exists */ }
 
+    // Which review validator gave the verdict (services/review-validators);
+    // NULL for decisions made by an admin or before validators existed
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN validated_by TEXT`);
+        console.log('✅ Added validated_by column to tickets');
+    } catch (e) { /* already exists */ }
+
+    // What the review extractor read off the review page (services/review-extractors)
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN review_platform TEXT`);
+        console.log('✅ Added review_platform column to tickets');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN review_rating REAL`);
+        console.log('✅ Added review_rating column to tickets');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN review_author TEXT`);
+        console.log('✅ Added review_author column to tickets');
+    } catch (e) { /* already exists */ }
+
+    // Canonical ids of the review link (services/review-links.js), and the
+    // earlier ticket a flagged repeat duplicates
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN canonical_review_id TEXT`);
+        console.log('✅ Added canonical_review_id column to tickets');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN canonical_place_id TEXT`);
+        console.log('✅ Added canonical_place_id column to tickets');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN duplicate_of INTEGER`);
+        console.log('✅ Added duplicate_of column to tickets');
+    } catch (e) { /* already exists */ }
+
+    // The earlier ticket whose review text this one's most resembles, when
+    // above review_similarity_threshold (services/review-similarity.js)
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN similar_to INTEGER`);
+        console.log('✅ Added similar_to column to tickets');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN text_similarity REAL`);
+        console.log('✅ Added text_similarity column to tickets');
+    } catch (e) { /* already exists */ }
+
+    // Fraud risk score (0-100) and the factors behind it, as JSON
+    // (services/fraud-scoring.js)
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN risk_score INTEGER`);
+        console.log('✅ Added risk_score column to tickets');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE tickets ADD COLUMN risk_factors TEXT`);
+        console.log('✅ Added risk_factors column to tickets');
+    } catch (e) { /* already exists */ }
+
     // LNURL-withdraw claim columns on raffles table (migration for existing DBs)
     try {
         db.run(`ALTER TABLE raffles ADD COLUMN claim_token TEXT`);
@@ -162,29 +504,253 @@ async function initializeDatabase() {
         console.log('✅ Added claim_payment_hash column to raffles');
     } catch (e) { /* already exists */ }
 
+    // Merkle root of the frozen entry list, stored on the raffle itself
+    try {
+        db.run(`ALTER TABLE raffles ADD COLUMN merkle_root TEXT`);
+        console.log('✅ Added merkle_root column to raffles');
+    } catch (e) { /* already exists */ }
+
+    // Winner-selection algorithm used for the draw. Existing rows predate the
+    // column and were all drawn with v1 (hash mod n), so that's the default.
+    try {
+        db.run(`ALTER TABLE raffles ADD COLUMN algo_version INTEGER NOT NULL DEFAULT 1`);
+        console.log('✅ Added algo_version column to raffles');
+    } catch (e) { /* already exists */ }
+
+    // v2+: JSON array of the block hashes mined after the raffle block that
+    // were chained into the seed (block_hash stays the raffle block's own hash)
+    try {
+        db.run(`ALTER TABLE raffles ADD COLUMN draw_block_hashes TEXT`);
+        console.log('✅ Added draw_block_hashes column to raffles');
+    } catch (e) { /* already exists */ }
+
+    // Prize tiers the raffle was drawn with (JSON snapshot of the config)
+    try {
+        db.run(`ALTER TABLE raffles ADD COLUMN prize_tiers TEXT`);
+        console.log('✅ Added prize_tiers column to raffles');
+    } catch (e) { /* already exists */ }
+
+    // How an expired, unclaimed prize was settled by the expiry sweeper:
+    // 'rollover' (sats back to the fund) or 'redrawn' (a replacement winner row
+    // points back at this one through replaces_winner_id)
+    try {
+        db.run(`ALTER TABLE raffle_winners ADD COLUMN expiry_action TEXT`);
+        console.log('✅ Added expiry_action column to raffle_winners');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE raffle_winners ADD COLUMN expiry_resolved_at TEXT`);
+        console.log('✅ Added expiry_resolved_at column to raffle_winners');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE raffle_winners ADD COLUMN replaces_winner_id INTEGER`);
+        console.log('✅ Added replaces_winner_id column to raffle_winners');
+    } catch (e) { /* already exists */ }
+
+    // Donations through the LNURL-pay Lightning Address (services/lnurl-pay.js):
+    // the donor's LUD-12 comment, the location handle it was sent to, when the
+    // invoice expires, and whether an admin hid the comment from the donor wall
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN comment TEXT`);
+        console.log('✅ Added comment column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN location_slug TEXT`);
+        console.log('✅ Added location_slug column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN expires_at TEXT`);
+        console.log('✅ Added expires_at column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN comment_hidden INTEGER NOT NULL DEFAULT 0`);
+        console.log('✅ Added comment_hidden column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+
+    // Nostr zaps (NIP-57) paid through the Lightning Address: the signed zap
+    // request the invoice commits to, who sent it, and our published receipt
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN zap_request TEXT`);
+        console.log('✅ Added zap_request column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN zapper_pubkey TEXT`);
+        console.log('✅ Added zapper_pubkey column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN zap_receipt_id TEXT`);
+        console.log('✅ Added zap_receipt_id column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+
+    // Invoices asked for in fiat (POST /api/generate-invoice with a currency):
+    // the amount asked for and the BTC price it was converted at
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN fiat_currency TEXT`);
+        console.log('✅ Added fiat_currency column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN fiat_amount REAL`);
+        console.log('✅ Added fiat_amount column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE deposit_addresses ADD COLUMN fiat_rate REAL`);
+        console.log('✅ Added fiat_rate column to deposit_addresses');
+    } catch (e) { /* already exists */ }
+
+    // Auto-payout to the winner's Lightning Address (services/auto-payout.js):
+    // auto_pay_status is NULL (not auto-paid), 'scheduled', 'paid' or
+    // 'fallback' (gave up and sent the claim link instead)
+    try {
+        db.run(`ALTER TABLE raffle_winners ADD COLUMN auto_pay_status TEXT`);
+        console.log('✅ Added auto_pay_status column to raffle_winners');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE raffle_winners ADD COLUMN auto_pay_next_at TEXT`);
+        console.log('✅ Added auto_pay_next_at column to raffle_winners');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE raffle_winners ADD COLUMN auto_pay_attempts INTEGER NOT NULL DEFAULT 0`);
+        console.log('✅ Added auto_pay_attempts column to raffle_winners');
+    } catch (e) { /* already exists */ }
+    try {
+        db.run(`ALTER TABLE raffle_winners ADD COLUMN auto_pay_error TEXT`);
+        console.log('✅ Added auto_pay_error column to raffle_winners');
+    } catch (e) { /* already exists */ }
+    // The address an auto-payout goes to, fixed at the draw: the winner's
+    // account can be given a different one afterwards
+    try {
+        db.run(`ALTER TABLE raffle_winners ADD COLUMN auto_pay_address TEXT`);
+        console.log('✅ Added auto_pay_address column to raffle_winners');
+    } catch (e) { /* already exists */ }
+
+    // Raffles from before multi-winner draws keep their single winner and
+    // claim state on the raffle row — copy it into raffle_winners once.
+    const backfilled = queryOne(`SELECT COUNT(*) as count FROM raffles WHERE id NOT IN (SELECT raffle_id FROM raffle_winners)`);
+    if (backfilled && backfilled.count > 0) {
+        db.run(`
+            INSERT INTO raffle_winners (
+                raffle_id, rank, tier, tier_name, winning_index, ticket_id, prize_amount_sats,
+                claim_token, claim_status, claim_expires_at, claimed_at, claim_payment_hash,
+                payment_status, payment_hash, payment_error, paid_at, created_at
+            )
+            SELECT id, 0, 0, 'Grand prize', winning_index, winning_ticket_id, prize_amount_sats,
+                claim_token, COALESCE(claim_status, 'pending'), claim_expires_at, claimed_at, claim_payment_hash,
+                COALESCE(payment_status, 'pending'), payment_hash, payment_error, paid_at, created_at
+            FROM raffles
+            WHERE id NOT IN (SELECT raffle_id FROM raffle_winners)
+        `);
+        console.log(`✅ Moved ${backfilled.count} raffle winner(s) into raffle_winners`);
+    }
+
     // Insert default settings if they don't exist
     const defaultSettings = [
-        ['review_mode', 'manual_review'],       // 'auto_approve' or 'manual_review'
+        ['review_mode', 'manual_review'],       // 'auto_approve', 'manual_review' or 'ai_assisted' (scraped + validated by a review job)
         ['review_link_mode', 'google'],         // 'google' or 'all' (all = major review sites)
+        ['review_validator_chain', 'anthropic,openai,rules'], // review validators to try, in order (services/review-validators)
+        ['review_prompt_version', 'v1'],         // prompt the language-model validators use (services/review-validators/prompts)
+        ['review_job_concurrency', '1'],         // review jobs (scrape + validate) run at once (services/review-jobs.js)
+        ['duplicate_review_policy', 'reject'],   // another user's ticket for the same review: 'reject' or 'flag' (services/review-links.js)
+        ['review_similarity_threshold', '0.7'],  // flag review text this similar (0-1) to an earlier ticket's (services/review-similarity.js)
+        ['fraud_hold_score', '0'],               // hold tickets with a risk score this high (1-100) for an admin; 0 = never (services/fraud-scoring.js)
+        ['ip_hash_salt', ''],                    // secret salt for hashed submission IPs (generated below)
         ['google_api_key', ''],
         ['raffle_auto_trigger', 'false'],        // 'true' or 'false'
         ['raffle_warning_sent_block', '0'],      // block number of last sent 144-warning
         ['raffle_block_notified', '0'],          // block number of last block-mined notification
         ['extra_telegram_chats', ''],            // comma-separated extra admin chat IDs
         ['pending_telegram_message', ''],        // queued message held during quiet hours
-        ['raffle_fund_sats', '0']               // dedicated raffle prize pool balance (sats)
+        ['entrant_hash_salt', ''],               // secret salt for public entrant hashes (generated below)
+        ['raffle_commit_lead_blocks', '6'],      // freeze + commit the ticket set this many blocks before the raffle block
+        ['raffle_prize_tiers', '[{"name":"Grand prize","count":1,"percent":100}]'], // JSON: [{ name, count, percent of the prize pool per winner }]
+        ['unclaimed_prize_policy', 'rollover'],  // expired claims: 'rollover' (back to the fund) or 'redraw' (next winner of the same draw)
+        ['auto_pay_grace_minutes', '60'],        // wait this long after a draw before auto-paying a winner's Lightning Address
+        ['prize_policy', '{"mode":"percent","percent":50,"fixedSats":0,"minSats":0,"maxSats":null,"reserveSats":0,"locations":{}}'] // JSON: see services/prize-policy.js
     ];
+    const hadPrizePolicy = !!queryOne(`SELECT 1 AS found FROM settings WHERE key = 'prize_policy'`);
     for (const [key, value] of defaultSettings) {
         db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)`, [key, value]);
     }
-    
+
+    // Tier percents used to be shares of the whole fund; they are now shares of
+    // the prize pool (the policy takes the 50%). Move the old default along,
+    // once, when the policy is first introduced.
+    if (!hadPrizePolicy) db.run(`UPDATE settings SET value = '[{"name":"Grand prize","count":1,"percent":100}]' WHERE key = 'raffle_prize_tiers' AND value = '[{"name":"Grand prize","count":1,"percent":50}]'`);
+
+    // Generate the entrant hash salt once. It never changes afterwards, so the
+    // same user keeps the same public hash across every raffle snapshot.
+    const saltRow = queryOne(`SELECT value FROM settings WHERE key = 'entrant_hash_salt'`);
+    if (!saltRow || !saltRow.value) {
+        db.run(`UPDATE settings SET value = ? WHERE key = 'entrant_hash_salt'`, [crypto.randomBytes(32).toString('hex')]);
+        console.log('✅ Generated entrant hash salt');
+    }
+
+    // Same for the salt submission IPs are hashed with. Changing it would
+    // split one IP's history in two, so it is only ever generated once.
+    const ipSaltRow = queryOne(`SELECT value FROM settings WHERE key = 'ip_hash_salt'`);
+    if (!ipSaltRow || !ipSaltRow.value) {
+        db.run(`UPDATE settings SET value = ? WHERE key = 'ip_hash_salt'`, [crypto.randomBytes(32).toString('hex')]);
+        console.log('✅ Generated IP hash salt');
+    }
+
+    // The raffle fund used to be a single `raffle_fund_sats` setting. Open the
+    // ledger with the balances it implied, once: donations received, prizes
+    // paid, prizes drawn but unpaid, and the fund itself. Whatever doesn't add
+    // up (manual seeds, unrecorded deductions) is booked as an adjustment.
+    const legacyFund = queryOne(`SELECT value FROM settings WHERE key = 'raffle_fund_sats'`);
+    if (legacyFund) {
+        const ledgerEmpty = !queryOne(`SELECT 1 AS found FROM ledger_transactions LIMIT 1`);
+        if (ledgerEmpty) {
+            const sum = (sql) => (queryOne(sql) || {}).total || 0;
+            const balances = {
+                donations: -sum(`SELECT SUM(amount_received_sats) AS total FROM deposit_addresses WHERE received_at IS NOT NULL AND amount_received_sats > 0`),
+                fund: parseInt(legacyFund.value || '0', 10) || 0,
+                reserved: sum(`SELECT SUM(prize_amount_sats) AS total FROM raffle_winners WHERE paid_at IS NULL AND expiry_action IS NULL AND prize_amount_sats > 0`),
+                paid_out: sum(`SELECT SUM(prize_amount_sats) AS total FROM raffle_winners WHERE paid_at IS NOT NULL AND prize_amount_sats > 0`)
+            };
+            balances.adjustments = -Object.values(balances).reduce((a, b) => a + b, 0);
+            const entries = Object.entries(balances)
+                .filter(([, sats]) => sats !== 0)
+                .map(([account, amountSats]) => ({ account, amountSats }));
+            if (entries.length > 0) {
+                transaction((exec) => writeLedgerTransaction(exec, {
+                    kind: 'opening_balance',
+                    memo: 'Opening balances carried over from the raffle fund setting',
+                    entries
+                }));
+            }
+        }
+        db.run(`DELETE FROM settings WHERE key = 'raffle_fund_sats'`);
+        console.log(`✅ Moved the raffle fund (${legacyFund.value} sats) into the ledger`);
+    }
+
     // Create indexes
     db.run(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_users_lnurl ON users(lnurl_address);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_users_verify_token ON users(verify_token);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_users_login_token ON users(login_token);`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_users_opt_out_token ON users(opt_out_token);`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_tickets_user_id ON tickets(user_id);`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_tickets_raffle_block ON tickets(raffle_block);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_tickets_canonical_review ON tickets(canonical_review_id);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_tickets_canonical_place ON tickets(canonical_place_id);`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_tickets_is_valid ON tickets(is_valid);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_raffle_entries_raffle_id ON raffle_entries(raffle_id);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_commitment_entries_commitment_id ON raffle_commitment_entries(commitment_id);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_raffle_winners_raffle_id ON raffle_winners(raffle_id);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_raffle_winners_claim_token ON raffle_winners(claim_token);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_claim_reminders_winner_id ON claim_reminders(winner_id);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction_id ON ledger_entries(transaction_id);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_payments_payment_hash ON payments(payment_hash);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_review_validations_ticket_id ON review_validations(ticket_id);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_review_jobs_status ON review_jobs(status, next_run_at);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_review_jobs_ticket_id ON review_jobs(ticket_id);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_review_fingerprint_bands_key ON review_fingerprint_bands(band_key);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_review_fingerprint_bands_ticket ON review_fingerprint_bands(ticket_id);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_submission_signals_ip_hash ON submission_signals(ip_hash, created_at);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_submission_signals_email ON submission_signals(email, created_at);`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_submission_signals_lnurl ON submission_signals(lnurl_address);`);
+    // The claim lock: at most one live or successful payment per prize
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_claim_lock ON payments(winner_id) WHERE status IN ('initiated', 'in_flight', 'succeeded');`);
     
     saveDatabase();
     console.log('✅ Database initialized');
@@ -217,22 +783,119 @@ function queryOne(sql, params = []) {
     return results.length > 0 ? results[0] : null;
 }
 
+// Helper to run insert/update and return lastInsertRowid, without saving
+function runNoSave(sql, params = []) {
+    db.run(sql, params);
+    const result = db.exec("SELECT last_insert_rowid() as id");
+    return result.length > 0 ? result[0].values[0][0] : null;
+}
+
 // Helper to run insert/update and return lastInsertRowid
 function run(sql, params = []) {
-    db.run(sql, params);
     // IMPORTANT: get last_insert_rowid BEFORE saveDatabase() — db.export() resets it
-    const result = db.exec("SELECT last_insert_rowid() as id");
-    const lastId = result.length > 0 ? result[0].values[0][0] : null;
+    const lastId = runNoSave(sql, params);
     saveDatabase();
     return lastId;
 }
 
+/**
+ * Run several writes atomically. `fn` receives a run-like helper that does NOT
+ * save: sql.js's export() closes and reopens the connection, which would
+ * silently end an open transaction. The database is saved once after COMMIT.
+ */
+function transaction(fn) {
+    db.run('BEGIN');
+    let result;
+    try {
+        result = fn(runNoSave);
+        db.run('COMMIT');
+    } catch (error) {
+        try { db.run('ROLLBACK'); } catch (e) { /* already rolled back */ }
+        throw error;
+    }
+    saveDatabase();
+    return result;
+}
+
+// Ledger functions
+const LEDGER_ACCOUNTS = ['donations', 'fund', 'reserved', 'paid_out', 'fees', 'adjustments', 'sponsors'];
+
+/**
+ * Write one ledger transaction with `exec` (inside an open transaction).
+ * `posting` is { kind, memo, refType, refId, entries: [{ account, amountSats }] };
+ * the entries must sum to zero. Throws before writing anything otherwise.
+ * @returns {number} the ledger transaction id
+ */
+function writeLedgerTransaction(exec, posting) {
+    const entries = (posting && posting.entries) || [];
+    if (!posting || !posting.kind) throw new Error('Ledger posting needs a kind');
+    if (entries.length === 0) throw new Error(`Ledger posting "${posting.kind}" has no entries`);
+    for (const e of entries) {
+        if (!LEDGER_ACCOUNTS.includes(e.account)) throw new Error(`Unknown ledger account "${e.account}"`);
+        if (!Number.isInteger(e.amountSats)) throw new Error(`Ledger amount for ${e.account} must be whole sats`);
+    }
+    const total = entries.reduce((sum, e) => sum + e.amountSats, 0);
+    if (total !== 0) throw new Error(`Ledger posting "${posting.kind}" is unbalanced by ${total} sats`);
+
+    const transactionId = exec(
+        `INSERT INTO ledger_transactions (kind, memo, ref_type, ref_id) VALUES (?, ?, ?, ?)`,
+        [posting.kind, posting.memo || null, posting.refType || null, posting.refId == null ? null : posting.refId]
+    );
+    for (const e of entries) {
+        exec(`INSERT INTO ledger_entries (transaction_id, account, amount_sats) VALUES (?, ?, ?)`, [transactionId, e.account, e.amountSats]);
+    }
+    return transactionId;
+}
+
+/**
+ * Post a ledger transaction on its own. Functions that change raffle or
+ * deposit state take their posting as an argument instead, so the state
+ * change and the posting are written atomically.
+ */
+function postLedgerTransaction(posting) {
+    return transaction((exec) => writeLedgerTransaction(exec, posting));
+}
+
+/**
+ * Balance of every ledger account (sum of its entries), 0 if unused.
+ */
+function getLedgerBalances() {
+    const balances = Object.fromEntries(LEDGER_ACCOUNTS.map(a => [a, 0]));
+    for (const row of query(`SELECT account, SUM(amount_sats) AS balance FROM ledger_entries GROUP BY account`)) {
+        balances[row.account] = row.balance || 0;
+    }
+    return balances;
+}
+
+/**
+ * Ledger transactions, newest first, each with its `entries`.
+ */
+function getLedgerTransactions(limit = 5000) {
+    const transactions = query(`SELECT * FROM ledger_transactions ORDER BY id DESC LIMIT ?`, [limit]);
+    if (transactions.length === 0) return [];
+    const byId = new Map(transactions.map(t => [t.id, { ...t, entries: [] }]));
+    const entries = query(
+        `SELECT transaction_id, account, amount_sats FROM ledger_entries WHERE transaction_id >= ? ORDER BY id`,
+        [transactions[transactions.length - 1].id]
+    );
+    for (const e of entries) {
+        const t = byId.get(e.transaction_id);
+        if (t) t.entries.push({ account: e.account, amountSats: e.amount_sats });
+    }
+    return [...byId.values()];
+}
+
 // User functions
+
+/**
+ * Create a user. One with an email starts unverified (double opt-in);
+ * one with only a Lightning address has nothing to verify.
+ */
 function createUser(email, lnurlAddress, optOutToken) {
     try {
         const id = run(
-            `INSERT INTO users (email, lnurl_address, opt_out_token) VALUES (?, ?, ?)`,
-            [email || null, lnurlAddress || null, optOutToken]
+            `INSERT INTO users (email, lnurl_address, opt_out_token, email_verified) VALUES (?, ?, ?, ?)`,
+            [email || null, lnurlAddress || null, optOutToken, email ? 0 : 1]
         );
         return { id };
     } catch (error) {
@@ -256,7 +919,10 @@ function findUserByLnurl(lnurlAddress) {
 /**
  * Find or create a user based on email and/or lnurl.
  * Tries to match by email first, then lnurl, then creates new.
- * Updates existing user with new info if found.
+ * An existing user gets a missing email added, but their Lightning address is
+ * never set or replaced here: anyone can type someone else's email, and the
+ * address is where prizes are paid. `lnurlKept` says a different address was
+ * given and ignored; players change it from /me (services/player-portal.js).
  */
 function findOrCreateUser(email, lnurlAddress, optOutToken) {
     let user = null;
@@ -275,23 +941,16 @@ function findOrCreateUser(email, lnurlAddress, optOutToken) {
         // Update user with any new info
         let updated = false;
         if (email && !user.email) {
-            run(`UPDATE users SET email = ? WHERE id = ?`, [email, user.id]);
-            updated = true;
-        }
-        if (lnurlAddress && !user.lnurl_address) {
-            run(`UPDATE users SET lnurl_address = ? WHERE id = ?`, [lnurlAddress, user.id]);
-            updated = true;
-        }
-        // Also update lnurl if user had one but provided a new one
-        if (lnurlAddress && user.lnurl_address && lnurlAddress !== user.lnurl_address) {
-            run(`UPDATE users SET lnurl_address = ? WHERE id = ?`, [lnurlAddress, user.id]);
+            // A new email has to be confirmed like any other
+            run(`UPDATE users SET email = ?, email_verified = 0, verify_token = NULL, verify_sent_at = NULL, verify_reminders = 0 WHERE id = ?`, [email, user.id]);
             updated = true;
         }
+        const lnurlKept = !!lnurlAddress && lnurlAddress !== user.lnurl_address;
         // Re-fetch if updated
         if (updated) {
             user = queryOne(`SELECT * FROM users WHERE id = ?`, [user.id]);
         }
-        return { user, created: false };
+        return { user, created: false, lnurlKept };
     }
     
     // Create new user
@@ -324,6 +983,90 @@ function deactivateUser(token) {
     run(`UPDATE users SET is_active = 0 WHERE opt_out_token = ?`, [token]);
 }
 
+function getUserById(id) {
+    return queryOne(`SELECT * FROM users WHERE id = ?`, [id]);
+}
+
+/**
+ * Store a new email confirmation token, sent at `sentAt`
+ */
+function setVerifyToken(userId, token, sentAt = new Date().toISOString()) {
+    run(`UPDATE users SET verify_token = ?, verify_sent_at = ? WHERE id = ?`, [token, sentAt, userId]);
+}
+
+function findUserByVerifyToken(token) {
+    if (!token) return null;
+    return queryOne(`SELECT * FROM users WHERE verify_token = ?`, [token]);
+}
+
+/**
+ * Confirm a user's email. Their approved tickets start counting, so any for a
+ * raffle whose entries are already committed move to the next open raffle,
+ * the same as a ticket approved late (see validateTicket).
+ */
+function markEmailVerified(userId) {
+    run(
+        `UPDATE users SET email_verified = 1, verified_at = ?, verify_token = NULL WHERE id = ?`,
+        [new Date().toISOString(), userId]
+    );
+
+    const frozen = query(`
+        SELECT t.id, t.raffle_block
+        FROM tickets t
+        JOIN raffle_commitments c ON c.block_height = t.raffle_block
+        WHERE t.user_id = ? AND t.is_valid = 1
+          AND NOT EXISTS (SELECT 1 FROM raffle_commitment_entries ce WHERE ce.commitment_id = c.id AND ce.ticket_id = t.id)
+    `, [userId]);
+    for (const ticket of frozen) {
+        const entryBlock = firstUnfrozenRaffleBlock(ticket.raffle_block);
+        run(`UPDATE tickets SET raffle_block = ? WHERE id = ?`, [entryBlock, ticket.id]);
+        console.log(`🔒 Ticket #${ticket.id}'s email confirmed after block #${ticket.raffle_block} was committed — moved to raffle #${entryBlock}`);
+    }
+}
+
+function recordVerifyReminder(userId, sentAt = new Date().toISOString()) {
+    run(
+        `UPDATE users SET verify_reminders = COALESCE(verify_reminders, 0) + 1, verify_sent_at = ? WHERE id = ?`,
+        [sentAt, userId]
+    );
+}
+
+/**
+ * Active users who haven't confirmed their email but have tickets that would
+ * count (approved or still pending), with how many
+ */
+function getUnverifiedUsersWithTickets() {
+    return query(`
+        SELECT u.*, COUNT(t.id) AS ticket_count
+        FROM users u
+        JOIN tickets t ON t.user_id = u.id
+        WHERE u.is_active = 1 AND u.email IS NOT NULL AND u.email_verified = 0
+          AND (t.is_valid = 1 OR t.validation_reason IS NULL)
+        GROUP BY u.id
+        ORDER BY u.id
+    `);
+}
+
+/**
+ * Store a player's magic-link login token (replacing any earlier one)
+ */
+function setLoginToken(userId, token, expiresAt) {
+    run(`UPDATE users SET login_token = ?, login_token_expires_at = ? WHERE id = ?`, [token, expiresAt, userId]);
+}
+
+function findUserByLoginToken(token) {
+    if (!token) return null;
+    return queryOne(`SELECT * FROM users WHERE login_token = ?`, [token]);
+}
+
+function clearLoginToken(userId) {
+    run(`UPDATE users SET login_token = NULL, login_token_expires_at = NULL WHERE id = ?`, [userId]);
+}
+
+function setUserLnurl(userId, lnurlAddress) {
+    run(`UPDATE users SET lnurl_address = ? WHERE id = ?`, [lnurlAddress || null, userId]);
+}
+
 function getAllUsers() {
     return query(`SELECT * FROM users WHERE is_active = 1 ORDER BY created_at DESC`);
 }
@@ -351,18 +1094,37 @@ function getUserTelegramStatus(email) {
 
 // Ticket functions
 function createTicket(userId, reviewLink, reviewText, merchantName, raffleBlock, triedBitcoin, merchantAccepted, locationSlug) {
+    // A raffle whose ticket set is already committed can't take new entries
+    const entryBlock = raffleBlock ? firstUnfrozenRaffleBlock(raffleBlock) : raffleBlock;
     const id = run(
         `INSERT INTO tickets (user_id, review_link, review_text, merchant_name, raffle_block, tried_bitcoin, merchant_accepted, location_slug) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [userId, reviewLink, reviewText, merchantName, raffleBlock, triedBitcoin ? 1 : 0, merchantAccepted ? 1 : 0, locationSlug || null]
+        [userId, reviewLink, reviewText, merchantName, entryBlock, triedBitcoin ? 1 : 0, merchantAccepted ? 1 : 0, locationSlug || null]
     );
-    return { id };
+    return { id, raffleBlock: entryBlock };
 }
 
-function validateTicket(ticketId, isValid, reason) {
+/**
+ * Record a verdict on a ticket. `validatedBy` names the review validator that
+ * gave it; leave it out for an admin's own decision.
+ */
+function validateTicket(ticketId, isValid, reason, validatedBy = null) {
     run(
-        `UPDATE tickets SET is_valid = ?, validation_reason = ? WHERE id = ?`,
-        [isValid ? 1 : 0, reason, ticketId]
+        `UPDATE tickets SET is_valid = ?, validation_reason = ?, validated_by = ? WHERE id = ?`,
+        [isValid ? 1 : 0, reason, validatedBy, ticketId]
     );
+
+    // Approving a ticket after its raffle was committed rolls it forward to the
+    // next raffle — unless it is part of the committed set (re-approval after
+    // an accidental reject puts it straight back where it was).
+    if (isValid) {
+        const ticket = queryOne(`SELECT raffle_block FROM tickets WHERE id = ?`, [ticketId]);
+        const commitment = ticket && ticket.raffle_block ? getRaffleCommitment(ticket.raffle_block) : null;
+        if (commitment && !queryOne(`SELECT 1 FROM raffle_commitment_entries WHERE commitment_id = ? AND ticket_id = ?`, [commitment.id, ticketId])) {
+            const entryBlock = firstUnfrozenRaffleBlock(ticket.raffle_block);
+            run(`UPDATE tickets SET raffle_block = ? WHERE id = ?`, [entryBlock, ticketId]);
+            console.log(`🔒 Ticket #${ticketId} approved after block #${ticket.raffle_block} was committed — moved to raffle #${entryBlock}`);
+        }
+    }
 }
 
 function updateTicketReviewText(ticketId, reviewText) {
@@ -379,20 +1141,208 @@ function updateTicketMerchant(ticketId, merchantName) {
     );
 }
 
+function updateTicketReviewDetails(ticketId, { platform = null, rating = null, author = null } = {}) {
+    run(
+        `UPDATE tickets SET review_platform = ?, review_rating = ?, review_author = ? WHERE id = ?`,
+        [platform, rating, author, ticketId]
+    );
+}
+
+function setTicketCanonicalIds(ticketId, { canonicalReviewId, canonicalPlaceId = null, duplicateOf = null }) {
+    run(
+        `UPDATE tickets SET canonical_review_id = ?, canonical_place_id = ?, duplicate_of = ? WHERE id = ?`,
+        [canonicalReviewId, canonicalPlaceId, duplicateOf, ticketId]
+    );
+}
+
+/**
+ * Tickets with the same canonical review id, or from the same user for the
+ * same place — oldest first
+ */
+function findTicketsByCanonicalId(canonicalReviewId, userId = null, canonicalPlaceId = null) {
+    if (userId && canonicalPlaceId) {
+        return query(
+            `SELECT id, user_id, canonical_review_id, canonical_place_id FROM tickets
+             WHERE canonical_review_id = ? OR (user_id = ? AND canonical_place_id = ?) ORDER BY id`,
+            [canonicalReviewId, userId, canonicalPlaceId]
+        );
+    }
+    return query(
+        `SELECT id, user_id, canonical_review_id, canonical_place_id FROM tickets WHERE canonical_review_id = ? ORDER BY id`,
+        [canonicalReviewId]
+    );
+}
+
+/**
+ * Every ticket whose canonical review id is shared with another ticket
+ */
+function getDuplicateTickets() {
+    return query(`
+        SELECT t.id, t.user_id, u.email, t.review_link, t.merchant_name, t.canonical_review_id,
+               t.duplicate_of, t.is_valid, t.validation_reason, t.submitted_at
+        FROM tickets t
+        LEFT JOIN users u ON u.id = t.user_id
+        WHERE t.canonical_review_id IN (
+            SELECT canonical_review_id FROM tickets
+            WHERE canonical_review_id IS NOT NULL
+            GROUP BY canonical_review_id HAVING COUNT(*) > 1
+        )
+        ORDER BY t.canonical_review_id, t.id
+    `);
+}
+
+function getTicketsWithoutCanonicalId() {
+    return query(`SELECT id, user_id, review_link FROM tickets WHERE canonical_review_id IS NULL AND review_link IS NOT NULL ORDER BY id`);
+}
+
+/**
+ * Store a ticket's review text fingerprint, replacing any earlier one
+ */
+function saveReviewFingerprint(ticketId, signature, bandKeys) {
+    transaction((exec) => {
+        exec(`DELETE FROM review_fingerprint_bands WHERE ticket_id = ?`, [ticketId]);
+        exec(`INSERT OR REPLACE INTO review_fingerprints (ticket_id, signature) VALUES (?, ?)`, [ticketId, JSON.stringify(signature)]);
+        for (const key of bandKeys) {
+            exec(`INSERT INTO review_fingerprint_bands (ticket_id, band_key) VALUES (?, ?)`, [ticketId, key]);
+        }
+    });
+}
+
+function deleteReviewFingerprint(ticketId) {
+    transaction((exec) => {
+        exec(`DELETE FROM review_fingerprint_bands WHERE ticket_id = ?`, [ticketId]);
+        exec(`DELETE FROM review_fingerprints WHERE ticket_id = ?`, [ticketId]);
+    });
+}
+
+/**
+ * Other tickets sharing at least one band key, with their signatures
+ * @param {Object} [options]
+ * @param {boolean} [options.earlierOnly] - only tickets submitted before this one
+ */
+function findFingerprintCandidates(ticketId, bandKeys, { earlierOnly = false } = {}) {
+    if (bandKeys.length === 0) return [];
+    const placeholders = bandKeys.map(() => '?').join(', ');
+    return query(`
+        SELECT f.ticket_id, f.signature
+        FROM review_fingerprints f
+        WHERE f.ticket_id != ? ${earlierOnly ? 'AND f.ticket_id < ?' : ''}
+          AND f.ticket_id IN (SELECT DISTINCT ticket_id FROM review_fingerprint_bands WHERE band_key IN (${placeholders}))
+        ORDER BY f.ticket_id
+    `, earlierOnly ? [ticketId, ticketId, ...bandKeys] : [ticketId, ...bandKeys]).map(row => ({
+        ticketId: row.ticket_id,
+        signature: JSON.parse(row.signature)
+    }));
+}
+
+function getReviewFingerprint(ticketId) {
+    const row = queryOne(`SELECT signature FROM review_fingerprints WHERE ticket_id = ?`, [ticketId]);
+    return row ? JSON.parse(row.signature) : null;
+}
+
+function setTicketSimilarity(ticketId, similarTo, similarity) {
+    run(
+        `UPDATE tickets SET similar_to = ?, text_similarity = ? WHERE id = ?`,
+        [similarTo, similarity, ticketId]
+    );
+}
+
+function getTicketsWithoutFingerprint() {
+    return query(`
+        SELECT t.id, t.review_text FROM tickets t
+        WHERE t.review_text IS NOT NULL
+          AND t.id NOT IN (SELECT ticket_id FROM review_fingerprints)
+        ORDER BY t.id
+    `);
+}
+
+/**
+ * Store what a submission's request looked like
+ */
+function saveSubmissionSignals(ticketId, { ipHash, userAgent, email, emailDomain, lnurlAddress }) {
+    run(
+        `INSERT OR REPLACE INTO submission_signals (ticket_id, ip_hash, user_agent, email, email_domain, lnurl_address) VALUES (?, ?, ?, ?, ?, ?)`,
+        [ticketId, ipHash || null, userAgent || null, email || null, emailDomain || null, lnurlAddress || null]
+    );
+}
+
+function getSubmissionSignals(ticketId) {
+    return queryOne(`SELECT * FROM submission_signals WHERE ticket_id = ?`, [ticketId]);
+}
+
+/**
+ * How a submission compares with the others: emails seen from its IP, recent
+ * submissions from its IP and its email, and emails that used its Lightning address
+ * @param {Object} [options]
+ * @param {number} [options.ipDays] - how far back to count emails from the IP
+ * @param {number} [options.velocityMinutes] - the window recent submissions are counted in
+ */
+function getSubmissionCounts(ticketId, { ipDays = 30, velocityMinutes = 60 } = {}) {
+    const signals = getSubmissionSignals(ticketId);
+    if (!signals) return null;
+    const count = (sql, params) => (queryOne(sql, params) || {}).count || 0;
+    const since = (amount, unit) => `datetime('now', '-${Math.floor(amount)} ${unit}')`;
+    return {
+        emailsFromIp: signals.ip_hash ? count(
+            `SELECT COUNT(DISTINCT email) AS count FROM submission_signals WHERE ip_hash = ? AND email IS NOT NULL AND created_at >= ${since(ipDays, 'days')}`,
+            [signals.ip_hash]
+        ) : 0,
+        recentFromIp: signals.ip_hash ? count(
+            `SELECT COUNT(*) AS count FROM submission_signals WHERE ip_hash = ? AND created_at >= ${since(velocityMinutes, 'minutes')}`,
+            [signals.ip_hash]
+        ) : 0,
+        recentFromEmail: signals.email ? count(
+            `SELECT COUNT(*) AS count FROM submission_signals WHERE email = ? AND created_at >= ${since(velocityMinutes, 'minutes')}`,
+            [signals.email]
+        ) : 0,
+        emailsForLnurl: signals.lnurl_address ? count(
+            `SELECT COUNT(DISTINCT email) AS count FROM submission_signals WHERE lnurl_address = ? AND email IS NOT NULL`,
+            [signals.lnurl_address]
+        ) : 0
+    };
+}
+
+function setTicketRisk(ticketId, score, factors) {
+    run(
+        `UPDATE tickets SET risk_score = ?, risk_factors = ? WHERE id = ?`,
+        [score, JSON.stringify(factors), ticketId]
+    );
+}
+
 function findTicketByUserAndLink(userId, reviewLink) {
     return queryOne(`SELECT * FROM tickets WHERE user_id = ? AND review_link = ?`, [userId, reviewLink]);
 }
 
+// A ticket in the committed entry set of its raffle keeps its place even if
+// the user's email later needs confirming again (e.g. they add an email to a
+// Lightning-only account), so the draw still matches the commitment
+const CONFIRMED_OR_COMMITTED = `(u.email_verified = 1 OR EXISTS (
+    SELECT 1 FROM raffle_commitment_entries ce
+    JOIN raffle_commitments c ON c.id = ce.commitment_id
+    WHERE c.block_height = t.raffle_block AND ce.ticket_id = t.id
+))`;
+
+/**
+ * A raffle's entries: approved tickets from active users who confirmed their
+ * email (or that are already in the raffle's committed set)
+ */
 function getValidTicketsForBlock(raffleBlock) {
     return query(`
         SELECT t.*, u.email, u.lnurl_address 
         FROM tickets t 
         JOIN users u ON t.user_id = u.id 
-        WHERE t.is_valid = 1 AND t.raffle_block = ? AND u.is_active = 1
+        WHERE t.is_valid = 1 AND t.raffle_block = ? AND u.is_active = 1 AND ${CONFIRMED_OR_COMMITTED}
         ORDER BY t.id
     `, [raffleBlock]);
 }
 
+/**
+ * One user's tickets, newest first
+ */
+function getTicketsByUser(userId) {
+    return query(`SELECT * FROM tickets WHERE user_id = ? ORDER BY submitted_at DESC, id DESC`, [userId]);
+}
+
 function getAllTickets() {
     return query(`
         SELECT t.*, u.email, u.lnurl_address
@@ -427,85 +1377,272 @@ function getApprovedPublicTickets() {
 }
 
 /**
- * Set or unset the featured flag on a ticket
+ * Set or unset the featured flag on a ticket
+ */
+function featureTicket(ticketId, isFeatured) {
+    run(
+        `UPDATE tickets SET is_featured = ? WHERE id = ?`,
+        [isFeatured ? 1 : 0, ticketId]
+    );
+}
+
+function getPendingTickets() {
+    return query(`
+        SELECT t.*, u.email, u.lnurl_address
+        FROM tickets t 
+        LEFT JOIN users u ON t.user_id = u.id 
+        WHERE t.is_valid = 0 AND t.validation_reason IS NULL
+        ORDER BY t.submitted_at DESC
+    `);
+}
+
+function getUnvalidatedTickets() {
+    return query(`
+        SELECT t.id, t.review_link, t.review_text, t.merchant_name, t.is_valid, t.validation_reason, t.duplicate_of
+        FROM tickets t
+        WHERE t.validation_reason IS NULL 
+           OR t.validation_reason LIKE 'Auto-validated%'
+           OR t.review_text IS NULL
+        ORDER BY t.submitted_at ASC
+    `);
+}
+
+function getTicketById(id) {
+    return queryOne(`
+        SELECT t.*, u.email, u.lnurl_address 
+        FROM tickets t 
+        LEFT JOIN users u ON t.user_id = u.id 
+        WHERE t.id = ?
+    `, [id]);
+}
+
+function countValidTicketsForBlock(raffleBlock) {
+    const result = queryOne(`
+        SELECT COUNT(*) as count 
+        FROM tickets t 
+        JOIN users u ON t.user_id = u.id 
+        WHERE t.is_valid = 1 AND t.raffle_block = ? AND u.is_active = 1 AND ${CONFIRMED_OR_COMMITTED}
+    `, [raffleBlock]);
+    return result ? result.count : 0;
+}
+
+// Raffle functions
+function createRaffle(blockHeight, blockHash, totalTickets, winningIndex, winningTicketId, prizeAmountSats) {
+    const id = run(
+        `INSERT INTO raffles (block_height, block_hash, total_tickets, winning_index, winning_ticket_id, prize_amount_sats) VALUES (?, ?, ?, ?, ?, ?)`,
+        [blockHeight, blockHash, totalTickets, winningIndex, winningTicketId, prizeAmountSats]
+    );
+    return { id };
+}
+
+/**
+ * Public, stable identifier for a raffle entrant: sha256(salt:userId).
+ * The salt is secret so small sequential user IDs can't be brute-forced back
+ * out of the published hash, but the same user always gets the same hash.
+ */
+function hashEntrantId(userId) {
+    const salt = getSetting('entrant_hash_salt') || '';
+    return crypto.createHash('sha256').update(`${salt}:${userId}`).digest('hex');
+}
+
+/**
+ * Turn ordered tickets into the public entry list used for snapshots and
+ * Merkle commitments: [{ position, ticketId, entrantHash }].
+ */
+function buildEntryList(tickets) {
+    return tickets.map((ticket, position) => ({
+        position,
+        ticketId: ticket.id,
+        entrantHash: hashEntrantId(ticket.user_id)
+    }));
+}
+
+/**
+ * Create a raffle AND freeze its ordered entry list in one transaction.
+ * `tickets` must be in the exact order the winner index was computed against
+ * (position i = the ticket the selection algorithm maps index i to).
+ * `draw` records how the winners were computed:
+ *   { algoVersion, extraBlockHashes, prizeTiers, winners }
+ * where each winner is { rank, tier, tierName, winningIndex, ticketId,
+ * prizeSats, claimToken, claimExpiresAt, autoPayAt, autoPayAddress } (an
+ * auto-payout is scheduled for autoPayAt, to autoPayAddress). Without `winners`, the single
+ * winner given by winningIndex / winningTicketId is recorded (v1 style).
+ * `winningIndex` / `winningTicketId` always describe the first winner.
+ * `draw.posting` (optional) is the ledger posting that reserves the prizes;
+ * it is written in the same transaction and refers to the new raffle.
+ */
+function createRaffleWithEntries(blockHeight, blockHash, totalTickets, winningIndex, winningTicketId, prizeAmountSats, tickets, draw = {}) {
+    const entries = buildEntryList(tickets);
+    const algoVersion = draw.algoVersion || 1;
+    const extraBlockHashes = draw.extraBlockHashes && draw.extraBlockHashes.length > 0
+        ? JSON.stringify(draw.extraBlockHashes)
+        : null;
+    const winners = draw.winners || [{
+        rank: 0, tier: 0, tierName: 'Grand prize', winningIndex, ticketId: winningTicketId, prizeSats: prizeAmountSats
+    }];
+    const id = transaction((exec) => {
+        const raffleId = exec(
+            `INSERT INTO raffles (block_height, block_hash, total_tickets, winning_index, winning_ticket_id, prize_amount_sats, merkle_root, algo_version, draw_block_hashes, prize_tiers) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [blockHeight, blockHash, totalTickets, winningIndex, winningTicketId, prizeAmountSats, merkle.computeRoot(entries), algoVersion, extraBlockHashes, draw.prizeTiers ? JSON.stringify(draw.prizeTiers) : null]
+        );
+        for (const entry of entries) {
+            exec(
+                `INSERT INTO raffle_entries (raffle_id, position, ticket_id, entrant_hash) VALUES (?, ?, ?, ?)`,
+                [raffleId, entry.position, entry.ticketId, entry.entrantHash]
+            );
+        }
+        for (const w of winners) {
+            exec(
+                `INSERT INTO raffle_winners (raffle_id, rank, tier, tier_name, winning_index, ticket_id, prize_amount_sats, claim_token, claim_expires_at, auto_pay_status, auto_pay_next_at, auto_pay_address) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [raffleId, w.rank, w.tier, w.tierName, w.winningIndex, w.ticketId, w.prizeSats || null, w.claimToken || null, w.claimExpiresAt || null, w.autoPayAt ? 'scheduled' : null, w.autoPayAt || null, w.autoPayAt ? w.autoPayAddress || null : null]
+            );
+        }
+        if (draw.posting) {
+            writeLedgerTransaction(exec, { refType: 'raffle', refId: raffleId, ...draw.posting });
+        }
+        return raffleId;
+    });
+    return { id };
+}
+
+/**
+ * Get the frozen entry snapshot for a raffle, ordered by position.
+ * Returns [] for raffles committed before snapshots existed.
+ */
+function getRaffleEntries(raffleId) {
+    return query(`
+        SELECT position, ticket_id, entrant_hash
+        FROM raffle_entries
+        WHERE raffle_id = ?
+        ORDER BY position
+    `, [raffleId]);
+}
+
+function getRaffleById(raffleId) {
+    return withWinners(queryOne(`
+        SELECT r.*, t.review_link, u.email, u.lnurl_address
+        FROM raffles r
+        LEFT JOIN tickets t ON r.winning_ticket_id = t.id
+        LEFT JOIN users u ON t.user_id = u.id
+        WHERE r.id = ?
+    `, [raffleId]));
+}
+
+// Raffle commitment functions (pre-draw Merkle root)
+/**
+ * Store the frozen entry list for an upcoming raffle block and its Merkle root.
+ * `entries` comes from buildEntryList(). One commitment per raffle block.
+ */
+function createRaffleCommitment(blockHeight, commitHeight, entries, merkleRoot) {
+    const id = transaction((exec) => {
+        const commitmentId = exec(
+            `INSERT INTO raffle_commitments (block_height, commit_height, merkle_root, total_entries) VALUES (?, ?, ?, ?)`,
+            [blockHeight, commitHeight, merkleRoot, entries.length]
+        );
+        for (const entry of entries) {
+            exec(
+                `INSERT INTO raffle_commitment_entries (commitment_id, position, ticket_id, entrant_hash) VALUES (?, ?, ?, ?)`,
+                [commitmentId, entry.position, entry.ticketId, entry.entrantHash]
+            );
+        }
+        return commitmentId;
+    });
+    return { id };
+}
+
+function getRaffleCommitment(blockHeight) {
+    return queryOne(`SELECT * FROM raffle_commitments WHERE block_height = ?`, [blockHeight]);
+}
+
+function getAllRaffleCommitments() {
+    return query(`SELECT * FROM raffle_commitments ORDER BY block_height DESC`);
+}
+
+/**
+ * Committed entries in position order, shaped like buildEntryList() output.
+ */
+function getRaffleCommitmentEntries(commitmentId) {
+    return query(`
+        SELECT position, ticket_id, entrant_hash
+        FROM raffle_commitment_entries
+        WHERE commitment_id = ?
+        ORDER BY position
+    `, [commitmentId]).map(e => ({ position: e.position, ticketId: e.ticket_id, entrantHash: e.entrant_hash }));
+}
+
+/**
+ * Walk forward from `raffleBlock` to the first raffle whose ticket set has
+ * not been committed yet.
  */
-function featureTicket(ticketId, isFeatured) {
-    run(
-        `UPDATE tickets SET is_featured = ? WHERE id = ?`,
-        [isFeatured ? 1 : 0, ticketId]
-    );
+function firstUnfrozenRaffleBlock(raffleBlock) {
+    let block = raffleBlock;
+    while (getRaffleCommitment(block)) {
+        block = getNextRaffleBlock(block);
+    }
+    return block;
 }
 
-function getPendingTickets() {
-    return query(`
-        SELECT t.*, u.email, u.lnurl_address
-        FROM tickets t 
-        LEFT JOIN users u ON t.user_id = u.id 
-        WHERE t.is_valid = 0 AND t.validation_reason IS NULL
-        ORDER BY t.submitted_at DESC
-    `);
+function findRaffleByBlock(blockHeight) {
+    return queryOne(`SELECT * FROM raffles WHERE block_height = ?`, [blockHeight]);
 }
 
-function getUnvalidatedTickets() {
-    return query(`
-        SELECT t.id, t.review_link, t.review_text, t.merchant_name, t.is_valid, t.validation_reason
-        FROM tickets t
-        WHERE t.validation_reason IS NULL 
-           OR t.validation_reason LIKE 'Auto-validated%'
-           OR t.review_text IS NULL
-        ORDER BY t.submitted_at ASC
-    `);
+/**
+ * Mark a winner paid, posting the payout to the ledger in the same
+ * transaction (`posting` may be null for a prize that never had an amount).
+ */
+function markWinnerPaid(winnerId, paymentHash = null, posting = null) {
+    transaction((exec) => {
+        exec(`UPDATE raffle_winners SET payment_status = 'paid', payment_hash = ?, paid_at = datetime('now') WHERE id = ?`, [paymentHash, winnerId]);
+        if (posting) writeLedgerTransaction(exec, posting);
+    });
 }
 
-function getTicketById(id) {
-    return queryOne(`
-        SELECT t.*, u.email, u.lnurl_address 
-        FROM tickets t 
-        LEFT JOIN users u ON t.user_id = u.id 
-        WHERE t.id = ?
-    `, [id]);
+function markWinnerPaymentFailed(winnerId, error) {
+    run(`UPDATE raffle_winners SET payment_status = 'failed', payment_error = ? WHERE id = ?`, [error, winnerId]);
 }
 
-function countValidTicketsForBlock(raffleBlock) {
-    const result = queryOne(`
-        SELECT COUNT(*) as count 
-        FROM tickets t 
-        JOIN users u ON t.user_id = u.id 
-        WHERE t.is_valid = 1 AND t.raffle_block = ? AND u.is_active = 1
-    `, [raffleBlock]);
-    return result ? result.count : 0;
+// Winner rows joined with the raffle, ticket and user they belong to
+const WINNER_SELECT = `
+    SELECT w.*, r.block_height, r.total_tickets, t.review_link, t.merchant_name, t.location_slug, u.email, u.lnurl_address, u.telegram_chat_id
+    FROM raffle_winners w
+    JOIN raffles r ON w.raffle_id = r.id
+    LEFT JOIN tickets t ON w.ticket_id = t.id
+    LEFT JOIN users u ON t.user_id = u.id
+`;
+
+/**
+ * Winners of one raffle, in draw order (rank 0 = first prize).
+ */
+function getRaffleWinners(raffleId) {
+    return query(`${WINNER_SELECT} WHERE w.raffle_id = ? ORDER BY w.rank`, [raffleId]);
 }
 
-// Raffle functions
-function createRaffle(blockHeight, blockHash, totalTickets, winningIndex, winningTicketId, prizeAmountSats) {
-    const id = run(
-        `INSERT INTO raffles (block_height, block_hash, total_tickets, winning_index, winning_ticket_id, prize_amount_sats) VALUES (?, ?, ?, ?, ?, ?)`,
-        [blockHeight, blockHash, totalTickets, winningIndex, winningTicketId, prizeAmountSats]
-    );
-    return { id };
+function getAllRaffleWinners() {
+    return query(`${WINNER_SELECT} ORDER BY w.created_at DESC, w.rank`);
 }
 
-function findRaffleByBlock(blockHeight) {
-    return queryOne(`SELECT * FROM raffles WHERE block_height = ?`, [blockHeight]);
+/**
+ * Every prize one user has won, newest first
+ */
+function getWinnersByUser(userId) {
+    return query(`${WINNER_SELECT} WHERE t.user_id = ? ORDER BY w.created_at DESC, w.rank`, [userId]);
 }
 
-function markRafflePaid(raffleId, paymentHash = null) {
-    run(`UPDATE raffles SET payment_status = 'paid', payment_hash = ?, paid_at = datetime('now') WHERE id = ?`, [paymentHash, raffleId]);
+function getRaffleWinnerById(winnerId) {
+    return queryOne(`${WINNER_SELECT} WHERE w.id = ?`, [winnerId]);
 }
 
-function markRafflePaymentFailed(raffleId, error) {
-    run(`UPDATE raffles SET payment_status = 'failed', payment_error = ? WHERE id = ?`, [error, raffleId]);
+/**
+ * Attach `winners` to raffle rows. The raffle's own paid_at / claim_status
+ * columns only describe pre-multi-winner raffles; read winners instead.
+ */
+function withWinners(raffle) {
+    if (!raffle) return raffle;
+    return { ...raffle, winners: getRaffleWinners(raffle.id) };
 }
 
-function getUnpaidRaffles() {
-    return query(`
-        SELECT r.*, t.review_link, u.email, u.lnurl_address
-        FROM raffles r
-        LEFT JOIN tickets t ON r.winning_ticket_id = t.id
-        LEFT JOIN users u ON t.user_id = u.id
-        WHERE r.payment_status != 'paid'
-        ORDER BY r.created_at DESC
-    `);
+function getUnpaidRaffleWinners() {
+    return query(`${WINNER_SELECT} WHERE w.paid_at IS NULL AND w.claim_status != 'expired' ORDER BY w.created_at DESC, w.rank`);
 }
 
 function getAllRaffles() {
@@ -515,7 +1652,7 @@ function getAllRaffles() {
         LEFT JOIN tickets t ON r.winning_ticket_id = t.id
         LEFT JOIN users u ON t.user_id = u.id
         ORDER BY r.created_at DESC
-    `);
+    `).map(withWinners);
 }
 
 function getMostRecentlyReviewedMerchant() {
@@ -530,26 +1667,45 @@ function getMostRecentlyReviewedMerchant() {
     `);
 }
 
-function deleteRaffle(raffleId) {
-    run(`DELETE FROM raffles WHERE id = ?`, [raffleId]);
+/**
+ * Delete a raffle with its entries, winners and reminders. `posting` releases
+ * the prizes it still had reserved (the ledger keeps its history).
+ */
+function deleteRaffle(raffleId, posting = null) {
+    transaction((exec) => {
+        if (posting) writeLedgerTransaction(exec, posting);
+        exec(`DELETE FROM raffle_entries WHERE raffle_id = ?`, [raffleId]);
+        exec(`DELETE FROM claim_reminders WHERE winner_id IN (SELECT id FROM raffle_winners WHERE raffle_id = ?)`, [raffleId]);
+        exec(`DELETE FROM raffle_winners WHERE raffle_id = ?`, [raffleId]);
+        exec(`DELETE FROM raffles WHERE id = ?`, [raffleId]);
+    });
 }
 
 function getLatestRaffle() {
-    return queryOne(`
+    return withWinners(queryOne(`
         SELECT r.*, t.review_link, u.email, u.lnurl_address
         FROM raffles r
         LEFT JOIN tickets t ON r.winning_ticket_id = t.id
         LEFT JOIN users u ON t.user_id = u.id
         ORDER BY r.created_at DESC
         LIMIT 1
-    `);
+    `));
 }
 
 // Deposit address functions
-function createDepositAddress(address, type, invoice = null, paymentHash = null, memo = null) {
+/**
+ * Track a deposit address or invoice. `extra` holds what LNURL-pay invoices
+ * also record: { comment, locationSlug, expiresAt, zapRequest, zapperPubkey },
+ * and for invoices asked for in fiat { fiatCurrency, fiatAmount, fiatRate }.
+ */
+function createDepositAddress(address, type, invoice = null, paymentHash = null, memo = null, extra = {}) {
     const id = run(
-        `INSERT INTO deposit_addresses (address, type, invoice, payment_hash, memo) VALUES (?, ?, ?, ?, ?)`,
-        [address, type, invoice, paymentHash, memo]
+        `INSERT INTO deposit_addresses (address, type, invoice, payment_hash, memo, comment, location_slug, expires_at, zap_request, zapper_pubkey,
+            fiat_currency, fiat_amount, fiat_rate)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [address, type, invoice, paymentHash, memo, extra.comment || null, extra.locationSlug || null, extra.expiresAt || null,
+            extra.zapRequest || null, extra.zapperPubkey || null,
+            extra.fiatCurrency || null, extra.fiatAmount || null, extra.fiatRate || null]
     );
     return { id };
 }
@@ -566,8 +1722,15 @@ function deactivateAllDepositAddresses(type) {
     run(`UPDATE deposit_addresses SET is_active = 0 WHERE type = ?`, [type]);
 }
 
-function markDepositReceived(id, amountSats) {
-    run(`UPDATE deposit_addresses SET amount_received_sats = ?, received_at = datetime('now'), is_active = 0 WHERE id = ?`, [amountSats, id]);
+/**
+ * Mark a deposit received, crediting the donation to the ledger in the same
+ * transaction (`posting` is null for an empty deposit).
+ */
+function markDepositReceived(id, amountSats, posting = null) {
+    transaction((exec) => {
+        exec(`UPDATE deposit_addresses SET amount_received_sats = ?, received_at = datetime('now'), is_active = 0 WHERE id = ?`, [amountSats, id]);
+        if (posting) writeLedgerTransaction(exec, posting);
+    });
 }
 
 function getAllDepositAddresses() {
@@ -582,8 +1745,16 @@ function getDepositAddressByPaymentHash(paymentHash) {
     return queryOne(`SELECT * FROM deposit_addresses WHERE payment_hash = ?`, [paymentHash]);
 }
 
+/**
+ * Lightning invoices still worth polling: unpaid, and not expired more than an
+ * hour ago (LNURL-pay issues one per wallet scan, most never paid)
+ */
 function getUnpaidLightningInvoices() {
-    return query(`SELECT * FROM deposit_addresses WHERE type = 'lightning' AND payment_hash IS NOT NULL AND received_at IS NULL`);
+    return query(`
+        SELECT * FROM deposit_addresses
+        WHERE type = 'lightning' AND payment_hash IS NOT NULL AND received_at IS NULL
+          AND (expires_at IS NULL OR datetime(expires_at) > datetime('now', '-1 hour'))
+    `);
 }
 
 function getTotalDonationsReceived() {
@@ -591,39 +1762,282 @@ function getTotalDonationsReceived() {
     return result ? (result.total || 0) : 0;
 }
 
-// Claim functions (LNURL-withdraw)
-function setRaffleClaimToken(raffleId, claimToken, expiresAt) {
-    run(`UPDATE raffles SET claim_token = ?, claim_status = 'pending', claim_expires_at = ? WHERE id = ?`, [claimToken, expiresAt, raffleId]);
+/**
+ * Paid donations that came with a comment, newest first. The public wall
+ * leaves out comments an admin hid.
+ */
+function getDonorWall({ limit = 50, includeHidden = false } = {}) {
+    return query(`
+        SELECT id, amount_received_sats, comment, location_slug, comment_hidden, received_at
+        FROM deposit_addresses
+        WHERE received_at IS NOT NULL AND amount_received_sats > 0 AND comment IS NOT NULL
+          ${includeHidden ? '' : 'AND comment_hidden = 0'}
+        ORDER BY received_at DESC, id DESC
+        LIMIT ?
+    `, [limit]);
+}
+
+function setDonorCommentHidden(depositId, hidden) {
+    run(`UPDATE deposit_addresses SET comment_hidden = ? WHERE id = ? AND comment IS NOT NULL`, [hidden ? 1 : 0, depositId]);
+}
+
+/**
+ * Paid zaps, newest first, for the zapper list on the landing page
+ */
+function getRecentZaps({ limit = 12 } = {}) {
+    return query(`
+        SELECT id, amount_received_sats, zapper_pubkey, received_at
+        FROM deposit_addresses
+        WHERE received_at IS NOT NULL AND amount_received_sats > 0 AND zapper_pubkey IS NOT NULL
+        ORDER BY received_at DESC, id DESC
+        LIMIT ?
+    `, [limit]);
+}
+
+function setZapReceiptId(depositId, eventId) {
+    run(`UPDATE deposit_addresses SET zap_receipt_id = ? WHERE id = ?`, [eventId, depositId]);
 }
 
-function findRaffleByClaimToken(token) {
+// Claim functions (LNURL-withdraw) — one claim per winner
+function findWinnerByClaimToken(token) {
     if (!token) return null;
-    return queryOne(`
-        SELECT r.*, t.review_link, u.email, u.lnurl_address
-        FROM raffles r
-        LEFT JOIN tickets t ON r.winning_ticket_id = t.id
-        LEFT JOIN users u ON t.user_id = u.id
-        WHERE r.claim_token = ?
-    `, [token]);
+    return queryOne(`${WINNER_SELECT} WHERE w.claim_token = ?`, [token]);
+}
+
+function markWinnerClaimExpired(winnerId) {
+    run(`UPDATE raffle_winners SET claim_status = 'expired' WHERE id = ?`, [winnerId]);
+}
+
+/**
+ * Unpaid winners whose claim link has lapsed and that the expiry sweeper has
+ * not settled yet. Includes winners already marked expired by the claim page;
+ * skips any with a payment still in flight.
+ */
+function getExpiredUnclaimedWinners() {
+    return query(`
+        ${WINNER_SELECT}
+        WHERE w.claim_status IN ('pending', 'expired')
+          AND w.paid_at IS NULL
+          AND w.expiry_action IS NULL
+          AND w.claim_expires_at IS NOT NULL
+          AND datetime(w.claim_expires_at) < datetime('now')
+          AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.winner_id = w.id AND p.status IN ('initiated', 'in_flight'))
+        ORDER BY w.raffle_id, w.rank
+    `);
+}
+
+/**
+ * Winners who can still claim: unpaid, unclaimed and not yet expired. Skips
+ * winners waiting for an auto-payout (they haven't been sent a claim link).
+ */
+function getWinnersAwaitingClaim() {
+    return query(`
+        ${WINNER_SELECT}
+        WHERE w.claim_status = 'pending'
+          AND w.paid_at IS NULL
+          AND (w.auto_pay_status IS NULL OR w.auto_pay_status != 'scheduled')
+          AND w.claim_expires_at IS NOT NULL
+          AND datetime(w.claim_expires_at) > datetime('now')
+        ORDER BY w.claim_expires_at
+    `);
 }
 
-function markRaffleClaimed(raffleId, paymentHash) {
-    run(`UPDATE raffles SET claim_status = 'claimed', claimed_at = datetime('now'), claim_payment_hash = ?, payment_status = 'paid', paid_at = datetime('now') WHERE id = ?`, [paymentHash, raffleId]);
+/**
+ * Reminders already recorded for a winner (any channel, sent or failed).
+ */
+function getClaimReminders(winnerId) {
+    return query(`SELECT * FROM claim_reminders WHERE winner_id = ? ORDER BY sent_at`, [winnerId]);
 }
 
-function markRaffleClaimExpired(raffleId) {
-    run(`UPDATE raffles SET claim_status = 'expired' WHERE id = ?`, [raffleId]);
+function recordClaimReminder(winnerId, reminder, channel, status) {
+    run(`INSERT OR IGNORE INTO claim_reminders (winner_id, reminder, channel, status) VALUES (?, ?, ?, ?)`, [winnerId, reminder, channel, status]);
 }
 
-function getExpiredUnclaimedRaffles() {
+// Auto-payout functions — see services/auto-payout.js
+
+/**
+ * Winners scheduled for an auto-payout whose next attempt is due
+ */
+function getDueAutoPayouts() {
     return query(`
-        SELECT * FROM raffles 
-        WHERE claim_status = 'pending' 
-          AND claim_expires_at IS NOT NULL 
-          AND claim_expires_at < datetime('now')
+        ${WINNER_SELECT}
+        WHERE w.auto_pay_status = 'scheduled'
+          AND w.claim_status = 'pending'
+          AND datetime(w.auto_pay_next_at) <= datetime('now')
+        ORDER BY w.auto_pay_next_at, w.id
     `);
 }
 
+/**
+ * Record a failed attempt and when to try again
+ */
+function recordAutoPayoutRetry(winnerId, attempts, nextAt, error) {
+    run(`UPDATE raffle_winners SET auto_pay_attempts = ?, auto_pay_next_at = ?, auto_pay_error = ? WHERE id = ?`, [attempts, nextAt, error, winnerId]);
+}
+
+/**
+ * Check back on a payment still in flight later, without counting an attempt
+ */
+function deferAutoPayout(winnerId, nextAt) {
+    run(`UPDATE raffle_winners SET auto_pay_next_at = ? WHERE id = ?`, [nextAt, winnerId]);
+}
+
+function markAutoPayoutPaid(winnerId, attempts) {
+    run(`UPDATE raffle_winners SET auto_pay_status = 'paid', auto_pay_attempts = ?, auto_pay_next_at = NULL, auto_pay_error = NULL WHERE id = ?`, [attempts, winnerId]);
+}
+
+/**
+ * Give up on the auto-payout: the winner gets a claim link, valid from now
+ */
+function fallBackToClaimLink(winnerId, attempts, error, claimExpiresAt) {
+    run(
+        `UPDATE raffle_winners SET auto_pay_status = 'fallback', auto_pay_attempts = ?, auto_pay_next_at = NULL, auto_pay_error = ?, claim_expires_at = ? WHERE id = ?`,
+        [attempts, error, claimExpiresAt, winnerId]
+    );
+}
+
+// Payment functions — see services/payments.js for the state machine
+const PAYMENT_TRANSITIONS = {
+    initiated: ['in_flight', 'succeeded', 'failed'],
+    in_flight: ['succeeded', 'failed'],
+    succeeded: [],
+    failed: []
+};
+
+/**
+ * Record a payment about to be sent (status 'initiated'). This takes the
+ * claim lock: it throws with code PAYMENT_LOCKED if the winner already has a
+ * payment in progress or paid.
+ * @returns {number} the payment id
+ */
+function createPayment({ winnerId, raffleId, source, destination = null, bolt11, paymentHash, amountSats }) {
+    try {
+        return run(
+            `INSERT INTO payments (winner_id, raffle_id, source, destination, bolt11, payment_hash, amount_sats) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [winnerId, raffleId, source, destination, bolt11, paymentHash, amountSats]
+        );
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            const existing = getActivePayment(winnerId);
+            const err = new Error(existing && existing.status === 'succeeded'
+                ? 'This prize has already been paid'
+                : 'A payment for this prize is already in progress');
+            err.code = 'PAYMENT_LOCKED';
+            err.existing = existing;
+            throw err;
+        }
+        throw error;
+    }
+}
+
+function getPayment(paymentId) {
+    return queryOne(`SELECT * FROM payments WHERE id = ?`, [paymentId]);
+}
+
+/**
+ * The payment holding a winner's claim lock (in progress or paid), if any
+ */
+function getActivePayment(winnerId) {
+    return queryOne(`SELECT * FROM payments WHERE winner_id = ? AND status IN ('initiated', 'in_flight', 'succeeded') ORDER BY id DESC LIMIT 1`, [winnerId]);
+}
+
+/**
+ * Payments whose outcome isn't known yet, oldest first
+ */
+function getOpenPayments() {
+    return query(`SELECT * FROM payments WHERE status IN ('initiated', 'in_flight') ORDER BY id`);
+}
+
+function getRecentPayments(limit = 200) {
+    return query(`SELECT * FROM payments ORDER BY id DESC LIMIT ?`, [limit]);
+}
+
+/**
+ * Move a payment to `status` with `exec` (inside an open transaction).
+ * Throws if the state machine doesn't allow the move.
+ */
+function transitionPayment(exec, paymentId, status, { preimage = null, feeSats = null, failureReason = null } = {}) {
+    const payment = getPayment(paymentId);
+    if (!payment) throw new Error(`Payment #${paymentId} not found`);
+    if (!PAYMENT_TRANSITIONS[payment.status].includes(status)) {
+        throw new Error(`Payment #${paymentId} can't go from ${payment.status} to ${status}`);
+    }
+    const done = status === 'succeeded' || status === 'failed';
+    exec(`
+        UPDATE payments
+        SET status = ?, preimage = COALESCE(?, preimage), fee_sats = COALESCE(?, fee_sats), failure_reason = ?,
+            updated_at = datetime('now'), completed_at = ${done ? "datetime('now')" : 'NULL'}
+        WHERE id = ?
+    `, [status, preimage, feeSats, failureReason, paymentId]);
+    return payment;
+}
+
+function markPaymentInFlight(paymentId) {
+    transaction((exec) => transitionPayment(exec, paymentId, 'in_flight'));
+}
+
+/**
+ * A payment the node gave up on (or never received). Releases the claim
+ * lock, so the prize can be paid again.
+ */
+function failPayment(paymentId, failureReason) {
+    transaction((exec) => {
+        const payment = transitionPayment(exec, paymentId, 'failed', { failureReason });
+        exec(`UPDATE raffle_winners SET payment_status = 'failed', payment_error = ? WHERE id = ?`, [failureReason, payment.winner_id]);
+    });
+}
+
+/**
+ * A payment that went through: marks the winner paid (and claimed, for an
+ * LNURL-withdraw claim) and posts the payout, all in one transaction.
+ */
+function completePayment(paymentId, { preimage = null, feeSats = 0 } = {}, posting = null) {
+    transaction((exec) => {
+        const payment = transitionPayment(exec, paymentId, 'succeeded', { preimage, feeSats });
+        if (payment.source === 'lnurl_withdraw') {
+            exec(`UPDATE raffle_winners SET claim_status = 'claimed', claimed_at = datetime('now'), claim_payment_hash = ?, payment_status = 'paid', paid_at = datetime('now') WHERE id = ?`, [payment.payment_hash, payment.winner_id]);
+        } else {
+            exec(`UPDATE raffle_winners SET payment_status = 'paid', payment_hash = ?, paid_at = datetime('now') WHERE id = ?`, [payment.payment_hash, payment.winner_id]);
+        }
+        if (posting) writeLedgerTransaction(exec, posting);
+    });
+}
+
+/**
+ * Settle an expired prize by returning it to the raffle fund. `posting`
+ * moves the reserved prize back to the fund (null for a prize without an
+ * amount).
+ */
+function rolloverExpiredWinner(winnerId, posting = null) {
+    transaction((exec) => {
+        exec(`UPDATE raffle_winners SET claim_status = 'expired', expiry_action = 'rollover', expiry_resolved_at = datetime('now') WHERE id = ?`, [winnerId]);
+        if (posting) writeLedgerTransaction(exec, posting);
+    });
+}
+
+/**
+ * Settle an expired prize by handing it to a replacement winner. The new row
+ * is appended after the raffle's existing winners (rank = next rank), keeps
+ * the expired winner's tier and prize, and points back at it.
+ * `replacement` is { winningIndex, ticketId, claimToken, claimExpiresAt };
+ * `posting` records the reserved prize changing hands.
+ * @returns {{ id: number, rank: number }}
+ */
+function redrawExpiredWinner(expiredWinner, replacement, posting = null) {
+    return transaction((exec) => {
+        const last = queryOne(`SELECT MAX(rank) as rank FROM raffle_winners WHERE raffle_id = ?`, [expiredWinner.raffle_id]);
+        const rank = (last && last.rank !== null ? last.rank : -1) + 1;
+        exec(`UPDATE raffle_winners SET claim_status = 'expired', expiry_action = 'redrawn', expiry_resolved_at = datetime('now') WHERE id = ?`, [expiredWinner.id]);
+        const id = exec(
+            `INSERT INTO raffle_winners (raffle_id, rank, tier, tier_name, winning_index, ticket_id, prize_amount_sats, claim_token, claim_expires_at, replaces_winner_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [expiredWinner.raffle_id, rank, expiredWinner.tier, expiredWinner.tier_name, replacement.winningIndex, replacement.ticketId,
+                expiredWinner.prize_amount_sats, replacement.claimToken, replacement.claimExpiresAt, expiredWinner.id]
+        );
+        if (posting) writeLedgerTransaction(exec, posting);
+        return { id, rank };
+    });
+}
+
 // Location-filtered ticket queries
 /**
  * Get approved tickets filtered by location slug.
@@ -660,6 +2074,202 @@ function getMostRecentlyReviewedMerchantByLocation(locationSlug) {
     `, [locationSlug]);
 }
 
+// Campaign functions — see services/campaigns.js
+const CAMPAIGN_SELECT = `
+    SELECT c.*,
+        COALESCE((SELECT SUM(donated_sats) FROM campaign_contributions WHERE campaign_id = c.id), 0) AS donated_sats,
+        COALESCE((SELECT SUM(matched_sats) FROM campaign_contributions WHERE campaign_id = c.id), 0) AS matched_sats,
+        (SELECT COUNT(*) FROM campaign_contributions WHERE campaign_id = c.id) AS contributions,
+        COALESCE((
+            SELECT SUM(e.amount_sats) FROM ledger_entries e
+            JOIN ledger_transactions t ON t.id = e.transaction_id
+            WHERE t.kind = 'sponsor_paid' AND t.ref_type = 'campaign' AND t.ref_id = c.id AND e.account = 'sponsors'
+        ), 0) AS sponsor_paid_sats
+    FROM campaigns c
+`;
+
+function createCampaign({ name, goalSats, startBlock, endBlock, sponsorName = null, matchRatioPct = 100, matchCapSats = 0 }) {
+    return run(
+        `INSERT INTO campaigns (name, goal_sats, start_block, end_block, sponsor_name, match_ratio_pct, match_cap_sats) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [name, goalSats, startBlock, endBlock, sponsorName, matchRatioPct, matchCapSats]
+    );
+}
+
+function getCampaign(campaignId) {
+    return queryOne(`${CAMPAIGN_SELECT} WHERE c.id = ?`, [campaignId]);
+}
+
+function getAllCampaigns() {
+    return query(`${CAMPAIGN_SELECT} ORDER BY c.start_block DESC, c.id DESC`);
+}
+
+/**
+ * Campaigns running at a block height (not cancelled)
+ */
+function getCampaignsAtBlock(height) {
+    return query(`${CAMPAIGN_SELECT} WHERE c.cancelled_at IS NULL AND c.start_block <= ? AND c.end_block >= ? ORDER BY c.id`, [height, height]);
+}
+
+function cancelCampaign(campaignId) {
+    run(`UPDATE campaigns SET cancelled_at = datetime('now') WHERE id = ? AND cancelled_at IS NULL`, [campaignId]);
+}
+
+/**
+ * Count a donation toward a campaign, posting the sponsor's match in the same
+ * transaction. A deposit counts once per campaign.
+ * @returns {number|null} the contribution id, or null if already counted
+ */
+function recordCampaignContribution(campaignId, depositId, donatedSats, matchedSats, posting = null) {
+    try {
+        return transaction((exec) => {
+            const id = exec(
+                `INSERT INTO campaign_contributions (campaign_id, deposit_id, donated_sats, matched_sats) VALUES (?, ?, ?, ?)`,
+                [campaignId, depositId, donatedSats, matchedSats]
+            );
+            if (posting) {
+                exec(`UPDATE campaign_contributions SET ledger_transaction_id = ? WHERE id = ?`, [writeLedgerTransaction(exec, posting), id]);
+            }
+            return id;
+        });
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) return null;
+        throw error;
+    }
+}
+
+// Review validation functions — see services/review-validators
+/**
+ * Store one validator attempt. `verdict` is what the validator returned
+ * (stored as JSON); failed attempts have an `error` and no verdict.
+ * @returns {number} the validation id
+ */
+function recordReviewValidation({ ticketId = null, validator, promptVersion = null, model = null, rawResponse = null, verdict = null, latencyMs = null, error = null }) {
+    return run(
+        `INSERT INTO review_validations (ticket_id, validator, prompt_version, model, raw_response, verdict, is_valid, confidence, reason, latency_ms, error)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            ticketId, validator, promptVersion, model, rawResponse,
+            verdict ? JSON.stringify(verdict) : null,
+            verdict ? (verdict.isValid ? 1 : 0) : null,
+            verdict ? verdict.confidence : null,
+            verdict ? verdict.reason : null,
+            latencyMs, error
+        ]
+    );
+}
+
+/**
+ * A ticket's validator attempts, newest first
+ */
+function getReviewValidations(ticketId) {
+    return query(`SELECT * FROM review_validations WHERE ticket_id = ? ORDER BY id DESC`, [ticketId]);
+}
+
+// Review job functions — see services/review-jobs.js
+const REVIEW_JOB_SELECT = `
+    SELECT j.*, t.review_link, t.merchant_name, t.is_valid, t.validation_reason
+    FROM review_jobs j
+    LEFT JOIN tickets t ON t.id = j.ticket_id
+`;
+
+/**
+ * Queue a job for a ticket, unless one is already queued or running for it.
+ * @returns {number|null} the job id, or null if the ticket already has one
+ */
+function createReviewJob(ticketId, maxAttempts) {
+    const active = queryOne(`SELECT id FROM review_jobs WHERE ticket_id = ? AND status IN ('queued', 'running')`, [ticketId]);
+    if (active) return null;
+    return run(`INSERT INTO review_jobs (ticket_id, max_attempts) VALUES (?, ?)`, [ticketId, maxAttempts]);
+}
+
+/**
+ * Take the next due job and mark it running (counts as an attempt).
+ * sql.js is synchronous, so no other worker can claim it in between.
+ */
+function claimNextReviewJob() {
+    const job = queryOne(`
+        SELECT id FROM review_jobs
+        WHERE status = 'queued' AND datetime(next_run_at) <= datetime('now')
+        ORDER BY datetime(next_run_at), id
+        LIMIT 1
+    `);
+    if (!job) return null;
+    run(`UPDATE review_jobs SET status = 'running', attempts = attempts + 1, started_at = datetime('now') WHERE id = ?`, [job.id]);
+    return getReviewJob(job.id);
+}
+
+function withJobError(job, error) {
+    const history = JSON.parse(job.error_history || '[]');
+    history.push({ attempt: job.attempts, error, at: new Date().toISOString() });
+    return JSON.stringify(history);
+}
+
+function completeReviewJob(jobId, result) {
+    run(`UPDATE review_jobs SET status = 'done', result = ?, next_run_at = NULL, finished_at = datetime('now') WHERE id = ?`, [result, jobId]);
+}
+
+function retryReviewJob(job, error, nextRunAt) {
+    run(
+        `UPDATE review_jobs SET status = 'queued', last_error = ?, error_history = ?, next_run_at = ? WHERE id = ?`,
+        [error, withJobError(job, error), nextRunAt, job.id]
+    );
+}
+
+function failReviewJob(job, error) {
+    run(
+        `UPDATE review_jobs SET status = 'failed', last_error = ?, error_history = ?, next_run_at = NULL, finished_at = datetime('now') WHERE id = ?`,
+        [error, withJobError(job, error), job.id]
+    );
+}
+
+/**
+ * Put a finished or failed job back in the queue with a fresh set of attempts.
+ * Its error history is kept.
+ * @returns {boolean} false if the job is still queued or running
+ */
+function requeueReviewJob(jobId) {
+    const job = getReviewJob(jobId);
+    if (!job || job.status === 'queued' || job.status === 'running') return false;
+    run(
+        `UPDATE review_jobs SET status = 'queued', attempts = 0, next_run_at = datetime('now'), result = NULL, finished_at = NULL WHERE id = ?`,
+        [jobId]
+    );
+    return true;
+}
+
+/**
+ * Jobs left running by a crash or restart go back in the queue
+ * @returns {number} how many
+ */
+function resetRunningReviewJobs() {
+    const running = query(`SELECT * FROM review_jobs WHERE status = 'running'`);
+    for (const job of running) {
+        retryReviewJob(job, 'Interrupted by a restart', new Date().toISOString());
+    }
+    return running.length;
+}
+
+function getReviewJob(jobId) {
+    return queryOne(`${REVIEW_JOB_SELECT} WHERE j.id = ?`, [jobId]);
+}
+
+function getRecentReviewJobs({ status = null, limit = 100 } = {}) {
+    return status
+        ? query(`${REVIEW_JOB_SELECT} WHERE j.status = ? ORDER BY j.id DESC LIMIT ?`, [status, limit])
+        : query(`${REVIEW_JOB_SELECT} ORDER BY j.id DESC LIMIT ?`, [limit]);
+}
+
+/**
+ * Jobs per status: { queued, running, done, failed }
+ */
+function getReviewJobCounts() {
+    const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+    for (const row of query(`SELECT status, COUNT(*) AS count FROM review_jobs GROUP BY status`)) {
+        counts[row.status] = row.count;
+    }
+    return counts;
+}
+
 // Settings functions
 function getSetting(key) {
     const row = queryOne(`SELECT value FROM settings WHERE key = ?`, [key]);
@@ -689,6 +2299,16 @@ module.exports = {
     findOrCreateUser,
     findUserByOptOutToken,
     deactivateUser,
+    getUserById,
+    setVerifyToken,
+    findUserByVerifyToken,
+    markEmailVerified,
+    recordVerifyReminder,
+    getUnverifiedUsersWithTickets,
+    setLoginToken,
+    findUserByLoginToken,
+    clearLoginToken,
+    setUserLnurl,
     setUserTelegramChatId,
     getUserTelegramStatus,
     getAllUsers,
@@ -699,8 +2319,24 @@ module.exports = {
     validateTicket,
     updateTicketReviewText,
     updateTicketMerchant,
+    updateTicketReviewDetails,
+    setTicketCanonicalIds,
+    findTicketsByCanonicalId,
+    getDuplicateTickets,
+    getTicketsWithoutCanonicalId,
+    saveReviewFingerprint,
+    deleteReviewFingerprint,
+    findFingerprintCandidates,
+    getReviewFingerprint,
+    setTicketSimilarity,
+    getTicketsWithoutFingerprint,
+    saveSubmissionSignals,
+    getSubmissionSignals,
+    getSubmissionCounts,
+    setTicketRisk,
     findTicketByUserAndLink,
     getValidTicketsForBlock,
+    getTicketsByUser,
     getAllTickets,
     getPublicTickets,
     getApprovedPublicTickets,
@@ -713,22 +2349,67 @@ module.exports = {
     
     // Raffle functions
     createRaffle,
+    createRaffleWithEntries,
+    getRaffleEntries,
+    getRaffleById,
+    hashEntrantId,
+    buildEntryList,
     findRaffleByBlock,
-    markRafflePaid,
-    markRafflePaymentFailed,
-    getUnpaidRaffles,
     getAllRaffles,
     deleteRaffle,
     getMostRecentlyReviewedMerchant,
     getMostRecentlyReviewedMerchantByLocation,
     getLatestRaffle,
     
+    // Raffle commitment functions
+    createRaffleCommitment,
+    getRaffleCommitment,
+    getAllRaffleCommitments,
+    getRaffleCommitmentEntries,
+
+    // Raffle winner functions (one row per prize)
+    getRaffleWinners,
+    getAllRaffleWinners,
+    getRaffleWinnerById,
+    getWinnersByUser,
+    getUnpaidRaffleWinners,
+    markWinnerPaid,
+    markWinnerPaymentFailed,
+
     // Claim functions (LNURL-withdraw)
-    setRaffleClaimToken,
-    findRaffleByClaimToken,
-    markRaffleClaimed,
-    markRaffleClaimExpired,
-    getExpiredUnclaimedRaffles,
+    findWinnerByClaimToken,
+    markWinnerClaimExpired,
+    getExpiredUnclaimedWinners,
+    rolloverExpiredWinner,
+    redrawExpiredWinner,
+    getWinnersAwaitingClaim,
+    getClaimReminders,
+    recordClaimReminder,
+
+    // Auto-payout functions
+    getDueAutoPayouts,
+    recordAutoPayoutRetry,
+    deferAutoPayout,
+    markAutoPayoutPaid,
+    fallBackToClaimLink,
+
+    // Campaign functions
+    createCampaign,
+    getCampaign,
+    getAllCampaigns,
+    getCampaignsAtBlock,
+    cancelCampaign,
+    recordCampaignContribution,
+
+    // Payment functions (prize payouts)
+    createPayment,
+    getPayment,
+    getActivePayment,
+    getOpenPayments,
+    getRecentPayments,
+    markPaymentInFlight,
+    failPayment,
+    completePayment,
     
     // Deposit address functions
     createDepositAddress,
@@ -741,7 +2422,33 @@ module.exports = {
     getDepositAddressByPaymentHash,
     getUnpaidLightningInvoices,
     getTotalDonationsReceived,
+    getDonorWall,
+    setDonorCommentHidden,
+    getRecentZaps,
+    setZapReceiptId,
     
+    // Ledger functions (see services/ledger.js)
+    LEDGER_ACCOUNTS,
+    postLedgerTransaction,
+    getLedgerBalances,
+    getLedgerTransactions,
+    
+    // Review validation functions
+    recordReviewValidation,
+    getReviewValidations,
+
+    // Review job functions
+    createReviewJob,
+    claimNextReviewJob,
+    completeReviewJob,
+    retryReviewJob,
+    failReviewJob,
+    requeueReviewJob,
+    resetRunningReviewJobs,
+    getReviewJob,
+    getRecentReviewJobs,
+    getReviewJobCounts,
+
     // Settings functions
     getSetting,
     setSetting,
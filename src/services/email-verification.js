@@ -0,0 +1,135 @@
+/**
+ * Email verification (double opt-in)
+ *
+ * Anyone can type any email into the submit form, so a new user with an
+ * email starts unverified and gets a confirm link (/verify/:token) in their
+ * welcome email. Their tickets are reviewed as usual but only enter a raffle
+ * (db.getValidTicketsForBlock) once the link has been opened — so the real
+ * owner of an address never ends up with someone else's entries and winner
+ * emails. Users from before verification existed count as verified.
+ *
+ * Unverified users with tickets that would count get up to two reminders,
+ * 24 hours after the welcome email and 72 hours after the first reminder.
+ * The token stays the same, so every link they were sent keeps working.
+ * Admins can also confirm a user by hand or send the link again.
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+const email = require('./email');
+
+// Hours since the last email before each reminder
+const REMINDER_AFTER_HOURS = [24, 72];
+
+function newToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function invalid(message, code = 'VERIFICATION_INVALID') {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * The user's confirmation token, issuing one if they have none yet, and
+ * mark it sent at `now`
+ */
+function issueToken(user, now = Date.now()) {
+    const token = user.verify_token || newToken();
+    db.setVerifyToken(user.id, token, new Date(now).toISOString());
+    return token;
+}
+
+/**
+ * Send a new user's welcome email with their confirm link
+ */
+async function sendConfirmation(user) {
+    const token = issueToken(user);
+    return email.sendRegistrationEmail(user.email, user.opt_out_token, token);
+}
+
+/**
+ * Confirm the email behind a token
+ * @returns {Object|null} the user, or null if the token is unknown or the user opted out
+ */
+function verify(token) {
+    const user = db.findUserByVerifyToken(token);
+    if (!user || !user.is_active) return null;
+    db.markEmailVerified(user.id);
+    console.log(`📧 User #${user.id} confirmed their email`);
+    return db.getUserById(user.id);
+}
+
+/**
+ * Confirm a user's email without their confirm link: by an admin, or because
+ * they opened a login link sent to it (services/player-portal.js)
+ */
+function markVerified(userId, by = 'an admin') {
+    const user = db.getUserById(userId);
+    if (!user) throw invalid('User not found', 'USER_NOT_FOUND');
+    if (!user.email) throw invalid('User has no email to confirm');
+    db.markEmailVerified(user.id);
+    console.log(`📧 User #${user.id}'s email confirmed by ${by}`);
+    return db.getUserById(user.id);
+}
+
+/**
+ * Send a user their confirm link again (admin). Doesn't count as a reminder.
+ */
+async function resend(userId) {
+    const user = db.getUserById(userId);
+    if (!user) throw invalid('User not found', 'USER_NOT_FOUND');
+    if (!user.email) throw invalid('User has no email to confirm');
+    if (user.email_verified) throw invalid('Email is already confirmed');
+
+    const token = issueToken(user);
+    const withTickets = db.getUnverifiedUsersWithTickets().find(u => u.id === user.id);
+    return withTickets
+        ? email.sendVerificationReminderEmail(user.email, token, user.opt_out_token, withTickets.ticket_count)
+        : email.sendRegistrationEmail(user.email, user.opt_out_token, token);
+}
+
+/**
+ * The reminder number (1-based) due for a user now, or null
+ */
+function dueReminder(user, now = Date.now()) {
+    const sent = user.verify_reminders || 0;
+    if (sent >= REMINDER_AFTER_HOURS.length) return null;
+    // Never emailed (e.g. an email added to a Lightning-only account): remind now
+    if (!user.verify_sent_at) return sent + 1;
+    const hoursSince = (now - new Date(user.verify_sent_at).getTime()) / (60 * 60 * 1000);
+    return hoursSince >= REMINDER_AFTER_HOURS[sent] ? sent + 1 : null;
+}
+
+/**
+ * Remind unverified users whose tickets are waiting on them. Runs with the
+ * raffle watcher.
+ * @returns {Promise<number>} reminders sent
+ */
+async function sendDueReminders(now = Date.now()) {
+    let count = 0;
+    for (const user of db.getUnverifiedUsersWithTickets()) {
+        const reminder = dueReminder(user, now);
+        if (!reminder) continue;
+
+        const token = user.verify_token || issueToken(user, now);
+        const result = await email.sendVerificationReminderEmail(user.email, token, user.opt_out_token, user.ticket_count)
+            .catch(err => ({ success: false, error: err.message }));
+        // Recorded even if it failed: the next reminder will try again
+        db.recordVerifyReminder(user.id, new Date(now).toISOString());
+        count++;
+        console.log(`📧 Email confirmation reminder ${reminder}/${REMINDER_AFTER_HOURS.length} for user #${user.id} (${user.ticket_count} ticket(s) waiting): ${result && result.success ? '✓' : '✗'}`);
+    }
+    return count;
+}
+
+module.exports = {
+    REMINDER_AFTER_HOURS,
+    sendConfirmation,
+    verify,
+    markVerified,
+    resend,
+    dueReminder,
+    sendDueReminders
+};
@@ -21,11 +21,14 @@ function initializeEmail() {
 }
 
 /**
- * Send registration confirmation email
+ * Send registration confirmation email.
+ * With a `verifyToken` it asks the user to confirm their email first: tickets
+ * only count in the raffle once they have (double opt-in).
  */
-async function sendRegistrationEmail(email, optOutToken) {
+async function sendRegistrationEmail(email, optOutToken, verifyToken = null) {
     const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
     const optOutLink = `${baseUrl}/opt-out/${optOutToken}`;
+    const verifyLink = verifyToken ? `${baseUrl}/verify/${verifyToken}` : null;
     
     const html = `
         <!DOCTYPE html>
@@ -48,7 +51,12 @@ async function sendRegistrationEmail(email, optOutToken) {
                 </div>
                 <div class="content">
                     <p>Thanks for registering for the Reviews Raffle in Roatan!</p>
-                    
+                    ${verifyLink ? `
+                    <p><strong>Please confirm your email first.</strong> Your tickets only count in the raffle once you have.</p>
+                    <p style="text-align: center;">
+                        <a href="${verifyLink}" class="button">✅ Confirm My Email</a>
+                    </p>
+                    ` : ''}
                     <h2>How it works:</h2>
                     <ol>
                         <li>Visit a Bitcoin-accepting merchant in Roatan</li>
@@ -78,7 +86,10 @@ async function sendRegistrationEmail(email, optOutToken) {
 Welcome to Reviews Raffle!
 
 Thanks for registering for the Reviews Raffle in Roatan!
-
+${verifyLink ? `
+Please confirm your email first — your tickets only count in the raffle once you have:
+${verifyLink}
+` : ''}
 How it works:
 1. Visit a Bitcoin-accepting merchant in Roatan
 2. Pay with Bitcoin
@@ -97,13 +108,136 @@ Didn't sign up for this? Remove your email: ${optOutLink}
     return sendEmail(email, 'Welcome to Reviews Raffle! 🎉', html, text);
 }
 
+/**
+ * Remind a user who hasn't confirmed their email that their tickets don't
+ * count yet. Also used when an admin resends the confirmation link.
+ */
+async function sendVerificationReminderEmail(emailAddr, verifyToken, optOutToken, ticketCount) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const verifyLink = `${baseUrl}/verify/${verifyToken}`;
+    const optOutLink = `${baseUrl}/opt-out/${optOutToken}`;
+    const ticketsText = ticketCount === 1 ? 'Your review ticket' : `Your ${ticketCount} review tickets`;
+
+    const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #f7931a; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .button { display: inline-block; padding: 15px 30px; background: #f7931a; color: white; text-decoration: none; border-radius: 8px; font-size: 18px; font-weight: bold; }
+                .footer { padding: 15px; text-align: center; font-size: 12px; color: #999; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>📧 Confirm your email to enter the raffle</h1>
+                </div>
+                <div class="content">
+                    <p>${ticketsText} ${ticketCount === 1 ? "isn't" : "aren't"} in the raffle yet: we still need to know this email address is really yours.</p>
+
+                    <p style="text-align: center; margin: 25px 0;">
+                        <a href="${verifyLink}" class="button">✅ Confirm My Email</a>
+                    </p>
+
+                    <p style="text-align: center; color: #666;">It takes one click, and every ticket you have counts from then on.</p>
+                </div>
+                <div class="footer">
+                    <p>Can't click the button? Copy this link: ${verifyLink}</p>
+                    <p>Didn't sign up for this? <a href="${optOutLink}">Remove your email</a></p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+📧 Confirm your email to enter the raffle
+
+${ticketsText} ${ticketCount === 1 ? "isn't" : "aren't"} in the raffle yet: we still need to know this email address is really yours.
+
+Confirm it here:
+${verifyLink}
+
+It takes one click, and every ticket you have counts from then on.
+
+---
+Didn't sign up for this? Remove your email: ${optOutLink}
+    `;
+
+    return sendEmail(emailAddr, '📧 Confirm your email — your raffle tickets are waiting', html, text);
+}
+
+/**
+ * Send a magic link that logs the player into /me
+ */
+async function sendLoginLinkEmail(emailAddr, loginToken, validMinutes) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const loginLink = `${baseUrl}/me/login/${loginToken}`;
+
+    const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #f7931a; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .button { display: inline-block; padding: 15px 30px; background: #f7931a; color: white; text-decoration: none; border-radius: 8px; font-size: 18px; font-weight: bold; }
+                .footer { padding: 15px; text-align: center; font-size: 12px; color: #999; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎟️ Your Reviews Raffle login link</h1>
+                </div>
+                <div class="content">
+                    <p>Open this link to see your tickets, your odds in the next raffle and any prizes you've won.</p>
+
+                    <p style="text-align: center; margin: 25px 0;">
+                        <a href="${loginLink}" class="button">🔑 Log In</a>
+                    </p>
+
+                    <p style="text-align: center; color: #666;">The link works once, for the next ${validMinutes} minutes.</p>
+                </div>
+                <div class="footer">
+                    <p>Can't click the button? Copy this link: ${loginLink}</p>
+                    <p>Didn't ask for this? You can ignore this email.</p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+🎟️ Your Reviews Raffle login link
+
+Open this link to see your tickets, your odds in the next raffle and any prizes you've won:
+${loginLink}
+
+The link works once, for the next ${validMinutes} minutes.
+
+---
+Didn't ask for this? You can ignore this email.
+    `;
+
+    return sendEmail(emailAddr, '🔑 Your Reviews Raffle login link', html, text);
+}
+
 /**
  * Send winner notification email with claim link (LNURL-withdraw)
  * Winner clicks link → sees QR code → scans with any Lightning wallet → gets sats
+ * `tierName` names the prize tier for multi-winner raffles (optional).
  */
-async function sendWinnerEmail(emailAddr, prizeAmount, claimToken, blockHeight) {
+async function sendWinnerEmail(emailAddr, prizeAmount, claimToken, blockHeight, tierName = null) {
     const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
     const claimLink = `${baseUrl}/claim/${claimToken}`;
+    const tierLine = tierName ? ` — ${tierName}` : '';
     
     const html = `
         <!DOCTYPE html>
@@ -125,7 +259,7 @@ async function sendWinnerEmail(emailAddr, prizeAmount, claimToken, blockHeight)
                     <h1>🎊 Congratulations! You Won! 🎊</h1>
                 </div>
                 <div class="content">
-                    <p>Great news! You've been selected as the winner of the Reviews Raffle!</p>
+                    <p>Great news! You've been selected as ${tierName ? 'a <strong>' + tierName + '</strong> winner' : 'the winner'} of the Reviews Raffle!</p>
                     
                     <div class="prize">
                         ${prizeAmount ? prizeAmount.toLocaleString() + ' sats' : 'Prize'}
@@ -159,7 +293,7 @@ async function sendWinnerEmail(emailAddr, prizeAmount, claimToken, blockHeight)
     const text = `
 🎊 Congratulations! You Won the Reviews Raffle! 🎊
 
-Your prize: ${prizeAmount ? prizeAmount.toLocaleString() + ' sats' : 'TBD'}
+Your prize${tierLine}: ${prizeAmount ? prizeAmount.toLocaleString() + ' sats' : 'TBD'}
 
 Click here to claim your prize:
 ${claimLink}
@@ -178,6 +312,148 @@ Thank you for supporting Bitcoin adoption in Roatan! 🌴⚡
     return sendEmail(emailAddr, '🎊 You Won the Reviews Raffle! Claim your sats →', html, text);
 }
 
+/**
+ * Remind a winner that their claim link is about to expire.
+ * `timeLeft` is a readable label such as "3 days" or "24 hours".
+ */
+async function sendClaimReminderEmail(emailAddr, prizeAmount, claimToken, blockHeight, expiresAt, timeLeft, tierName = null) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const claimLink = `${baseUrl}/claim/${claimToken}`;
+    const tierLine = tierName ? ` — ${tierName}` : '';
+    const prizeText = prizeAmount ? prizeAmount.toLocaleString() + ' sats' : 'your prize';
+    const expiresText = new Date(expiresAt).toUTCString();
+
+    const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #f7931a; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .prize { font-size: 28px; color: #f7931a; text-align: center; padding: 20px; font-weight: bold; }
+                .claim-button { display: inline-block; padding: 15px 30px; background: #f7931a; color: white; text-decoration: none; border-radius: 8px; font-size: 18px; font-weight: bold; }
+                .footer { padding: 15px; text-align: center; font-size: 12px; color: #999; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>⏳ Your prize expires in ${timeLeft}</h1>
+                </div>
+                <div class="content">
+                    <p>You won the Reviews Raffle at block #${blockHeight ? blockHeight.toLocaleString() : 'N/A'}${tierName ? ' (<strong>' + tierName + '</strong>)' : ''}, but your prize hasn't been claimed yet.</p>
+
+                    <div class="prize">${prizeText}</div>
+
+                    <p style="text-align: center; margin: 25px 0;">
+                        <a href="${claimLink}" class="claim-button">⚡ Claim Your Prize</a>
+                    </p>
+
+                    <p style="text-align: center; color: #666;">
+                        Open the link and scan the QR code with <strong>any Lightning wallet</strong>.<br>
+                        The link stops working on <strong>${expiresText}</strong>.
+                    </p>
+                </div>
+                <div class="footer">
+                    <p>Unclaimed prizes go back into the raffle fund or to another winner.</p>
+                    <p>Can't click the button? Copy this link: ${claimLink}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+⏳ Your Reviews Raffle prize expires in ${timeLeft}
+
+Your prize${tierLine}: ${prizeAmount ? prizeAmount.toLocaleString() + ' sats' : 'TBD'}
+Raffle Block: #${blockHeight ? blockHeight.toLocaleString() : 'N/A'}
+
+Claim it here before ${expiresText}:
+${claimLink}
+
+Open the link and scan the QR code with any Lightning wallet.
+Unclaimed prizes go back into the raffle fund or to another winner.
+
+— Reviews Raffle
+    `;
+
+    return sendEmail(emailAddr, `⏳ Your raffle prize expires in ${timeLeft} — claim your sats`, html, text);
+}
+
+/**
+ * Send an entrant their Merkle inclusion proof(s) once the raffle's ticket set
+ * has been committed. One email per entrant, listing every ticket they have in
+ * the draw with a link to its proof.
+ * @param {string} emailAddr
+ * @param {number} raffleBlock
+ * @param {string} merkleRoot
+ * @param {number[]} ticketIds - the entrant's tickets in the committed set
+ */
+async function sendCommitmentProofEmail(emailAddr, raffleBlock, merkleRoot, ticketIds) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const proofLinks = ticketIds.map(id => ({ id, url: `${baseUrl}/api/commitments/${raffleBlock}/proof/${id}` }));
+
+    const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #f7931a; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .root { font-family: monospace; font-size: 12px; word-break: break-all; background: #fff; border: 1px solid #eee; padding: 10px; border-radius: 5px; }
+                .footer { padding: 15px; text-align: center; font-size: 12px; color: #999; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🔒 You're locked in!</h1>
+                </div>
+                <div class="content">
+                    <p>The entry list for the raffle at block <strong>#${raffleBlock.toLocaleString()}</strong> has been frozen and published. You have <strong>${ticketIds.length}</strong> ticket${ticketIds.length !== 1 ? 's' : ''} in the draw.</p>
+
+                    <p>Published Merkle root:</p>
+                    <div class="root">${merkleRoot}</div>
+
+                    <p>Each link below is a cryptographic proof that your ticket is part of that root. Nobody can remove it or add extra tickets before the draw without the root changing.</p>
+                    <ul>
+                        ${proofLinks.map(p => `<li><a href="${p.url}">Proof for ticket #${p.id}</a></li>`).join('')}
+                    </ul>
+
+                    <p>Good luck! 🌴⚡</p>
+                </div>
+                <div class="footer">
+                    <p>Verify every past draw at ${baseUrl}/raffles</p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+🔒 You're locked in!
+
+The entry list for the raffle at block #${raffleBlock.toLocaleString()} has been frozen and published. You have ${ticketIds.length} ticket${ticketIds.length !== 1 ? 's' : ''} in the draw.
+
+Published Merkle root:
+${merkleRoot}
+
+Proof that your ticket is included:
+${proofLinks.map(p => `- Ticket #${p.id}: ${p.url}`).join('\n')}
+
+Good luck! 🌴⚡
+
+— Reviews Raffle
+    `;
+
+    return sendEmail(emailAddr, `🔒 Your raffle entry for block #${raffleBlock.toLocaleString()} is locked in`, html, text);
+}
+
 /**
  * Generic send email function using Resend API
  */
@@ -216,6 +492,10 @@ async function sendEmail(to, subject, html, text) {
 module.exports = {
     initializeEmail,
     sendRegistrationEmail,
+    sendVerificationReminderEmail,
+    sendLoginLinkEmail,
     sendWinnerEmail,
+    sendClaimReminderEmail,
+    sendCommitmentProofEmail,
     sendEmail
 };
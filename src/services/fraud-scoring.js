@@ -0,0 +1,172 @@
+/**
+ * Fraud scoring
+ *
+ * Gives each submission a risk score from 0 to 100, built from signals about
+ * the request rather than the review: the email's domain, the client's user
+ * agent, how many emails have come from the same IP, how fast the IP and the
+ * email are submitting, and whether the Lightning address has been used with
+ * other emails. The request's details are stored per ticket in
+ * submission_signals, with the IP only as a salted hash (`ip_hash_salt`).
+ *
+ * The score and the factors behind it are stored on the ticket (risk_score,
+ * risk_factors) and shown to admins. Nothing is rejected for it. With
+ * `fraud_hold_score` set, a ticket scoring at least that much is held back
+ * from automatic approval — by auto-approve or by a validator — and left
+ * pending for an admin.
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+
+const IP_WINDOW_DAYS = 30;          // emails from one IP are counted over this long
+const VELOCITY_WINDOW_MINUTES = 60; // submissions per IP / email are counted over this long
+const MAX_SCORE = 100;
+
+// Throwaway inbox providers. Subdomains count too (e.g. x.mailinator.com).
+const DISPOSABLE_DOMAINS = new Set([
+    '10minutemail.com', '10minutemail.net', '20minutemail.com', '33mail.com', 'anonaddy.me',
+    'burnermail.io', 'discard.email', 'dispostable.com', 'dropmail.me', 'emailondeck.com',
+    'fakeinbox.com', 'fakemail.net', 'getairmail.com', 'getnada.com', 'guerrillamail.biz',
+    'guerrillamail.com', 'guerrillamail.de', 'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com',
+    'harakirimail.com', 'inboxkitten.com', 'mail.tm', 'mailcatch.com', 'maildrop.cc',
+    'mailinator.com', 'mailinator.net', 'mailnesia.com', 'mailpoof.com', 'mailsac.com',
+    'mintemail.com', 'moakt.com', 'mohmal.com', 'mytemp.email', 'nada.email',
+    'sharklasers.com', 'spam4.me', 'spamgourmet.com', 'temp-mail.io', 'temp-mail.org',
+    'tempail.com', 'tempmail.com', 'tempmail.dev', 'tempmail.net', 'tempmailo.com',
+    'tempr.email', 'throwawaymail.com', 'trashmail.com', 'trashmail.de', 'trashmail.net',
+    'yopmail.com', 'yopmail.fr', 'yopmail.net'
+]);
+
+// Scripts and headless browsers, not people on a phone
+const AUTOMATED_AGENT = /\b(curl|wget|python|httpie|okhttp|go-http-client|java|axios|node-fetch|undici|postman|insomnia|phantomjs|puppeteer|playwright|selenium|scrapy|bot|crawler|spider)\b|headless|httpclient/i;
+
+/**
+ * Salted hash of a client IP (IPv4-mapped IPv6 addresses count as IPv4)
+ */
+function hashIp(ip) {
+    if (!ip) return null;
+    const address = String(ip).trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    const salt = db.getSetting('ip_hash_salt') || '';
+    return crypto.createHash('sha256').update(`${salt}:${address}`).digest('hex');
+}
+
+function emailDomain(email) {
+    const at = email ? String(email).lastIndexOf('@') : -1;
+    return at >= 0 ? email.slice(at + 1).trim().toLowerCase() : null;
+}
+
+function isDisposableEmail(email) {
+    const parts = (emailDomain(email) || '').split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (DISPOSABLE_DOMAINS.has(parts.slice(i).join('.'))) return true;
+    }
+    return false;
+}
+
+/**
+ * Work out the factors for one submission
+ * @param {Object} signals - the stored submission_signals row
+ * @param {Object} counts - from db.getSubmissionCounts()
+ * @returns {Array<{ factor: string, points: number, detail: string }>}
+ */
+function riskFactors(signals, counts) {
+    const factors = [];
+    const add = (factor, points, detail) => factors.push({ factor, points, detail });
+
+    if (signals.email && isDisposableEmail(signals.email)) {
+        add('disposable_email', 40, `disposable email domain (${signals.email_domain})`);
+    }
+    if (!signals.user_agent) {
+        add('no_user_agent', 20, 'no user agent');
+    } else if (AUTOMATED_AGENT.test(signals.user_agent)) {
+        add('automated_client', 30, `automated client (${signals.user_agent.slice(0, 60)})`);
+    }
+    if (counts.emailsFromIp >= 2) {
+        add('emails_per_ip', Math.min(15 * (counts.emailsFromIp - 1), 45), `${counts.emailsFromIp} emails from this IP in ${IP_WINDOW_DAYS} days`);
+    }
+    if (counts.recentFromIp >= 3) {
+        add('ip_velocity', Math.min(10 * (counts.recentFromIp - 2), 30), `${counts.recentFromIp} submissions from this IP in ${VELOCITY_WINDOW_MINUTES} minutes`);
+    }
+    if (counts.recentFromEmail >= 3) {
+        add('email_velocity', Math.min(10 * (counts.recentFromEmail - 2), 30), `${counts.recentFromEmail} submissions from this email in ${VELOCITY_WINDOW_MINUTES} minutes`);
+    }
+    if (counts.emailsForLnurl >= 2) {
+        add('shared_lnurl', Math.min(20 * (counts.emailsForLnurl - 1), 40), `Lightning address used by ${counts.emailsForLnurl} emails`);
+    }
+    return factors;
+}
+
+/**
+ * Record a submission's request details and score the ticket.
+ * @param {number} ticketId
+ * @param {Object} request
+ * @param {string} [request.ip]
+ * @param {string} [request.userAgent]
+ * @param {string} [request.email]
+ * @param {string} [request.lnurl] - Lightning address given with the submission
+ * @returns {{ score: number, factors: Array<{ factor: string, points: number, detail: string }> }}
+ */
+function scoreSubmission(ticketId, { ip, userAgent, email, lnurl } = {}) {
+    db.saveSubmissionSignals(ticketId, {
+        ipHash: hashIp(ip),
+        userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+        email: email || null,
+        emailDomain: emailDomain(email),
+        lnurlAddress: lnurl ? String(lnurl).trim().toLowerCase() : null
+    });
+
+    const signals = db.getSubmissionSignals(ticketId);
+    const counts = db.getSubmissionCounts(ticketId, { ipDays: IP_WINDOW_DAYS, velocityMinutes: VELOCITY_WINDOW_MINUTES });
+    const factors = riskFactors(signals, counts);
+    const score = Math.min(MAX_SCORE, factors.reduce((sum, f) => sum + f.points, 0));
+
+    db.setTicketRisk(ticketId, score, factors);
+    if (score > 0) {
+        console.log(`🚩 Ticket #${ticketId} risk ${score}/100: ${factors.map(f => f.detail).join(', ')}`);
+    }
+    return { score, factors };
+}
+
+/**
+ * The score at which tickets are held for an admin (`fraud_hold_score`), or 0 if never
+ */
+function getHoldScore() {
+    const score = parseInt(db.getSetting('fraud_hold_score'), 10);
+    return score > 0 && score <= MAX_SCORE ? score : 0;
+}
+
+function shouldHold(score) {
+    const holdScore = getHoldScore();
+    return holdScore > 0 && score >= holdScore;
+}
+
+/**
+ * A ticket's stored factors
+ */
+function parseFactors(ticket) {
+    try {
+        return JSON.parse((ticket && ticket.risk_factors) || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Why a risky ticket shouldn't be approved automatically, or null
+ */
+function holdReason(ticket) {
+    if (!ticket || !shouldHold(ticket.risk_score || 0)) return null;
+    return `risk score ${ticket.risk_score}/100 (${parseFactors(ticket).map(f => f.detail).join(', ')})`;
+}
+
+module.exports = {
+    MAX_SCORE,
+    hashIp,
+    emailDomain,
+    isDisposableEmail,
+    scoreSubmission,
+    getHoldScore,
+    shouldHold,
+    parseFactors,
+    holdReason
+};
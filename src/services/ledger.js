@@ -0,0 +1,235 @@
+/**
+ * Treasury ledger
+ *
+ * Double-entry bookkeeping for every sat this site handles. Nothing keeps a
+ * running total: each change is posted as a transaction whose entries move
+ * sats between accounts and sum to zero, and a balance is the sum of an
+ * account's entries. The ledger is append-only — mistakes are corrected with
+ * another posting, never by editing one.
+ *
+ * Accounts (a positive balance holds sats, a negative one is a source):
+ *   donations   — where donated sats come from (−total donated)
+ *   fund        — the raffle fund, available for future prizes
+ *   reserved    — prizes drawn but not paid yet
+ *   paid_out    — prizes sent to winners
+ *   fees        — Lightning routing fees paid on payouts
+ *   adjustments — admin top-ups and corrections, and prizes written off
+ *   sponsors    — campaign matches pledged by sponsors and not paid in yet
+ *                 (−what they still owe)
+ *
+ * The builders below return postings; pass them to post(), or to the
+ * database function making the matching state change so both are written
+ * atomically. A builder returns null when there is nothing to post.
+ */
+
+const db = require('./database');
+
+const ACCOUNTS = db.LEDGER_ACCOUNTS;
+
+// Readable names for each kind of posting (treasury log, CSV)
+const KIND_LABELS = {
+    opening_balance: 'Opening balance',
+    donation: 'Donation',
+    adjustment: 'Manual adjustment',
+    prize_reserved: 'Prizes reserved',
+    prize_paid: 'Raffle prize payout',
+    prize_returned: 'Prize returned to fund',
+    prize_redrawn: 'Unclaimed prize redrawn',
+    prize_written_off: 'Prize written off',
+    donation_match: 'Sponsor match',
+    sponsor_paid: 'Sponsor payment'
+};
+
+/**
+ * Move `sats` from one account to another. Negative sats move the other way.
+ */
+function transfer(kind, from, to, sats, details = {}) {
+    if (!sats) return null;
+    return {
+        kind,
+        ...details,
+        entries: [
+            { account: from, amountSats: -sats },
+            { account: to, amountSats: sats }
+        ]
+    };
+}
+
+const winnerLabel = (w) => `Block #${w.block_height} — ${w.tier_name} #${w.rank + 1} (raffle #${w.raffle_id})`;
+
+/**
+ * A donation received on a deposit address or invoice.
+ */
+function donation(deposit, sats) {
+    return transfer('donation', 'donations', 'fund', sats, {
+        memo: `${deposit.type === 'lightning' ? 'Lightning' : 'On-chain'} donation` + (deposit.memo ? ` — ${deposit.memo}` : ''),
+        refType: 'deposit',
+        refId: deposit.id
+    });
+}
+
+/**
+ * A campaign sponsor matching a donation: the fund grows now, and the sponsor
+ * owes the sats until their payment is recorded.
+ */
+function donationMatch(campaign, deposit, sats) {
+    return transfer('donation_match', 'sponsors', 'fund', sats, {
+        memo: `${campaign.sponsor_name || 'Sponsor'} matched donation #${deposit.id} — ${campaign.name}`,
+        refType: 'campaign',
+        refId: campaign.id
+    });
+}
+
+/**
+ * A sponsor paying in what they matched. Real sats arrive, so they count as
+ * donated; the fund already has them.
+ */
+function sponsorPayment(campaign, sats) {
+    return transfer('sponsor_paid', 'donations', 'sponsors', sats, {
+        memo: `${campaign.sponsor_name || 'Sponsor'} paid for ${campaign.name}`,
+        refType: 'campaign',
+        refId: campaign.id
+    });
+}
+
+/**
+ * Reserve a raffle's prizes. The fund covers what it can; anything it can't
+ * (an admin naming a bigger prize, or a test raffle on an empty fund) is
+ * booked as an adjustment rather than driving the fund negative.
+ * The ref defaults to the raffle being created (see createRaffleWithEntries).
+ */
+function prizeReservation(totalSats, memo) {
+    if (!totalSats) return null;
+    const fromFund = Math.min(totalSats, Math.max(0, getFundSats()));
+    const entries = [{ account: 'fund', amountSats: -fromFund }, { account: 'adjustments', amountSats: -(totalSats - fromFund) }]
+        .filter(e => e.amountSats !== 0);
+    return {
+        kind: 'prize_reserved',
+        memo: fromFund < totalSats ? `${memo} — ${(totalSats - fromFund).toLocaleString()} sats beyond the fund` : memo,
+        entries: [...entries, { account: 'reserved', amountSats: totalSats }]
+    };
+}
+
+/**
+ * A prize paid to a winner. The winner's stamped prize leaves `reserved`;
+ * paying less (admin override, smaller invoice) returns the rest to the fund,
+ * and a prize that was never reserved is paid straight from the fund.
+ * Routing fees are paid from the fund.
+ */
+function prizePayout(winner, paidSats, feeSats = 0) {
+    const reservedSats = winner.prize_amount_sats > 0 ? winner.prize_amount_sats : 0;
+    if (!paidSats && !reservedSats && !feeSats) return null;
+    const entries = [
+        { account: 'reserved', amountSats: -reservedSats },
+        { account: 'paid_out', amountSats: paidSats },
+        { account: 'fees', amountSats: feeSats },
+        { account: 'fund', amountSats: reservedSats - paidSats - feeSats }
+    ].filter(e => e.amountSats !== 0);
+    const notes = [];
+    if (paidSats !== reservedSats && reservedSats > 0) notes.push(`${reservedSats.toLocaleString()} sats reserved`);
+    if (feeSats) notes.push(`${feeSats.toLocaleString()} sats fee`);
+    return {
+        kind: 'prize_paid',
+        memo: winnerLabel(winner) + (notes.length ? ` (${notes.join(', ')})` : ''),
+        refType: 'winner',
+        refId: winner.id,
+        entries
+    };
+}
+
+/**
+ * An unpaid prize going back to the fund (claim expired).
+ */
+function prizeReturn(winner, reason) {
+    return transfer('prize_returned', 'reserved', 'fund', winner.prize_amount_sats || 0, {
+        memo: `${winnerLabel(winner)} — ${reason}`,
+        refType: 'winner',
+        refId: winner.id
+    });
+}
+
+/**
+ * An expired prize handed to a replacement winner. The sats stay reserved;
+ * the posting records that they changed hands.
+ */
+function prizeRedraw(winner, replacementLabel) {
+    const sats = winner.prize_amount_sats || 0;
+    if (!sats) return null;
+    return {
+        kind: 'prize_redrawn',
+        memo: `${winnerLabel(winner)} — claim expired, redrawn to ${replacementLabel}`,
+        refType: 'winner',
+        refId: winner.id,
+        entries: [
+            { account: 'reserved', amountSats: -sats },
+            { account: 'reserved', amountSats: sats }
+        ]
+    };
+}
+
+/**
+ * Release what a deleted raffle still had reserved: back to the fund when
+ * refunded, otherwise written off as an adjustment.
+ */
+function raffleRelease(raffle, refund) {
+    const sats = (raffle.winners || [])
+        .filter(w => !w.paid_at && !w.expiry_action && w.prize_amount_sats > 0)
+        .reduce((sum, w) => sum + w.prize_amount_sats, 0);
+    const memo = `Raffle #${raffle.id} (block #${raffle.block_height}) deleted`;
+    return refund
+        ? transfer('prize_returned', 'reserved', 'fund', sats, { memo, refType: 'raffle', refId: raffle.id })
+        : transfer('prize_written_off', 'reserved', 'adjustments', sats, { memo, refType: 'raffle', refId: raffle.id });
+}
+
+/**
+ * An admin adding sats to the fund (or removing them, with negative sats).
+ */
+function fundAdjustment(sats, memo) {
+    return transfer('adjustment', 'adjustments', 'fund', sats, { memo });
+}
+
+/**
+ * Post a transaction on its own.
+ * @returns {number|null} the ledger transaction id (null if nothing to post)
+ */
+function post(posting) {
+    return posting ? db.postLedgerTransaction(posting) : null;
+}
+
+function getBalances() {
+    return db.getLedgerBalances();
+}
+
+/**
+ * The raffle fund: what future prizes are drawn from.
+ */
+function getFundSats() {
+    return getBalances().fund;
+}
+
+/**
+ * Real sats this site holds: donations received minus prizes paid and fees.
+ * Manual adjustments are left out — they are bookkeeping, not money.
+ */
+function getHeldSats(balances = getBalances()) {
+    return -balances.donations - balances.paid_out - balances.fees;
+}
+
+module.exports = {
+    ACCOUNTS,
+    KIND_LABELS,
+    transfer,
+    donation,
+    donationMatch,
+    sponsorPayment,
+    prizeReservation,
+    prizePayout,
+    prizeReturn,
+    prizeRedraw,
+    raffleRelease,
+    fundAdjustment,
+    post,
+    getBalances,
+    getFundSats,
+    getHeldSats
+};
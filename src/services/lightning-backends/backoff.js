@@ -0,0 +1,12 @@
+/**
+ * Reconnect delay for backend subscriptions
+ */
+
+/**
+ * Calculate exponential backoff delay: 30s, 60s, 120s, ... capped at 5 minutes
+ */
+function backoffDelay(retries) {
+    return Math.min(30000 * Math.pow(2, retries), 5 * 60 * 1000);
+}
+
+module.exports = { backoffDelay };
@@ -0,0 +1,95 @@
+/**
+ * Minimal BOLT11 codec for the mock backend.
+ *
+ * Reads the amount, payment hash, description (or its hash), timestamp and expiry of any
+ * invoice (signatures are not checked), and writes unsigned invoices in the
+ * same format so mock invoices decode like real ones. Real backends decode
+ * with their own node.
+ */
+
+const { bech32 } = require('bech32');
+
+const BECH32_LIMIT = 10000;
+const SIGNATURE_WORDS = 104; // 65-byte recoverable signature
+const TAG = { paymentHash: 1, description: 13, descriptionHash: 23, expiry: 6 };
+const MULTIPLIER_SATS = { '': 100_000_000, m: 100_000, u: 100, n: 0.1, p: 0.0001 };
+
+function wordsToInt(words) {
+    return words.reduce((n, w) => n * 32 + w, 0);
+}
+
+function intToWords(n, length) {
+    const words = new Array(length).fill(0);
+    for (let i = length - 1; i >= 0; i--) {
+        words[i] = n % 32;
+        n = Math.floor(n / 32);
+    }
+    return words;
+}
+
+/**
+ * Decode a BOLT11 invoice.
+ * @returns {{ network: string, amountSats: number|null, paymentHash: string|null,
+ *   description: string|null, descriptionHash: string|null, timestamp: number, expirySecs: number }}
+ */
+function decode(invoice) {
+    const { prefix, words } = bech32.decode(String(invoice).toLowerCase(), BECH32_LIMIT);
+    const hrp = prefix.match(/^ln(bcrt|bc|tbs|tb)(\d+)?([munp])?$/);
+    if (!hrp) throw new Error(`Not a BOLT11 invoice (prefix "${prefix}")`);
+
+    const amountSats = hrp[2] ? Math.floor(parseInt(hrp[2], 10) * MULTIPLIER_SATS[hrp[3] || '']) : null;
+    const result = {
+        network: hrp[1],
+        amountSats,
+        paymentHash: null,
+        description: null,
+        descriptionHash: null,
+        timestamp: wordsToInt(words.slice(0, 7)),
+        expirySecs: 3600
+    };
+
+    const fields = words.slice(7, words.length - SIGNATURE_WORDS);
+    for (let i = 0; i + 3 <= fields.length;) {
+        const type = fields[i];
+        const length = fields[i + 1] * 32 + fields[i + 2];
+        const data = fields.slice(i + 3, i + 3 + length);
+        if (type === TAG.paymentHash && length === 52) {
+            result.paymentHash = Buffer.from(bech32.fromWords(data)).toString('hex');
+        } else if (type === TAG.description) {
+            result.description = Buffer.from(bech32.fromWordsUnsafe(data) || []).toString('utf8');
+        } else if (type === TAG.descriptionHash && length === 52) {
+            result.descriptionHash = Buffer.from(bech32.fromWords(data)).toString('hex');
+        } else if (type === TAG.expiry) {
+            result.expirySecs = wordsToInt(data);
+        }
+        i += 3 + length;
+    }
+    return result;
+}
+
+function taggedField(type, data) {
+    return [type, Math.floor(data.length / 32), data.length % 32, ...data];
+}
+
+/**
+ * Encode an unsigned (zero-signature) regtest invoice. With `descriptionHash`
+ * (hex) the invoice carries that instead of the description.
+ */
+function encode({ amountSats, paymentHash, description = '', descriptionHash = null, timestamp, expirySecs = 3600 }) {
+    const prefix = amountSats ? `lnbcrt${amountSats * 10}n` : 'lnbcrt';
+    const words = [
+        ...intToWords(timestamp, 7),
+        ...taggedField(TAG.paymentHash, bech32.toWords(Buffer.from(paymentHash, 'hex'))),
+        ...(descriptionHash
+            ? taggedField(TAG.descriptionHash, bech32.toWords(Buffer.from(descriptionHash, 'hex')))
+            : taggedField(TAG.description, bech32.toWords(Buffer.from(description, 'utf8')))),
+        ...taggedField(TAG.expiry, intToWords(expirySecs, Math.max(1, Math.ceil(Math.log2(expirySecs + 1) / 5)))),
+        ...new Array(SIGNATURE_WORDS).fill(0)
+    ];
+    return bech32.encode(prefix, words, BECH32_LIMIT);
+}
+
+module.exports = {
+    decode,
+    encode
+};
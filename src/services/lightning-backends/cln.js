@@ -0,0 +1,210 @@
+/**
+ * Core Lightning backend (clnrest plugin)
+ *
+ * Config: CLN_REST_URL, CLN_RUNE (a rune allowing the methods below).
+ * Every clnrest call is a POST to /v1/<method> with the JSON-RPC params as
+ * the body. Settled invoices arrive through a waitanyinvoice long-poll;
+ * on-chain receipts are polled from listfunds.
+ */
+
+const crypto = require('crypto');
+const { backoffDelay } = require('./backoff');
+
+const WAIT_TIMEOUT_SECS = 60;
+const WAIT_TIMED_OUT = 904; // waitanyinvoice error code when the timeout passes
+const PAY_IN_PROGRESS = 200;
+// pay error codes that mean the payment definitely did not go through
+const PAY_FAILED_CODES = [203, 205, 206, 207, 210];
+
+function createClnBackend({ restUrl, rune }) {
+    const configured = !!(restUrl && rune);
+
+    /**
+     * Call a CLN RPC method through clnrest
+     */
+    async function clnRequest(method, params = {}, timeoutMs = 10000) {
+        if (!configured) {
+            throw new Error('Core Lightning node not configured. Set CLN_REST_URL and CLN_RUNE.');
+        }
+
+        let response;
+        try {
+            response = await fetch(`${restUrl}/v1/${method}`, {
+                method: 'POST',
+                headers: { 'Rune': rune, 'Content-Type': 'application/json' },
+                body: JSON.stringify(params),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (fetchErr) {
+            throw new Error(`CLN connection failed (${method}): ${fetchErr.message}`);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const err = new Error(`CLN API error (${response.status} on ${method}): ${errorText}`);
+            try {
+                const rpcError = JSON.parse(errorText);
+                err.code = rpcError.code;
+                err.rpcMessage = rpcError.message;
+            } catch (parseErr) { /* not JSON */ }
+            throw err;
+        }
+
+        return await response.json();
+    }
+
+    const msatToSats = (msat) => Math.floor(parseInt(msat || '0', 10) / 1000);
+    const INVOICE_STATES = { unpaid: 'open', paid: 'settled', expired: 'cancelled' };
+    const PAYMENT_STATES = { pending: 'in_flight', complete: 'succeeded', failed: 'failed' };
+
+    /**
+     * Normalize a pay / listpays result
+     */
+    function toPaymentResult(pay) {
+        const status = PAYMENT_STATES[pay.status] || 'in_flight';
+        const sentMsat = parseInt(pay.amount_sent_msat || '0', 10);
+        const amountMsat = parseInt(pay.amount_msat || '0', 10);
+        return {
+            status,
+            paymentHash: pay.payment_hash,
+            preimage: status === 'succeeded' ? (pay.payment_preimage || pay.preimage) : null,
+            feeSats: sentMsat > amountMsat ? Math.ceil((sentMsat - amountMsat) / 1000) : 0,
+            failureReason: status === 'failed' ? 'payment failed' : null
+        };
+    }
+
+    return {
+        name: 'cln',
+        supportsOnChain: true,
+
+        isConfigured() {
+            return configured
+                ? { configured: true }
+                : { configured: false, reason: 'CLN_REST_URL or CLN_RUNE not set' };
+        },
+
+        async getInfo() {
+            const info = await clnRequest('getinfo');
+            return {
+                alias: info.alias,
+                pubkey: info.id,
+                synced: !info.warning_bitcoind_sync && !info.warning_lightningd_sync,
+                blockHeight: info.blockheight
+            };
+        },
+
+        async createInvoice({ amountSats = 0, memo = '', expirySecs = 3600, descriptionHashOnly = false }) {
+            const result = await clnRequest('invoice', {
+                amount_msat: amountSats > 0 ? amountSats * 1000 : 'any',
+                label: `reviews-${crypto.randomUUID()}`,
+                description: memo,
+                expiry: expirySecs,
+                deschashonly: descriptionHashOnly
+            });
+            return { bolt11: result.bolt11, paymentHash: result.payment_hash };
+        },
+
+        async lookupInvoice(paymentHash) {
+            const { invoices } = await clnRequest('listinvoices', { payment_hash: paymentHash });
+            if (!invoices || invoices.length === 0) {
+                throw new Error(`Invoice ${paymentHash.substring(0, 12)}... not found`);
+            }
+            return {
+                state: INVOICE_STATES[invoices[0].status] || 'open',
+                amountPaidSats: msatToSats(invoices[0].amount_received_msat)
+            };
+        },
+
+        async decodeInvoice(bolt11) {
+            const decoded = await clnRequest('decode', { string: bolt11 });
+            if (decoded.valid === false) {
+                throw new Error('Invalid invoice');
+            }
+            return {
+                amountSats: msatToSats(decoded.amount_msat),
+                paymentHash: decoded.payment_hash,
+                description: decoded.description || null,
+                expiresAt: new Date((decoded.created_at + (decoded.expiry || 3600)) * 1000).toISOString()
+            };
+        },
+
+        async payInvoice(bolt11, { amountSats = null, maxFeeSats = 100 } = {}) {
+            const params = { bolt11, maxfee: maxFeeSats * 1000 };
+            if (amountSats) params.amount_msat = amountSats * 1000;
+
+            let result;
+            try {
+                // pay can run past the default timeout while it tries routes
+                result = await clnRequest('pay', params, 60000);
+            } catch (err) {
+                if (PAY_FAILED_CODES.includes(err.code)) {
+                    return { status: 'failed', paymentHash: null, preimage: null, feeSats: 0, failureReason: err.rpcMessage || err.message };
+                }
+                if (err.code === PAY_IN_PROGRESS) {
+                    return { status: 'in_flight', paymentHash: null, preimage: null, feeSats: 0, failureReason: null };
+                }
+                throw err;
+            }
+            return toPaymentResult(result);
+        },
+
+        async trackPayment(paymentHash) {
+            const { pays } = await clnRequest('listpays', { payment_hash: paymentHash });
+            if (!pays || pays.length === 0) return { status: 'unknown' };
+            const pay = pays.find(p => p.status === 'complete') || pays.find(p => p.status === 'pending') || pays[0];
+            return toPaymentResult(pay);
+        },
+
+        async newOnChainAddress() {
+            const result = await clnRequest('newaddr', { addresstype: 'p2tr' });
+            return result.p2tr;
+        },
+
+        async getOnChainReceipts() {
+            const { outputs } = await clnRequest('listfunds');
+            return (outputs || []).map(o => ({
+                address: o.address,
+                amountSats: msatToSats(o.amount_msat),
+                txid: o.txid
+            }));
+        },
+
+        /**
+         * Long-poll waitanyinvoice. The first call replays paid invoices from
+         * the start of the node's history; the deposit handler ignores any it
+         * has already credited or doesn't track.
+         */
+        subscribeInvoices(onSettled) {
+            if (!configured) return false;
+            let lastPayIndex = 0;
+            let retries = 0;
+            const poll = async () => {
+                try {
+                    const invoice = await clnRequest('waitanyinvoice', {
+                        lastpay_index: lastPayIndex,
+                        timeout: WAIT_TIMEOUT_SECS
+                    }, (WAIT_TIMEOUT_SECS + 10) * 1000);
+                    retries = 0;
+                    lastPayIndex = invoice.pay_index;
+                    await onSettled({
+                        paymentHash: invoice.payment_hash,
+                        amountPaidSats: msatToSats(invoice.amount_received_msat)
+                    });
+                } catch (err) {
+                    if (err.code !== WAIT_TIMED_OUT) {
+                        const delay = backoffDelay(retries++);
+                        console.warn(`⚠️  CLN invoice wait error: ${err.message}. Retrying in ${Math.round(delay / 1000)}s...`);
+                        setTimeout(poll, delay);
+                        return;
+                    }
+                }
+                setImmediate(poll);
+            };
+            console.log('⚡ Waiting for CLN invoice payments...');
+            poll();
+            return true;
+        }
+    };
+}
+
+module.exports = { createClnBackend };
@@ -0,0 +1,84 @@
+/**
+ * Lightning backends
+ *
+ * services/lightning.js talks to whichever node the site runs on through one
+ * interface, picked with LIGHTNING_BACKEND (lnd — the default — cln, lnbits
+ * or mock). Spending limits, LNURL and deposit tracking live above it in
+ * lightning.js, so they apply the same to every backend.
+ *
+ * A backend is a plain object:
+ *   name                       — 'lnd' | 'cln' | 'lnbits' | 'mock'
+ *   supportsOnChain            — false if it has no on-chain wallet
+ *   isConfigured()             → { configured, reason? } (config only, no network)
+ *   getInfo()                  → { alias, pubkey, synced, blockHeight }
+ *   createInvoice({ amountSats, memo, expirySecs, descriptionHashOnly })
+ *                              → { bolt11, paymentHash }  (amountSats 0 = any amount;
+ *                                descriptionHashOnly commits to sha256(memo) instead
+ *                                of carrying it — LNURL-pay metadata)
+ *   lookupInvoice(paymentHash) → { state: 'open'|'settled'|'cancelled', amountPaidSats }
+ *   decodeInvoice(bolt11)      → { amountSats, paymentHash, description, expiresAt }
+ *   payInvoice(bolt11, { amountSats, maxFeeSats })
+ *                              → { status: 'succeeded'|'failed'|'in_flight', paymentHash,
+ *                                  preimage, feeSats, failureReason }
+ *                                throws only when the outcome is unknown (e.g. the
+ *                                connection dropped) — ask trackPayment() later
+ *   trackPayment(paymentHash)  → same shape, or { status: 'unknown' } if the node never saw it
+ *   newOnChainAddress()        → address
+ *   getOnChainReceipts()       → [{ address, amountSats, txid }]
+ *   subscribeInvoices(onSettled({ paymentHash, amountPaidSats }))
+ *                              → true if it will push settlements, false for polling only
+ *   subscribeOnChain(onReceipt({ address, amountSats, txid }))   (optional)
+ *
+ * Payment hashes are always hex and amounts always whole sats.
+ */
+
+const { createLndBackend } = require('./lnd');
+const { createClnBackend } = require('./cln');
+const { createLnbitsBackend } = require('./lnbits');
+const { createMockBackend } = require('./mock');
+
+const BACKENDS = {
+    lnd: (env) => createLndBackend({ restUrl: env.LND_REST_URL, macaroon: env.LND_MACAROON }),
+    cln: (env) => createClnBackend({ restUrl: env.CLN_REST_URL, rune: env.CLN_RUNE }),
+    lnbits: (env) => createLnbitsBackend({ url: env.LNBITS_URL, adminKey: env.LNBITS_ADMIN_KEY }),
+    mock: (env) => createMockBackend({ feePpm: parseInt(env.MOCK_LN_FEE_PPM || '0', 10) })
+};
+
+let activeBackend = null;
+
+/**
+ * Build the backend named by LIGHTNING_BACKEND
+ */
+function createBackend(env = process.env) {
+    const name = (env.LIGHTNING_BACKEND || 'lnd').toLowerCase();
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown LIGHTNING_BACKEND "${name}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    if (name === 'mock') {
+        console.warn('⚠️  Using the mock Lightning backend — no real payments will be made');
+    }
+    return factory(env);
+}
+
+/**
+ * The site's backend (created on first use)
+ */
+function getBackend() {
+    if (!activeBackend) activeBackend = createBackend();
+    return activeBackend;
+}
+
+/**
+ * Swap the active backend (tests)
+ */
+function setBackend(backend) {
+    activeBackend = backend;
+}
+
+module.exports = {
+    BACKENDS,
+    createBackend,
+    getBackend,
+    setBackend
+};
@@ -0,0 +1,138 @@
+/**
+ * LNbits backend (wallet API)
+ *
+ * Config: LNBITS_URL, LNBITS_ADMIN_KEY (the wallet's admin key — the invoice
+ * key can't send payments).
+ * An LNbits wallet has no on-chain side, so deposit pages only show the
+ * Lightning invoice, and settlement is picked up by the deposit poll.
+ */
+
+function createLnbitsBackend({ url, adminKey }) {
+    const configured = !!(url && adminKey);
+
+    /**
+     * Make an authenticated request to the LNbits API
+     */
+    async function lnbitsRequest(path, method = 'GET', body = null) {
+        if (!configured) {
+            throw new Error('LNbits wallet not configured. Set LNBITS_URL and LNBITS_ADMIN_KEY.');
+        }
+
+        const options = {
+            method,
+            headers: { 'X-Api-Key': adminKey, 'Content-Type': 'application/json' }
+        };
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(`${url}${path}`, { ...options, signal: AbortSignal.timeout(30000) });
+        } catch (fetchErr) {
+            throw new Error(`LNbits connection failed (${path}): ${fetchErr.message}`);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const err = new Error(`LNbits API error (${response.status} on ${path}): ${errorText}`);
+            err.status = response.status;
+            throw err;
+        }
+
+        return await response.json();
+    }
+
+    const msatToSats = (msat) => Math.floor(Math.abs(parseInt(msat || '0', 10)) / 1000);
+
+    return {
+        name: 'lnbits',
+        supportsOnChain: false,
+
+        isConfigured() {
+            return configured
+                ? { configured: true }
+                : { configured: false, reason: 'LNBITS_URL or LNBITS_ADMIN_KEY not set' };
+        },
+
+        async getInfo() {
+            const wallet = await lnbitsRequest('/api/v1/wallet');
+            return { alias: wallet.name, pubkey: null, synced: true, blockHeight: null };
+        },
+
+        async createInvoice({ amountSats = 0, memo = '', expirySecs = 3600, descriptionHashOnly = false }) {
+            const body = { out: false, amount: amountSats, memo, expiry: expirySecs };
+            if (descriptionHashOnly) {
+                // LNbits hashes it into the invoice in place of the memo
+                body.unhashed_description = Buffer.from(memo, 'utf8').toString('hex');
+            }
+            const result = await lnbitsRequest('/api/v1/payments', 'POST', body);
+            return { bolt11: result.payment_request || result.bolt11, paymentHash: result.payment_hash };
+        },
+
+        async lookupInvoice(paymentHash) {
+            const payment = await lnbitsRequest(`/api/v1/payments/${paymentHash}`);
+            const details = payment.details || {};
+            let state = 'open';
+            if (payment.paid) state = 'settled';
+            else if (details.status === 'failed' || (details.expiry && new Date(details.expiry) < new Date())) state = 'cancelled';
+            return { state, amountPaidSats: payment.paid ? msatToSats(details.amount) : 0 };
+        },
+
+        async decodeInvoice(bolt11) {
+            const decoded = await lnbitsRequest('/api/v1/payments/decode', 'POST', { data: bolt11 });
+            return {
+                amountSats: msatToSats(decoded.amount_msat),
+                paymentHash: decoded.payment_hash,
+                description: decoded.description || null,
+                expiresAt: new Date((decoded.date + (decoded.expiry || 3600)) * 1000).toISOString()
+            };
+        },
+
+        async payInvoice(bolt11, { amountSats = null } = {}) {
+            // LNbits can't pay amountless invoices, and caps fees by its own
+            // reserve settings rather than per payment
+            if (amountSats) {
+                const decoded = await this.decodeInvoice(bolt11);
+                if (!decoded.amountSats) {
+                    throw new Error('LNbits cannot pay zero-amount invoices');
+                }
+            }
+            const sent = await lnbitsRequest('/api/v1/payments', 'POST', { out: true, bolt11 });
+            return await this.trackPayment(sent.payment_hash);
+        },
+
+        async trackPayment(paymentHash) {
+            let payment;
+            try {
+                payment = await lnbitsRequest(`/api/v1/payments/${paymentHash}`);
+            } catch (err) {
+                if (err.status === 404) return { status: 'unknown' };
+                throw err;
+            }
+            const details = payment.details || {};
+            const status = payment.paid ? 'succeeded' : details.status === 'failed' ? 'failed' : 'in_flight';
+            return {
+                status,
+                paymentHash,
+                preimage: payment.paid ? (payment.preimage || details.preimage || null) : null,
+                feeSats: Math.ceil(Math.abs(parseInt(details.fee || '0', 10)) / 1000),
+                failureReason: status === 'failed' ? 'payment failed' : null
+            };
+        },
+
+        async newOnChainAddress() {
+            throw new Error('LNbits wallets have no on-chain addresses');
+        },
+
+        async getOnChainReceipts() {
+            return [];
+        },
+
+        subscribeInvoices() {
+            return false; // polling only
+        }
+    };
+}
+
+module.exports = { createLnbitsBackend };
@@ -0,0 +1,303 @@
+/**
+ * LND backend (REST API, e.g. a Voltage node)
+ *
+ * Config: LND_REST_URL, LND_MACAROON (hex admin macaroon).
+ * Payments go through the router (v2/router/send, v2/router/track), so an
+ * in-flight payment can be looked up again after a timeout or restart.
+ * Invoice and on-chain updates come from LND's streaming endpoints, which
+ * reconnect with exponential backoff.
+ */
+
+const crypto = require('crypto');
+const { backoffDelay } = require('./backoff');
+
+const PAYMENT_TIMEOUT_SECS = 60;
+
+function createLndBackend({ restUrl, macaroon }) {
+    const configured = !!(restUrl && macaroon);
+
+    /**
+     * Make an authenticated request to the LND REST API
+     */
+    async function lndRequest(path, method = 'GET', body = null) {
+        if (!configured) {
+            throw new Error('LND node not configured. Set LND_REST_URL and LND_MACAROON.');
+        }
+
+        const url = `${restUrl}${path}`;
+        const options = {
+            method,
+            headers: {
+                'Grpc-Metadata-macaroon': macaroon,
+                'Content-Type': 'application/json'
+            }
+        };
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+        } catch (fetchErr) {
+            throw new Error(`LND connection failed (${path}): ${fetchErr.message}`);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`LND API error (${response.status} on ${path}): ${errorText}`);
+        }
+
+        return await response.json();
+    }
+
+    // LND REST takes payment hashes as URL-safe base64 and returns them as base64
+    const hashToBase64Url = (hex) => Buffer.from(hex, 'hex').toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+    const base64ToHex = (b64) => Buffer.from(b64, 'base64').toString('hex');
+
+    const INVOICE_STATES = { OPEN: 'open', ACCEPTED: 'open', SETTLED: 'settled', CANCELED: 'cancelled' };
+
+    /**
+     * Open a streaming endpoint and feed each JSON line to onEvent. Returns
+     * when the stream ends or onEvent returns false; throws if it can't
+     * connect or the stream reports an error.
+     */
+    async function readStream(path, onEvent, { method = 'GET', body = null, timeoutMs = 15000 } = {}) {
+        const response = await fetch(`${restUrl}${path}`, {
+            method,
+            headers: { 'Grpc-Metadata-macaroon': macaroon, 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        if (!response.ok) {
+            const err = new Error(`${path} returned ${response.status}: ${await response.text()}`);
+            err.status = response.status;
+            throw err;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed) continue;
+                let event;
+                try { event = JSON.parse(trimmed); } catch (parseErr) { continue; } // partial JSON
+                if (event.error) {
+                    throw new Error(`${path} error: ${event.error.message || JSON.stringify(event.error)}`);
+                }
+                if ((await onEvent(event.result || event)) === false) {
+                    await reader.cancel();
+                    return;
+                }
+            }
+        }
+    }
+
+    const PAYMENT_STATES = { INITIATED: 'in_flight', IN_FLIGHT: 'in_flight', SUCCEEDED: 'succeeded', FAILED: 'failed' };
+
+    /**
+     * Normalize a router Payment update
+     */
+    function toPaymentResult(payment) {
+        const status = PAYMENT_STATES[payment.status] || 'in_flight';
+        return {
+            status,
+            paymentHash: payment.payment_hash,
+            preimage: status === 'succeeded' ? payment.payment_preimage : null,
+            feeSats: payment.fee_msat
+                ? Math.ceil(parseInt(payment.fee_msat, 10) / 1000)
+                : parseInt(payment.fee_sat || '0', 10) || 0,
+            failureReason: status === 'failed'
+                ? String(payment.failure_reason || 'unknown').replace(/^FAILURE_REASON_/, '').replace(/_/g, ' ').toLowerCase()
+                : null
+        };
+    }
+
+    return {
+        name: 'lnd',
+        supportsOnChain: true,
+
+        isConfigured() {
+            return configured
+                ? { configured: true }
+                : { configured: false, reason: 'LND_REST_URL or LND_MACAROON not set' };
+        },
+
+        async getInfo() {
+            const info = await lndRequest('/v1/getinfo');
+            return {
+                alias: info.alias,
+                pubkey: info.identity_pubkey,
+                synced: info.synced_to_chain,
+                blockHeight: info.block_height
+            };
+        },
+
+        async createInvoice({ amountSats = 0, memo = '', expirySecs = 3600, descriptionHashOnly = false }) {
+            const body = descriptionHashOnly
+                ? { description_hash: crypto.createHash('sha256').update(memo).digest('base64'), expiry: String(expirySecs) }
+                : { memo, expiry: String(expirySecs) };
+            if (amountSats > 0) body.value = String(amountSats);
+            const result = await lndRequest('/v1/invoices', 'POST', body);
+            return { bolt11: result.payment_request, paymentHash: base64ToHex(result.r_hash) };
+        },
+
+        async lookupInvoice(paymentHash) {
+            const invoice = await lndRequest(`/v2/invoices/lookup?payment_hash=${hashToBase64Url(paymentHash)}`);
+            return {
+                state: INVOICE_STATES[invoice.state] || 'open',
+                amountPaidSats: parseInt(invoice.amt_paid_sat || '0', 10) || parseInt(invoice.value || '0', 10)
+            };
+        },
+
+        async decodeInvoice(bolt11) {
+            const decoded = await lndRequest(`/v1/payreq/${bolt11}`);
+            return {
+                amountSats: parseInt(decoded.num_satoshis || '0', 10),
+                paymentHash: decoded.payment_hash,
+                description: decoded.description || null,
+                expiresAt: new Date((parseInt(decoded.timestamp, 10) + parseInt(decoded.expiry, 10)) * 1000).toISOString()
+            };
+        },
+
+        /**
+         * Send through the router: resolves with the final state, or
+         * in_flight if LND is still trying when the timeout passes.
+         */
+        async payInvoice(bolt11, { amountSats = null, maxFeeSats = 100 } = {}) {
+            const body = {
+                payment_request: bolt11,
+                fee_limit_sat: String(maxFeeSats),
+                timeout_seconds: PAYMENT_TIMEOUT_SECS,
+                no_inflight_updates: true
+            };
+            if (amountSats) body.amt = String(amountSats);
+
+            let result = null;
+            await readStream('/v2/router/send', (payment) => {
+                result = toPaymentResult(payment);
+                return result.status === 'in_flight';
+            }, { method: 'POST', body, timeoutMs: (PAYMENT_TIMEOUT_SECS + 15) * 1000 });
+            if (!result) throw new Error('LND router closed the payment stream without a result');
+            return result;
+        },
+
+        async trackPayment(paymentHash) {
+            let result = null;
+            try {
+                await readStream(`/v2/router/track/${hashToBase64Url(paymentHash)}?no_inflight_updates=false`, (payment) => {
+                    result = toPaymentResult(payment);
+                    return false;
+                });
+            } catch (err) {
+                if (/isn't initiated|not found/i.test(err.message)) return { status: 'unknown' };
+                throw err;
+            }
+            return result || { status: 'unknown' };
+        },
+
+        async newOnChainAddress() {
+            const result = await lndRequest('/v2/wallet/address/next', 'POST', {
+                type: 'TAPROOT_PUBKEY',
+                account: 'default'
+            });
+            return result.addr;
+        },
+
+        async getOnChainReceipts() {
+            const txns = await lndRequest('/v1/transactions');
+            const receipts = [];
+            for (const tx of txns.transactions || []) {
+                const amountSats = parseInt(tx.amount, 10);
+                if (!tx.dest_addresses || !(amountSats > 0)) continue;
+                for (const address of tx.dest_addresses) {
+                    receipts.push({ address, amountSats, txid: tx.tx_hash });
+                }
+            }
+            return receipts;
+        },
+
+        /**
+         * Stream invoice updates. Tries the v1 endpoint first (wider
+         * compatibility), then v2; reconnects with backoff when dropped.
+         */
+        subscribeInvoices(onSettled) {
+            if (!configured) return false;
+            let retries = 0;
+            const connect = async () => {
+                for (const endpoint of ['/v1/invoices/subscribe', '/v2/invoices/subscribe']) {
+                    console.log(`⚡ Trying invoice subscription: ${endpoint}...`);
+                    try {
+                        let announced = false;
+                        await readStream(endpoint, async (invoice) => {
+                            if (!announced) {
+                                console.log(`⚡ Connected to LND invoice stream via ${endpoint}`);
+                                announced = true;
+                                retries = 0;
+                            }
+                            if (invoice.state === 'SETTLED') {
+                                await onSettled({
+                                    paymentHash: base64ToHex(invoice.r_hash),
+                                    amountPaidSats: parseInt(invoice.amt_paid_sat || invoice.value || '0', 10)
+                                });
+                            }
+                        });
+                        console.warn('⚡ Invoice subscription stream ended');
+                        break;
+                    } catch (err) {
+                        console.warn(`⚠️  ${endpoint} error: ${err.message}`);
+                    }
+                }
+                const delay = backoffDelay(retries++);
+                console.log(`⚡ Reconnecting invoice subscription in ${Math.round(delay / 1000)}s...`);
+                setTimeout(connect, delay);
+            };
+            connect();
+            return true;
+        },
+
+        /**
+         * Stream on-chain transactions (seen as soon as LND sees them, even
+         * unconfirmed). A 4xx means the node doesn't offer it: polling only.
+         */
+        subscribeOnChain(onReceipt) {
+            if (!configured) return false;
+            let retries = 0;
+            const connect = async () => {
+                console.log('💰 Subscribing to LND on-chain transaction stream...');
+                try {
+                    await readStream('/v1/transactions/subscribe', async (tx) => {
+                        retries = 0;
+                        const amountSats = Math.abs(parseInt(tx.amount || '0', 10));
+                        if (!tx.dest_addresses || amountSats === 0) return;
+                        for (const address of tx.dest_addresses) {
+                            await onReceipt({ address, amountSats, txid: tx.tx_hash });
+                        }
+                    });
+                    console.warn('💰 Transaction subscription stream ended');
+                } catch (err) {
+                    if (err.status >= 400 && err.status < 500) {
+                        console.warn(`⚠️  Transaction subscribe returned ${err.status}. Falling back to polling only.`);
+                        return;
+                    }
+                    console.warn('⚠️  Transaction subscription error:', err.message);
+                }
+                const delay = backoffDelay(retries++);
+                console.log(`💰 Reconnecting transaction subscription in ${Math.round(delay / 1000)}s...`);
+                setTimeout(connect, delay);
+            };
+            connect();
+            return true;
+        }
+    };
+}
+
+module.exports = { createLndBackend };
@@ -0,0 +1,218 @@
+/**
+ * In-process mock Lightning node
+ *
+ * For development and tests: no network, no real sats. Everything is
+ * deterministic — the nth invoice, preimage and address are the same on every
+ * run — and the test hooks at the bottom play the part of the outside world
+ * (a donor paying an invoice, coins arriving on-chain, a failed route).
+ *
+ * Invoices are real BOLT11 strings (regtest, unsigned), so anything that
+ * decodes them locally sees the same amount and hash the mock does.
+ */
+
+const crypto = require('crypto');
+const bolt11 = require('./bolt11');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+function createMockBackend({ feePpm = 0, now = () => Date.now() } = {}) {
+    let counter = 0;
+    let invoices = new Map();     // paymentHash -> { bolt11, amountSats, memo, state, amountPaidSats, expiresAt }
+    let addresses = [];
+    let receipts = [];
+    let payments = [];
+    let failNext = null;
+    let holdNext = false;
+    let loseNext = false;
+    let invoiceListeners = [];
+    let onChainListeners = [];
+
+    const nextPreimage = () => sha256(`mock-preimage-${++counter}`);
+
+    const toResult = (payment) => ({
+        status: payment.status,
+        paymentHash: payment.paymentHash,
+        preimage: payment.status === 'succeeded' ? payment.preimage : null,
+        feeSats: payment.status === 'succeeded' ? payment.feeSats : 0,
+        failureReason: payment.status === 'failed' ? payment.failureReason : null
+    });
+
+    function settle(paymentHash, amountPaidSats) {
+        const invoice = invoices.get(paymentHash);
+        if (!invoice) throw new Error(`Mock invoice ${paymentHash.substring(0, 12)}... not found`);
+        if (invoice.state !== 'open') throw new Error(`Mock invoice is already ${invoice.state}`);
+        invoice.state = 'settled';
+        invoice.amountPaidSats = amountPaidSats != null ? amountPaidSats : invoice.amountSats;
+        const event = { paymentHash, amountPaidSats: invoice.amountPaidSats };
+        return Promise.all(invoiceListeners.map(fn => fn(event))).then(() => event);
+    }
+
+    return {
+        name: 'mock',
+        supportsOnChain: true,
+
+        isConfigured() {
+            return { configured: true };
+        },
+
+        async getInfo() {
+            return { alias: 'mock-node', pubkey: '02' + sha256('mock-node'), synced: true, blockHeight: 800000 };
+        },
+
+        async createInvoice({ amountSats = 0, memo = '', expirySecs = 3600, descriptionHashOnly = false }) {
+            const preimage = nextPreimage();
+            const paymentHash = sha256(Buffer.from(preimage, 'hex'));
+            const timestamp = Math.floor(now() / 1000);
+            const encoded = bolt11.encode({
+                amountSats, paymentHash, timestamp, expirySecs,
+                description: memo,
+                descriptionHash: descriptionHashOnly ? sha256(memo) : null
+            });
+            invoices.set(paymentHash, {
+                bolt11: encoded,
+                amountSats,
+                memo,
+                preimage,
+                state: 'open',
+                amountPaidSats: 0,
+                expiresAt: (timestamp + expirySecs) * 1000
+            });
+            return { bolt11: encoded, paymentHash };
+        },
+
+        async lookupInvoice(paymentHash) {
+            const invoice = invoices.get(paymentHash);
+            if (!invoice) throw new Error(`Mock invoice ${paymentHash.substring(0, 12)}... not found`);
+            if (invoice.state === 'open' && now() >= invoice.expiresAt) invoice.state = 'cancelled';
+            return { state: invoice.state, amountPaidSats: invoice.amountPaidSats };
+        },
+
+        async decodeInvoice(encoded) {
+            const decoded = bolt11.decode(encoded);
+            return {
+                amountSats: decoded.amountSats || 0,
+                paymentHash: decoded.paymentHash,
+                description: decoded.description,
+                expiresAt: new Date((decoded.timestamp + decoded.expirySecs) * 1000).toISOString()
+            };
+        },
+
+        async payInvoice(encoded, { amountSats = null, maxFeeSats = 100 } = {}) {
+            const decoded = bolt11.decode(encoded);
+            const sats = decoded.amountSats || amountSats;
+            if (!sats) throw new Error('Payment failed: amount required for a zero-amount invoice');
+
+            const failed = (failureReason) => ({ status: 'failed', paymentHash: decoded.paymentHash, preimage: null, feeSats: 0, failureReason });
+            if (failNext) {
+                const reason = failNext;
+                failNext = null;
+                return failed(reason);
+            }
+            const feeSats = Math.ceil(sats * feePpm / 1_000_000);
+            if (feeSats > maxFeeSats) {
+                return failed(`fee ${feeSats} sats exceeds limit ${maxFeeSats}`);
+            }
+
+            // Paying one of our own invoices settles it, like a real self-payment
+            const own = invoices.get(decoded.paymentHash);
+            const payment = {
+                bolt11: encoded,
+                paymentHash: decoded.paymentHash,
+                preimage: own ? own.preimage : nextPreimage(),
+                amountSats: sats,
+                feeSats,
+                status: holdNext ? 'in_flight' : 'succeeded'
+            };
+            holdNext = false;
+            payments.push(payment);
+            if (payment.status === 'succeeded' && own && own.state === 'open') await settle(decoded.paymentHash, sats);
+
+            if (loseNext) {
+                loseNext = false;
+                throw new Error('Mock connection reset before the payment result arrived');
+            }
+            return toResult(payment);
+        },
+
+        async trackPayment(paymentHash) {
+            const payment = payments.filter(p => p.paymentHash === paymentHash).pop();
+            return payment ? toResult(payment) : { status: 'unknown' };
+        },
+
+        async newOnChainAddress() {
+            const address = `bcrt1p${sha256(`mock-address-${++counter}`).substring(0, 58)}`;
+            addresses.push(address);
+            return address;
+        },
+
+        async getOnChainReceipts() {
+            return receipts.slice();
+        },
+
+        subscribeInvoices(onSettled) {
+            invoiceListeners.push(onSettled);
+            return true;
+        },
+
+        subscribeOnChain(onReceipt) {
+            onChainListeners.push(onReceipt);
+            return true;
+        },
+
+        // ── Test hooks ──────────────────────────────────────────────────
+
+        /** A donor pays an invoice (amountPaidSats defaults to its amount). */
+        settleInvoice: settle,
+
+        /** Coins arrive at one of our addresses. */
+        receiveOnChain(address, amountSats) {
+            const receipt = { address, amountSats, txid: sha256(`mock-tx-${++counter}`) };
+            receipts.push(receipt);
+            return Promise.all(onChainListeners.map(fn => fn(receipt))).then(() => receipt);
+        },
+
+        /** Make the next payInvoice() fail with this reason. */
+        failNextPayment(reason = 'no route') {
+            failNext = reason;
+        },
+
+        /** Leave the next payment in flight until resolvePayment(). */
+        holdNextPayment() {
+            holdNext = true;
+        },
+
+        /** Settle a held payment as 'succeeded' or 'failed'. */
+        resolvePayment(paymentHash, status, failureReason = 'no route') {
+            const payment = payments.find(p => p.paymentHash === paymentHash && p.status === 'in_flight');
+            if (!payment) throw new Error(`No mock payment in flight for ${paymentHash.substring(0, 12)}...`);
+            payment.status = status;
+            payment.failureReason = failureReason;
+        },
+
+        /** Send the next payment but lose its result, as if the process crashed. */
+        loseNextResult() {
+            loseNext = true;
+        },
+
+        /** Payments that left the node (succeeded or in flight), oldest first. */
+        getPayments() {
+            return payments.slice();
+        },
+
+        /** Forget all invoices, addresses, payments and listeners. */
+        reset() {
+            counter = 0;
+            invoices = new Map();
+            addresses = [];
+            receipts = [];
+            payments = [];
+            failNext = null;
+            holdNext = false;
+            loseNext = false;
+            invoiceListeners = [];
+            onChainListeners = [];
+        }
+    };
+}
+
+module.exports = { createMockBackend };
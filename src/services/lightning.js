@@ -1,22 +1,28 @@
 /**
  * Lightning Network service
- * Connects to Voltage LND node via REST API
- * Handles Lightning Address resolution and payments
+ * Talks to the node through services/lightning-backends (LND by default)
+ * Handles Lightning Address resolution, payments and donation deposits
  */
 
 const db = require('./database');
+const ledger = require('./ledger');
+const zaps = require('./zaps');
+const campaigns = require('./campaigns');
 
-const LND_REST_URL = process.env.LND_REST_URL;
-const LND_MACAROON = process.env.LND_MACAROON;
+const backends = require('./lightning-backends');
+
+// Routing fee limit for every outgoing payment
+const MAX_FEE_SATS = 100;
 
 // ── Site-scoped spending guard ──────────────────────────────────────────
-// The LND node is shared with other sites, so its channel balance is NOT
+// The Lightning node is shared with other sites, so its channel balance is NOT
 // the right ceiling for what THIS site can pay out. We compute an internal
-// budget from the local SQLite ledger:
+// budget from the site's treasury ledger (services/ledger.js):
 //
-//   getSiteAvailableSats() = totalDonated − totalPaidOut
+//   getSiteAvailableSats() = totalDonated − totalPaidOut − routing fees
 //
-// Every pay path goes through assertWithinBudget(sats) before touching LND.
+// Every pay path goes through assertWithinBudget(sats) before reaching the
+// backend, so the guard holds for LND, CLN, LNbits and the mock alike.
 // If a future bug or misconfiguration tried to send more than this site has
 // ever received and not yet paid out, the call fails fast with a clear error
 // instead of draining a sibling site's funds.
@@ -25,17 +31,7 @@ const LND_MACAROON = process.env.LND_MACAROON;
 // when they DO pay they go through this same chokepoint — the guard fires
 // at pay time, not commit time. (Commit time has its own check in admin.js.)
 function getSiteAvailableSats() {
-    const allDeposits = db.getAllDepositAddresses() || [];
-    const totalDonated = allDeposits
-        .filter(d => d.received_at && d.amount_received_sats > 0)
-        .reduce((s, d) => s + (d.amount_received_sats || 0), 0);
-
-    const allRaffles = db.getAllRaffles() || [];
-    const totalPaidOut = allRaffles
-        .filter(r => r.paid_at && r.prize_amount_sats > 0)
-        .reduce((s, r) => s + (r.prize_amount_sats || 0), 0);
-
-    return Math.max(0, totalDonated - totalPaidOut);
+    return Math.max(0, ledger.getHeldSats());
 }
 
 function assertWithinBudget(amountSats, context) {
@@ -44,7 +40,7 @@ function assertWithinBudget(amountSats, context) {
         const err = new Error(
             `Refusing to pay ${amountSats.toLocaleString()} sats: this site only has ` +
             `${available.toLocaleString()} sats available in its ledger ` +
-            `(donations − payouts). The shared LND node has more, but it belongs to ` +
+            `(donations − payouts). The shared node has more, but it belongs to ` +
             `other sites. Top up the raffle fund with a real donation first.` +
             (context ? ` (context: ${context})` : '')
         );
@@ -67,90 +63,46 @@ let depositCache = {
 // How often to re-check invoice expiry (5 minutes)
 const EXPIRY_CHECK_INTERVAL_MS = 5 * 60 * 1000;
 
-/**
- * Make an authenticated request to the LND REST API
- */
-async function lndRequest(path, method = 'GET', body = null) {
-    if (!LND_REST_URL || !LND_MACAROON) {
-        throw new Error('LND node not configured. Set LND_REST_URL and LND_MACAROON.');
-    }
-
-    const url = `${LND_REST_URL}${path}`;
-    const options = {
-        method,
-        headers: {
-            'Grpc-Metadata-macaroon': LND_MACAROON,
-            'Content-Type': 'application/json'
-        }
-    };
-
-    // Skip TLS verification for Voltage nodes (they use self-signed certs)
-    if (body) {
-        options.body = JSON.stringify(body);
-    }
-
-    let response;
-    try {
-        response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
-    } catch (fetchErr) {
-        throw new Error(`LND connection failed (${path}): ${fetchErr.message}`);
-    }
-    
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`LND API error (${response.status} on ${path}): ${errorText}`);
-    }
-
-    return await response.json();
-}
+// Fiat-priced invoices hold their BTC rate for an hour
+const FIAT_INVOICE_EXPIRY_SECS = 3600;
 
 /**
- * Get node info (alias, pubkey, etc.)
+ * Get node info (alias, pubkey, synced, blockHeight)
  */
 async function getNodeInfo() {
-    return await lndRequest('/v1/getinfo');
-}
-
-/**
- * Get wallet balance (on-chain)
- */
-async function getWalletBalance() {
-    return await lndRequest('/v1/balance/blockchain');
-}
-
-/**
- * Get channel balance (Lightning)
- */
-async function getChannelBalance() {
-    return await lndRequest('/v1/balance/channels');
+    return await backends.getBackend().getInfo();
 }
 
 /**
  * Decode a BOLT11 payment request
+ * Returns { amountSats, paymentHash, description, expiresAt }
  */
 async function decodePayReq(payReq) {
-    return await lndRequest(`/v1/payreq/${payReq}`);
+    return await backends.getBackend().decodeInvoice(payReq);
 }
 
 /**
  * Pay a BOLT11 invoice
- * Returns payment result with payment_hash and payment_preimage
+ * Returns { status, paymentHash, preimage, feeSats }, where status is
+ * 'succeeded' or 'in_flight' (the node is still trying). A payment the node
+ * gave up on throws with code PAYMENT_FAILED; any other error means the
+ * outcome is unknown and trackPayment() should be asked later.
  *
  * SAFETY: All payments are clamped to this site's ledger budget
- * (donations − payouts). The shared LND node may have more funds, but
- * those belong to other sites. See assertWithinBudget() above.
+ * (donations − payouts − fees), whichever backend sends them. The node may
+ * have more funds, but those belong to other sites. See assertWithinBudget().
  */
 async function payInvoice(payReq, amountSats = null) {
     // If the caller provided an amount, check it directly. Otherwise decode
-    // the invoice to find out what we're committing to before contacting LND.
+    // the invoice to find out what we're committing to before paying.
     let payAmount = amountSats;
     if (payAmount == null) {
         try {
             const decoded = await decodePayReq(payReq);
-            payAmount = parseInt(decoded.num_satoshis || decoded.numSatoshis || '0');
+            payAmount = decoded.amountSats;
         } catch (e) {
-            // If we can't decode, fall through to LND — LND will reject if invoice
-            // is malformed. We just lose the budget check for this edge case.
+            // If we can't decode, fall through to the node — it will reject if
+            // the invoice is malformed. We just lose the budget check for this edge case.
             payAmount = 0;
         }
     }
@@ -158,20 +110,34 @@ async function payInvoice(payReq, amountSats = null) {
         assertWithinBudget(payAmount, 'payInvoice');
     }
 
-    const body = {
-        payment_request: payReq,
-        fee_limit: {
-            fixed: '100' // Max 100 sats fee
-        }
-    };
-
-    // If amount specified (for zero-amount invoices)
-    if (amountSats) {
-        body.amt = String(amountSats);
+    const result = await backends.getBackend().payInvoice(payReq, {
+        amountSats,
+        maxFeeSats: MAX_FEE_SATS
+    });
+    if (result.status === 'failed') {
+        const err = new Error(`Payment failed: ${result.failureReason || 'unknown reason'}`);
+        err.code = 'PAYMENT_FAILED';
+        throw err;
     }
+    return result;
+}
 
-    // Use v1 synchronous send endpoint
-    return await lndRequest('/v1/channels/transactions', 'POST', body);
+/**
+ * Ask the node what became of a payment
+ * Returns { status: 'succeeded'|'failed'|'in_flight'|'unknown', preimage, feeSats, failureReason }
+ */
+async function trackPayment(paymentHash) {
+    return await backends.getBackend().trackPayment(paymentHash);
+}
+
+/**
+ * An error that retrying won't fix: the address can't take this payment
+ * (bad format, Bolt12-only, amount outside its limits). Code ADDRESS_UNPAYABLE.
+ */
+function addressUnpayable(message) {
+    const err = new Error(message);
+    err.code = 'ADDRESS_UNPAYABLE';
+    return err;
 }
 
 /**
@@ -209,7 +175,7 @@ async function checkBip353(user, domain) {
  */
 async function resolveLightningAddress(address) {
     if (!address || !address.includes('@')) {
-        throw new Error('Invalid Lightning Address format. Expected user@domain.com');
+        throw addressUnpayable('Invalid Lightning Address format. Expected user@domain.com');
     }
 
     const [user, domain] = address.split('@');
@@ -224,10 +190,10 @@ async function resolveLightningAddress(address) {
         // LNURL resolution failed — check if this is a BIP-353/Bolt12 address
         const bip353 = await checkBip353(user, domain);
         if (bip353) {
-            throw new Error(
+            throw addressUnpayable(
                 `${address} uses BIP-353/Bolt12 (not LNURL). ` +
                 `This address only works with Bolt12-compatible wallets (e.g., Phoenix-to-Phoenix). ` +
-                `Our LND node cannot pay Bolt12 offers. ` +
+                `Our node cannot pay Bolt12 offers. ` +
                 `The reviewer needs a standard LNURL Lightning Address (e.g., Wallet of Satoshi, Alby, Coinos, etc.)`
             );
         }
@@ -244,7 +210,7 @@ async function resolveLightningAddress(address) {
     }
 
     if (data.tag !== 'payRequest') {
-        throw new Error(`Unexpected LNURL tag: ${data.tag}`);
+        throw addressUnpayable(`Unexpected LNURL tag: ${data.tag}`);
     }
 
     return {
@@ -294,18 +260,11 @@ async function requestInvoice(callback, amountSats, comment = '') {
 }
 
 /**
- * Pay a Lightning Address a specific amount in sats
- * Full flow: resolve address -> request invoice -> pay invoice
- *
- * SAFETY: Refuses to pay more than this site's available ledger balance.
- * The shared LND node may have plenty more — those funds belong to other
- * sites. The check fires BEFORE LNURL callback resolution so we don't
- * leak any side-effects on a refused payment.
+ * Get an invoice for `amountSats` from a Lightning Address
+ * Resolves the address, checks the amount is within its bounds and requests
+ * the invoice. Nothing is paid.
  */
-async function payLightningAddress(address, amountSats, comment = '') {
-    assertWithinBudget(amountSats, 'payLightningAddress→' + address);
-    console.log(`💸 Paying ${amountSats} sats to ${address}...`);
-
+async function fetchLightningAddressInvoice(address, amountSats, comment = '') {
     // Step 1: Resolve Lightning Address
     const lnurlData = await resolveLightningAddress(address);
 
@@ -314,50 +273,66 @@ async function payLightningAddress(address, amountSats, comment = '') {
     const maxSats = Math.floor(lnurlData.maxSendable / 1000);
 
     if (amountSats < minSats) {
-        throw new Error(`Amount ${amountSats} sats is below minimum ${minSats} sats`);
+        throw addressUnpayable(`Amount ${amountSats} sats is below minimum ${minSats} sats`);
     }
     if (amountSats > maxSats) {
-        throw new Error(`Amount ${amountSats} sats exceeds maximum ${maxSats} sats`);
+        throw addressUnpayable(`Amount ${amountSats} sats exceeds maximum ${maxSats} sats`);
     }
 
     // Step 2: Request invoice
     const invoiceData = await requestInvoice(lnurlData.callback, amountSats, comment);
     console.log(`📄 Got invoice: ${invoiceData.pr.substring(0, 40)}...`);
+    return invoiceData;
+}
+
+/**
+ * Pay a Lightning Address a specific amount in sats
+ * Full flow: resolve address -> request invoice -> pay invoice
+ * Prize payouts go through services/payments.js instead, which tracks them.
+ *
+ * SAFETY: Refuses to pay more than this site's available ledger balance.
+ * The shared node may have plenty more — those funds belong to other
+ * sites. The check fires BEFORE LNURL callback resolution so we don't
+ * leak any side-effects on a refused payment.
+ */
+async function payLightningAddress(address, amountSats, comment = '') {
+    assertWithinBudget(amountSats, 'payLightningAddress→' + address);
+    console.log(`💸 Paying ${amountSats} sats to ${address}...`);
+
+    const invoiceData = await fetchLightningAddressInvoice(address, amountSats, comment);
 
     // Step 3: Pay the invoice
     const paymentResult = await payInvoice(invoiceData.pr);
-    console.log(`✅ Payment sent!`);
+    console.log(paymentResult.status === 'succeeded' ? `✅ Payment sent!` : `⏳ Payment in flight`);
 
     return {
-        success: true,
+        success: paymentResult.status === 'succeeded',
+        pending: paymentResult.status === 'in_flight',
         address,
         amountSats,
-        paymentHash: paymentResult.payment_hash,
-        paymentPreimage: paymentResult.payment_preimage,
+        paymentHash: paymentResult.paymentHash,
+        paymentPreimage: paymentResult.preimage,
+        feeSats: paymentResult.feeSats,
         invoice: invoiceData.pr,
         successAction: invoiceData.successAction
     };
 }
 
 /**
- * Check if LND node is configured and reachable
+ * Check if the Lightning backend is configured and reachable
  */
 async function isConfigured() {
-    if (!LND_REST_URL || !LND_MACAROON) {
-        return { configured: false, reason: 'LND_REST_URL or LND_MACAROON not set' };
+    const backend = backends.getBackend();
+    const config = backend.isConfigured();
+    if (!config.configured) {
+        return { ...config, backend: backend.name };
     }
 
     try {
-        const info = await getNodeInfo();
-        return {
-            configured: true,
-            alias: info.alias,
-            pubkey: info.identity_pubkey,
-            synced: info.synced_to_chain,
-            blockHeight: info.block_height
-        };
+        const info = await backend.getInfo();
+        return { configured: true, backend: backend.name, ...info };
     } catch (error) {
-        return { configured: false, reason: error.message };
+        return { configured: false, backend: backend.name, reason: error.message };
     }
 }
 
@@ -366,14 +341,13 @@ async function isConfigured() {
 // ============================================================
 
 /**
- * Generate a new on-chain address from LND and track it in DB
+ * Generate a new on-chain address from the node and track it in DB.
+ * Returns null when the backend has no on-chain wallet (LNbits).
  */
 async function generateOnChainAddress() {
-    const result = await lndRequest('/v2/wallet/address/next', 'POST', {
-        type: 'TAPROOT_PUBKEY',
-        account: 'default'
-    });
-    const address = result.addr;
+    const backend = backends.getBackend();
+    if (!backend.supportsOnChain) return null;
+    const address = await backend.newOnChainAddress();
     
     // Deactivate old on-chain addresses
     db.deactivateAllDepositAddresses('onchain');
@@ -391,17 +365,46 @@ async function generateOnChainAddress() {
  * Create a Lightning invoice (zero-amount or specified amount) and track in DB
  * Zero-amount donation invoices get 30-day expiry (no volatility concern for donations).
  * Custom-amount invoices get 7-day expiry.
+ * `options` is { lnurl, fiat }, both optional.
+ * LNURL-pay passes `lnurl`: { description, comment, locationSlug, expirySecs, zapRequest } —
+ * the invoice commits to the description hash (the LNURL metadata, or the zap
+ * request for a Nostr zap) and the comment is kept with the deposit.
+ * Invoices asked for in fiat pass `fiat`: { currency, amount, rate } — the
+ * rate is kept with the deposit, and the invoice only lives for an hour so
+ * the quote doesn't go stale.
  */
-async function createDonationInvoice(amountSats = 0, memo = 'Donation to Reviews Raffle') {
-    const expiry = amountSats === 0 ? '2592000' : '604800'; // 30 days for zero-amount, 7 days for custom
-    const body = { memo, expiry };
-    if (amountSats > 0) {
-        body.value = String(amountSats);
+async function createDonationInvoice(amountSats = 0, memo = 'Donation to Reviews Raffle', { lnurl = null, fiat = null } = {}) {
+    if (lnurl) {
+        const expirySecs = lnurl.expirySecs || 3600;
+        const { bolt11, paymentHash } = await backends.getBackend().createInvoice({
+            amountSats, memo: lnurl.description, expirySecs, descriptionHashOnly: true
+        });
+        db.createDepositAddress(bolt11, 'lightning', bolt11, paymentHash, `${memo} (${amountSats} sats)`, {
+            comment: lnurl.comment,
+            locationSlug: lnurl.locationSlug,
+            expiresAt: new Date(Date.now() + expirySecs * 1000).toISOString(),
+            zapRequest: lnurl.zapRequest ? lnurl.description : null,
+            zapperPubkey: lnurl.zapRequest ? lnurl.zapRequest.pubkey : null
+        });
+        console.log(`⚡ Created ${amountSats} sat Lightning Address ${lnurl.zapRequest ? 'zap ' : ''}invoice${lnurl.locationSlug ? ` (${lnurl.locationSlug})` : ''}`);
+        return { bolt11, paymentHash };
+    }
+
+    if (fiat) {
+        const expirySecs = FIAT_INVOICE_EXPIRY_SECS;
+        const { bolt11, paymentHash } = await backends.getBackend().createInvoice({ amountSats, memo, expirySecs });
+        db.createDepositAddress(bolt11, 'lightning', bolt11, paymentHash, memo, {
+            expiresAt: new Date(Date.now() + expirySecs * 1000).toISOString(),
+            fiatCurrency: fiat.currency,
+            fiatAmount: fiat.amount,
+            fiatRate: fiat.rate
+        });
+        console.log(`⚡ Created ${amountSats} sat Lightning invoice for ${fiat.amount} ${fiat.currency}`);
+        return { bolt11, paymentHash, expiresInSecs: expirySecs };
     }
-    
-    const result = await lndRequest('/v1/invoices', 'POST', body);
-    const bolt11 = result.payment_request;
-    const paymentHash = Buffer.from(result.r_hash, 'base64').toString('hex');
+
+    const expirySecs = amountSats === 0 ? 2592000 : 604800; // 30 days for zero-amount, 7 days for custom
+    const { bolt11, paymentHash } = await backends.getBackend().createInvoice({ amountSats, memo, expirySecs });
     
     // Only track zero-amount invoices as the "active" cached one
     if (amountSats === 0) {
@@ -420,17 +423,14 @@ async function createDonationInvoice(amountSats = 0, memo = 'Donation to Reviews
 }
 
 /**
- * Check if the cached Lightning invoice is expired by looking it up on LND.
- * Returns true if expired or cancelled, false if still open.
+ * Check if the cached Lightning invoice is expired by looking it up on the node.
+ * Returns true if expired, cancelled or already paid, false if still open.
  */
 async function isInvoiceExpired() {
     if (!depositCache.lightningPaymentHash) return true;
     try {
-        const hashBase64 = Buffer.from(depositCache.lightningPaymentHash, 'hex').toString('base64')
-            .replace(/\+/g, '-').replace(/\//g, '_');
-        const invoice = await lndRequest(`/v2/invoices/lookup?payment_hash=${hashBase64}`);
-        // OPEN = still valid, SETTLED = paid, CANCELLED/EXPIRED = expired
-        return invoice.state !== 'OPEN';
+        const invoice = await backends.getBackend().lookupInvoice(depositCache.lightningPaymentHash);
+        return invoice.state !== 'open';
     } catch (err) {
         // If we can't look it up, assume expired to be safe
         return true;
@@ -468,8 +468,8 @@ async function getDepositInfo() {
         }
     }
     
-    // Generate on-chain address if missing
-    if (!depositCache.onchainAddress) {
+    // Generate on-chain address if missing (and the backend has a wallet)
+    if (!depositCache.onchainAddress && backends.getBackend().supportsOnChain) {
         await generateOnChainAddress();
     }
     
@@ -508,36 +508,56 @@ async function refreshDepositInfoIfNeeded() {
     }
 }
 
+/**
+ * Credit a Lightning deposit and rotate the cached invoice if it was the one paid
+ */
+async function creditLightningDeposit(dbInvoice, amountSats) {
+    // Mark received and credit the raffle fund
+    db.markDepositReceived(dbInvoice.id, amountSats, ledger.donation(dbInvoice, amountSats));
+    if (amountSats > 0) {
+        console.log(`🎯 Raffle fund updated: +${amountSats} = ${ledger.getFundSats()} sats`);
+    }
+
+    // Count it toward running campaigns; sponsors match it
+    await campaigns.recordDonation(dbInvoice, amountSats);
+
+    // A Nostr zap: tell the zapper's relays it was paid (in the background)
+    if (dbInvoice.zap_request) {
+        zaps.publishReceipt(dbInvoice);
+    }
+    
+    // If this was the cached zero-amount invoice, rotate it
+    if (dbInvoice.payment_hash === depositCache.lightningPaymentHash) {
+        await createDonationInvoice(0);
+    }
+}
+
+/**
+ * Credit an on-chain deposit to the active address and rotate to a fresh one
+ */
+async function creditOnChainDeposit(dbAddr, amountSats) {
+    db.markDepositReceived(dbAddr.id, amountSats, ledger.donation(dbAddr, amountSats));
+    console.log(`🎯 Raffle fund updated: +${amountSats} = ${ledger.getFundSats()} sats`);
+    await campaigns.recordDonation(dbAddr, amountSats);
+    await generateOnChainAddress();
+}
+
 /**
  * Check if the active on-chain address received funds; rotate if so
  */
 async function checkOnChainDeposits() {
-    if (!depositCache.onchainAddress) return;
+    if (!depositCache.onchainAddress || !backends.getBackend().supportsOnChain) return;
     
     try {
-        // List on-chain transactions and check for our address
-        const txns = await lndRequest('/v1/transactions');
-        if (!txns.transactions) return;
+        // List on-chain receipts and check for our address
+        const receipts = await backends.getBackend().getOnChainReceipts();
+        const receipt = receipts.find(r => r.address === depositCache.onchainAddress && r.amountSats > 0);
+        if (!receipt) return;
         
-        for (const tx of txns.transactions) {
-            if (!tx.dest_addresses) continue;
-            if (tx.dest_addresses.includes(depositCache.onchainAddress) && parseInt(tx.amount) > 0) {
-                const amountSats = parseInt(tx.amount);
-                console.log(`💰 On-chain deposit detected: ${amountSats} sats to ${depositCache.onchainAddress}`);
-                
-                // Mark received in DB
-                const dbAddr = db.getDepositAddressByAddress(depositCache.onchainAddress);
-                if (dbAddr && dbAddr.is_active) {
-                    db.markDepositReceived(dbAddr.id, amountSats);
-                    // Add to raffle fund
-                    const currentFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-                    db.setSetting('raffle_fund_sats', String(currentFund + amountSats));
-                    console.log(`🎯 Raffle fund updated: ${currentFund} + ${amountSats} = ${currentFund + amountSats} sats`);
-                    // Generate new address
-                    await generateOnChainAddress();
-                }
-                break;
-            }
+        console.log(`💰 On-chain deposit detected: ${receipt.amountSats} sats to ${depositCache.onchainAddress}`);
+        const dbAddr = db.getDepositAddressByAddress(depositCache.onchainAddress);
+        if (dbAddr && dbAddr.is_active) {
+            await creditOnChainDeposit(dbAddr, receipt.amountSats);
         }
     } catch (err) {
         console.warn('⚠️  Error checking on-chain deposits:', err.message);
@@ -558,28 +578,10 @@ async function checkLightningDeposits() {
             if (!dbInvoice.payment_hash) continue;
             
             try {
-                const hashBase64 = Buffer.from(dbInvoice.payment_hash, 'hex').toString('base64')
-                    .replace(/\+/g, '-').replace(/\//g, '_');
-                const lndInvoice = await lndRequest(`/v2/invoices/lookup?payment_hash=${hashBase64}`);
-                
-                if (lndInvoice.state === 'SETTLED') {
-                    const amountSats = parseInt(lndInvoice.amt_paid_sat || lndInvoice.value || '0');
-                    console.log(`⚡ Lightning deposit detected: ${amountSats} sats (invoice ${dbInvoice.payment_hash.substring(0, 12)}...)`);
-                    
-                    // Mark received in DB
-                    db.markDepositReceived(dbInvoice.id, amountSats);
-                    
-                    // Add to raffle fund
-                    if (amountSats > 0) {
-                        const currentFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-                        db.setSetting('raffle_fund_sats', String(currentFund + amountSats));
-                        console.log(`🎯 Raffle fund updated: ${currentFund} + ${amountSats} = ${currentFund + amountSats} sats`);
-                    }
-                    
-                    // If this was the cached zero-amount invoice, rotate it
-                    if (dbInvoice.payment_hash === depositCache.lightningPaymentHash) {
-                        await createDonationInvoice(0);
-                    }
+                const invoice = await backends.getBackend().lookupInvoice(dbInvoice.payment_hash);
+                if (invoice.state === 'settled') {
+                    console.log(`⚡ Lightning deposit detected: ${invoice.amountPaidSats} sats (invoice ${dbInvoice.payment_hash.substring(0, 12)}...)`);
+                    await creditLightningDeposit(dbInvoice, invoice.amountPaidSats);
                 }
             } catch (err) {
                 // Skip individual invoice lookup errors (e.g., invoice not found)
@@ -601,242 +603,60 @@ async function checkForDeposits() {
 }
 
 /**
- * Handle a settled invoice event (from subscription or polling).
+ * Handle a settled invoice pushed by the backend subscription.
  * Credits the raffle fund and rotates the cached invoice if needed.
  */
-async function handleSettledInvoice(settledInvoice) {
-    const paymentHash = Buffer.from(settledInvoice.r_hash, 'base64').toString('hex');
-    const amountSats = parseInt(settledInvoice.amt_paid_sat || settledInvoice.value || '0');
-    
+async function handleSettledInvoice({ paymentHash, amountPaidSats }) {
     // Check if this invoice is one we're tracking
     const dbInvoice = db.getDepositAddressByPaymentHash(paymentHash);
     if (!dbInvoice) return; // Not our tracked invoice
     if (dbInvoice.received_at) return; // Already credited
     
-    console.log(`⚡ INSTANT: Lightning deposit detected: ${amountSats} sats (invoice ${paymentHash.substring(0, 12)}...)`);
-    
-    // Mark received in DB
-    db.markDepositReceived(dbInvoice.id, amountSats);
-    
-    // Add to raffle fund
-    if (amountSats > 0) {
-        const currentFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-        db.setSetting('raffle_fund_sats', String(currentFund + amountSats));
-        console.log(`🎯 Raffle fund updated: ${currentFund} + ${amountSats} = ${currentFund + amountSats} sats`);
-    }
-    
-    // If this was the cached zero-amount invoice, rotate it
-    if (paymentHash === depositCache.lightningPaymentHash) {
-        await createDonationInvoice(0);
-    }
-}
-
-// Retry state for subscription backoff
-let invoiceSubRetries = 0;
-let txSubRetries = 0;
-
-/**
- * Calculate exponential backoff delay: 30s, 60s, 120s, ... capped at 5 minutes
- */
-function backoffDelay(retries) {
-    return Math.min(30000 * Math.pow(2, retries), 5 * 60 * 1000);
+    console.log(`⚡ INSTANT: Lightning deposit detected: ${amountPaidSats} sats (invoice ${paymentHash.substring(0, 12)}...)`);
+    await creditLightningDeposit(dbInvoice, amountPaidSats);
 }
 
 /**
- * Subscribe to LND invoice updates via streaming REST API.
- * This gives us instant notification when any invoice is settled.
- * Auto-reconnects on disconnection with exponential backoff.
+ * Handle an on-chain receipt pushed by the backend subscription
+ * (seen as soon as the node sees it, even unconfirmed).
  */
-async function subscribeToInvoices() {
-    if (!LND_REST_URL || !LND_MACAROON) return;
-    
-    // Try v1 endpoint first (wider compatibility), then v2
-    const endpoints = ['/v1/invoices/subscribe', '/v2/invoices/subscribe'];
-    let response = null;
-    
-    for (const endpoint of endpoints) {
-        const url = `${LND_REST_URL}${endpoint}`;
-        console.log(`⚡ Trying invoice subscription: ${endpoint}...`);
-        
-        try {
-            response = await fetch(url, {
-                headers: {
-                    'Grpc-Metadata-macaroon': LND_MACAROON,
-                    'Content-Type': 'application/json'
-                },
-                signal: AbortSignal.timeout(15000)
-            });
-            
-            if (response.ok) {
-                console.log(`⚡ Connected to LND invoice stream via ${endpoint}`);
-                invoiceSubRetries = 0; // Reset backoff on successful connection
-                break;
-            } else {
-                console.warn(`⚠️  ${endpoint} returned ${response.status}`);
-                response = null;
-            }
-        } catch (e) {
-            console.warn(`⚠️  ${endpoint} error: ${e.message}`);
-            response = null;
-        }
-    }
+async function handleOnChainReceipt({ address, amountSats }) {
+    if (!depositCache.onchainAddress || address !== depositCache.onchainAddress || !(amountSats > 0)) return;
     
-    if (!response) {
-        const delay = backoffDelay(invoiceSubRetries);
-        invoiceSubRetries++;
-        console.warn(`⚠️  Invoice subscription failed. Retrying in ${Math.round(delay/1000)}s...`);
-        setTimeout(() => subscribeToInvoices(), delay);
-        return;
+    // Check if we already credited this
+    const dbAddr = db.getDepositAddressByAddress(address);
+    if (dbAddr && !dbAddr.received_at) {
+        console.log(`💰 INSTANT: On-chain deposit detected: ${amountSats} sats to ${address}`);
+        await creditOnChainDeposit(dbAddr, amountSats);
     }
-    
-    try {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-                console.warn('⚡ Invoice subscription stream ended');
-                break;
-            }
-            
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-            
-            for (const line of lines) {
-                const trimmed = line.trim();
-                if (!trimmed) continue;
-                try {
-                    const event = JSON.parse(trimmed);
-                    const invoice = event.result || event;
-                    if (invoice.state === 'SETTLED') {
-                        await handleSettledInvoice(invoice);
-                    }
-                } catch (parseErr) { /* skip partial JSON */ }
-            }
-        }
-    } catch (err) {
-        console.warn('⚠️  Invoice subscription stream error:', err.message);
-    }
-    
-    // Stream disconnected — reconnect with backoff
-    const delay = backoffDelay(invoiceSubRetries);
-    invoiceSubRetries++;
-    console.log(`⚡ Reconnecting invoice subscription in ${Math.round(delay/1000)}s...`);
-    setTimeout(() => subscribeToInvoices(), delay);
 }
 
 /**
- * Subscribe to on-chain transaction updates via LND streaming REST API.
- * Detects on-chain deposits as soon as LND sees them (even unconfirmed).
- * Auto-reconnects on disconnection with exponential backoff.
+ * Wrap a subscription handler so one bad event can't end the subscription
  */
-async function subscribeToTransactions() {
-    if (!LND_REST_URL || !LND_MACAROON) return;
-    
-    const url = `${LND_REST_URL}/v1/transactions/subscribe`;
-    console.log('💰 Subscribing to LND on-chain transaction stream...');
-    
-    let response;
-    try {
-        response = await fetch(url, {
-            headers: {
-                'Grpc-Metadata-macaroon': LND_MACAROON,
-                'Content-Type': 'application/json'
-            },
-            signal: AbortSignal.timeout(15000)
-        });
-        
-        if (!response.ok) {
-            console.warn(`⚠️  Transaction subscribe returned ${response.status}. Falling back to polling only.`);
-            return; // Don't retry on 404/permanent errors
-        }
-    } catch (err) {
-        const delay = backoffDelay(txSubRetries);
-        txSubRetries++;
-        console.warn(`⚠️  Transaction subscribe connection error: ${err.message}. Retrying in ${Math.round(delay/1000)}s...`);
-        setTimeout(() => subscribeToTransactions(), delay);
-        return;
-    }
-    
-    console.log('💰 Connected to LND on-chain transaction stream');
-    txSubRetries = 0; // Reset backoff on successful connection
-    
-    try {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-                console.warn('💰 Transaction subscription stream ended');
-                break;
-            }
-            
-            buffer += decoder.decode(value, { stream: true });
-            
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-            
-            for (const line of lines) {
-                const trimmed = line.trim();
-                if (!trimmed) continue;
-                
-                try {
-                    const event = JSON.parse(trimmed);
-                    const tx = event.result || event;
-                    
-                    // Check if this transaction involves our tracked deposit address
-                    if (tx.dest_addresses && depositCache.onchainAddress) {
-                        if (tx.dest_addresses.includes(depositCache.onchainAddress)) {
-                            const amountSats = Math.abs(parseInt(tx.amount || '0'));
-                            if (amountSats > 0) {
-                                // Check if we already credited this
-                                const dbAddr = db.getDepositAddressByAddress(depositCache.onchainAddress);
-                                if (dbAddr && !dbAddr.received_at) {
-                                    console.log(`💰 INSTANT: On-chain deposit detected: ${amountSats} sats to ${depositCache.onchainAddress}`);
-                                    db.markDepositReceived(dbAddr.id, amountSats);
-                                    const currentFund = parseInt(db.getSetting('raffle_fund_sats') || '0');
-                                    db.setSetting('raffle_fund_sats', String(currentFund + amountSats));
-                                    console.log(`🎯 Raffle fund updated: ${currentFund} + ${amountSats} = ${currentFund + amountSats} sats`);
-                                    // Generate new address
-                                    await generateOnChainAddress();
-                                }
-                            }
-                        }
-                    }
-                } catch (parseErr) {
-                    // Partial JSON or non-JSON line — skip
-                }
-            }
+function logErrors(label, handler) {
+    return async (event) => {
+        try {
+            await handler(event);
+        } catch (err) {
+            console.warn(`⚠️  ${label} error:`, err.message);
         }
-    } catch (err) {
-        console.warn('⚠️  Transaction subscription error:', err.message);
-    }
-    
-    // Stream disconnected — reconnect with backoff
-    const delay = backoffDelay(txSubRetries);
-    txSubRetries++;
-    console.log(`💰 Reconnecting transaction subscription in ${Math.round(delay/1000)}s...`);
-    setTimeout(() => subscribeToTransactions(), delay);
+    };
 }
 
 /**
  * Initialize deposit cache on startup.
- * Loads cached deposit info from DB, then tries LND.
- * Always starts subscriptions regardless of LND availability —
- * they retry with exponential backoff independently.
+ * Loads cached deposit info from DB, then tries the node.
+ * Always starts subscriptions regardless of node availability —
+ * backends that push updates retry with exponential backoff independently.
  */
 async function warmDepositCache() {
     try {
         await getDepositInfo();
-        console.log(`✅ Deposit cache warmed - On-chain: ${depositCache.onchainAddress?.substring(0, 12)}... | Lightning: ready`);
+        console.log(`✅ Deposit cache warmed - On-chain: ${depositCache.onchainAddress ? depositCache.onchainAddress.substring(0, 12) + '...' : 'n/a'} | Lightning: ready`);
     } catch (err) {
-        console.warn('⚠️  Failed to warm deposit cache (LND may be down):', err.message);
-        // Still try to load from DB even if LND is unreachable
+        console.warn('⚠️  Failed to warm deposit cache (node may be down):', err.message);
+        // Still try to load from DB even if the node is unreachable
         try {
             const onchain = db.getActiveDepositAddress('onchain');
             const lightning = db.getActiveDepositAddress('lightning');
@@ -846,26 +666,32 @@ async function warmDepositCache() {
                 depositCache.lightningPaymentHash = lightning.payment_hash;
             }
             if (depositCache.onchainAddress || depositCache.lightningInvoice) {
-                console.log('📦 Loaded deposit info from DB cache (LND offline)');
+                console.log('📦 Loaded deposit info from DB cache (node offline)');
             }
         } catch (dbErr) {
             console.warn('⚠️  DB deposit cache load also failed:', dbErr.message);
         }
     }
     
-    // Always start real-time subscriptions (non-blocking, retry with backoff)
-    subscribeToInvoices();
-    subscribeToTransactions();
+    // Always start real-time subscriptions (non-blocking); without them the
+    // deposit poll in index.js picks up payments
+    const backend = backends.getBackend();
+    if (!backend.subscribeInvoices(logErrors('Invoice subscription', handleSettledInvoice))) {
+        console.log(`⚡ ${backend.name} backend has no invoice stream — relying on deposit polling`);
+    }
+    if (backend.subscribeOnChain) {
+        backend.subscribeOnChain(logErrors('Transaction subscription', handleOnChainReceipt));
+    }
 }
 
 module.exports = {
     getNodeInfo,
-    getWalletBalance,
-    getChannelBalance,
     decodePayReq,
     payInvoice,
+    trackPayment,
     resolveLightningAddress,
     requestInvoice,
+    fetchLightningAddressInvoice,
     payLightningAddress,
     isConfigured,
     getSiteAvailableSats,
@@ -0,0 +1,149 @@
+/**
+ * LNURL-pay donations (Lightning Address)
+ *
+ * Donors can send sats to donate@<our domain> from any wallet, or to a
+ * location's own handle (roatan@<our domain>) so the donation is tagged with
+ * that location. The wallet fetches /.well-known/lnurlp/:name (LUD-16), then
+ * asks the callback for an invoice of the amount it chose (LUD-06).
+ *
+ * Invoices are issued through lightning.createDonationInvoice(), so they are
+ * tracked in deposit_addresses and credited by the same subscription/poll as
+ * every other donation. A LUD-12 comment is stored with the deposit and, once
+ * paid, shows on the donor wall. With Nostr configured the addresses also take
+ * zaps (NIP-57, see services/zaps.js).
+ */
+
+const lightning = require('./lightning');
+const nostr = require('./nostr');
+const zaps = require('./zaps');
+const allLocationConfigs = require('../../locations.config');
+
+const DONATION_HANDLE = 'donate';
+const MIN_SENDABLE_SATS = 1;
+const MAX_SENDABLE_SATS = 10_000_000; // same cap as /api/generate-invoice
+const COMMENT_MAX_LENGTH = 280;
+const INVOICE_EXPIRY_SECS = 3600;
+
+const locations = allLocationConfigs.filter(loc => loc.enabled !== false);
+
+function getBaseUrl() {
+    return process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+/**
+ * Look up a handle: 'donate' or an enabled location's slug.
+ * @returns {{ name: string, location: Object|null }|null}
+ */
+function resolveHandle(name) {
+    const handle = String(name || '').toLowerCase();
+    if (handle === DONATION_HANDLE) return { name: handle, location: null };
+    const location = locations.find(loc => loc.slug === handle);
+    return location ? { name: handle, location } : null;
+}
+
+/**
+ * The Lightning Address for a location (or the site-wide one), e.g. roatan@example.com
+ */
+function getAddress(location = null) {
+    return `${location ? location.slug : DONATION_HANDLE}@${new URL(getBaseUrl()).host}`;
+}
+
+/**
+ * LUD-06 metadata for a handle. The invoice commits to its hash, so it must
+ * be byte-for-byte the same in the pay request and the callback.
+ */
+function buildMetadata(handle) {
+    const description = handle.location
+        ? `Donation to Reviews Raffle — ${handle.location.name}`
+        : 'Donation to Reviews Raffle';
+    return JSON.stringify([
+        ['text/plain', description],
+        ['text/identifier', getAddress(handle.location)]
+    ]);
+}
+
+/**
+ * The payRequest a wallet gets from /.well-known/lnurlp/:name
+ */
+function getPayRequest(handle) {
+    const request = {
+        tag: 'payRequest',
+        callback: `${getBaseUrl()}/api/lnurlp/${handle.name}/callback`,
+        minSendable: MIN_SENDABLE_SATS * 1000,
+        maxSendable: MAX_SENDABLE_SATS * 1000,
+        metadata: buildMetadata(handle),
+        commentAllowed: COMMENT_MAX_LENGTH
+    };
+    if (nostr.isConfigured()) {
+        request.allowsNostr = true;
+        request.nostrPubkey = nostr.getPublicKey();
+    }
+    return request;
+}
+
+/**
+ * Tidy a donor comment: trimmed, control characters removed. Empty → null.
+ */
+function cleanComment(comment) {
+    if (comment === undefined || comment === null) return null;
+    const cleaned = String(comment).replace(/[\u0000-\u001f\u007f]+/g, ' ').trim();
+    return cleaned || null;
+}
+
+/**
+ * Issue an invoice for the callback. `amount` is in millisats, as the wallet
+ * sends it; `nostr` is a zap request, whose content is the comment. Bad input
+ * throws with code LNURL_INVALID and a reason the wallet can show.
+ * @returns {Promise<{ pr: string, routes: Array, successAction: Object }>}
+ */
+async function createPayInvoice(handle, { amount, comment, nostr: zapRequestJson }) {
+    const invalid = (reason) => {
+        const err = new Error(reason);
+        err.code = 'LNURL_INVALID';
+        return err;
+    };
+
+    const amountMsat = Number(amount);
+    if (!Number.isInteger(amountMsat) || amountMsat < MIN_SENDABLE_SATS * 1000 || amountMsat > MAX_SENDABLE_SATS * 1000) {
+        throw invalid(`Amount must be between ${MIN_SENDABLE_SATS} and ${MAX_SENDABLE_SATS.toLocaleString()} sats`);
+    }
+    if (amountMsat % 1000 !== 0) {
+        throw invalid('Amount must be a whole number of sats');
+    }
+    let zapRequest = null;
+    if (zapRequestJson) {
+        if (!nostr.isConfigured()) throw invalid('This address does not accept zaps');
+        zapRequest = zaps.parseZapRequest(String(zapRequestJson), amountMsat);
+    }
+    const text = cleanComment(zapRequest ? zapRequest.content : comment);
+    if (text && text.length > COMMENT_MAX_LENGTH) {
+        throw invalid(`Comment is limited to ${COMMENT_MAX_LENGTH} characters`);
+    }
+
+    const amountSats = amountMsat / 1000;
+    const { bolt11 } = await lightning.createDonationInvoice(amountSats, `Lightning Address ${zapRequest ? 'zap' : 'donation'} to ${getAddress(handle.location)}`, {
+        lnurl: {
+            description: zapRequest ? String(zapRequestJson) : buildMetadata(handle),
+            comment: text,
+            locationSlug: handle.location ? handle.location.slug : null,
+            expirySecs: INVOICE_EXPIRY_SECS,
+            zapRequest
+        }
+    });
+
+    return {
+        pr: bolt11,
+        routes: [],
+        successAction: { tag: 'message', message: 'Thank you! Your sats go straight into the raffle fund.' }
+    };
+}
+
+module.exports = {
+    DONATION_HANDLE,
+    COMMENT_MAX_LENGTH,
+    resolveHandle,
+    getAddress,
+    buildMetadata,
+    getPayRequest,
+    createPayInvoice
+};
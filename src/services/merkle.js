@@ -0,0 +1,101 @@
+/**
+ * Merkle tree helpers for raffle entry commitments
+ *
+ * Leaves are the ordered raffle entries. Hashing follows RFC 6962 domain
+ * separation (0x00 prefix for leaves, 0x01 for interior nodes) so a leaf can
+ * never be passed off as an interior node. An odd node at the end of a level
+ * is promoted unchanged instead of being paired with itself — duplicating it
+ * (the Bitcoin approach) lets two different entry lists share a root.
+ */
+
+const crypto = require('crypto');
+
+function sha256Hex(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Hash one raffle entry into a leaf.
+ * The position is part of the leaf, so reordering entries changes the root.
+ */
+function hashLeaf(entry) {
+    const data = `${entry.position}:${entry.ticketId}:${entry.entrantHash}`;
+    return sha256Hex(Buffer.concat([Buffer.from([0x00]), Buffer.from(data, 'utf8')]));
+}
+
+function hashNode(leftHex, rightHex) {
+    return sha256Hex(Buffer.concat([Buffer.from([0x01]), Buffer.from(leftHex, 'hex'), Buffer.from(rightHex, 'hex')]));
+}
+
+/**
+ * Build every level of the tree, leaves first.
+ * @param {string[]} leaves - hex leaf hashes
+ * @returns {string[][]}
+ */
+function buildLevels(leaves) {
+    const levels = [leaves];
+    let level = leaves;
+    while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+        level = next;
+    }
+    return levels;
+}
+
+/**
+ * Compute the Merkle root over ordered entries.
+ * @param {Array<{position:number, ticketId:number, entrantHash:string}>} entries
+ * @returns {string|null} hex root, or null for an empty list
+ */
+function computeRoot(entries) {
+    if (!entries || entries.length === 0) return null;
+    const levels = buildLevels(entries.map(hashLeaf));
+    return levels[levels.length - 1][0];
+}
+
+/**
+ * Build an inclusion proof for the entry at `index`.
+ * Each step says which side the sibling sits on; promoted nodes add no step.
+ * @returns {{leaf:string, root:string, proof:Array<{side:'left'|'right', hash:string}>}|null}
+ */
+function buildProof(entries, index) {
+    if (!entries || index < 0 || index >= entries.length) return null;
+    const levels = buildLevels(entries.map(hashLeaf));
+    const proof = [];
+    let i = index;
+    for (let l = 0; l < levels.length - 1; l++) {
+        const level = levels[l];
+        const isRight = i % 2 === 1;
+        const siblingIndex = isRight ? i - 1 : i + 1;
+        if (siblingIndex < level.length) {
+            proof.push({ side: isRight ? 'left' : 'right', hash: level[siblingIndex] });
+        }
+        i = Math.floor(i / 2);
+    }
+    return { leaf: levels[0][index], root: levels[levels.length - 1][0], proof };
+}
+
+/**
+ * Verify an inclusion proof produced by buildProof().
+ * @param {string} leaf - hex leaf hash (from hashLeaf)
+ * @param {Array<{side:'left'|'right', hash:string}>} proof
+ * @param {string} root - expected hex root
+ */
+function verifyProof(leaf, proof, root) {
+    let hash = leaf;
+    for (const step of proof) {
+        hash = step.side === 'left' ? hashNode(step.hash, hash) : hashNode(hash, step.hash);
+    }
+    return hash === root;
+}
+
+module.exports = {
+    hashLeaf,
+    computeRoot,
+    buildProof,
+    verifyProof
+};
@@ -0,0 +1,160 @@
+/**
+ * Nostr service
+ *
+ * The site's Nostr identity (NOSTR_PRIVATE_KEY, hex or nsec) signs events such
+ * as zap receipts; NOSTR_RELAYS (comma-separated wss:// URLs) lists the relays
+ * they are always published to. Events are NIP-01: the id is the sha256 of the
+ * serialized event and the signature is BIP-340 Schnorr over that id.
+ */
+
+const crypto = require('crypto');
+const { bech32 } = require('bech32');
+const { schnorr } = require('@noble/curves/secp256k1');
+const WebSocket = require('ws');
+
+const PUBLISH_TIMEOUT_MS = 5000;
+const HEX_64 = /^[0-9a-f]{64}$/;
+const HEX_128 = /^[0-9a-f]{128}$/;
+
+/**
+ * The site's private key as hex, or null if Nostr isn't configured
+ */
+function getPrivateKey() {
+    const key = (process.env.NOSTR_PRIVATE_KEY || '').trim();
+    if (!key) return null;
+    if (key.startsWith('nsec1')) {
+        const { prefix, words } = bech32.decode(key);
+        if (prefix !== 'nsec') throw new Error('NOSTR_PRIVATE_KEY is not an nsec key');
+        return Buffer.from(bech32.fromWords(words)).toString('hex');
+    }
+    if (!HEX_64.test(key.toLowerCase())) throw new Error('NOSTR_PRIVATE_KEY must be 64 hex characters or an nsec key');
+    return key.toLowerCase();
+}
+
+function isConfigured() {
+    return !!process.env.NOSTR_PRIVATE_KEY;
+}
+
+/**
+ * The site's public key (hex, x-only)
+ */
+function getPublicKey() {
+    const privateKey = getPrivateKey();
+    return privateKey ? Buffer.from(schnorr.getPublicKey(privateKey)).toString('hex') : null;
+}
+
+/**
+ * Relays every event is published to (NOSTR_RELAYS)
+ */
+function getRelays() {
+    return (process.env.NOSTR_RELAYS || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(url => /^wss?:\/\//.test(url));
+}
+
+/**
+ * npub1... for a hex public key (NIP-19)
+ */
+function toNpub(pubkey) {
+    return bech32.encode('npub', bech32.toWords(Buffer.from(pubkey, 'hex')), 90);
+}
+
+/**
+ * NIP-01 event id: sha256 of [0, pubkey, created_at, kind, tags, content]
+ */
+function getEventHash(event) {
+    const serialized = JSON.stringify([0, event.pubkey, event.created_at, event.kind, event.tags, event.content]);
+    return crypto.createHash('sha256').update(serialized).digest('hex');
+}
+
+/**
+ * Check an event's shape, id and signature.
+ * @returns {boolean}
+ */
+function verifyEvent(event) {
+    if (!event || typeof event !== 'object') return false;
+    if (typeof event.id !== 'string' || typeof event.pubkey !== 'string' || typeof event.sig !== 'string') return false;
+    if (!HEX_64.test(event.id) || !HEX_64.test(event.pubkey) || !HEX_128.test(event.sig)) return false;
+    if (!Number.isInteger(event.kind) || !Number.isInteger(event.created_at) || typeof event.content !== 'string') return false;
+    if (!Array.isArray(event.tags) || !event.tags.every(tag => Array.isArray(tag) && tag.every(v => typeof v === 'string'))) return false;
+    if (getEventHash(event) !== event.id) return false;
+    try {
+        return schnorr.verify(event.sig, event.id, event.pubkey);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Sign an event template ({ kind, tags, content, created_at? }) with the
+ * site's key.
+ */
+function signEvent(template, privateKey = getPrivateKey()) {
+    if (!privateKey) throw new Error('Nostr not configured. Set NOSTR_PRIVATE_KEY.');
+    const event = {
+        pubkey: Buffer.from(schnorr.getPublicKey(privateKey)).toString('hex'),
+        created_at: template.created_at || Math.floor(Date.now() / 1000),
+        kind: template.kind,
+        tags: template.tags || [],
+        content: template.content || ''
+    };
+    event.id = getEventHash(event);
+    event.sig = Buffer.from(schnorr.sign(event.id, privateKey)).toString('hex');
+    return event;
+}
+
+/**
+ * Send an event to one relay and wait for its OK (NIP-20).
+ * Never throws: failures come back as { ok: false, message }.
+ */
+function publishToRelay(event, url) {
+    return new Promise((resolve) => {
+        let socket;
+        let settled = false;
+        const finish = (ok, message) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            try { socket.close(); } catch (closeErr) { /* already closed */ }
+            resolve({ relay: url, ok, message });
+        };
+        const timer = setTimeout(() => finish(false, 'timed out'), PUBLISH_TIMEOUT_MS);
+
+        try {
+            socket = new WebSocket(url);
+        } catch (err) {
+            return finish(false, err.message);
+        }
+        socket.on('open', () => socket.send(JSON.stringify(['EVENT', event])));
+        socket.on('message', (data) => {
+            let message;
+            try { message = JSON.parse(data.toString()); } catch (parseErr) { return; }
+            if (Array.isArray(message) && message[0] === 'OK' && message[1] === event.id) {
+                finish(message[2] === true, message[3] || '');
+            }
+        });
+        socket.on('error', (err) => finish(false, err.message));
+        socket.on('close', () => finish(false, 'connection closed'));
+    });
+}
+
+/**
+ * Publish an event to the configured relays plus any extra ones.
+ * @returns {Promise<Array<{ relay: string, ok: boolean, message: string }>>}
+ */
+async function publish(event, extraRelays = []) {
+    const relays = [...new Set([...getRelays(), ...extraRelays])];
+    return Promise.all(relays.map(url => publishToRelay(event, url)));
+}
+
+module.exports = {
+    isConfigured,
+    getPublicKey,
+    getRelays,
+    toNpub,
+    getEventHash,
+    verifyEvent,
+    signEvent,
+    publish
+};
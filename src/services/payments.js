@@ -0,0 +1,175 @@
+/**
+ * Prize payments
+ *
+ * Every Lightning payout to a winner — an LNURL-withdraw claim, an admin
+ * paying a Lightning Address or the auto-payout worker — goes through here and is tracked in the
+ * payments table:
+ *
+ *   initiated ──► in_flight ──► succeeded
+ *       │              └──────► failed
+ *       └── (reconciler) ─────► succeeded / failed
+ *
+ * The row is written before the node is contacted, and only one initiated,
+ * in-flight or succeeded payment may exist per winner (a partial unique
+ * index): that is the claim lock. A wallet retrying the LNURL callback with
+ * the same invoice gets the existing payment back instead of a second
+ * payment; any other invoice is refused while the lock is held.
+ *
+ * If the node's answer is lost (timeout, dropped connection, crash) the
+ * payment stays open and keeps the lock. reconcilePayments() — at startup and
+ * with the background jobs — asks the node what happened and settles it, so
+ * a prize can only be retried once the node says the last attempt failed.
+ */
+
+const db = require('./database');
+const ledger = require('./ledger');
+const lightning = require('./lightning');
+
+// Payments this process is sending right now; the reconciler leaves them alone
+const sending = new Set();
+
+/**
+ * Record a payment that went through: winner paid, payout posted.
+ */
+function completePayment(payment, { preimage = null, feeSats = 0 } = {}) {
+    const winner = db.getRaffleWinnerById(payment.winner_id);
+    const posting = winner ? ledger.prizePayout(winner, payment.amount_sats, feeSats || 0) : null;
+    db.completePayment(payment.id, { preimage, feeSats: feeSats || 0 }, posting);
+    console.log(`✅ Payment #${payment.id} succeeded: ${payment.amount_sats} sats for winner #${payment.winner_id} (raffle #${payment.raffle_id})`);
+}
+
+/**
+ * Apply what the node says about a payment. Returns the updated row.
+ */
+function applyResult(payment, result) {
+    if (result.status === 'succeeded') {
+        completePayment(payment, result);
+    } else if (result.status === 'failed') {
+        db.failPayment(payment.id, result.failureReason || 'payment failed');
+        console.warn(`❌ Payment #${payment.id} failed: ${result.failureReason || 'payment failed'}`);
+    }
+    return db.getPayment(payment.id);
+}
+
+/**
+ * Pay a winner's BOLT11 invoice.
+ *
+ * `source` is 'lnurl_withdraw' (the winner's wallet claimed), 'admin' or 'auto';
+ * `destination` the Lightning Address it came from, if any. `decoded` may be
+ * passed when the caller already decoded the invoice.
+ *
+ * Returns the payment row: status 'succeeded', 'in_flight' (the reconciler
+ * will settle it) or 'failed'. Throws PAYMENT_LOCKED if another payment holds
+ * the claim lock, and BUDGET_EXCEEDED without recording anything.
+ */
+async function payWinnerInvoice(winner, bolt11, { source, destination = null, decoded = null } = {}) {
+    decoded = decoded || await lightning.decodePayReq(bolt11);
+    if (!decoded.amountSats) {
+        throw new Error('Prize invoices must have an amount');
+    }
+
+    // A retry with the same invoice: report the payment we already have
+    const existing = db.getActivePayment(winner.id);
+    if (existing && existing.payment_hash === decoded.paymentHash) {
+        console.log(`🔁 Payment #${existing.id} retried (${existing.status}) — not sending again`);
+        return existing;
+    }
+
+    lightning.assertWithinBudget(decoded.amountSats, `winner #${winner.id}`);
+
+    const paymentId = db.createPayment({
+        winnerId: winner.id,
+        raffleId: winner.raffle_id,
+        source,
+        destination,
+        bolt11,
+        paymentHash: decoded.paymentHash,
+        amountSats: decoded.amountSats
+    });
+
+    sending.add(paymentId);
+    try {
+        db.markPaymentInFlight(paymentId);
+        let result;
+        try {
+            result = await lightning.payInvoice(bolt11);
+        } catch (err) {
+            if (err.code === 'PAYMENT_FAILED' || err.code === 'BUDGET_EXCEEDED') {
+                result = { status: 'failed', failureReason: err.message };
+            } else {
+                // We can't tell whether the node sent it: keep the lock until it says
+                console.warn(`⚠️  Payment #${paymentId} outcome unknown (${err.message}) — left in flight for reconciliation`);
+                return db.getPayment(paymentId);
+            }
+        }
+        return applyResult(db.getPayment(paymentId), result);
+    } finally {
+        sending.delete(paymentId);
+    }
+}
+
+/**
+ * Pay a winner at their Lightning Address: fetch an invoice for exactly
+ * `amountSats`, then pay it like payWinnerInvoice(). The budget is checked
+ * before the address is contacted. Addresses that can never take the payment
+ * throw ADDRESS_UNPAYABLE.
+ */
+async function payWinnerAddress(winner, address, amountSats, { source = 'admin', comment = '' } = {}) {
+    const active = db.getActivePayment(winner.id);
+    if (active) {
+        const err = new Error(active.status === 'succeeded' ? 'This prize has already been paid' : 'A payment for this prize is already in progress');
+        err.code = 'PAYMENT_LOCKED';
+        err.existing = active;
+        throw err;
+    }
+    lightning.assertWithinBudget(amountSats, `${address} (winner #${winner.id})`);
+
+    const invoice = await lightning.fetchLightningAddressInvoice(address, amountSats, comment);
+    const decoded = await lightning.decodePayReq(invoice.pr);
+    if (decoded.amountSats !== amountSats) {
+        const err = new Error(`${address} returned an invoice for ${decoded.amountSats} sats instead of ${amountSats}`);
+        err.code = 'ADDRESS_UNPAYABLE';
+        throw err;
+    }
+    return await payWinnerInvoice(winner, invoice.pr, { source, destination: address, decoded });
+}
+
+/**
+ * Settle open payments by asking the node about each one. A payment the node
+ * has never heard of was never sent, so it fails and frees the prize.
+ * @returns {{ checked: number, succeeded: number, failed: number, inFlight: number }}
+ */
+async function reconcilePayments() {
+    const summary = { checked: 0, succeeded: 0, failed: 0, inFlight: 0 };
+    for (const payment of db.getOpenPayments()) {
+        if (sending.has(payment.id)) continue;
+        summary.checked++;
+
+        let result;
+        try {
+            result = await lightning.trackPayment(payment.payment_hash);
+        } catch (err) {
+            console.warn(`⚠️  Could not check payment #${payment.id}: ${err.message}`);
+            summary.inFlight++;
+            continue;
+        }
+        if (result.status === 'unknown') {
+            result = { status: 'failed', failureReason: 'the node never received this payment' };
+        }
+
+        const updated = applyResult(payment, result);
+        if (updated.status === 'succeeded') summary.succeeded++;
+        else if (updated.status === 'failed') summary.failed++;
+        else summary.inFlight++;
+    }
+    if (summary.checked > 0) {
+        console.log(`🔎 Reconciled ${summary.checked} open payment(s): ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.inFlight} still in flight`);
+    }
+    return summary;
+}
+
+module.exports = {
+    payWinnerInvoice,
+    payWinnerAddress,
+    reconcilePayments
+};
@@ -0,0 +1,252 @@
+/**
+ * Player portal (/me)
+ *
+ * Entrants log in without a password: they ask for a magic link, we email a
+ * single-use token that works for LOGIN_LINK_MINUTES, and its "Log in" button sets a
+ * signed session cookie (services/auth.js, under its own key so it can never
+ * pass as an admin session). Asking for a link never says whether the email
+ * has entered, so the form can't be used to look people up.
+ *
+ * Logged in, a player sees their tickets with each validation reason, their
+ * odds in the next raffle, what they've won (with any claim link still open),
+ * and can change their Lightning address or unlink Telegram.
+ *
+ * Logging in with a link proves the inbox is theirs, so it also confirms an
+ * unconfirmed email (services/email-verification.js).
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+const email = require('./email');
+const auth = require('./auth');
+const prizes = require('./prizes');
+const emailVerification = require('./email-verification');
+
+const LOGIN_LINK_MINUTES = 30;
+// A fresh link isn't sent while the last one is younger than this
+const LOGIN_LINK_COOLDOWN_SECONDS = 60;
+const SESSION_COOKIE = 'player_session';
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SESSION_PURPOSE = 'player-session';
+
+const ADDRESS_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function invalid(message, code = 'PORTAL_INVALID') {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// ── Magic links ──────────────────────────────────────────────────────────
+
+/**
+ * Email a login link to an active user. Unknown emails get nothing, but the
+ * caller answers the same either way.
+ * @returns {Promise<{ sent: boolean }>}
+ */
+async function requestLoginLink(emailAddr, now = Date.now()) {
+    const address = String(emailAddr || '').trim().toLowerCase();
+    if (!ADDRESS_RE.test(address)) throw invalid('Please enter a valid email address');
+
+    const user = db.findUserByEmail(address);
+    if (!user) {
+        console.log('🔑 Login link asked for an email that has not entered');
+        return { sent: false };
+    }
+
+    if (user.login_token_expires_at) {
+        const issuedAt = new Date(user.login_token_expires_at).getTime() - LOGIN_LINK_MINUTES * 60 * 1000;
+        if (now - issuedAt < LOGIN_LINK_COOLDOWN_SECONDS * 1000) {
+            console.log(`🔑 Login link for user #${user.id} not resent: the last one is under ${LOGIN_LINK_COOLDOWN_SECONDS}s old`);
+            return { sent: false };
+        }
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    db.setLoginToken(user.id, token, new Date(now + LOGIN_LINK_MINUTES * 60 * 1000).toISOString());
+    const result = await email.sendLoginLinkEmail(user.email, token, LOGIN_LINK_MINUTES);
+    console.log(`🔑 Login link for user #${user.id}: ${result && result.success ? '✓' : '✗'}`);
+    return { sent: !!(result && result.success) };
+}
+
+/**
+ * Use up a login link
+ * @returns {Object|null} the user, or null if the link is unknown, used, expired or the user opted out
+ */
+function redeemLoginLink(token, now = Date.now()) {
+    const user = db.findUserByLoginToken(token);
+    if (!user) return null;
+    // Single use, even when it turns out to be too late
+    db.clearLoginToken(user.id);
+    if (!user.is_active) return null;
+    if (!user.login_token_expires_at || new Date(user.login_token_expires_at).getTime() < now) return null;
+
+    if (user.email_verified === 0) emailVerification.markVerified(user.id, 'logging in');
+    console.log(`🔑 User #${user.id} logged in to /me`);
+    return db.getUserById(user.id);
+}
+
+// ── Session ──────────────────────────────────────────────────────────────
+
+function createSessionToken(userId) {
+    return auth.createSignedToken({ sub: 'player', uid: userId }, SESSION_MAX_AGE_MS, SESSION_PURPOSE);
+}
+
+/**
+ * The logged-in player, or null. Opting out ends every session.
+ */
+function getSessionUser(req) {
+    const claims = auth.verifyToken(auth.parseCookies(req)[SESSION_COOKIE], SESSION_PURPOSE);
+    if (!claims || claims.sub !== 'player') return null;
+    const user = db.getUserById(claims.uid);
+    return user && user.is_active ? user : null;
+}
+
+function setSessionCookie(res, req, userId) {
+    const parts = [
+        `${SESSION_COOKIE}=${encodeURIComponent(createSessionToken(userId))}`,
+        'Path=/',
+        `Max-Age=${Math.floor(SESSION_MAX_AGE_MS / 1000)}`,
+        'HttpOnly',
+        'SameSite=Lax'
+    ];
+    if (auth.isSecureRequest(req)) parts.push('Secure');
+    res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`);
+}
+
+// ── Dashboard ────────────────────────────────────────────────────────────
+
+/**
+ * 'approved', 'rejected', or 'pending' (not reviewed yet, or held for an admin)
+ */
+function ticketStatus(ticket) {
+    if (ticket.is_valid) return 'approved';
+    return ticket.validation_reason ? 'rejected' : 'pending';
+}
+
+/**
+ * A won prize's claim link, if it can still be opened
+ */
+function openClaimUrl(winner, now = Date.now()) {
+    if (!winner.claim_token || winner.paid_at || winner.claim_status !== 'pending') return null;
+    // Auto-payouts in progress haven't been sent a claim link
+    if (winner.auto_pay_status === 'scheduled') return null;
+    if (winner.claim_expires_at && new Date(winner.claim_expires_at).getTime() < now) return null;
+    return `/claim/${winner.claim_token}`;
+}
+
+/**
+ * Everything /me shows for a user. `nextRaffleBlock` is null when the chain
+ * height isn't known, which leaves out the odds.
+ */
+function getDashboard(user, nextRaffleBlock = null, now = Date.now()) {
+    const confirmed = user.email_verified !== 0;
+
+    const tickets = db.getTicketsByUser(user.id).map(t => ({
+        id: t.id,
+        reviewLink: t.review_link,
+        merchantName: t.merchant_name,
+        submittedAt: t.submitted_at,
+        raffleBlock: t.raffle_block,
+        status: ticketStatus(t),
+        reason: t.validation_reason,
+        inNextRaffle: confirmed && !!t.is_valid && nextRaffleBlock !== null && t.raffle_block === nextRaffleBlock
+    }));
+
+    let nextRaffle = null;
+    if (nextRaffleBlock !== null) {
+        const myEntries = tickets.filter(t => t.inNextRaffle).length;
+        const totalEntries = db.countValidTicketsForBlock(nextRaffleBlock);
+        nextRaffle = {
+            block: nextRaffleBlock,
+            myEntries,
+            totalEntries,
+            prizeCount: prizes.getTotalWinners(prizes.getPrizeTiers()),
+            // Every entry is equally likely to be drawn first
+            firstPrizeChance: totalEntries > 0 ? myEntries / totalEntries : 0
+        };
+    }
+
+    const wins = db.getWinnersByUser(user.id).map(w => ({
+        raffleId: w.raffle_id,
+        blockHeight: w.block_height,
+        tierName: w.tier_name,
+        prizeSats: w.prize_amount_sats,
+        paid: !!w.paid_at,
+        claimStatus: w.claim_status,
+        claimExpiresAt: w.claim_expires_at,
+        claimUrl: openClaimUrl(w, now)
+    }));
+
+    return {
+        email: user.email,
+        emailConfirmed: confirmed,
+        lnurlAddress: user.lnurl_address,
+        telegramLinked: !!user.telegram_chat_id,
+        optOutToken: user.opt_out_token,
+        tickets,
+        nextRaffle,
+        wins,
+        pendingClaims: wins.filter(w => w.claimUrl)
+    };
+}
+
+// ── Preferences ──────────────────────────────────────────────────────────
+
+/**
+ * Change a player's Lightning address (empty clears it) and/or unlink Telegram
+ * @returns {Object} the updated user
+ */
+function updatePreferences(userId, { lnurl, unlinkTelegram = false } = {}) {
+    const user = db.getUserById(userId);
+    if (!user || !user.is_active) throw invalid('User not found', 'USER_NOT_FOUND');
+
+    if (lnurl !== undefined) {
+        const address = String(lnurl || '').trim();
+        if (address && !ADDRESS_RE.test(address)) {
+            throw invalid('That doesn\'t look like a Lightning address (e.g. you@walletofsatoshi.com)');
+        }
+        // Entering with an address finds its owner (database.js findOrCreateUser),
+        // so two accounts sharing one would hand one player's tickets to the other
+        const owner = address ? db.findUserByLnurl(address) : null;
+        if (owner && owner.id !== user.id) {
+            throw invalid('That Lightning address is already used by another account');
+        }
+        db.setUserLnurl(user.id, address || null);
+    }
+    if (unlinkTelegram) db.setUserTelegramChatId(user.id, null);
+
+    console.log(`🔑 User #${user.id} updated their preferences`);
+    return db.getUserById(user.id);
+}
+
+/**
+ * A Lightning address sent with the entry form for an existing account.
+ * The form alone never changes it (database.js findOrCreateUser): only a
+ * player logged in to /me as that account, which proves they own its
+ * confirmed email, can change it this way.
+ * @returns {Object|null} the updated user, or null if it wasn't theirs to change
+ */
+function applySubmittedLnurl(req, user, lnurl) {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser || sessionUser.id !== user.id || sessionUser.email_verified === 0) return null;
+    return updatePreferences(user.id, { lnurl });
+}
+
+module.exports = {
+    LOGIN_LINK_MINUTES,
+    SESSION_COOKIE,
+    requestLoginLink,
+    redeemLoginLink,
+    getSessionUser,
+    setSessionCookie,
+    clearSessionCookie,
+    ticketStatus,
+    getDashboard,
+    updatePreferences,
+    applySubmittedLnurl
+};
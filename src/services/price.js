@@ -1,31 +1,133 @@
 /**
- * Bitcoin price service — fetches BTC/USD from CoinGecko with in-memory caching.
+ * Bitcoin price service — BTC prices in several fiat currencies, with in-memory caching.
  *
- * - No API key required.
+ * - Prices come from several public sources (no API keys); each currency's price
+ *   is the median of the sources that quote it, so one bad or missing feed doesn't
+ *   move it.
  * - Cache duration: 5 minutes (price doesn't move that fast for our "~$X" display).
- * - Fails silently: returns null if upstream is unavailable; callers handle gracefully.
+ * - Fails silently: returns null if every source is unavailable; callers handle gracefully.
  */
 
-const COINGECKO_URL = 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd';
+const allLocationConfigs = require('../../locations.config');
+
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 const SATS_PER_BTC = 100_000_000;
 
+// Currencies we quote. A location's `currency` (locations.config.js) must be one of these.
+const SUPPORTED_CURRENCIES = ['USD', 'HNL', 'EUR', 'GBP', 'CAD', 'MXN', 'GTQ'];
+
+/**
+ * Price sources. Each one's parse() gets the JSON response and returns
+ * { CURRENCY: fiat per 1 BTC } for whichever supported currencies it quotes.
+ */
+const SOURCES = [
+    {
+        name: 'coingecko',
+        url: `https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=${SUPPORTED_CURRENCIES.join(',').toLowerCase()}`,
+        parse: (data) => pick(SUPPORTED_CURRENCIES.map(c => [c, data?.bitcoin?.[c.toLowerCase()]]))
+    },
+    {
+        name: 'coinbase',
+        url: 'https://api.coinbase.com/v2/exchange-rates?currency=BTC',
+        parse: (data) => pick(SUPPORTED_CURRENCIES.map(c => [c, data?.data?.rates?.[c]]))
+    },
+    {
+        name: 'yadio',
+        url: 'https://api.yadio.io/exrates/BTC',
+        parse: (data) => pick(SUPPORTED_CURRENCIES.map(c => [c, data?.BTC?.[c]]))
+    }
+];
+
 let cache = {
-    usdPerBtc: null,
+    rates: {},
     fetchedAt: 0,
     inflight: null
 };
 
 /**
- * Fetch BTC/USD price, cached for 5 minutes.
- * @returns {Promise<number|null>} USD per 1 BTC, or null if unavailable
+ * Keep the [currency, price] pairs that are positive numbers (sources send some as strings)
  */
-async function getBtcUsdPrice() {
+function pick(pairs) {
+    const prices = {};
+    for (const [currency, value] of pairs) {
+        const n = Number(value);
+        if (value != null && Number.isFinite(n) && n > 0) prices[currency] = n;
+    }
+    return prices;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Upper-cased currency code if we quote it, otherwise null
+ */
+function normalizeCurrency(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+}
+
+/**
+ * The currency a location shows prices in (its `currency` in locations.config.js,
+ * defaulting to USD). No slug means the default location.
+ */
+function getLocationCurrency(slug = null) {
+    const loc = slug
+        ? allLocationConfigs.find(l => l.slug === slug)
+        : (allLocationConfigs.find(l => l.isDefault) || allLocationConfigs[0]);
+    return normalizeCurrency(loc && loc.currency) || 'USD';
+}
+
+/**
+ * Ask every source once (uncached) and take the median per currency.
+ * @returns {Promise<{ rates: Object<string, number>, sources: Object<string, number> }>}
+ *   fiat per 1 BTC, and how many sources each price is the median of
+ */
+async function fetchRates() {
+    const results = await Promise.allSettled(SOURCES.map(async (source) => {
+        const res = await fetch(source.url, {
+            headers: { 'Accept': 'application/json' },
+            signal: AbortSignal.timeout(5000)
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const prices = source.parse(await res.json());
+        if (Object.keys(prices).length === 0) throw new Error('Invalid response shape');
+        return prices;
+    }));
+
+    const quotes = {};
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            console.warn(`BTC price fetch from ${SOURCES[i].name} failed:`, result.reason.message);
+            return;
+        }
+        for (const [currency, value] of Object.entries(result.value)) {
+            (quotes[currency] = quotes[currency] || []).push(value);
+        }
+    });
+
+    const rates = {};
+    const sources = {};
+    for (const [currency, values] of Object.entries(quotes)) {
+        rates[currency] = median(values);
+        sources[currency] = values.length;
+    }
+    return { rates, sources };
+}
+
+/**
+ * BTC prices in every supported currency, cached for 5 minutes.
+ * @returns {Promise<Object<string, number>>} fiat per 1 BTC by currency; empty if unavailable
+ */
+async function getRates() {
     const now = Date.now();
 
-    // Return cached value if fresh
-    if (cache.usdPerBtc && (now - cache.fetchedAt) < CACHE_TTL_MS) {
-        return cache.usdPerBtc;
+    // Return cached rates if fresh
+    if (Object.keys(cache.rates).length > 0 && (now - cache.fetchedAt) < CACHE_TTL_MS) {
+        return cache.rates;
     }
 
     // Dedupe concurrent fetches
@@ -35,23 +137,16 @@ async function getBtcUsdPrice() {
 
     cache.inflight = (async () => {
         try {
-            const res = await fetch(COINGECKO_URL, {
-                headers: { 'Accept': 'application/json' },
-                signal: AbortSignal.timeout(5000)
-            });
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-            const data = await res.json();
-            const usd = data?.bitcoin?.usd;
-            if (typeof usd === 'number' && usd > 0) {
-                cache.usdPerBtc = usd;
-                cache.fetchedAt = Date.now();
-                return usd;
-            }
-            throw new Error('Invalid response shape');
+            const { rates } = await fetchRates();
+            if (Object.keys(rates).length === 0) throw new Error('No source answered');
+            // A currency no source quoted this time keeps its stale price
+            cache.rates = { ...cache.rates, ...rates };
+            cache.fetchedAt = Date.now();
+            return cache.rates;
         } catch (err) {
             console.warn('BTC price fetch failed:', err.message);
-            // If we have a stale cached value, keep using it rather than returning null
-            return cache.usdPerBtc || null;
+            // If we have stale cached rates, keep using them rather than returning nothing
+            return cache.rates;
         } finally {
             cache.inflight = null;
         }
@@ -60,18 +155,66 @@ async function getBtcUsdPrice() {
     return cache.inflight;
 }
 
+/**
+ * Fetch the BTC price in one currency, cached for 5 minutes.
+ * @param {string} [currency='USD']
+ * @returns {Promise<number|null>} fiat per 1 BTC, or null if unavailable or unsupported
+ */
+async function getBtcPrice(currency = 'USD') {
+    const code = normalizeCurrency(currency);
+    if (!code) return null;
+    const rates = await getRates();
+    return rates[code] || null;
+}
+
+/**
+ * Fetch BTC/USD price, cached for 5 minutes.
+ * @returns {Promise<number|null>} USD per 1 BTC, or null if unavailable
+ */
+async function getBtcUsdPrice() {
+    return getBtcPrice('USD');
+}
+
+/**
+ * Convert sats to a fiat currency using the cached BTC price.
+ * @param {number} sats
+ * @param {string} [currency='USD']
+ * @returns {Promise<number|null>} fiat value, or null if price unavailable
+ */
+async function satsToFiat(sats, currency = 'USD') {
+    const fiatPerBtc = await getBtcPrice(currency);
+    if (!fiatPerBtc || !sats) return null;
+    return (Number(sats) / SATS_PER_BTC) * fiatPerBtc;
+}
+
 /**
  * Convert sats to USD using the cached BTC price.
  * @param {number} sats
  * @returns {Promise<number|null>} USD value, or null if price unavailable
  */
 async function satsToUsd(sats) {
-    const usdPerBtc = await getBtcUsdPrice();
-    if (!usdPerBtc || !sats) return null;
-    return (Number(sats) / SATS_PER_BTC) * usdPerBtc;
+    return satsToFiat(sats, 'USD');
+}
+
+/**
+ * Convert a fiat amount to sats at a given price (rounded to the nearest sat)
+ * @param {number} amount - in `fiatPerBtc`'s currency
+ * @param {number} fiatPerBtc
+ * @returns {number}
+ */
+function fiatToSats(amount, fiatPerBtc) {
+    return Math.round((Number(amount) / fiatPerBtc) * SATS_PER_BTC);
 }
 
 module.exports = {
+    SUPPORTED_CURRENCIES,
+    normalizeCurrency,
+    getLocationCurrency,
+    fetchRates,
+    getRates,
+    getBtcPrice,
     getBtcUsdPrice,
-    satsToUsd
+    satsToFiat,
+    satsToUsd,
+    fiatToSats
 };
@@ -0,0 +1,274 @@
+/**
+ * Prize policy
+ *
+ * Decides how much of the raffle fund is paid out each raffle (the prize pool).
+ * Prize tiers (prizes.js) then split that pool between the winners.
+ *
+ * Stored as JSON in the `prize_policy` setting:
+ *   {
+ *     mode: 'percent' | 'fixed',
+ *     percent,        // mode=percent: share of the spendable fund
+ *     fixedSats,      // mode=fixed: flat pool per raffle
+ *     minSats,        // raise the pool to at least this (if the fund allows)
+ *     maxSats,        // never pay more than this per raffle (null = no cap)
+ *     reserveSats,    // floor of the fund that is never paid out
+ *     locations: { [slug]: { mode, percent, fixedSats, minSats, maxSats } }
+ *   }
+ *
+ * The spendable fund is the fund minus the reserve. Location overrides apply to
+ * winners whose ticket was submitted on that location's site, and to the prize
+ * advertised there. Every place that shows or pays a prize reads it from here,
+ * so the advertised prize and the paid prize are always the same number.
+ */
+
+const db = require('./database');
+const ledger = require('./ledger');
+const prizes = require('./prizes');
+const allLocationConfigs = require('../../locations.config');
+
+const DEFAULT_PRIZE_POLICY = {
+    mode: 'percent',
+    percent: 50,
+    fixedSats: 0,
+    minSats: 0,
+    maxSats: null,
+    reserveSats: 0,
+    locations: {}
+};
+
+// Fields a location may override. The reserve is a property of the shared
+// fund, so it can only be set once for the whole site.
+const LOCATION_FIELDS = ['mode', 'percent', 'fixedSats', 'minSats', 'maxSats'];
+
+function defaultLocationSlug() {
+    const loc = allLocationConfigs.find(l => l.isDefault) || allLocationConfigs[0];
+    return loc ? loc.slug : null;
+}
+
+function parseSats(value, label, allowNull) {
+    if (value === undefined || value === null || value === '') {
+        if (allowNull) return null;
+        return 0;
+    }
+    const sats = Number(value);
+    if (!Number.isInteger(sats) || sats < 0) {
+        throw new Error(`${label} must be a whole number of sats (0 or more)`);
+    }
+    return sats;
+}
+
+/**
+ * Validate one set of policy fields. `partial` allows missing fields (used
+ * for location overrides, which only name what they change).
+ */
+function parseFields(raw, label, partial) {
+    const out = {};
+    const has = (key) => raw[key] !== undefined && raw[key] !== null && raw[key] !== '';
+
+    if (!partial || has('mode')) {
+        const mode = raw.mode || 'percent';
+        if (mode !== 'percent' && mode !== 'fixed') {
+            throw new Error(`${label}: mode must be "percent" or "fixed"`);
+        }
+        out.mode = mode;
+    }
+    if (!partial || has('percent')) {
+        const percent = has('percent') ? Number(raw.percent) : DEFAULT_PRIZE_POLICY.percent;
+        if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+            throw new Error(`${label}: percent must be greater than 0 and at most 100`);
+        }
+        out.percent = percent;
+    }
+    if (!partial || has('fixedSats')) out.fixedSats = parseSats(raw.fixedSats, `${label}: fixed amount`);
+    if (!partial || has('minSats')) out.minSats = parseSats(raw.minSats, `${label}: minimum`);
+    if (!partial || raw.maxSats !== undefined) out.maxSats = parseSats(raw.maxSats, `${label}: maximum`, true);
+
+    const mode = out.mode || raw.mode;
+    if (!partial && mode === 'fixed' && !out.fixedSats) {
+        throw new Error(`${label}: a fixed prize needs an amount above 0`);
+    }
+    if (out.maxSats !== null && out.maxSats !== undefined && out.minSats !== undefined && out.minSats > out.maxSats) {
+        throw new Error(`${label}: minimum (${out.minSats} sats) is above the maximum (${out.maxSats} sats)`);
+    }
+    return out;
+}
+
+/**
+ * Validate and normalise a policy (JSON string or object).
+ * Throws with an admin-readable message when invalid.
+ */
+function parsePrizePolicy(value) {
+    let raw = value;
+    if (typeof value === 'string') {
+        try {
+            raw = JSON.parse(value);
+        } catch (e) {
+            throw new Error('Prize policy must be valid JSON');
+        }
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Prize policy must be an object');
+    }
+
+    const policy = parseFields(raw, 'Prize policy', false);
+    policy.reserveSats = parseSats(raw.reserveSats, 'Prize policy: reserve');
+    policy.locations = {};
+
+    const knownSlugs = allLocationConfigs.map(l => l.slug);
+    for (const [slug, override] of Object.entries(raw.locations || {})) {
+        if (!knownSlugs.includes(slug)) {
+            throw new Error(`Prize policy: unknown location "${slug}"`);
+        }
+        if (!override || typeof override !== 'object') continue;
+        const fields = parseFields(override, `Prize policy (${slug})`, true);
+        if (Object.keys(fields).length > 0) policy.locations[slug] = fields;
+    }
+
+    // Every effective policy has to hold up on its own (e.g. a location that
+    // switches to fixed mode must also name the amount)
+    for (const slug of Object.keys(policy.locations)) {
+        const effective = resolvePolicy(policy, slug);
+        if (effective.mode === 'fixed' && !effective.fixedSats) {
+            throw new Error(`Prize policy (${slug}): a fixed prize needs an amount above 0`);
+        }
+        if (effective.maxSats !== null && effective.minSats > effective.maxSats) {
+            throw new Error(`Prize policy (${slug}): minimum (${effective.minSats} sats) is above the maximum (${effective.maxSats} sats)`);
+        }
+    }
+    return policy;
+}
+
+/**
+ * Current policy (falls back to 50% of the fund).
+ */
+function getPrizePolicy() {
+    const raw = db.getSetting('prize_policy');
+    if (!raw) return DEFAULT_PRIZE_POLICY;
+    try {
+        return parsePrizePolicy(raw);
+    } catch (e) {
+        console.warn(`⚠️ Invalid prize_policy setting (${e.message}) — using the default policy`);
+        return DEFAULT_PRIZE_POLICY;
+    }
+}
+
+/**
+ * Flatten the policy for one location (null = the default location).
+ */
+function resolvePolicy(policy, locationSlug) {
+    const slug = locationSlug || defaultLocationSlug();
+    const override = (policy.locations && policy.locations[slug]) || {};
+    const effective = { ...policy, locationSlug: slug };
+    delete effective.locations;
+    for (const key of LOCATION_FIELDS) {
+        if (override[key] !== undefined) effective[key] = override[key];
+    }
+    return effective;
+}
+
+/**
+ * Prize pool for a fund balance under one effective policy.
+ * `limitedBy` names the rule that set the final number, if any.
+ * @returns {{ fundSats, reserveSats, spendableSats, prizeSats, limitedBy: null|'min'|'max'|'reserve' }}
+ */
+function computePrizePool(fundSats, effective) {
+    const fund = Math.max(0, parseInt(fundSats, 10) || 0);
+    const spendable = Math.max(0, fund - effective.reserveSats);
+
+    let prize = effective.mode === 'fixed'
+        ? effective.fixedSats
+        : Math.floor(spendable * effective.percent / 100);
+    let limitedBy = null;
+
+    if (prize < effective.minSats) {
+        prize = effective.minSats;
+        limitedBy = 'min';
+    }
+    if (effective.maxSats !== null && prize > effective.maxSats) {
+        prize = effective.maxSats;
+        limitedBy = 'max';
+    }
+    if (prize > spendable) {
+        prize = spendable;
+        limitedBy = 'reserve';
+    }
+
+    return { fundSats: fund, reserveSats: effective.reserveSats, spendableSats: spendable, prizeSats: prize, limitedBy };
+}
+
+function currentFundSats() {
+    return ledger.getFundSats();
+}
+
+/**
+ * The prize the next raffle will pay on a location's site, with the per-tier
+ * split. This is what the public prize card and the Telegram warning show.
+ * Assumes every winner comes from that location (true for single-site setups).
+ */
+function getNextPrize(locationSlug = null, fundSats = currentFundSats()) {
+    const policy = resolvePolicy(getPrizePolicy(), locationSlug);
+    const pool = computePrizePool(fundSats, policy);
+    const tierPrizes = prizes.computeTierPrizes(pool.prizeSats, prizes.getPrizeTiers());
+    return {
+        ...pool,
+        // What the winners actually receive (tiers may leave part of the pool unpaid)
+        totalPrizeSats: tierPrizes.reduce((sum, t) => sum + t.count * t.prizeSats, 0),
+        locationSlug: policy.locationSlug,
+        summary: describePolicy(policy),
+        tiers: tierPrizes
+    };
+}
+
+/**
+ * Prize for each drawn winner at commit time. A winner's tier share is taken
+ * from the pool of the location their ticket came from. Prizes are allocated
+ * in draw order and never eat into the reserve: if location pools together
+ * would, later prizes are trimmed to what's left.
+ *
+ * @param {number} fundSats
+ * @param {Array<{ tier: number, locationSlug: string|null }>} winners
+ * @returns {{ prizes: number[], totalPrizeSats: number }} prizes[i] belongs to winners[i]
+ */
+function allocateWinnerPrizes(fundSats, winners, policy = getPrizePolicy(), tiers = prizes.getPrizeTiers()) {
+    const reserve = policy.reserveSats || 0;
+    let remaining = Math.max(0, (parseInt(fundSats, 10) || 0) - reserve);
+    const poolCache = new Map();
+
+    const allocated = winners.map(w => {
+        const slug = w.locationSlug || defaultLocationSlug();
+        if (!poolCache.has(slug)) {
+            poolCache.set(slug, computePrizePool(fundSats, resolvePolicy(policy, slug)).prizeSats);
+        }
+        const tier = tiers[w.tier] || tiers[0];
+        const share = Math.floor(poolCache.get(slug) * tier.percent / 100);
+        const prize = Math.min(share, remaining);
+        remaining -= prize;
+        return prize;
+    });
+
+    return { prizes: allocated, totalPrizeSats: allocated.reduce((sum, p) => sum + p, 0) };
+}
+
+/**
+ * Human-readable policy, e.g. "50% of the fund, at most 100,000 sats".
+ */
+function describePolicy(effective) {
+    const parts = [effective.mode === 'fixed'
+        ? `${effective.fixedSats.toLocaleString()} sats`
+        : `${effective.percent}% of the fund`];
+    if (effective.minSats > 0) parts.push(`at least ${effective.minSats.toLocaleString()} sats`);
+    if (effective.maxSats !== null) parts.push(`at most ${effective.maxSats.toLocaleString()} sats`);
+    if (effective.reserveSats > 0) parts.push(`${effective.reserveSats.toLocaleString()} sats always kept in reserve`);
+    return parts.join(', ');
+}
+
+module.exports = {
+    DEFAULT_PRIZE_POLICY,
+    parsePrizePolicy,
+    getPrizePolicy,
+    resolvePolicy,
+    computePrizePool,
+    getNextPrize,
+    allocateWinnerPrizes,
+    describePolicy
+};
@@ -0,0 +1,156 @@
+/**
+ * Raffle prize tiers
+ *
+ * A raffle can pay several winners, grouped into tiers such as
+ * "1 × 70% plus 3 × 10% of the prize pool". Tiers are stored as JSON in the
+ * `raffle_prize_tiers` setting: [{ name, count, percent }], where `percent`
+ * is each winner's share of the prize pool. The pool itself comes from the
+ * prize policy (prize-policy.js). Winners are drawn in tier order, so the
+ * first tier's winners come first.
+ */
+
+const db = require('./database');
+const bitcoin = require('./bitcoin');
+
+const DEFAULT_PRIZE_TIERS = [{ name: 'Grand prize', count: 1, percent: 100 }];
+const MAX_WINNERS_PER_TIER = 20;
+const MAX_TIERS = 5;
+
+/**
+ * Validate and normalise a tier list (JSON string or array).
+ * Throws with an admin-readable message when invalid.
+ */
+function parsePrizeTiers(value) {
+    let tiers = value;
+    if (typeof value === 'string') {
+        try {
+            tiers = JSON.parse(value);
+        } catch (e) {
+            throw new Error('Prize tiers must be valid JSON');
+        }
+    }
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error('At least one prize tier is required');
+    }
+    if (tiers.length > MAX_TIERS) {
+        throw new Error(`At most ${MAX_TIERS} prize tiers are allowed`);
+    }
+
+    const normalised = tiers.map((tier, i) => {
+        const count = parseInt(tier.count, 10);
+        const percent = Number(tier.percent);
+        const name = String(tier.name || '').trim().slice(0, 40) || `Tier ${i + 1}`;
+        if (!Number.isInteger(count) || count < 1 || count > MAX_WINNERS_PER_TIER) {
+            throw new Error(`${name}: winner count must be between 1 and ${MAX_WINNERS_PER_TIER}`);
+        }
+        if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+            throw new Error(`${name}: percent must be greater than 0 and at most 100`);
+        }
+        return { name, count, percent };
+    });
+
+    const totalPercent = normalised.reduce((sum, t) => sum + t.count * t.percent, 0);
+    if (totalPercent > 100) {
+        throw new Error(`Prize tiers pay out ${totalPercent}% of the prize pool in total — must be 100% or less`);
+    }
+    return normalised;
+}
+
+/**
+ * Current tier configuration (falls back to a single grand prize).
+ */
+function getPrizeTiers() {
+    const raw = db.getSetting('raffle_prize_tiers');
+    if (!raw) return DEFAULT_PRIZE_TIERS;
+    try {
+        return parsePrizeTiers(raw);
+    } catch (e) {
+        console.warn(`⚠️ Invalid raffle_prize_tiers setting (${e.message}) — using the default tier`);
+        return DEFAULT_PRIZE_TIERS;
+    }
+}
+
+function getTotalWinners(tiers) {
+    return tiers.reduce((sum, t) => sum + t.count, 0);
+}
+
+/**
+ * Per-winner prize for each tier, as a percentage of the prize pool.
+ * A null pool gives null prizes.
+ * @returns {Array<{ tier, name, count, percent, prizeSats }>}
+ */
+function computeTierPrizes(poolSats, tiers) {
+    return tiers.map((t, tier) => ({
+        tier,
+        name: t.name,
+        count: t.count,
+        percent: t.percent,
+        prizeSats: poolSats === null ? null : Math.floor(poolSats * t.percent / 100)
+    }));
+}
+
+/**
+ * Split a fixed prize pool across the tiers in proportion to their percents
+ * (used when the admin names the total prize for a manual draw).
+ * A null pool gives null prizes.
+ */
+function splitPrizePool(poolSats, tiers) {
+    const totalShares = tiers.reduce((sum, t) => sum + t.count * t.percent, 0);
+    return tiers.map((t, tier) => ({
+        tier,
+        name: t.name,
+        count: t.count,
+        percent: t.percent,
+        prizeSats: poolSats ? Math.floor(poolSats * t.percent / totalShares) : null
+    }));
+}
+
+/**
+ * Draw every winner for a raffle and assign them to tiers in order.
+ * `tickets` must be in entry order (position i = tickets[i]).
+ * If there are fewer distinct entrants than prizes, the last prizes go unawarded.
+ * @returns {{ winners: Array<{ rank, tier, tierName, winningIndex, ticket, prizeSats }>, totalPrizeSats: number }}
+ */
+function drawWinners(algoVersion, blockHashes, tickets, tierPrizes) {
+    const entrantKeys = db.buildEntryList(tickets).map(e => e.entrantHash);
+    const totalWinners = getTotalWinners(tierPrizes);
+    const positions = bitcoin.selectWinners(algoVersion, blockHashes, entrantKeys, totalWinners);
+
+    // Flatten tiers into one slot per prize, in draw order
+    const slots = [];
+    for (const t of tierPrizes) {
+        for (let i = 0; i < t.count; i++) slots.push(t);
+    }
+
+    const winners = positions.map((position, rank) => ({
+        rank,
+        tier: slots[rank].tier,
+        tierName: slots[rank].name,
+        winningIndex: position,
+        ticket: tickets[position],
+        prizeSats: slots[rank].prizeSats
+    }));
+
+    return {
+        winners,
+        totalPrizeSats: winners.reduce((sum, w) => sum + (w.prizeSats || 0), 0)
+    };
+}
+
+/**
+ * One-line description of a tier list, e.g. "1 × 50% + 3 × 10%".
+ */
+function describeTiers(tiers) {
+    return tiers.map(t => `${t.count} × ${t.percent}%`).join(' + ');
+}
+
+module.exports = {
+    DEFAULT_PRIZE_TIERS,
+    parsePrizeTiers,
+    getPrizeTiers,
+    getTotalWinners,
+    computeTierPrizes,
+    splitPrizePool,
+    drawWinners,
+    describeTiers
+};
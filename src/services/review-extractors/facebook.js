@@ -0,0 +1,53 @@
+/**
+ * Facebook review extractor
+ *
+ * Facebook "reviews" are recommendations (no stars) and their pages sit
+ * behind a login wall — except for link-preview crawlers, which get the Open
+ * Graph tags: og:title "Jane Doe recommends Beach Shack." and the text in
+ * og:description. So we ask as a crawler and read those.
+ */
+
+const html = require('./html');
+
+/**
+ * @returns {{ reviewText, rating, author, placeName }}
+ */
+function extract(page) {
+    const title = html.getMeta(page, 'og:title') || '';
+    const recommends = title.match(/^(.+?) (?:recommends|doesn't recommend|does not recommend) (.+?)\.?$/);
+    return {
+        reviewText: html.getMeta(page, 'og:description'),
+        rating: null,
+        author: recommends ? recommends[1] : null,
+        placeName: recommends ? recommends[2] : (title || null)
+    };
+}
+
+/**
+ * Review and place ids from a link: the post (/posts/<id>, story_fbid=<id>)
+ * and the page it's on (/<page>/..., or id=<page> on permalink.php)
+ */
+function identify(url) {
+    const parsed = new URL(url);
+    const post = parsed.pathname.match(/\/(?:posts|permalink)\/([A-Za-z0-9]+)/);
+    const [first] = parsed.pathname.split('/').filter(Boolean);
+    const page = first && !first.endsWith('.php') ? first.toLowerCase() : parsed.searchParams.get('id');
+    return {
+        reviewId: post ? post[1] : parsed.searchParams.get('story_fbid') || null,
+        placeId: page || null
+    };
+}
+
+function createFacebookExtractor() {
+    return {
+        name: 'facebook',
+        label: 'Facebook',
+        domains: ['facebook.com'],
+        render: false,
+        userAgent: 'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+        identify,
+        extract
+    };
+}
+
+module.exports = { createFacebookExtractor, extract, identify };
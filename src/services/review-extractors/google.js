@@ -0,0 +1,56 @@
+/**
+ * Google Maps review extractor
+ *
+ * Google review pages are built by scripts and carry no structured data, so
+ * this one drives the headless browser itself (scraper.js scrapeGoogleReview)
+ * instead of parsing saved HTML. Rating and author aren't read yet.
+ */
+
+const scraper = require('../scraper');
+
+/**
+ * Review and place ids from a full Google Maps link. Short links
+ * (maps.app.goo.gl) carry neither; follow them first (services/review-links.js).
+ *   review — the !1sCh… id in the data= path (…/maps/reviews/data=!4m8!14m7!1m6!2m5!1sChZDSUhN…)
+ *   place  — the CID: the second half of 0x…:0x… (as a decimal), or ?cid= / ?ludocid=;
+ *            failing that the Places id (?query_place_id=ChIJ…)
+ */
+function identify(url) {
+    const parsed = new URL(url);
+    const text = decodeURIComponent(parsed.pathname + parsed.search);
+
+    const review = text.match(/!1s(Ch[A-Za-z0-9_-]{10,})/);
+    const feature = text.match(/0x[0-9a-f]+:(0x[0-9a-f]+)/i);
+    const cid = parsed.searchParams.get('cid') || parsed.searchParams.get('ludocid');
+    let placeId = null;
+    if (feature) {
+        placeId = `cid:${BigInt(feature[1]).toString()}`;
+    } else if (cid && /^\d+$/.test(cid)) {
+        placeId = `cid:${cid}`;
+    } else if (parsed.searchParams.get('query_place_id')) {
+        placeId = parsed.searchParams.get('query_place_id');
+    }
+    return { reviewId: review ? review[1] : null, placeId };
+}
+
+function createGoogleExtractor() {
+    return {
+        name: 'google',
+        label: 'Google Maps',
+        domains: ['google.com', 'maps.app.goo.gl', 'goo.gl', 'g.page'],
+        identify,
+
+        async scrape(url) {
+            const result = await scraper.scrapeGoogleReview(url);
+            return {
+                reviewText: result.success ? result.reviewText : null,
+                rating: null,
+                author: null,
+                placeName: result.merchantName || null,
+                error: result.success ? null : result.error
+            };
+        }
+    };
+}
+
+module.exports = { createGoogleExtractor, identify };
@@ -0,0 +1,165 @@
+/**
+ * HTML helpers shared by the review extractors
+ *
+ * Review sites describe their pages for search engines and link previews:
+ * JSON-LD (schema.org Review / LocalBusiness) and Open Graph meta tags. Those
+ * change far less often than the visible markup, so the extractors read them
+ * instead of CSS classes — with plain string handling, no DOM needed.
+ */
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode HTML entities (&amp; &#39; &#x27; ...)
+ */
+function decodeEntities(text) {
+    return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(n) ? String.fromCodePoint(n) : entity;
+        }
+        const named = NAMED_ENTITIES[code.toLowerCase()];
+        return named === undefined ? entity : named;
+    });
+}
+
+/**
+ * Plain text from a fragment of HTML: tags dropped, <br> and </p> as line
+ * breaks, entities decoded, whitespace tidied
+ */
+function toText(html) {
+    if (html === null || html === undefined) return null;
+    const text = decodeEntities(String(html)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>/gi, '\n')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    return text || null;
+}
+
+/**
+ * Every JSON-LD object on the page, with @graph and arrays flattened.
+ * Blocks that aren't valid JSON are skipped.
+ */
+function findJsonLd(html) {
+    const objects = [];
+    const flatten = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(flatten);
+        } else if (value && typeof value === 'object') {
+            objects.push(value);
+            if (value['@graph']) flatten(value['@graph']);
+        }
+    };
+    const pattern = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+    for (const match of String(html || '').matchAll(pattern)) {
+        try {
+            flatten(JSON.parse(match[1].trim()));
+        } catch (e) {
+            // Not valid JSON — skip this block
+        }
+    }
+    return objects;
+}
+
+/**
+ * Whether a JSON-LD object is of a schema.org type ("Review", or ["Review", ...])
+ */
+function isType(object, type) {
+    const types = Array.isArray(object['@type']) ? object['@type'] : [object['@type']];
+    return types.includes(type);
+}
+
+/**
+ * The content of a <meta property="og:..."> or <meta name="..."> tag, decoded
+ */
+function getMeta(html, key) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = [
+        new RegExp(`<meta[^>]+(?:property|name)=["']${escaped}["'][^>]*?content=(["'])([\\s\\S]*?)\\1`, 'i'),
+        new RegExp(`<meta[^>]+?content=(["'])([\\s\\S]*?)\\1[^>]*(?:property|name)=["']${escaped}["']`, 'i')
+    ];
+    for (const pattern of patterns) {
+        const match = String(html || '').match(pattern);
+        if (match) return decodeEntities(match[2]).trim() || null;
+    }
+    return null;
+}
+
+/**
+ * A name from a JSON-LD author / itemReviewed value ("Jane" or { name: "Jane" })
+ */
+function nameOf(value) {
+    if (!value) return null;
+    if (Array.isArray(value)) return nameOf(value[0]);
+    return toText(typeof value === 'string' ? value : value.name);
+}
+
+/**
+ * A star rating from a JSON-LD reviewRating value, as a number (or null)
+ */
+function ratingOf(value) {
+    const raw = value && typeof value === 'object' ? value.ratingValue : value;
+    const rating = parseFloat(raw);
+    return Number.isFinite(rating) ? rating : null;
+}
+
+/**
+ * Every schema.org Review on the page, each with the place it reviews:
+ * top-level Reviews (itemReviewed, resolving {"@id"} references) and the
+ * `review` list of a LocalBusiness / Restaurant / Hotel...
+ * @returns {Array<{ review: Object, place: Object|null }>}
+ */
+function findReviews(html) {
+    const objects = findJsonLd(html);
+    const resolve = (value) => {
+        if (value && typeof value === 'object' && !Array.isArray(value) && value['@id'] && !value.name) {
+            return objects.find(o => o['@id'] === value['@id'] && o !== value) || value;
+        }
+        return value || null;
+    };
+
+    const found = [];
+    for (const object of objects) {
+        if (isType(object, 'Review')) {
+            found.push({ review: object, place: resolve(object.itemReviewed) });
+        } else if (object.review) {
+            for (const review of [].concat(object.review)) {
+                if (review && typeof review === 'object') found.push({ review, place: object });
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * The fields every extractor returns, from a JSON-LD review and its place.
+ * A headline ("Paid in sats!") goes in front of the body unless the body
+ * already starts with it.
+ */
+function reviewFields({ review, place }) {
+    const body = toText(review.reviewBody || review.description);
+    const headline = toText(review.headline || review.name);
+    const reviewText = headline && body && !body.startsWith(headline) ? `${headline}\n\n${body}` : (body || headline);
+    return {
+        reviewText: reviewText || null,
+        rating: ratingOf(review.reviewRating),
+        author: nameOf(review.author),
+        placeName: nameOf(place)
+    };
+}
+
+module.exports = {
+    decodeEntities,
+    toText,
+    findJsonLd,
+    isType,
+    getMeta,
+    nameOf,
+    ratingOf,
+    findReviews,
+    reviewFields
+};
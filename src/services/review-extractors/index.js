@@ -0,0 +1,134 @@
+/**
+ * Review extractors
+ *
+ * Reads a review off its page, whichever site it is on. Extractors are keyed
+ * by domain: a link is matched on its host (www.yelp.com → yelp.com), and the
+ * extractor for that domain loads the page and picks out the review text,
+ * star rating, author and place name. Links from sites without an extractor
+ * (the rest of TRUSTED_REVIEW_DOMAINS in routes/api.js) aren't read; their
+ * tickets rely on the text the user pasted.
+ *
+ * An extractor is a plain object:
+ *   name                        — 'google' | 'tripadvisor' | 'yelp' | 'trustpilot' | 'facebook'
+ *   label                       — shown to the admin
+ *   domains                     — hosts it reads, matched with their subdomains
+ *   render                      — load the page in the headless browser (sites that
+ *                                 turn away plain requests) instead of over HTTP
+ *   userAgent?                  — sent with plain HTTP requests instead of the browser's
+ *   identify(url)               → { reviewId, placeId } read off the link alone, either
+ *                                 null (services/review-links.js builds canonical ids from these)
+ *   extract(html, url)          → { reviewText, rating, author, placeName } (no network,
+ *                                 so each one is tested against saved pages)
+ *   scrape(url)?                → the same, for extractors that drive the browser
+ *                                 themselves (google); used instead of extract()
+ */
+
+const scraper = require('../scraper');
+const { createGoogleExtractor } = require('./google');
+const { createTripadvisorExtractor } = require('./tripadvisor');
+const { createYelpExtractor } = require('./yelp');
+const { createTrustpilotExtractor } = require('./trustpilot');
+const { createFacebookExtractor } = require('./facebook');
+
+const FETCH_TIMEOUT_MS = 30000;
+
+const EXTRACTORS = [
+    createGoogleExtractor(),
+    createTripadvisorExtractor(),
+    createYelpExtractor(),
+    createTrustpilotExtractor(),
+    createFacebookExtractor()
+];
+
+const BY_DOMAIN = new Map();
+for (const extractor of EXTRACTORS) {
+    for (const domain of extractor.domains) BY_DOMAIN.set(domain, extractor);
+}
+
+/**
+ * Fetch a review page: rendered in the browser, or over plain HTTP
+ */
+async function fetchPage(url, extractor) {
+    if (extractor.render) return scraper.renderPage(url);
+
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': extractor.userAgent || scraper.USER_AGENT,
+            'Accept': 'text/html',
+            'Accept-Language': 'en-US,en;q=0.9'
+        },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.text();
+}
+
+let loadPage = fetchPage;
+
+/**
+ * The extractor for a link's domain, or null
+ */
+function findExtractor(url) {
+    let host;
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+    // www.tripadvisor.co.uk → tripadvisor.co.uk → co.uk → uk
+    for (let labels = host.split('.'); labels.length >= 2; labels = labels.slice(1)) {
+        const extractor = BY_DOMAIN.get(labels.join('.'));
+        if (extractor) return extractor;
+    }
+    return null;
+}
+
+/**
+ * Read the review behind a link
+ * @returns {Promise<{ success: boolean, platform: string|null, reviewText?: string, rating?: number|null,
+ *                     author?: string|null, placeName?: string|null, error?: string }>}
+ */
+async function extractReview(url) {
+    const extractor = findExtractor(url);
+    if (!extractor) return { success: false, platform: null, error: 'No extractor for this site' };
+
+    let result;
+    try {
+        result = extractor.scrape
+            ? await extractor.scrape(url)
+            : extractor.extract(await loadPage(url, extractor), url);
+    } catch (err) {
+        console.error(`❌ ${extractor.label} extraction failed for ${url}:`, err.message);
+        return { success: false, platform: extractor.name, error: `Could not load the ${extractor.label} page: ${err.message}` };
+    }
+
+    const placeName = result.placeName || null;
+    if (!result.reviewText) {
+        return { success: false, platform: extractor.name, placeName, error: result.error || `No review text found on the ${extractor.label} page` };
+    }
+    console.log(`✅ Extracted ${extractor.label} review (${result.reviewText.length} chars) for ${placeName || 'unknown place'}`);
+    return {
+        success: true,
+        platform: extractor.name,
+        reviewText: result.reviewText,
+        rating: result.rating == null ? null : result.rating,
+        author: result.author || null,
+        placeName
+    };
+}
+
+/**
+ * Replace how pages are loaded (tests): fn(url, extractor) → html.
+ * Call with no argument to restore it.
+ */
+function setPageLoader(fn) {
+    loadPage = fn || fetchPage;
+}
+
+module.exports = {
+    EXTRACTORS,
+    findExtractor,
+    extractReview,
+    setPageLoader
+};
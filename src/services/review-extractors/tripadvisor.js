@@ -0,0 +1,62 @@
+/**
+ * TripAdvisor review extractor
+ *
+ * Review links look like /ShowUserReviews-g…-d…-r<reviewId>-Place-City.html.
+ * The page's JSON-LD describes the place with its reviews; we pick the one
+ * whose URL carries the review id, or the first. TripAdvisor turns away
+ * plain HTTP clients, so the page is rendered in the headless browser.
+ */
+
+const html = require('./html');
+
+function reviewIdFrom(url) {
+    const match = String(url).match(/-r(\d+)-/);
+    return match ? match[1] : null;
+}
+
+/**
+ * @returns {{ reviewText, rating, author, placeName }}
+ */
+function extract(page, url) {
+    const reviews = html.findReviews(page);
+    const reviewId = reviewIdFrom(url);
+    const match = (reviewId && reviews.find(r => String(r.review.url || r.review['@id'] || '').includes(`-r${reviewId}-`))) || reviews[0];
+    if (match) {
+        const fields = html.reviewFields(match);
+        return { ...fields, placeName: fields.placeName || placeFromTitle(page) };
+    }
+    // No structured data: the link preview still has the review
+    return {
+        reviewText: html.getMeta(page, 'og:description'),
+        rating: null,
+        author: null,
+        placeName: placeFromTitle(page)
+    };
+}
+
+// "Beach Shack, West Bay - Restaurant Reviews - Tripadvisor" → "Beach Shack"
+function placeFromTitle(page) {
+    const title = html.getMeta(page, 'og:title');
+    return title ? title.split(/\s+-\s+|,\s/)[0].replace(/^"|"$/g, '').trim() || null : null;
+}
+
+/**
+ * Review and place ids from a link (-r<review>- and -d<place>-)
+ */
+function identify(url) {
+    const place = String(url).match(/-d(\d+)-/);
+    return { reviewId: reviewIdFrom(url), placeId: place ? place[1] : null };
+}
+
+function createTripadvisorExtractor() {
+    return {
+        name: 'tripadvisor',
+        label: 'TripAdvisor',
+        domains: ['tripadvisor.com', 'tripadvisor.co.uk', 'tripadvisor.ca', 'tripadvisor.com.mx', 'tripadvisor.es', 'tripadvisor.fr', 'tripadvisor.de'],
+        render: true,
+        identify,
+        extract
+    };
+}
+
+module.exports = { createTripadvisorExtractor, extract, identify };
@@ -0,0 +1,48 @@
+/**
+ * Trustpilot review extractor
+ *
+ * Review links are /reviews/<reviewId>. The page is server-rendered with a
+ * JSON-LD @graph holding the Review (headline, body, rating, author) and the
+ * company it reviews, so a plain HTTP request is enough.
+ */
+
+const html = require('./html');
+
+/**
+ * @returns {{ reviewText, rating, author, placeName }}
+ */
+function extract(page, url) {
+    const reviews = html.findReviews(page);
+    const reviewId = (String(url).match(/\/reviews\/([0-9a-f]+)/i) || [])[1];
+    const match = (reviewId && reviews.find(r => String(r.review['@id'] || r.review.url || '').endsWith(reviewId))) || reviews[0];
+    if (!match) {
+        return { reviewText: html.getMeta(page, 'og:description'), rating: null, author: null, placeName: null };
+    }
+    return html.reviewFields(match);
+}
+
+/**
+ * Review and place ids from a link (/reviews/<review>, /review/<company domain>)
+ */
+function identify(url) {
+    const { pathname } = new URL(url);
+    const review = pathname.match(/^\/reviews\/([0-9a-f]+)/i);
+    const company = pathname.match(/^\/review\/([^/]+)/);
+    return {
+        reviewId: review ? review[1].toLowerCase() : null,
+        placeId: company ? company[1].toLowerCase() : null
+    };
+}
+
+function createTrustpilotExtractor() {
+    return {
+        name: 'trustpilot',
+        label: 'Trustpilot',
+        domains: ['trustpilot.com'],
+        render: false,
+        identify,
+        extract
+    };
+}
+
+module.exports = { createTrustpilotExtractor, extract, identify };
@@ -0,0 +1,52 @@
+/**
+ * Yelp review extractor
+ *
+ * Review links are business pages with the review highlighted
+ * (/biz/<slug>?hrid=<reviewId>). The JSON-LD lists the business's reviews
+ * (text in `description`, author as a plain name); the one shared is first
+ * on the page. Yelp turns away plain HTTP clients, so the page is rendered
+ * in the headless browser.
+ */
+
+const html = require('./html');
+
+/**
+ * @returns {{ reviewText, rating, author, placeName }}
+ */
+function extract(page) {
+    const [first] = html.findReviews(page);
+    if (first) return html.reviewFields(first);
+
+    const business = html.findJsonLd(page).find(o => html.isType(o, 'LocalBusiness') || html.isType(o, 'Restaurant'));
+    return {
+        reviewText: null,
+        rating: null,
+        author: null,
+        placeName: business ? html.nameOf(business) : html.getMeta(page, 'og:title')
+    };
+}
+
+/**
+ * Review and place ids from a link (?hrid=<review>, /biz/<place>)
+ */
+function identify(url) {
+    const parsed = new URL(url);
+    const biz = parsed.pathname.match(/^\/biz\/([^/]+)/);
+    return {
+        reviewId: parsed.searchParams.get('hrid') || null,
+        placeId: biz ? decodeURIComponent(biz[1]).toLowerCase() : null
+    };
+}
+
+function createYelpExtractor() {
+    return {
+        name: 'yelp',
+        label: 'Yelp',
+        domains: ['yelp.com', 'yelp.ca', 'yelp.co.uk'],
+        render: true,
+        identify,
+        extract
+    };
+}
+
+module.exports = { createYelpExtractor, extract, identify };
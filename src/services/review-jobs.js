@@ -0,0 +1,244 @@
+/**
+ * Review jobs
+ *
+ * A persistent queue for review processing: each job reads one ticket's
+ * review off its page (services/review-extractors) and runs it through the
+ * review validators (scrapeAndValidateReview). Jobs live in the review_jobs table, so nothing
+ * is lost on a restart; ones caught running by a restart go back in the
+ * queue. Submissions are queued when `review_mode` is 'ai_assisted', and the
+ * admin can queue a ticket again or every pending ticket at once.
+ *
+ *   queued ──► running ──► done
+ *     ▲           │  └───► failed (MAX_ATTEMPTS errors, or REVIEW_UNREADABLE)
+ *     └───────────┘ retry with backoff (1 min, 2 min, 4 min, ... up to an hour)
+ *
+ * Up to `review_job_concurrency` jobs run at once (most are a headless
+ * browser, so keep it low). A failed job leaves its ticket pending for an
+ * admin; every error is kept in the job's history.
+ */
+
+const db = require('./database');
+const fraudScoring = require('./fraud-scoring');
+const reviewExtractors = require('./review-extractors');
+const reviewSimilarity = require('./review-similarity');
+const reviewValidators = require('./review-validators');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 5;
+
+/**
+ * Read a ticket's review and validate it, storing the verdict on the ticket.
+ * The review is read off its page when an extractor knows the site, and the
+ * text the user pasted is used otherwise (or when the page can't be read).
+ * Throws when there is nothing to validate or no validator answered, so the
+ * job is retried; REVIEW_UNREADABLE errors aren't worth retrying. A review
+ * the validator approves stays pending if its text is close to another
+ * ticket's (services/review-similarity.js) or its risk score is at the hold
+ * score (services/fraud-scoring.js): an admin decides.
+ * @returns {Promise<string>} the verdict, for the job's result
+ */
+async function scrapeAndValidateReview(ticketId, reviewUrl) {
+    console.log(`🔄 Starting scrape+validate for ticket #${ticketId}: ${reviewUrl}`);
+    const ticket = db.getTicketById(ticketId);
+    let reviewText = ticket ? ticket.review_text : null;
+    let merchantName = ticket ? ticket.merchant_name : null;
+
+    if (reviewExtractors.findExtractor(reviewUrl)) {
+        const extracted = await reviewExtractors.extractReview(reviewUrl);
+        if (extracted.placeName) {
+            db.updateTicketMerchant(ticketId, extracted.placeName);
+            merchantName = extracted.placeName;
+        }
+        if (extracted.success) {
+            db.updateTicketReviewText(ticketId, extracted.reviewText);
+            db.updateTicketReviewDetails(ticketId, extracted);
+            reviewText = extracted.reviewText;
+        } else if (!reviewText) {
+            throw new Error(`Scrape failed: ${extracted.error}`);
+        } else {
+            console.warn(`⚠️  Could not read ticket #${ticketId}'s review page (${extracted.error}) — using the pasted text`);
+        }
+    } else if (!reviewText) {
+        const err = new Error('Not a review site we can read, and no review text was pasted');
+        err.code = 'REVIEW_UNREADABLE';
+        throw err;
+    }
+
+    reviewSimilarity.indexTicket(ticketId, reviewText);
+
+    const validation = await reviewValidators.validateReview(reviewText, merchantName, { ticketId });
+    console.log(`🤖 Validation (${validation.validator || 'none'}) for ticket #${ticketId}: valid=${validation.isValid}, reason=${validation.reason}`);
+
+    // No validator answered: try again later
+    if (!validation.validator) throw new Error(validation.reason);
+
+    const current = validation.isValid ? db.getTicketById(ticketId) : null;
+    const hold = current ? reviewSimilarity.holdReason(current) || fraudScoring.holdReason(current) : null;
+    if (hold) {
+        console.log(`✋ Ticket #${ticketId} held for an admin: ${hold}`);
+        return `Held for an admin: approved by ${validation.validator}, but ${hold}`;
+    }
+
+    db.validateTicket(ticketId, validation.isValid, validation.reason, validation.validator);
+    console.log(`✅ Ticket #${ticketId} validation complete: ${validation.isValid ? 'VALID' : 'INVALID'}`);
+    return `${validation.isValid ? 'Approved' : 'Rejected'} by ${validation.validator}: ${validation.reason}`;
+}
+
+const scrapeAndValidate = (job) => scrapeAndValidateReview(job.ticket_id, job.review_link);
+
+let processJob = scrapeAndValidate;
+let activeWorkers = 0;
+
+/**
+ * Jobs that may run at once (the `review_job_concurrency` setting)
+ */
+function getConcurrency() {
+    const concurrency = parseInt(db.getSetting('review_job_concurrency'), 10);
+    return Number.isInteger(concurrency) && concurrency >= 1 ? Math.min(concurrency, MAX_CONCURRENCY) : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Wait before attempt `attempt + 1`: 1 min, 2 min, 4 min, ... capped at an hour.
+ */
+function retryDelay(attempt) {
+    return Math.min(RETRY_BASE_MS * Math.pow(2, attempt - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Queue a ticket's review for processing and start a worker if one is free.
+ * @returns {number|null} the job id, or null if the ticket is already queued
+ */
+function enqueue(ticketId) {
+    const jobId = db.createReviewJob(ticketId, MAX_ATTEMPTS);
+    if (jobId) {
+        console.log(`📥 Review job #${jobId} queued for ticket #${ticketId}`);
+        processJobs().catch(err => console.error('Review job worker error:', err.message));
+    }
+    return jobId;
+}
+
+/**
+ * Queue every ticket still waiting for a verdict
+ * @returns {{ queued: number, skipped: number }} skipped tickets already had a job
+ */
+function revalidateAllPending() {
+    // Flagged repeats wait for an admin (services/review-links.js)
+    const pending = db.getUnvalidatedTickets().filter(ticket => !ticket.duplicate_of);
+    let queued = 0;
+    for (const ticket of pending) {
+        if (enqueue(ticket.id)) queued++;
+    }
+    console.log(`🔄 Queued ${queued} pending ticket(s) for review (${pending.length - queued} already queued)`);
+    return { queued, skipped: pending.length - queued };
+}
+
+/**
+ * Put a done or failed job back in the queue with a fresh set of attempts
+ * @returns {boolean} false if it is still queued or running
+ */
+function requeue(jobId) {
+    if (!db.requeueReviewJob(jobId)) return false;
+    console.log(`📥 Review job #${jobId} queued again by admin`);
+    processJobs().catch(err => console.error('Review job worker error:', err.message));
+    return true;
+}
+
+/**
+ * Run one claimed job and record how it went
+ */
+async function runJob(job, now) {
+    try {
+        const result = await processJob(job);
+        db.completeReviewJob(job.id, result || null);
+        console.log(`✅ Review job #${job.id} (ticket #${job.ticket_id}) done`);
+        return { outcome: 'done', job };
+    } catch (err) {
+        const error = err.message;
+        if (err.code === 'REVIEW_UNREADABLE' || job.attempts >= job.max_attempts) {
+            db.failReviewJob(job, error);
+            console.warn(`❌ Review job #${job.id} (ticket #${job.ticket_id}) failed after ${job.attempts} attempt(s): ${error}`);
+            return { outcome: 'failed', job, error };
+        }
+        const nextAt = new Date(now + retryDelay(job.attempts)).toISOString();
+        db.retryReviewJob(job, error, nextAt);
+        console.warn(`⚠️  Review job #${job.id} attempt ${job.attempts}/${job.max_attempts} failed: ${error} — retrying at ${nextAt}`);
+        return { outcome: 'retry', job, error, nextAt };
+    }
+}
+
+/**
+ * Run due jobs until none are left, with up to getConcurrency() at once.
+ * Safe to call any time: it only starts the workers that are free. Runs on a
+ * timer in index.js, and whenever a job is queued.
+ * @param {number} [now] - clock for retry times (tests); the real time by default
+ * @returns {Promise<Array<Object>>} one result per job run by the workers this call started
+ */
+async function processJobs(now = null) {
+    const results = [];
+    const worker = async () => {
+        try {
+            let job;
+            while ((job = db.claimNextReviewJob())) {
+                results.push(await runJob(job, now || Date.now()));
+            }
+        } finally {
+            activeWorkers--;
+        }
+    };
+
+    // Count the free slots first: a worker with nothing to do frees its slot straight away
+    const free = Math.max(0, getConcurrency() - activeWorkers);
+    const workers = [];
+    for (let i = 0; i < free; i++) {
+        activeWorkers++;
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Put jobs a restart interrupted back in the queue. Call once on startup.
+ */
+function recoverInterruptedJobs() {
+    const count = db.resetRunningReviewJobs();
+    if (count > 0) console.log(`📥 ${count} review job(s) interrupted by a restart were queued again`);
+    return count;
+}
+
+/**
+ * Jobs for the admin, with their error history parsed
+ */
+function listJobs({ status = null, limit = 100 } = {}) {
+    return db.getRecentReviewJobs({ status, limit }).map(job => {
+        let errors = [];
+        try { errors = JSON.parse(job.error_history || '[]'); } catch (e) { /* keep empty */ }
+        const { error_history, ...rest } = job;
+        return { ...rest, errors };
+    });
+}
+
+/**
+ * Replace what a job does (tests); call with no argument to restore it
+ */
+function setProcessor(fn) {
+    processJob = fn || scrapeAndValidate;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    MAX_CONCURRENCY,
+    getConcurrency,
+    retryDelay,
+    enqueue,
+    revalidateAllPending,
+    requeue,
+    scrapeAndValidateReview,
+    processJobs,
+    recoverInterruptedJobs,
+    listJobs,
+    setProcessor
+};
@@ -0,0 +1,215 @@
+/**
+ * Review links
+ *
+ * One review can be shared in many shapes — a maps.app.goo.gl short link, a
+ * long /maps/place/... URL, the same link with tracking parameters — and
+ * submitted under several emails. To keep it to one raffle ticket, every
+ * link is reduced to a canonical id, stored on the ticket as
+ * canonical_review_id:
+ *
+ *   <platform>:review:<id>   the link names a review (Google review id,
+ *                            TripAdvisor -r…-, Yelp hrid, Trustpilot review, Facebook post)
+ *   <platform>:place:<id>    it only names the place reviewed
+ *   url:<host/path?query>    any other link, tidied (no www., tracking
+ *                            parameters, fragment or trailing slash)
+ *
+ * Short links are followed first, without loading the page. The ids come from
+ * the extractor for the link's domain (services/review-extractors identify()).
+ *
+ * A link matching a ticket the same person already has is always turned
+ * away. One matching someone else's ticket is turned away too when it names
+ * the same review and `duplicate_review_policy` is 'reject'; otherwise the
+ * new ticket is kept, pending, and flagged as a duplicate (duplicate_of) for
+ * the admin's duplicate clusters.
+ */
+
+const db = require('./database');
+const reviewExtractors = require('./review-extractors');
+
+const SHORT_LINK_HOSTS = ['maps.app.goo.gl', 'goo.gl', 'g.page', 'g.co'];
+const MAX_REDIRECTS = 5;
+const RESOLVE_TIMEOUT_MS = 5000;
+const DUPLICATE_POLICIES = ['reject', 'flag'];
+
+// Query parameters that say how a link was shared, not what it points to
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|igshid|g_st|g_ep|entry|ref|ref_|share|hl|authuser|mibextid)$/i;
+
+/**
+ * Follow a short link's redirects to where it points, without loading the page.
+ * Gives back the link unchanged if it can't be followed.
+ */
+async function followRedirects(url) {
+    let current = url;
+    try {
+        for (let i = 0; i < MAX_REDIRECTS; i++) {
+            const response = await fetch(current, { redirect: 'manual', signal: AbortSignal.timeout(RESOLVE_TIMEOUT_MS) });
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) break;
+            current = new URL(location, current).toString();
+        }
+    } catch (err) {
+        console.warn(`⚠️  Could not follow short link ${url}: ${err.message}`);
+    }
+    return current;
+}
+
+let resolveShortLink = followRedirects;
+
+function isShortLink(url) {
+    const host = url.hostname.toLowerCase();
+    return SHORT_LINK_HOSTS.includes(host) && !(host === 'goo.gl' && !url.pathname.startsWith('/maps'));
+}
+
+/**
+ * A link tidied for comparison: lower-case host without www./m., no
+ * tracking parameters, fragment or trailing slash, parameters sorted
+ */
+function normalizeUrl(link) {
+    const url = new URL(link);
+    const host = url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+    const params = [...url.searchParams.entries()]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? '?' + new URLSearchParams(params).toString() : '';
+    return `${host}${url.pathname.replace(/\/+$/, '')}${query}`;
+}
+
+/**
+ * Canonical ids for a link as it stands (no network)
+ * @returns {{ canonicalReviewId: string, canonicalPlaceId: string|null, kind: 'review'|'place'|'url', platform: string|null }|null}
+ *          null if it isn't a URL
+ */
+function identify(link) {
+    try {
+        new URL(link);
+    } catch (e) {
+        return null;
+    }
+
+    const extractor = reviewExtractors.findExtractor(link);
+    const { reviewId = null, placeId = null } = extractor ? extractor.identify(link) : {};
+    const platform = extractor ? extractor.name : null;
+    const canonicalPlaceId = placeId ? `${platform}:${placeId}` : null;
+
+    if (reviewId) return { canonicalReviewId: `${platform}:review:${reviewId}`, canonicalPlaceId, kind: 'review', platform };
+    if (placeId) return { canonicalReviewId: `${platform}:place:${placeId}`, canonicalPlaceId, kind: 'place', platform };
+    return { canonicalReviewId: `url:${normalizeUrl(link)}`, canonicalPlaceId: null, kind: 'url', platform };
+}
+
+/**
+ * Canonical ids for a link, following it first if it is a short link
+ * @returns {Promise<Object|null>} identify()'s result, with the link it was read from
+ */
+async function canonicalize(link) {
+    let url;
+    try {
+        url = new URL(link);
+    } catch (e) {
+        return null;
+    }
+    const resolvedUrl = isShortLink(url) ? await resolveShortLink(link) : link;
+    const ids = identify(resolvedUrl) || identify(link);
+    return { ...ids, resolvedUrl };
+}
+
+function getPolicy() {
+    const policy = db.getSetting('duplicate_review_policy');
+    return DUPLICATE_POLICIES.includes(policy) ? policy : 'reject';
+}
+
+/**
+ * Whether a canonicalized link repeats an existing ticket
+ * @param {Object} canonical - canonicalize()'s result
+ * @param {number|null} userId - who is submitting it
+ * @returns {{ duplicateOf: Object|null, reject: boolean }} the earliest matching ticket,
+ *          and whether the submission should be turned away
+ */
+function checkDuplicate(canonical, userId) {
+    if (!canonical) return { duplicateOf: null, reject: false };
+
+    const matches = db.findTicketsByCanonicalId(canonical.canonicalReviewId, userId, canonical.canonicalPlaceId);
+    if (matches.length === 0) return { duplicateOf: null, reject: false };
+
+    // One review per place per person: the same place again is the same review
+    if (userId && matches.some(ticket => ticket.user_id === userId)) {
+        return { duplicateOf: matches.find(ticket => ticket.user_id === userId), reject: true };
+    }
+    const sameReview = matches.filter(ticket => ticket.canonical_review_id === canonical.canonicalReviewId);
+    if (sameReview.length === 0) return { duplicateOf: null, reject: false };
+    return { duplicateOf: sameReview[0], reject: canonical.kind === 'review' && getPolicy() === 'reject' };
+}
+
+/**
+ * Store a new ticket's canonical ids, and flag it if it repeats another
+ */
+function recordTicket(ticketId, canonical, duplicateOf = null) {
+    if (!canonical) return;
+    db.setTicketCanonicalIds(ticketId, {
+        canonicalReviewId: canonical.canonicalReviewId,
+        canonicalPlaceId: canonical.canonicalPlaceId,
+        duplicateOf: duplicateOf ? duplicateOf.id : null
+    });
+    if (duplicateOf) console.log(`🧬 Ticket #${ticketId} repeats ticket #${duplicateOf.id} (${canonical.canonicalReviewId}) — left pending`);
+}
+
+/**
+ * Tickets that share a canonical id, grouped, most recent cluster first
+ * @returns {Array<{ canonicalReviewId: string, kind: string, tickets: Array<Object>, users: number }>}
+ */
+function listClusters() {
+    const clusters = new Map();
+    for (const ticket of db.getDuplicateTickets()) {
+        if (!clusters.has(ticket.canonical_review_id)) {
+            clusters.set(ticket.canonical_review_id, {
+                canonicalReviewId: ticket.canonical_review_id,
+                kind: ticket.canonical_review_id.startsWith('url:') ? 'url' : ticket.canonical_review_id.split(':')[1],
+                tickets: []
+            });
+        }
+        clusters.get(ticket.canonical_review_id).tickets.push(ticket);
+    }
+    return [...clusters.values()]
+        .map(cluster => ({ ...cluster, users: new Set(cluster.tickets.map(t => t.user_id)).size }))
+        .sort((a, b) => b.tickets[b.tickets.length - 1].id - a.tickets[a.tickets.length - 1].id);
+}
+
+/**
+ * Work out canonical ids for tickets from before they were stored, oldest
+ * first, flagging repeats the same way new submissions are
+ * @returns {Promise<{ scanned: number, duplicates: number }>}
+ */
+async function backfillCanonicalIds() {
+    const tickets = db.getTicketsWithoutCanonicalId();
+    let duplicates = 0;
+    for (const ticket of tickets) {
+        const canonical = await canonicalize(ticket.review_link);
+        const { duplicateOf } = checkDuplicate(canonical, ticket.user_id);
+        // Flag only repeats of the same link, so they show up in its cluster
+        const repeat = duplicateOf && duplicateOf.canonical_review_id === canonical.canonicalReviewId ? duplicateOf : null;
+        recordTicket(ticket.id, canonical, repeat);
+        if (repeat) duplicates++;
+    }
+    console.log(`🧬 Canonicalized ${tickets.length} ticket link(s), ${duplicates} repeat(s) found`);
+    return { scanned: tickets.length, duplicates };
+}
+
+/**
+ * Replace how short links are followed (tests); call with no argument to restore it
+ */
+function setResolver(fn) {
+    resolveShortLink = fn || followRedirects;
+}
+
+module.exports = {
+    DUPLICATE_POLICIES,
+    followRedirects,
+    normalizeUrl,
+    identify,
+    canonicalize,
+    getPolicy,
+    checkDuplicate,
+    recordTicket,
+    listClusters,
+    backfillCanonicalIds,
+    setResolver
+};
@@ -0,0 +1,198 @@
+/**
+ * Review similarity
+ *
+ * Spots review text that is nearly the same as an earlier ticket's — one
+ * entrant pasting the same review for several merchants, or copying someone
+ * else's. Each text is normalized (case, accents, punctuation), cut into
+ * overlapping 3-word shingles and reduced to a 64-value MinHash signature;
+ * the share of values two signatures have in common estimates how much their
+ * shingles overlap (Jaccard similarity). Signatures are also split into 32
+ * bands of 2 values (LSH), and a new ticket is only compared with the tickets
+ * it shares a band with, not with every other one.
+ *
+ * Texts are indexed when a ticket is submitted with pasted text, and again
+ * when a review job reads the review off its page. A ticket at or above
+ * `review_similarity_threshold` to an earlier one is flagged (similar_to,
+ * text_similarity). Nothing is rejected for it: the flag keeps the ticket
+ * from being approved automatically — by auto-approve or by a validator —
+ * and leaves it pending for an admin, who sees the matching tickets on the
+ * ticket's review page.
+ */
+
+const db = require('./database');
+
+const SHINGLE_WORDS = 3;
+const MIN_WORDS = 6;            // shorter texts are too generic to compare
+const NUM_HASHES = 64;
+const BAND_ROWS = 2;
+const DEFAULT_THRESHOLD = 0.7;
+
+// 32-bit FNV-1a
+function hash32(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// MurmurHash3's finalizer: spreads one 32-bit value over all 32 bits
+function mix32(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+// One seed per MinHash function, the same on every run
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => hash32(`minhash-${i}`));
+
+/**
+ * Words of a text, lower-cased, without accents or punctuation
+ */
+function normalizeWords(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+}
+
+/**
+ * The hashed 3-word shingles of a text
+ * @returns {Set<number>}
+ */
+function shingles(text) {
+    const words = normalizeWords(text);
+    const set = new Set();
+    for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+        set.add(hash32(words.slice(i, i + SHINGLE_WORDS).join(' ')));
+    }
+    return set;
+}
+
+/**
+ * A text's MinHash signature, or null if it is too short to compare
+ * @returns {number[]|null}
+ */
+function fingerprint(text) {
+    if (normalizeWords(text).length < MIN_WORDS) return null;
+    const hashes = [...shingles(text)];
+    return SEEDS.map(seed => {
+        let min = 0xffffffff;
+        for (const hash of hashes) {
+            const value = mix32(hash ^ seed);
+            if (value < min) min = value;
+        }
+        return min;
+    });
+}
+
+/**
+ * LSH band keys of a signature: tickets sharing one are worth comparing
+ */
+function bandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band * BAND_ROWS < signature.length; band++) {
+        keys.push(`${band}:${signature.slice(band * BAND_ROWS, (band + 1) * BAND_ROWS).join('.')}`);
+    }
+    return keys;
+}
+
+/**
+ * Estimated similarity (0-1) of two signatures
+ */
+function similarity(a, b) {
+    let same = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / a.length;
+}
+
+/**
+ * The flagging threshold (the `review_similarity_threshold` setting)
+ */
+function getThreshold() {
+    const threshold = parseFloat(db.getSetting('review_similarity_threshold'));
+    return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_THRESHOLD;
+}
+
+function matchesFor(ticketId, signature, options) {
+    const threshold = getThreshold();
+    return db.findFingerprintCandidates(ticketId, bandKeys(signature), options)
+        .map(candidate => ({ ticketId: candidate.ticketId, similarity: similarity(signature, candidate.signature) }))
+        .filter(match => match.similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity || a.ticketId - b.ticketId);
+}
+
+/**
+ * Index a ticket's review text and flag it if it resembles an earlier ticket's.
+ * Replaces whatever was indexed for the ticket before.
+ * @returns {{ ticketId: number, similarity: number }|null} the closest earlier ticket, if above the threshold
+ */
+function indexTicket(ticketId, reviewText) {
+    const signature = fingerprint(reviewText);
+    if (!signature) {
+        db.deleteReviewFingerprint(ticketId);
+        db.setTicketSimilarity(ticketId, null, null);
+        return null;
+    }
+    db.saveReviewFingerprint(ticketId, signature, bandKeys(signature));
+
+    const [closest = null] = matchesFor(ticketId, signature, { earlierOnly: true });
+    db.setTicketSimilarity(ticketId, closest ? closest.ticketId : null, closest ? closest.similarity : null);
+    if (closest) {
+        console.log(`🪞 Ticket #${ticketId}'s review text is ${Math.round(closest.similarity * 100)}% similar to ticket #${closest.ticketId}'s`);
+    }
+    return closest;
+}
+
+/**
+ * Every ticket, earlier or later, whose text is above the threshold to this one's
+ * @returns {Array<{ ticketId: number, similarity: number }>} closest first
+ */
+function findSimilar(ticketId) {
+    const signature = db.getReviewFingerprint(ticketId);
+    return signature ? matchesFor(ticketId, signature) : [];
+}
+
+/**
+ * Why a flagged ticket shouldn't be approved automatically, or null
+ */
+function holdReason(ticket) {
+    if (!ticket || !ticket.similar_to) return null;
+    return `review text ${Math.round(ticket.text_similarity * 100)}% similar to ticket #${ticket.similar_to}`;
+}
+
+/**
+ * Index tickets with text but no fingerprint yet (from before the index
+ * existed), oldest first so flags land on the later ticket. Call once on startup.
+ * @returns {number} tickets indexed
+ */
+function indexMissing() {
+    // Texts too short to compare never get a fingerprint; skip them quietly
+    const tickets = db.getTicketsWithoutFingerprint().filter(ticket => fingerprint(ticket.review_text));
+    for (const ticket of tickets) indexTicket(ticket.id, ticket.review_text);
+    if (tickets.length > 0) console.log(`🪞 Indexed the review text of ${tickets.length} ticket(s)`);
+    return tickets.length;
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    normalizeWords,
+    fingerprint,
+    similarity,
+    getThreshold,
+    indexTicket,
+    findSimilar,
+    holdReason,
+    indexMissing
+};
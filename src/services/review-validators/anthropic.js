@@ -0,0 +1,37 @@
+/**
+ * Anthropic review validator
+ *
+ * Config: ANTHROPIC_API_KEY (and optionally ANTHROPIC_BASE_URL), through the
+ * client in services/anthropic.js; ANTHROPIC_MODEL (default
+ * claude-sonnet-4-20250514).
+ */
+
+const anthropic = require('../anthropic');
+const llm = require('./llm');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+function createAnthropicValidator({ model } = {}) {
+    const modelName = model || DEFAULT_MODEL;
+
+    return {
+        name: 'anthropic',
+        label: 'Anthropic (Claude)',
+        model: modelName,
+        usesPrompt: true,
+
+        isConfigured() {
+            return anthropic.isConfigured()
+                ? { configured: true }
+                : { configured: false, reason: 'ANTHROPIC_API_KEY not set' };
+        },
+
+        async validate(reviewText, merchantName, { promptVersion = llm.DEFAULT_PROMPT_VERSION } = {}) {
+            const prompt = llm.buildPrompt(reviewText, merchantName, promptVersion);
+            const content = await anthropic.complete(prompt, { model: modelName });
+            return { ...llm.parseVerdict(content), raw: content, model: modelName, promptVersion };
+        }
+    };
+}
+
+module.exports = { createAnthropicValidator };
@@ -0,0 +1,125 @@
+/**
+ * Offline evaluation of a review validator
+ *
+ * Runs a labelled set of reviews (fixtures/reviews.json by default) through
+ * one validator and scores it, treating "valid" as the positive class:
+ * precision is how many of the reviews it passed should have passed, recall
+ * how many of the reviews that should pass it passed. Nothing is stored.
+ * Run it with `npm run eval:reviews` (src/scripts/eval-reviews.js).
+ *
+ * A fixture is { id, text, merchant?, expected: boolean, note? }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_PATH = path.join(__dirname, 'fixtures', 'reviews.json');
+
+/**
+ * Read and check a fixture file
+ * @returns {Array<{ id: string, text: string, merchant: string|null, expected: boolean, note: string|null }>}
+ */
+function loadFixtures(file = FIXTURES_PATH) {
+    const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(fixtures) || fixtures.length === 0) {
+        throw new Error(`${file} should be a non-empty array of reviews`);
+    }
+    const ids = new Set();
+    return fixtures.map((fixture, i) => {
+        const id = fixture.id ? String(fixture.id) : `#${i + 1}`;
+        if (!fixture.text || typeof fixture.expected !== 'boolean') {
+            throw new Error(`Fixture ${id} needs "text" and a true/false "expected"`);
+        }
+        if (ids.has(id)) throw new Error(`Fixture id ${id} is used twice`);
+        ids.add(id);
+        return { id, text: String(fixture.text), merchant: fixture.merchant || null, expected: fixture.expected, note: fixture.note || null };
+    });
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Run every fixture through a validator, one at a time.
+ * Errors are counted on their own and left out of precision and recall.
+ * @param {Object} validator - see review-validators/index.js
+ * @param {Array} fixtures - from loadFixtures()
+ * @param {Object} [options]
+ * @param {string} [options.promptVersion] - for validators that use a prompt
+ * @param {Function} [options.onResult] - called with each result as it comes in
+ */
+async function evaluate(validator, fixtures, { promptVersion, onResult } = {}) {
+    const results = [];
+    for (const fixture of fixtures) {
+        const started = Date.now();
+        const result = { id: fixture.id, expected: fixture.expected, actual: null, confidence: null, reason: null, error: null };
+        try {
+            const verdict = await validator.validate(fixture.text, fixture.merchant, { promptVersion });
+            result.actual = verdict.isValid;
+            result.confidence = verdict.confidence;
+            result.reason = verdict.reason;
+        } catch (err) {
+            result.error = err.message;
+        }
+        result.latencyMs = Date.now() - started;
+        results.push(result);
+        if (onResult) onResult(result);
+    }
+
+    const judged = results.filter(r => r.error === null);
+    const count = (expected, actual) => judged.filter(r => r.expected === expected && r.actual === actual).length;
+    const truePositives = count(true, true);
+    const falsePositives = count(false, true);
+    const trueNegatives = count(false, false);
+    const falseNegatives = count(true, false);
+
+    return {
+        validator: validator.name,
+        model: validator.model || null,
+        promptVersion: validator.usesPrompt ? promptVersion || null : null,
+        total: results.length,
+        errors: results.length - judged.length,
+        truePositives,
+        falsePositives,
+        trueNegatives,
+        falseNegatives,
+        precision: ratio(truePositives, truePositives + falsePositives),
+        recall: ratio(truePositives, truePositives + falseNegatives),
+        accuracy: ratio(truePositives + trueNegatives, judged.length),
+        averageLatencyMs: results.length ? Math.round(results.reduce((sum, r) => sum + r.latencyMs, 0) / results.length) : 0,
+        results
+    };
+}
+
+/**
+ * A plain-text report for the terminal
+ */
+function formatReport(report) {
+    const pct = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+    const lines = [
+        `Validator: ${report.validator}${report.model ? ` (${report.model})` : ''}${report.promptVersion ? `, prompt ${report.promptVersion}` : ''}`,
+        `Reviews:   ${report.total} (${report.errors} errored)`,
+        `Precision: ${pct(report.precision)}  (${report.truePositives} of ${report.truePositives + report.falsePositives} passed should have passed)`,
+        `Recall:    ${pct(report.recall)}  (${report.truePositives} of ${report.truePositives + report.falseNegatives} that should pass were passed)`,
+        `Accuracy:  ${pct(report.accuracy)}`,
+        `Latency:   ${report.averageLatencyMs} ms on average`
+    ];
+    const wrong = report.results.filter(r => r.error !== null || r.actual !== r.expected);
+    if (wrong.length > 0) {
+        lines.push('', 'Misjudged:');
+        for (const r of wrong) {
+            lines.push(r.error !== null
+                ? `  ✗ ${r.id}: error — ${r.error}`
+                : `  ✗ ${r.id}: expected ${r.expected ? 'valid' : 'invalid'}, got ${r.actual ? 'valid' : 'invalid'} (${r.confidence}) — ${r.reason}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    FIXTURES_PATH,
+    loadFixtures,
+    evaluate,
+    formatReport
+};
@@ -0,0 +1,198 @@
+/**
+ * Review validators
+ *
+ * Reviews are checked by a chain of validators, in the order the admin picks
+ * (the `review_validator_chain` setting, e.g. "anthropic,openai,rules"). Each
+ * validator that is configured gets a turn; the first one that answers gives
+ * the verdict, and the verdict records which one it was. A validator that
+ * errors (API down, unparseable reply) passes to the next one instead of
+ * rejecting the review. With `rules` last in the chain there is always an
+ * answer, even with no network; without it, a review nobody could judge comes
+ * back with `validator: null` and is left for an admin.
+ *
+ * Every attempt is stored in review_validations — prompt version, model, raw
+ * reply, parsed verdict and latency, or the error — so an admin can see why a
+ * review was rejected, not just the one-line reason.
+ *
+ * A validator is a plain object:
+ *   name                        — 'anthropic' | 'openai' | 'rules'
+ *   label                       — shown in the admin settings
+ *   model                       — model name, or null
+ *   usesPrompt                  — whether it reads prompts/<version>.txt
+ *   isConfigured()              → { configured, reason? } (config only, no network)
+ *   validate(reviewText, merchantName, { promptVersion })
+ *                               → { isValid, reason, confidence: 'high'|'medium'|'low', details?,
+ *                                   raw?, model?, promptVersion? }
+ *                                 throws when it can't give a verdict (with err.raw if there was a reply)
+ */
+
+const db = require('../database');
+const llm = require('./llm');
+const { createAnthropicValidator } = require('./anthropic');
+const { createOpenAiValidator } = require('./openai');
+const { createRulesValidator } = require('./rules');
+
+const VALIDATORS = {
+    anthropic: (env) => createAnthropicValidator({ model: env.ANTHROPIC_MODEL }),
+    openai: (env) => createOpenAiValidator({ baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, model: env.OPENAI_MODEL }),
+    rules: () => createRulesValidator()
+};
+
+const DEFAULT_CHAIN = ['anthropic', 'openai', 'rules'];
+
+let overrides = {};
+
+/**
+ * Check and normalize a chain ("openai, rules" or ['openai', 'rules']).
+ * Throws on unknown or repeated names, or an empty chain.
+ * @returns {string[]}
+ */
+function parseChain(value) {
+    const names = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(name => String(name).trim().toLowerCase())
+        .filter(Boolean);
+    if (names.length === 0) throw new Error('The validator chain needs at least one validator');
+    for (const name of names) {
+        if (!VALIDATORS[name]) throw new Error(`Unknown review validator "${name}". Use: ${Object.keys(VALIDATORS).join(', ')}`);
+    }
+    if (new Set(names).size !== names.length) throw new Error('Each validator can only appear once in the chain');
+    return names;
+}
+
+/**
+ * The chain the admin picked, or the default
+ */
+function getChain() {
+    try {
+        return parseChain(db.getSetting('review_validator_chain'));
+    } catch (err) {
+        return DEFAULT_CHAIN;
+    }
+}
+
+/**
+ * The prompt version the admin picked, or the default
+ */
+function getPromptVersion() {
+    const version = db.getSetting('review_prompt_version');
+    return version && llm.listPromptVersions().includes(version) ? version : llm.DEFAULT_PROMPT_VERSION;
+}
+
+function getValidator(name, env = process.env) {
+    return overrides[name] || VALIDATORS[name](env);
+}
+
+/**
+ * Every validator with its config status and place in the chain, for the admin
+ */
+function describeValidators() {
+    const chain = getChain();
+    return Object.keys(VALIDATORS).map(name => {
+        const validator = getValidator(name);
+        const status = validator.isConfigured();
+        return {
+            name,
+            label: validator.label,
+            model: validator.model || null,
+            configured: status.configured,
+            reason: status.reason || null,
+            position: chain.indexOf(name)
+        };
+    });
+}
+
+/**
+ * Store an attempt; a storage error shouldn't cost the review its verdict
+ */
+function recordAttempt(attempt) {
+    try {
+        return db.recordReviewValidation(attempt);
+    } catch (err) {
+        console.error('⚠️  Could not store review validation:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Run a review through the chain, storing each attempt against the ticket.
+ * @param {Object} [options]
+ * @param {number} [options.ticketId] - ticket the review belongs to
+ * @returns {Promise<{ isValid: boolean, reason: string, confidence: string, validator: string|null, validationId: number|null, details?: Object }>}
+ */
+async function validateReview(reviewText, merchantName = null, { ticketId = null } = {}) {
+    if (!reviewText || reviewText.trim().length < 10) {
+        const verdict = {
+            isValid: false,
+            reason: 'Review text is too short or empty',
+            confidence: 'high'
+        };
+        const validationId = recordAttempt({ ticketId, validator: 'rules', verdict, latencyMs: 0 });
+        return { ...verdict, validator: 'rules', validationId };
+    }
+
+    const promptVersion = getPromptVersion();
+    const skipped = [];
+    for (const name of getChain()) {
+        const validator = getValidator(name);
+        const status = validator.isConfigured();
+        if (!status.configured) {
+            skipped.push(`${name}: ${status.reason}`);
+            continue;
+        }
+        const attempt = {
+            ticketId,
+            validator: name,
+            promptVersion: validator.usesPrompt ? promptVersion : null,
+            model: validator.model || null
+        };
+        const started = Date.now();
+        try {
+            const { raw, model, promptVersion: usedPrompt, ...verdict } = await validator.validate(reviewText, merchantName, { promptVersion });
+            const validationId = recordAttempt({
+                ...attempt,
+                promptVersion: usedPrompt || attempt.promptVersion,
+                model: model || attempt.model,
+                rawResponse: raw == null ? null : String(raw),
+                verdict,
+                latencyMs: Date.now() - started
+            });
+            return { ...verdict, validator: name, validationId };
+        } catch (err) {
+            console.error(`⚠️  Review validator ${name} failed, trying the next one:`, err.message);
+            recordAttempt({ ...attempt, rawResponse: err.raw || null, latencyMs: Date.now() - started, error: err.message });
+            skipped.push(`${name}: ${err.message}`);
+        }
+    }
+
+    console.warn('⚠️  No review validator gave a verdict:', skipped.join('; '));
+    return {
+        isValid: false,
+        reason: `No validator could check this review (${skipped.join('; ')})`,
+        confidence: 'low',
+        validator: null,
+        validationId: null
+    };
+}
+
+/**
+ * Replace a validator with a stand-in (tests); call with no arguments to reset
+ */
+function setValidator(name, validator) {
+    if (!name) {
+        overrides = {};
+        return;
+    }
+    overrides[name] = validator;
+}
+
+module.exports = {
+    VALIDATORS,
+    DEFAULT_CHAIN,
+    parseChain,
+    getChain,
+    getPromptVersion,
+    getValidator,
+    describeValidators,
+    validateReview,
+    setValidator
+};
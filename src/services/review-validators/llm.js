@@ -0,0 +1,95 @@
+/**
+ * Prompts and reply parsing shared by the language-model validators
+ * (anthropic.js and openai.js), so both judge reviews by the same question.
+ *
+ * Prompts live in prompts/<version>.txt, with {{review}} and {{merchant_line}}
+ * placeholders. A changed prompt goes in a new file rather than over the old
+ * one, so stored validations can always be traced to the exact wording, and
+ * `npm run eval:reviews -- --prompt <version>` can compare versions before
+ * the `review_prompt_version` setting is switched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+const DEFAULT_PROMPT_VERSION = 'v1';
+
+const promptCache = {};
+
+/**
+ * Prompt versions on disk, oldest first
+ * @returns {string[]}
+ */
+function listPromptVersions() {
+    return fs.readdirSync(PROMPTS_DIR)
+        .filter(file => file.endsWith('.txt'))
+        .map(file => file.slice(0, -4))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * The template for a prompt version. Throws on a version with no file.
+ */
+function loadPrompt(version = DEFAULT_PROMPT_VERSION) {
+    if (!promptCache[version]) {
+        if (!listPromptVersions().includes(version)) {
+            throw new Error(`Unknown prompt version "${version}". Use: ${listPromptVersions().join(', ')}`);
+        }
+        promptCache[version] = fs.readFileSync(path.join(PROMPTS_DIR, `${version}.txt`), 'utf8').trimEnd();
+    }
+    return promptCache[version];
+}
+
+/**
+ * The validation prompt for a review
+ */
+function buildPrompt(reviewText, merchantName = null, version = DEFAULT_PROMPT_VERSION) {
+    const values = {
+        review: reviewText,
+        merchant_line: merchantName ? `Merchant name: ${merchantName}` : ''
+    };
+    return loadPrompt(version).replace(/\{\{(\w+)\}\}/g, (placeholder, key) => key in values ? values[key] : placeholder);
+}
+
+/**
+ * Turn the model's reply into a verdict. Throws if the reply isn't the JSON
+ * we asked for, so the pipeline moves on to the next validator.
+ * @returns {{ isValid: boolean, reason: string, confidence: string, details: Object }}
+ */
+function parseVerdict(content) {
+    // Local models like to wrap JSON in a code fence
+    const json = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    let result;
+    try {
+        result = JSON.parse(json);
+    } catch (parseError) {
+        throw withRaw(new Error(`Unparseable model reply: ${json.substring(0, 120)}`), content);
+    }
+    if (!result || typeof result.mentions_bitcoin_payment !== 'boolean') {
+        throw withRaw(new Error('Model reply is missing mentions_bitcoin_payment'), content);
+    }
+    return {
+        isValid: result.mentions_bitcoin_payment && result.is_genuine_review !== false,
+        reason: result.reason || '',
+        confidence: ['high', 'medium', 'low'].includes(result.confidence) ? result.confidence : 'low',
+        details: result
+    };
+}
+
+/**
+ * Keep the reply on an error, so a failed attempt's transcript shows what the model said
+ */
+function withRaw(err, raw) {
+    err.raw = raw == null ? null : String(raw);
+    return err;
+}
+
+module.exports = {
+    DEFAULT_PROMPT_VERSION,
+    listPromptVersions,
+    loadPrompt,
+    buildPrompt,
+    parseVerdict,
+    withRaw
+};
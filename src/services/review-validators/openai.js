@@ -0,0 +1,67 @@
+/**
+ * OpenAI-compatible review validator
+ *
+ * Works with anything that speaks the chat completions API: OpenAI itself,
+ * hosted gateways, or a model server on the same box (llama.cpp, Ollama,
+ * vLLM, LM Studio...).
+ *
+ * Config: OPENAI_BASE_URL (default https://api.openai.com/v1), OPENAI_API_KEY
+ * (optional for a local server), OPENAI_MODEL (default gpt-4o-mini).
+ * It counts as configured once either the key or the base URL is set.
+ */
+
+const llm = require('./llm');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+function createOpenAiValidator({ baseUrl, apiKey, model } = {}) {
+    const configured = !!(baseUrl || apiKey);
+    const url = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const modelName = model || DEFAULT_MODEL;
+
+    return {
+        name: 'openai',
+        label: 'OpenAI-compatible',
+        model: modelName,
+        usesPrompt: true,
+
+        isConfigured() {
+            return configured
+                ? { configured: true }
+                : { configured: false, reason: 'OPENAI_API_KEY or OPENAI_BASE_URL not set' };
+        },
+
+        async validate(reviewText, merchantName, { promptVersion = llm.DEFAULT_PROMPT_VERSION } = {}) {
+            const prompt = llm.buildPrompt(reviewText, merchantName, promptVersion);
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+            let response;
+            try {
+                response = await fetch(`${url}/chat/completions`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model: modelName,
+                        max_tokens: 256,
+                        temperature: 0,
+                        messages: [{ role: 'user', content: prompt }]
+                    }),
+                    signal: AbortSignal.timeout(60000)
+                });
+            } catch (fetchErr) {
+                throw new Error(`OpenAI-compatible endpoint unreachable (${url}): ${fetchErr.message}`);
+            }
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw llm.withRaw(new Error(`OpenAI-compatible API error (${response.status}): ${errorText.substring(0, 200)}`), errorText);
+            }
+            const data = await response.json();
+            const content = data?.choices?.[0]?.message?.content;
+            return { ...llm.parseVerdict(content), raw: content, model: modelName, promptVersion };
+        }
+    };
+}
+
+module.exports = { createOpenAiValidator };
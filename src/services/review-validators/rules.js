@@ -0,0 +1,149 @@
+/**
+ * Rule-based review validator
+ *
+ * Deterministic and offline: scores a review on keywords ("bitcoin", "sats",
+ * "lightning", "⚡"...) and on payment phrases — a pay/accept verb next to one
+ * of them ("paid with lightning", "pagué con bitcoin", "aceitam bitcoin",
+ * "mit Bitcoin bezahlt"). A phrase with a negation in front of it ("they
+ * don't accept bitcoin", "ya no aceptan bitcoin") counts against the review.
+ * English, Spanish, Portuguese, French and German; accents are ignored.
+ *
+ * It can't tell whether a review is genuine, so it only answers the first
+ * question the language-model validators are asked.
+ */
+
+// Keywords, as regex sources over normalized (lower-case, accent-free) text
+const TERMS = [
+    { label: 'bitcoin', pattern: '\\bbitcoin(?:s|ers?)?\\b', weight: 2 },
+    { label: 'btc', pattern: '\\bbtc\\b', weight: 2 },
+    { label: 'sats', pattern: '\\b(?:sats|satoshis?)\\b', weight: 2 },
+    { label: 'lightning', pattern: '\\b(?:lightning|relampago)\\b', weight: 1 },
+    { label: '⚡', pattern: '⚡', weight: 1 },
+    { label: 'crypto', pattern: '\\b(?:crypto|cripto|cryptocurrency|criptomonedas?|criptomoedas?|kryptowahrung(?:en)?)\\b', weight: 1 },
+    { label: 'wallet', pattern: '\\b(?:wallet of satoshi|bitcoin beach|blink wallet|chivo wallet)\\b', weight: 1 }
+];
+
+// Paying or accepting, in each language
+const VERBS = [
+    // English
+    'paid', 'pay', 'pays', 'paying', 'payment', 'payments', 'accept', 'accepts', 'accepted', 'accepting',
+    'take', 'takes', 'took', 'taking', 'bought', 'buy', 'purchased', 'tipped',
+    // Spanish
+    'pague', 'pago', 'pagamos', 'pagaron', 'pagar', 'pagando', 'pagos', 'pagas',
+    'acepta', 'aceptan', 'aceptaron', 'aceptamos', 'aceptar', 'aceptando', 'compre', 'compramos', 'reciben', 'recibe',
+    // Portuguese
+    'paguei', 'pagamento', 'aceita', 'aceitam', 'aceitou', 'comprei',
+    // French
+    'paye', 'payer', 'payons', 'paiement', 'accepte', 'acceptent',
+    // German
+    'bezahlt', 'bezahlen', 'zahlen', 'gezahlt', 'akzeptiert', 'akzeptieren'
+];
+
+const NEGATION = /\b(?:no|not|dont|don't|doesnt|doesn't|didnt|didn't|wont|won't|cant|can't|cannot|couldnt|couldn't|never|nunca|tampoco|nao|ne|pas|nicht|kein|keine)\b/;
+
+const PHRASE_WEIGHT = 4;
+const NEGATED_WEIGHT = -4;
+const MAX_TERM_SCORE = 4;
+const VALID_SCORE = 5;
+const HIGH_CONFIDENCE_SCORE = 9;
+
+const TERM_SOURCE = TERMS.map(t => t.pattern).join('|');
+const VERB_SOURCE = `\\b(?:${VERBS.join('|')})\\b`;
+// "paid with bitcoin" / "pague con bitcoin", or "bitcoin accepted" / "bitcoin payment"
+const VERB_THEN_TERM = new RegExp(`${VERB_SOURCE}[^.!?\\n]{0,40}?(?:${TERM_SOURCE})`, 'g');
+const TERM_THEN_VERB = new RegExp(`(?:${TERM_SOURCE})[^.!?\\n]{0,20}?${VERB_SOURCE}`, 'g');
+
+/**
+ * Lower-case, strip accents, straighten apostrophes
+ */
+function normalize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\u2018\u2019`]/g, "'")
+        .toLowerCase();
+}
+
+/**
+ * Score a review.
+ * @returns {{ score: number, terms: string[], phrases: string[], negated: string[] }}
+ */
+function scoreReview(reviewText) {
+    const text = normalize(reviewText);
+
+    const terms = TERMS.filter(t => new RegExp(t.pattern).test(text));
+    const termScore = Math.min(MAX_TERM_SCORE, terms.reduce((sum, t) => sum + t.weight, 0));
+
+    const phrases = [];
+    const negated = [];
+    const seen = new Set();
+    for (const regex of [VERB_THEN_TERM, TERM_THEN_VERB]) {
+        for (const match of text.matchAll(regex)) {
+            if (seen.has(match.index)) continue;
+            seen.add(match.index);
+            // The clause the phrase sits in, up to the phrase itself
+            const clauseStart = Math.max(text.lastIndexOf(',', match.index), text.lastIndexOf('.', match.index),
+                text.lastIndexOf(';', match.index), text.lastIndexOf('!', match.index), text.lastIndexOf('?', match.index));
+            const lead = text.slice(Math.max(clauseStart + 1, match.index - 25), match.index);
+            (NEGATION.test(lead) || NEGATION.test(match[0]) ? negated : phrases).push(match[0].trim());
+        }
+    }
+
+    const score = termScore + phrases.length * PHRASE_WEIGHT + negated.length * NEGATED_WEIGHT;
+    return { score, terms: terms.map(t => t.label), phrases, negated };
+}
+
+function createRulesValidator() {
+    return {
+        name: 'rules',
+        label: 'Rule-based (offline)',
+        model: null,
+        usesPrompt: false,
+
+        isConfigured() {
+            return { configured: true };
+        },
+
+        async validate(reviewText) {
+            const details = scoreReview(reviewText);
+            const { score, terms, phrases, negated } = details;
+
+            if (phrases.length > 0 && score >= VALID_SCORE) {
+                return {
+                    isValid: true,
+                    reason: `Mentions paying with Bitcoin ("${phrases[0]}")`,
+                    confidence: score >= HIGH_CONFIDENCE_SCORE ? 'high' : 'medium',
+                    details
+                };
+            }
+            if (negated.length > 0) {
+                return {
+                    isValid: false,
+                    reason: `Says Bitcoin wasn't used or accepted ("${negated[0]}")`,
+                    confidence: phrases.length > 0 ? 'low' : 'medium',
+                    details
+                };
+            }
+            if (terms.length > 0) {
+                return {
+                    isValid: false,
+                    reason: `Mentions ${terms.join(', ')} but not paying with it`,
+                    confidence: 'low',
+                    details
+                };
+            }
+            return {
+                isValid: false,
+                reason: 'Does not mention Bitcoin, Lightning or sats',
+                confidence: 'high',
+                details
+            };
+        }
+    };
+}
+
+module.exports = {
+    createRulesValidator,
+    scoreReview,
+    normalize
+};
@@ -1,16 +1,16 @@
 /**
- * Google Review Scraper Service
- * Uses Puppeteer to scrape review text from Google Maps review URLs
- * Designed to run fully async — never blocks HTTP request/response cycle
+ * Review Scraper Service
+ * Uses Puppeteer to scrape review text from Google Maps review URLs, and to
+ * render other review pages for the extractors in services/review-extractors
+ * Runs inside review jobs (services/review-jobs.js), never in the HTTP
+ * request/response cycle; the job queue decides how many run at once.
  */
 
 const puppeteerCore = require('puppeteer-core');
 const puppeteerFull = require('puppeteer');
 const chromium = require('@sparticuz/chromium');
 
-// Simple mutex to ensure only one scrape runs at a time
-let isScrapingActive = false;
-const scrapeQueue = [];
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 /**
  * Get browser launch options
@@ -86,7 +86,7 @@ async function scrapeGoogleReview(url) {
         const page = await browser.newPage();
         
         // Set a realistic user agent
-        await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+        await page.setUserAgent(USER_AGENT);
         
         // Force English language to avoid Google auto-translating reviews
         await page.setExtraHTTPHeaders({
@@ -244,108 +244,36 @@ async function scrapeGoogleReview(url) {
 }
 
 /**
- * Queue a scrape job — ensures only one runs at a time
- * @param {string} url - Google Maps review URL
- * @returns {Promise<{success: boolean, reviewText?: string, merchantName?: string, error?: string}>}
- */
-function queueScrape(url) {
-    return new Promise((resolve) => {
-        scrapeQueue.push({ url, resolve });
-        processQueue();
-    });
-}
-
-/**
- * Process the scrape queue — one at a time
+ * Load a page in the headless browser and return its HTML once scripts have
+ * run, for review sites that don't serve their content to plain requests
+ * @param {string} url - Page URL
+ * @returns {Promise<string>} the rendered HTML
  */
-async function processQueue() {
-    if (isScrapingActive || scrapeQueue.length === 0) return;
-    
-    isScrapingActive = true;
-    const { url, resolve } = scrapeQueue.shift();
-    
+async function renderPage(url) {
+    let browser = null;
     try {
-        const result = await scrapeGoogleReview(url);
-        resolve(result);
-    } catch (error) {
-        resolve({ success: false, error: error.message });
-    } finally {
-        isScrapingActive = false;
-        // Process next item in queue
-        if (scrapeQueue.length > 0) {
-            processQueue();
-        }
-    }
-}
+        const options = await getBrowserOptions();
+        const launcher = options.usePuppeteerCore ? puppeteerCore : puppeteerFull;
+        browser = await launcher.launch(options.launchOptions);
 
-/**
- * Scrape and validate a review — the main entry point
- * Scrapes the review text, then sends it to AI for validation
- * @param {number} ticketId - The ticket ID to update
- * @param {string} reviewUrl - The Google review URL
- * @param {object} db - Database service reference
- * @param {object} anthropic - Anthropic service reference
- */
-async function scrapeAndValidateReview(ticketId, reviewUrl, db, anthropic) {
-    try {
-        console.log(`🔄 Starting scrape+validate for ticket #${ticketId}: ${reviewUrl}`);
-        
-        // Step 1: Scrape the review
-        const scrapeResult = await queueScrape(reviewUrl);
-        
-        if (!scrapeResult.success) {
-            console.log(`⚠️  Scrape failed for ticket #${ticketId}: ${scrapeResult.error}`);
-            db.validateTicket(ticketId, false, `Scrape failed: ${scrapeResult.error}`);
-            
-            // Still update review text if we got merchant name
-            if (scrapeResult.merchantName) {
-                db.updateTicketMerchant(ticketId, scrapeResult.merchantName);
+        const page = await browser.newPage();
+        await page.setUserAgent(USER_AGENT);
+        await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+        return await page.content();
+    } finally {
+        if (browser) {
+            try {
+                await browser.close();
+            } catch (e) {
+                // Ignore close errors
             }
-            return;
-        }
-        
-        // Step 2: Update ticket with scraped data
-        db.updateTicketReviewText(ticketId, scrapeResult.reviewText);
-        if (scrapeResult.merchantName) {
-            db.updateTicketMerchant(ticketId, scrapeResult.merchantName);
         }
-        
-        // Step 3: AI validation
-        const validation = await anthropic.validateReview(scrapeResult.reviewText, scrapeResult.merchantName);
-        
-        console.log(`🤖 AI validation for ticket #${ticketId}: valid=${validation.isValid}, reason=${validation.reason}`);
-        
-        // Step 4: Update ticket with validation result
-        db.validateTicket(ticketId, validation.isValid, validation.reason);
-        
-        console.log(`✅ Ticket #${ticketId} validation complete: ${validation.isValid ? 'VALID' : 'INVALID'}`);
-        
-    } catch (error) {
-        console.error(`❌ scrapeAndValidateReview error for ticket #${ticketId}:`, error.message);
-        db.validateTicket(ticketId, false, `Validation error: ${error.message}`);
     }
 }
 
-/**
- * Re-validate all pending/unvalidated tickets
- * Useful for processing existing tickets that were auto-approved
- * @param {object} db - Database service reference
- * @param {object} anthropic - Anthropic service reference
- */
-async function revalidateAllPending(db, anthropic) {
-    const pendingTickets = db.getUnvalidatedTickets();
-    console.log(`🔄 Re-validating ${pendingTickets.length} pending tickets...`);
-    
-    for (const ticket of pendingTickets) {
-        await scrapeAndValidateReview(ticket.id, ticket.review_link, db, anthropic);
-    }
-    
-    console.log(`✅ Re-validation complete for ${pendingTickets.length} tickets`);
-}
-
 module.exports = {
+    USER_AGENT,
     scrapeGoogleReview,
-    queueScrape,
-    scrapeAndValidateReview,
-    revalidateAllPending
+    renderPage
 };
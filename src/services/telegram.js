@@ -180,6 +180,17 @@ async function notifyNewReview(ticket, user, dbModule) {
     message += `Merchant Accepted: ${acceptedBtc}\n`;
     message += `Submitted by: ${submitterDisplay}\n`;
     message += `Review Link: <a href="${ticket.review_link}">Open Review</a>\n`;
+    if (ticket.duplicate_of) {
+        message += `🧬 Same review as ticket #${ticket.duplicate_of}\n`;
+    }
+    if (ticket.similar_to) {
+        message += `🪞 Text ${Math.round(ticket.text_similarity * 100)}% similar to ticket #${ticket.similar_to}\n`;
+    }
+    if (ticket.risk_score > 0) {
+        let factors = [];
+        try { factors = JSON.parse(ticket.risk_factors || '[]'); } catch (e) {}
+        message += `🚩 Risk ${ticket.risk_score}/100: ${escapeHtml(factors.map(f => f.detail).join(', '))}\n`;
+    }
 
     if (ticket.review_text) {
         const preview = ticket.review_text.length > 200
@@ -211,22 +222,40 @@ async function notifyNewReview(ticket, user, dbModule) {
  * Notify all admins about a raffle result.
  * Respects quiet hours — held until 9am if fired during 6pm–9am.
  * @param {Object} raffle - raffle record
- * @param {Object} winner - winning ticket + user info
+ * @param {Array<Object>} winners - one per prize, in draw order:
+ *   { tier_name, prize_amount_sats, email, lnurl_address, claim_token, auto_pay_at? }
  * @param {Object} [dbModule] - database module
  */
-async function notifyRaffleResult(raffle, winner, dbModule) {
+async function notifyRaffleResult(raffle, winners, dbModule) {
     const chatIds = getAdminChatIds(dbModule);
     if (chatIds.length === 0) return;
 
     let message = `🎰 <b>Raffle Complete!</b>\n\n`;
     message += `Block: #${raffle.block_height.toLocaleString()}\n`;
     message += `Total Tickets: ${raffle.total_tickets}\n`;
-    message += `Winner: ${winner.email ? escapeHtml(maskEmail(winner.email)) : (winner.lnurl_address ? `⚡ ${escapeHtml(winner.lnurl_address)}` : '<i>Anonymous</i>')}\n`;
     if (raffle.prize_amount_sats) {
-        message += `Prize: ${raffle.prize_amount_sats.toLocaleString()} sats\n`;
+        message += `Total Prizes: ${raffle.prize_amount_sats.toLocaleString()} sats\n`;
     }
-    if (winner.lnurl_address) {
-        message += `Lightning Address: <code>${escapeHtml(winner.lnurl_address)}</code>\n`;
+    message += `\n<b>${winners.length === 1 ? 'Winner' : `Winners (${winners.length})`}</b>\n`;
+
+    // Group winners under their tier heading, in draw order
+    let currentTier = null;
+    for (const winner of winners) {
+        if (winner.tier_name !== currentTier) {
+            currentTier = winner.tier_name;
+            message += `\n🏆 <b>${escapeHtml(currentTier || 'Prize')}</b>${winner.prize_amount_sats ? ` — ${winner.prize_amount_sats.toLocaleString()} sats each` : ''}\n`;
+        }
+        const who = winner.email ? escapeHtml(maskEmail(winner.email)) : (winner.lnurl_address ? `⚡ ${escapeHtml(winner.lnurl_address)}` : '<i>Anonymous</i>');
+        message += `• ${who}`;
+        if (winner.lnurl_address) {
+            message += ` · <code>${escapeHtml(winner.lnurl_address)}</code>`;
+        }
+        if (winner.auto_pay_at) {
+            message += ` · 🤖 auto-pay at ${new Date(winner.auto_pay_at).toUTCString()}`;
+        } else if (winner.claim_token) {
+            message += ` · <a href="${BASE_URL}/claim/${winner.claim_token}">claim link</a>`;
+        }
+        message += `\n`;
     }
     message += `\nManage at: ${BASE_URL}/admin`;
 
@@ -256,8 +285,9 @@ async function notifyRaffleResult(raffle, winner, dbModule) {
  * @param {number} raffleBlock - the upcoming raffle block
  * @param {number} approvedTickets - number of approved tickets in the pool
  * @param {Object} [dbModule] - database module
+ * @param {Object} [nextPrize] - prize-policy getNextPrize() result
  */
-async function notifyRaffleWarning(raffleBlock, approvedTickets, dbModule) {
+async function notifyRaffleWarning(raffleBlock, approvedTickets, dbModule, nextPrize = null) {
     const chatIds = getAdminChatIds(dbModule);
     if (chatIds.length === 0) return;
 
@@ -267,6 +297,13 @@ async function notifyRaffleWarning(raffleBlock, approvedTickets, dbModule) {
     let message = `⏰ <b>Raffle in ~24 hours!</b>\n\n`;
     message += `Block #${raffleBlock.toLocaleString()} is ~144 blocks away.\n`;
     message += `Approved tickets in pool: <b>${approvedTickets}</b>\n`;
+    if (nextPrize) {
+        message += `Prizes: <b>${nextPrize.totalPrizeSats.toLocaleString()} sats</b> (${escapeHtml(nextPrize.summary)})\n`;
+        if (nextPrize.tiers.length > 1 || nextPrize.tiers[0].count > 1) {
+            message += nextPrize.tiers.map(t => `  • ${escapeHtml(t.name)}: ${t.count} × ${t.prizeSats.toLocaleString()} sats`).join('\n') + '\n';
+        }
+        message += `Fund after payout: ${(nextPrize.fundSats - nextPrize.totalPrizeSats).toLocaleString()} sats\n`;
+    }
     message += `${modeText}\n\n`;
     if (!autoEnabled) {
         message += `When the block is mined, go to:\n${BASE_URL}/admin`;
@@ -340,6 +377,143 @@ async function notifyRaffleBlockMined(raffleBlock, approvedTickets, autoTriggere
     }
 }
 
+/**
+ * Publish the pre-draw Merkle commitment for an upcoming raffle.
+ * NOT held during quiet hours: the message timestamp is part of the proof that
+ * the ticket set was fixed before the raffle block was mined.
+ * @param {Object} commitment - raffle_commitments row
+ * @param {Object} [dbModule] - database module
+ */
+async function notifyRaffleCommitment(commitment, dbModule) {
+    const chatIds = getAdminChatIds(dbModule);
+    if (chatIds.length === 0) return;
+
+    let message = `🔒 <b>Raffle #${commitment.block_height.toLocaleString()} entries committed</b>\n\n`;
+    message += `Frozen at block #${commitment.commit_height.toLocaleString()} `;
+    message += `(${(commitment.block_height - commitment.commit_height).toLocaleString()} blocks before the draw).\n`;
+    message += `Entries: <b>${commitment.total_entries}</b>\n`;
+    message += `Merkle root:\n<code>${commitment.merkle_root || '(empty — no entries)'}</code>\n\n`;
+    message += `The draw will refuse to run if the ticket set changes.\n`;
+    message += `${BASE_URL}/api/commitments/${commitment.block_height}`;
+
+    for (const chatId of chatIds) {
+        try {
+            await sendMessage(chatId, message);
+        } catch (e) {
+            console.error(`Failed to publish commitment to ${chatId}:`, e.message);
+        }
+    }
+}
+
+/**
+ * Alert admins that a draw was refused because the live ticket set no longer
+ * matches the committed Merkle root. Sent immediately (not held for quiet hours).
+ * @param {number} raffleBlock
+ * @param {Object} check - result of commitment.checkAgainstCommitment()
+ * @param {Object} [dbModule] - database module
+ */
+async function notifyCommitmentMismatch(raffleBlock, check, dbModule) {
+    const chatIds = getAdminChatIds(dbModule);
+    if (chatIds.length === 0) return;
+
+    let message = `🚫 <b>Raffle #${raffleBlock.toLocaleString()} draw REFUSED</b>\n\n`;
+    message += `The ticket set no longer matches the committed Merkle root.\n`;
+    message += `Committed: <code>${check.expectedRoot || '(empty)'}</code>\n`;
+    message += `Live: <code>${check.actualRoot || '(empty)'}</code>\n`;
+    if (check.added.length > 0) message += `Added since commit: #${check.added.join(', #')}\n`;
+    if (check.removed.length > 0) message += `Removed since commit: #${check.removed.join(', #')}\n`;
+    message += `\nRestore the committed tickets, then run the raffle from ${BASE_URL}/admin`;
+
+    for (const chatId of chatIds) {
+        try {
+            await sendMessage(chatId, message);
+        } catch (e) {
+            console.error(`Failed to send commitment mismatch alert to ${chatId}:`, e.message);
+        }
+    }
+}
+
+/**
+ * Tell admins which expired, unclaimed prizes the expiry sweeper settled.
+ * @param {Array<Object>} results - claim-expiry sweep results
+ * @param {Object} [dbModule] - database module
+ */
+async function notifyExpiredClaims(results, dbModule) {
+    const chatIds = getAdminChatIds(dbModule);
+    if (chatIds.length === 0) return;
+
+    let message = `⏰ <b>${results.length === 1 ? 'Prize claim expired' : `${results.length} prize claims expired`}</b>\n`;
+    for (const r of results) {
+        const who = r.email ? escapeHtml(maskEmail(r.email)) : '<i>Anonymous</i>';
+        message += `\n• Block #${r.blockHeight.toLocaleString()} — ${escapeHtml(r.tierName || 'Prize')} #${r.rank + 1} (${who}), ${r.prizeSats.toLocaleString()} sats\n`;
+        if (r.action === 'redrawn') {
+            const next = r.newWinner;
+            const nextWho = next.email ? escapeHtml(maskEmail(next.email)) : '<i>Anonymous</i>';
+            message += `  🔁 Redrawn: entry #${next.winning_index} → ${nextWho} · <a href="${BASE_URL}/claim/${next.claim_token}">claim link</a>\n`;
+        } else {
+            message += `  ↩️ Returned to the fund (now ${r.fundSats.toLocaleString()} sats)`;
+            message += r.fallbackReason ? ` — couldn't redraw: ${escapeHtml(r.fallbackReason)}\n` : `\n`;
+        }
+    }
+    message += `\nTreasury log: ${BASE_URL}/admin`;
+
+    for (const chatId of chatIds) {
+        try {
+            await sendMessage(chatId, message);
+        } catch (e) {
+            console.error(`Failed to send claim expiry summary to ${chatId}:`, e.message);
+        }
+    }
+}
+
+/**
+ * Tell admins how an auto-payout attempt went. Sent for every attempt, so a
+ * payout that keeps failing is visible long before the worker gives up.
+ * @param {Object} result - auto-payout attempt result:
+ *   { outcome: 'paid'|'pending'|'retry'|'fallback', winner, attempt, maxAttempts, error?, nextAt?, paymentId? }
+ * @param {Object} [dbModule] - database module
+ */
+async function notifyAutoPayout(result, dbModule) {
+    const chatIds = getAdminChatIds(dbModule);
+    if (chatIds.length === 0) return;
+
+    const w = result.winner;
+    const prize = `${(w.prize_amount_sats || 0).toLocaleString()} sats`;
+    const headings = {
+        paid: '✅ <b>Prize auto-paid</b>',
+        pending: '⏳ <b>Auto-payout in flight</b>',
+        retry: '⚠️ <b>Auto-payout attempt failed</b>',
+        fallback: '↩️ <b>Auto-payout gave up — claim link sent</b>'
+    };
+
+    let message = `${headings[result.outcome]}\n\n`;
+    message += `Block #${w.block_height.toLocaleString()} — ${escapeHtml(w.tier_name || 'Prize')} #${w.rank + 1}, ${prize}\n`;
+    message += `To: <code>${escapeHtml(w.auto_pay_address)}</code>\n`;
+    if (result.attempt > 0) {
+        message += `Attempt ${result.attempt} of ${result.maxAttempts}`;
+        message += result.paymentId ? ` · payment #${result.paymentId}\n` : `\n`;
+    }
+    if (result.error) {
+        message += `Error: ${escapeHtml(result.error)}\n`;
+    }
+    if (result.outcome === 'retry') {
+        message += `Next attempt: ${new Date(result.nextAt).toUTCString()}\n`;
+    } else if (result.outcome === 'pending') {
+        message += `It will be recorded once the node settles it.\n`;
+    } else if (result.outcome === 'fallback') {
+        message += `Winner can claim at: <a href="${BASE_URL}/claim/${w.claim_token}">claim link</a>\n`;
+    }
+    message += `\nManage at: ${BASE_URL}/admin`;
+
+    for (const chatId of chatIds) {
+        try {
+            await sendMessage(chatId, message);
+        } catch (e) {
+            console.error(`Failed to send auto-payout report to ${chatId}:`, e.message);
+        }
+    }
+}
+
 /**
  * Check and deliver any pending quiet-hours notifications.
  * Called by the poll loop every 5 minutes — delivers queued messages once 9am arrives.
@@ -425,8 +599,9 @@ async function notifyTicketDecision(ticket, isApproved, adminNote, dbModule) {
  * @param {number} prizeSats - Prize amount in sats
  * @param {string} claimToken - The claim token for LNURL-withdraw
  * @param {number} blockHeight - The raffle block height
+ * @param {string} [tierName] - Prize tier, for multi-winner raffles
  */
-async function notifyWinner(chatId, prizeSats, claimToken, blockHeight) {
+async function notifyWinner(chatId, prizeSats, claimToken, blockHeight, tierName = null) {
     if (!chatId) return false;
 
     const baseUrl = BASE_URL;
@@ -434,7 +609,7 @@ async function notifyWinner(chatId, prizeSats, claimToken, blockHeight) {
 
     let message = `🎉 <b>You won the Reviews Raffle!</b>\n\n`;
     message += `Block #${blockHeight.toLocaleString()}\n`;
-    message += `Prize: <b>${prizeSats.toLocaleString()} sats</b>\n\n`;
+    message += `Prize${tierName ? ` (${escapeHtml(tierName)})` : ''}: <b>${prizeSats.toLocaleString()} sats</b>\n\n`;
     message += `👉 <a href="${claimLink}">Claim Your Prize</a>\n\n`;
     message += `Open the link above, then scan the QR code with any Lightning wallet to receive your sats. ⚡\n\n`;
     message += `<i>This claim link expires in 30 days.</i>`;
@@ -451,6 +626,32 @@ async function notifyWinner(chatId, prizeSats, claimToken, blockHeight) {
     }
 }
 
+/**
+ * Remind a raffle winner via Telegram DM that their claim link expires soon.
+ * @param {string} chatId - The winner's Telegram chat ID
+ * @param {number} prizeSats - Prize amount in sats
+ * @param {string} claimToken - The claim token for LNURL-withdraw
+ * @param {number} blockHeight - The raffle block height
+ * @param {string} timeLeft - Readable time left, e.g. "3 days"
+ * @param {string} [tierName] - Prize tier, for multi-winner raffles
+ */
+async function notifyClaimReminder(chatId, prizeSats, claimToken, blockHeight, timeLeft, tierName = null) {
+    if (!chatId) return false;
+
+    let message = `⏳ <b>Your raffle prize expires in ${escapeHtml(timeLeft)}</b>\n\n`;
+    message += `Block #${blockHeight.toLocaleString()}\n`;
+    message += `Prize${tierName ? ` (${escapeHtml(tierName)})` : ''}: <b>${prizeSats ? prizeSats.toLocaleString() + ' sats' : 'TBD'}</b>\n\n`;
+    message += `👉 <a href="${BASE_URL}/claim/${claimToken}">Claim Your Prize</a>\n\n`;
+    message += `<i>Unclaimed prizes go back into the raffle fund or to another winner.</i>`;
+
+    try {
+        return await sendMessage(chatId, message);
+    } catch (e) {
+        console.error(`Failed to send claim reminder via Telegram to ${chatId}:`, e.message);
+        return false;
+    }
+}
+
 // Mask email like ni***@gmail.com
 function maskEmail(email) {
     if (!email) return '';
@@ -483,7 +684,12 @@ module.exports = {
     notifyRaffleResult,
     notifyRaffleWarning,
     notifyRaffleBlockMined,
+    notifyRaffleCommitment,
+    notifyCommitmentMismatch,
+    notifyExpiredClaims,
+    notifyAutoPayout,
     deliverPendingNotifications,
     notifyTicketDecision,
-    notifyWinner
+    notifyWinner,
+    notifyClaimReminder
 };
@@ -0,0 +1,213 @@
+/**
+ * Raffle verification
+ *
+ * Re-derives a committed raffle's result from public data: the block hashes as
+ * reported by the chain today, the frozen entry snapshot, and the published
+ * Merkle roots. Each raffle is replayed with the algorithm version it was drawn
+ * with. Every intermediate value is returned so the page can show its working,
+ * and every disagreement with what we stored is flagged.
+ */
+
+const db = require('./database');
+const bitcoin = require('./bitcoin');
+const merkle = require('./merkle');
+
+/**
+ * Build one check row. `ok` is true/false, or null when it couldn't be run.
+ */
+function check(id, label, ok, detail) {
+    return { id, label, ok, detail };
+}
+
+/**
+ * Parse the stored follow-up block hashes for a v2+ raffle.
+ */
+function parseExtraBlockHashes(raffle) {
+    if (!raffle.draw_block_hashes) return [];
+    try {
+        return JSON.parse(raffle.draw_block_hashes);
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Verify a raffle by ID.
+ * @returns {Promise<Object|null>} null if the raffle doesn't exist
+ */
+async function verifyRaffle(raffleId) {
+    const raffle = db.getRaffleById(raffleId);
+    if (!raffle) return null;
+
+    const algoVersion = raffle.algo_version || 1;
+    const storedHashes = [raffle.block_hash, ...parseExtraBlockHashes(raffle)];
+    const entries = db.getRaffleEntries(raffle.id).map(e => ({
+        position: e.position,
+        ticketId: e.ticket_id,
+        entrantHash: e.entrant_hash
+    }));
+    const checks = [];
+
+    // 1. Do the stored hashes still match the chain? (reorgs, typos, tampering)
+    const blocks = [];
+    let chainError = null;
+    for (let i = 0; i < storedHashes.length; i++) {
+        const height = raffle.block_height + i;
+        let chainHash = null;
+        if (!chainError) {
+            try {
+                chainHash = (await bitcoin.getBlockHash(height)).trim();
+            } catch (err) {
+                chainError = err.message;
+            }
+        }
+        blocks.push({ height, storedHash: storedHashes[i], chainHash });
+    }
+    if (chainError) {
+        checks.push(check('block_hash', 'Stored block hashes match the chain', null, `Chain lookup failed: ${chainError}`));
+    } else {
+        const mismatched = blocks.filter(b => b.chainHash !== b.storedHash);
+        checks.push(check('block_hash', blocks.length > 1 ? 'Stored block hashes match the chain' : 'Stored block hash matches the chain', mismatched.length === 0,
+            mismatched.length === 0
+                ? blocks.map(b => `#${b.height} ${b.chainHash}`).join(', ')
+                : mismatched.map(b => `#${b.height}: stored ${b.storedHash}, chain ${b.chainHash}`).join('; ')));
+    }
+
+    // 2. Recompute from the chain's hashes (fall back to stored if the chain is unreachable)
+    const hashesUsed = blocks.map(b => b.chainHash || b.storedHash);
+    const totalEntries = entries.length > 0 ? entries.length : raffle.total_tickets;
+
+    let steps;
+    if (algoVersion === 1) {
+        const hashBigInt = BigInt('0x' + hashesUsed[0]);
+        const winnerIndex = bitcoin.selectWinnerIndex(hashesUsed[0], totalEntries);
+        steps = {
+            algoVersion,
+            blockHash: hashesUsed[0],
+            hashBigInt: hashBigInt.toString(),
+            modulus: totalEntries,
+            remainder: winnerIndex,
+            formula: `${hashBigInt.toString()} mod ${totalEntries} = ${winnerIndex}`
+        };
+    } else {
+        const explained = bitcoin.explainWinnerIndexV2(hashesUsed, totalEntries);
+        const accepted = explained.rounds[explained.rounds.length - 1];
+        steps = {
+            algoVersion,
+            blockHash: hashesUsed[0],
+            blocks: blocks.map((b, i) => ({ height: b.height, hash: hashesUsed[i] })),
+            seed: explained.seed,
+            limit: explained.limit,
+            rounds: explained.rounds,
+            modulus: totalEntries,
+            remainder: explained.index,
+            formula: `${accepted.candidate} mod ${totalEntries} = ${explained.index}`
+        };
+    }
+    const winnerIndex = steps.remainder;
+    const winnerEntry = entries.length > 0 ? entries[winnerIndex] : null;
+    steps.winningTicketId = winnerEntry ? winnerEntry.ticketId : null;
+
+    if (entries.length > 0) {
+        checks.push(check('entry_count', 'Snapshot size matches recorded ticket count', entries.length === raffle.total_tickets,
+            `${entries.length} entries in snapshot, ${raffle.total_tickets} recorded`));
+    } else {
+        checks.push(check('entry_count', 'Snapshot size matches recorded ticket count', null,
+            'No frozen entry snapshot (raffle predates snapshots) — using the recorded ticket count'));
+    }
+
+    checks.push(check('winner_index', 'Recomputed winner index matches the recorded index', winnerIndex === raffle.winning_index,
+        `recomputed ${winnerIndex} (algorithm v${algoVersion}), recorded ${raffle.winning_index}`));
+
+    if (winnerEntry) {
+        checks.push(check('winner_ticket', 'Entry at that index is the recorded winning ticket', winnerEntry.ticketId === raffle.winning_ticket_id,
+            `entry #${winnerIndex} is ticket ${winnerEntry.ticketId}, recorded winner is ticket ${raffle.winning_ticket_id}`));
+    }
+
+    // Multi-winner raffles: redraw every prize from the same seed, removing
+    // each winner's entries from the pool before the next draw
+    const recordedWinners = raffle.winners || [];
+    steps.winners = recordedWinners.length > 1 && entries.length > 0 && algoVersion >= 2
+        ? bitcoin.explainWinnersV2(hashesUsed, entries.map(e => e.entrantHash), recordedWinners.length).winners.map((w, rank) => {
+            const accepted = w.rounds[w.rounds.length - 1];
+            return {
+                rank,
+                tierName: recordedWinners[rank] ? recordedWinners[rank].tier_name : null,
+                poolSize: w.poolSize,
+                poolIndex: w.poolIndex,
+                counter: accepted.counter,
+                rejected: w.rounds.length - 1,
+                position: w.position,
+                ticketId: entries[w.position].ticketId
+            };
+        })
+        : [];
+    if (recordedWinners.length > 1) {
+        if (steps.winners.length === 0) {
+            checks.push(check('winners', 'Every recorded winner matches the redraw', null,
+                'No frozen entry snapshot to redraw the additional winners from'));
+        } else {
+            const mismatched = recordedWinners.filter((w, rank) => {
+                const redrawn = steps.winners[rank];
+                return !redrawn || redrawn.position !== w.winning_index || redrawn.ticketId !== w.ticket_id;
+            });
+            checks.push(check('winners', 'Every recorded winner matches the redraw', mismatched.length === 0,
+                mismatched.length === 0
+                    ? steps.winners.map(w => `${w.tierName} #${w.rank + 1}: entry #${w.position} (ticket ${w.ticketId})`).join('; ')
+                    : mismatched.map(w => {
+                        const redrawn = steps.winners[w.rank];
+                        return `${w.tier_name} #${w.rank + 1}: recorded entry #${w.winning_index} (ticket ${w.ticket_id}), redraw ${redrawn ? `entry #${redrawn.position} (ticket ${redrawn.ticketId})` : 'ran out of entrants'}`;
+                    }).join('; ')));
+        }
+    }
+
+    // 3. Merkle roots: snapshot vs. the root stored at draw time vs. the pre-draw commitment
+    const snapshotRoot = merkle.computeRoot(entries);
+    if (raffle.merkle_root) {
+        checks.push(check('snapshot_root', 'Snapshot hashes to the root stored at draw time', snapshotRoot === raffle.merkle_root,
+            `snapshot ${snapshotRoot}, stored ${raffle.merkle_root}`));
+    }
+
+    const commitment = db.getRaffleCommitment(raffle.block_height);
+    if (commitment) {
+        checks.push(check('commitment_root', 'Snapshot matches the root published before the draw', (commitment.merkle_root || null) === snapshotRoot,
+            `committed ${commitment.merkle_root || '(empty)'} at block #${commitment.commit_height}, snapshot ${snapshotRoot}`));
+    }
+
+    return {
+        raffle: {
+            id: raffle.id,
+            blockHeight: raffle.block_height,
+            storedBlockHash: raffle.block_hash,
+            storedBlockHashes: storedHashes,
+            algoVersion,
+            totalTickets: raffle.total_tickets,
+            winningIndex: raffle.winning_index,
+            winningTicketId: raffle.winning_ticket_id,
+            winners: recordedWinners.map(w => ({
+                rank: w.rank,
+                tierName: w.tier_name,
+                winningIndex: w.winning_index,
+                ticketId: w.ticket_id,
+                prizeSats: w.prize_amount_sats
+            })),
+            merkleRoot: raffle.merkle_root || null,
+            createdAt: raffle.created_at
+        },
+        chain: { blockHash: blocks[0].chainHash, blocks, error: chainError },
+        steps,
+        commitment: commitment ? {
+            commitHeight: commitment.commit_height,
+            merkleRoot: commitment.merkle_root || null
+        } : null,
+        snapshotRoot,
+        entries,
+        checks,
+        // Verified only if nothing failed; unrunnable checks (null) don't count as failures
+        verified: checks.every(c => c.ok !== false)
+    };
+}
+
+module.exports = {
+    verifyRaffle
+};
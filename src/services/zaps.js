@@ -0,0 +1,121 @@
+/**
+ * Nostr zaps (NIP-57) for the prize pool
+ *
+ * With NOSTR_PRIVATE_KEY set, the donation Lightning Addresses advertise
+ * `allowsNostr`, so Nostr clients can zap them. The client sends a signed zap
+ * request (kind 9734) to the LNURL-pay callback; we check it and issue an
+ * invoice that commits to its hash. Once the invoice is paid and credited like
+ * any other donation, we sign a zap receipt (kind 9735) and publish it to the
+ * relays the zapper asked for plus NOSTR_RELAYS.
+ */
+
+const db = require('./database');
+const nostr = require('./nostr');
+
+const ZAP_REQUEST_KIND = 9734;
+const ZAP_RECEIPT_KIND = 9735;
+const MAX_RELAYS = 10;
+
+function invalid(reason) {
+    const err = new Error(reason);
+    err.code = 'LNURL_INVALID';
+    return err;
+}
+
+/**
+ * Check the `nostr` callback parameter (NIP-57 appendix D). Bad requests
+ * throw with code LNURL_INVALID.
+ * @param {string} json - the zap request event, as the wallet sent it
+ * @param {number} amountMsat - the callback's `amount`
+ * @returns {Object} the zap request event
+ */
+function parseZapRequest(json, amountMsat) {
+    let event;
+    try {
+        event = JSON.parse(json);
+    } catch (err) {
+        throw invalid('Zap request is not valid JSON');
+    }
+    if (!event || event.kind !== ZAP_REQUEST_KIND) throw invalid('Not a zap request (kind 9734)');
+    if (!nostr.verifyEvent(event)) throw invalid('Zap request signature is invalid');
+
+    const tagsNamed = (name) => event.tags.filter(tag => tag[0] === name);
+    const recipients = tagsNamed('p');
+    if (recipients.length !== 1 || !/^[0-9a-f]{64}$/.test(recipients[0][1] || '')) {
+        throw invalid('Zap request must have exactly one p tag');
+    }
+    if (tagsNamed('e').length > 1) throw invalid('Zap request may have at most one e tag');
+    const amountTag = tagsNamed('amount')[0];
+    if (amountTag && Number(amountTag[1]) !== amountMsat) {
+        throw invalid('Zap request amount does not match the invoice amount');
+    }
+    return event;
+}
+
+/**
+ * Relays a zap request asked for its receipt to be published to
+ */
+function requestedRelays(zapRequest) {
+    const tag = zapRequest.tags.find(t => t[0] === 'relays');
+    return tag ? tag.slice(1).filter(url => /^wss?:\/\//.test(url)).slice(0, MAX_RELAYS) : [];
+}
+
+/**
+ * Sign the zap receipt for a paid deposit
+ */
+function buildReceipt(deposit, paidAt = Date.now()) {
+    const zapRequest = JSON.parse(deposit.zap_request);
+    const tags = zapRequest.tags.filter(tag => ['p', 'e', 'a'].includes(tag[0]) && tag[1]);
+    tags.push(['P', zapRequest.pubkey]);
+    tags.push(['bolt11', deposit.invoice]);
+    tags.push(['description', deposit.zap_request]);
+    return nostr.signEvent({
+        kind: ZAP_RECEIPT_KIND,
+        created_at: Math.floor(paidAt / 1000),
+        tags,
+        content: ''
+    });
+}
+
+/**
+ * Sign and publish the receipt for a zap that has just been credited.
+ * Never throws — a receipt that doesn't go out is logged, not retried.
+ * @returns {Promise<Array<Object>>} one result per relay
+ */
+async function publishReceipt(deposit) {
+    try {
+        const receipt = buildReceipt(deposit);
+        db.setZapReceiptId(deposit.id, receipt.id);
+        const results = await nostr.publish(receipt, requestedRelays(JSON.parse(deposit.zap_request)));
+        const accepted = results.filter(r => r.ok).length;
+        if (accepted > 0) {
+            console.log(`⚡ Zap receipt ${receipt.id.substring(0, 12)}... published to ${accepted}/${results.length} relays`);
+        } else {
+            console.warn(`⚠️  Zap receipt ${receipt.id.substring(0, 12)}... was not accepted by any relay`,
+                results.map(r => `${r.relay}: ${r.message}`).join('; '));
+        }
+        return results;
+    } catch (err) {
+        console.error(`Zap receipt error for deposit #${deposit.id}:`, err.message);
+        return [];
+    }
+}
+
+/**
+ * Recent zappers for the landing page
+ * @returns {Array<{ npub: string, amountSats: number, receivedAt: string }>}
+ */
+function getRecentZappers(limit = 12) {
+    return db.getRecentZaps({ limit }).map(zap => ({
+        npub: nostr.toNpub(zap.zapper_pubkey),
+        amountSats: zap.amount_received_sats,
+        receivedAt: zap.received_at
+    }));
+}
+
+module.exports = {
+    getRecentZappers,
+    parseZapRequest,
+    buildReceipt,
+    publishReceipt
+};
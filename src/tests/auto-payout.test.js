@@ -0,0 +1,342 @@
+/**
+ * Auto-payout worker tests
+ * Run with: npm test
+ *
+ * Tests paying winners at their Lightning Address without a claim link:
+ *  - Winners are scheduled after the grace period, only with auto-pay on
+ *  - Failed attempts are retried with backoff, then fall back to the claim link
+ *  - Addresses that can never be paid (Bolt12-only, out of limits) fall back at once
+ *  - Payments in flight and prizes paid by an admin are left alone
+ *  - Only the address recorded at the draw is paid, and entering again can't change the account's
+ *
+ * Lightning Address servers are played by a stubbed fetch; the node is the
+ * mock backend.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-payout-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'reviews.db');
+process.env.AUTO_PAY_ENABLED = 'true';
+
+const db = require('../services/database');
+const ledger = require('../services/ledger');
+const backends = require('../services/lightning-backends');
+const { createMockBackend } = require('../services/lightning-backends/mock');
+const payments = require('../services/payments');
+const autoPayout = require('../services/auto-payout');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const mock = createMockBackend();
+backends.setBackend(mock);
+
+// Lightning Address servers: ok.test pays anything, tiny.test takes at most
+// 1 sat, bolt12.test only publishes a BIP-353 offer
+const json = (body) => ({ ok: true, status: 200, json: async () => body });
+global.fetch = async (url) => {
+    const u = new URL(url);
+    if (u.hostname === 'dns.google') {
+        return json(u.searchParams.get('name').endsWith('bolt12.test') ? { Answer: [{ data: '"bitcoin:?lno=lno1qqq"' }] } : {});
+    }
+    if (u.hostname === 'bolt12.test') throw new Error('getaddrinfo ENOTFOUND bolt12.test');
+    if (u.pathname.startsWith('/.well-known/lnurlp/')) {
+        return json({
+            tag: 'payRequest',
+            callback: `https://${u.hostname}/callback`,
+            minSendable: 1000,
+            maxSendable: u.hostname === 'tiny.test' ? 1000 : 100_000_000_000,
+            metadata: '[["text/plain","test"]]'
+        });
+    }
+    if (u.pathname === '/callback') {
+        const invoice = await mock.createInvoice({ amountSats: parseInt(u.searchParams.get('amount'), 10) / 1000 });
+        return json({ pr: invoice.bolt11, routes: [] });
+    }
+    throw new Error(`Unexpected fetch ${url}`);
+};
+
+let nextBlock = 900_000;
+let nextUser = 0;
+
+// A committed raffle whose one winner has `address`, due for an auto-payout
+// unless `autoPayAt` says otherwise
+function newWinner(address, { prizeSats = 2_000, autoPayAt = new Date(Date.now() - 60_000).toISOString(), autoPayAddress = address } = {}) {
+    const blockHeight = nextBlock += 2016;
+    const { id: userId } = db.createUser(`winner${++nextUser}@example.com`, address, `opt-out-${nextUser}`);
+    const { id: ticketId } = db.createTicket(userId, `https://maps.google.com/?cid=${nextUser}`, 'Great coffee', 'Cafe', null, true, true);
+    const { id } = db.createRaffleWithEntries(blockHeight, 'ab'.repeat(32), 1, 0, ticketId, prizeSats, [], {
+        winners: [{
+            rank: 0, tier: 0, tierName: 'Grand prize', winningIndex: 0, ticketId, prizeSats,
+            claimToken: `claim-${nextUser}`, claimExpiresAt: new Date(Date.now() + 86_400_000).toISOString(), autoPayAt, autoPayAddress
+        }],
+        posting: ledger.prizeReservation(prizeSats, `Block #${blockHeight}`)
+    });
+    return db.getRaffleWinners(id)[0];
+}
+
+const reload = (winner) => db.getRaffleWinnerById(winner.id);
+
+// Make a winner due again, as if its retry time had come
+function makeDue(winner) {
+    db.deferAutoPayout(winner.id, new Date(Date.now() - 1000).toISOString());
+}
+
+async function resultFor(winner) {
+    return (await autoPayout.processAutoPayouts()).find(r => r.winner.id === winner.id) || null;
+}
+
+// ── Scheduling ────────────────────────────────────────────────────────────────
+
+section('🗓️  Scheduling');
+
+test('winners with a Lightning Address are scheduled after the grace period', () => {
+    db.setSetting('auto_pay_grace_minutes', '90');
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assertEqual(autoPayout.scheduleFor({ lnurl_address: 'alice@ok.test' }, 1_000, now), '2026-01-01T01:30:00.000Z');
+    db.setSetting('auto_pay_grace_minutes', '60');
+});
+
+test('winners without an address or a prize are not scheduled', () => {
+    assertEqual(autoPayout.scheduleFor({ lnurl_address: null }, 1_000), null);
+    assertEqual(autoPayout.scheduleFor({ lnurl_address: 'alice@ok.test' }, 0), null);
+});
+
+test('nothing is scheduled unless both the server switch and the setting are on', () => {
+    db.setSetting('raffle_auto_trigger', 'false');
+    assertEqual(autoPayout.scheduleFor({ lnurl_address: 'alice@ok.test' }, 1_000), null);
+    db.setSetting('raffle_auto_trigger', 'true');
+    process.env.AUTO_PAY_ENABLED = 'false';
+    assertEqual(autoPayout.scheduleFor({ lnurl_address: 'alice@ok.test' }, 1_000), null);
+    process.env.AUTO_PAY_ENABLED = 'true';
+});
+
+test('retries back off from 10 minutes, capped at 6 hours', () => {
+    const minutes = [1, 2, 3, 4, 7].map(a => autoPayout.retryDelay(a) / 60_000);
+    assertEqual(minutes.join(','), '10,20,40,80,360');
+});
+
+// ── Paying ────────────────────────────────────────────────────────────────────
+
+section('🤖 Paying');
+
+test('a due winner is paid at their Lightning Address', async () => {
+    const winner = newWinner('alice@ok.test');
+    const result = await resultFor(winner);
+    assertEqual(result.outcome, 'paid');
+    assertEqual(result.attempt, 1);
+    const after = reload(winner);
+    assertEqual(after.auto_pay_status, 'paid');
+    assertEqual(!!after.paid_at, true, 'paid_at set');
+    const payment = db.getPayment(result.paymentId);
+    assertEqual(payment.source, 'auto');
+    assertEqual(payment.destination, 'alice@ok.test');
+    assertEqual(payment.amount_sats, 2_000);
+});
+
+test('the prize goes to the address the winner had at the draw', async () => {
+    const winner = newWinner('mallory@ok.test');
+    const user = db.findUserByEmail(winner.email);
+    db.setUserLnurl(user.id, 'thief@ok.test');
+    assertEqual(reload(winner).lnurl_address, 'thief@ok.test', 'the account now says otherwise');
+
+    const result = await resultFor(winner);
+    assertEqual(result.outcome, 'paid');
+    assertEqual(db.getPayment(result.paymentId).destination, 'mallory@ok.test');
+});
+
+test('entering again with a winner\'s email does not change their address', () => {
+    const winner = newWinner('peggy@ok.test', { autoPayAt: new Date(Date.now() + 3_600_000).toISOString() });
+    const { user, lnurlKept } = db.findOrCreateUser(winner.email, 'thief@ok.test', 'opt-out-thief');
+    assertEqual(lnurlKept, true);
+    assertEqual(user.lnurl_address, 'peggy@ok.test');
+    assertEqual(reload(winner).lnurl_address, 'peggy@ok.test');
+
+    db.createUser('quinn@example.com', null, 'opt-out-quinn');
+    const noAddress = db.findOrCreateUser('quinn@example.com', 'thief@ok.test', 'opt-out-thief').user;
+    assertEqual(noAddress.lnurl_address, null, 'not added to an account without one either');
+});
+
+test('a winner scheduled before addresses were recorded gets their claim link', async () => {
+    const winner = newWinner('olivia@ok.test', { autoPayAddress: null });
+    const sent = mock.getPayments().length;
+    const result = await resultFor(winner);
+    assertEqual(result.outcome, 'fallback');
+    assertEqual(result.error, 'no payout address was recorded at the draw');
+    assertEqual(mock.getPayments().length, sent, 'nothing sent');
+});
+
+test('winners inside the grace period are left alone', async () => {
+    const winner = newWinner('bob@ok.test', { autoPayAt: new Date(Date.now() + 3_600_000).toISOString() });
+    assertEqual(await resultFor(winner), null);
+    assertEqual(reload(winner).auto_pay_status, 'scheduled');
+});
+
+test('scheduled winners get no claim reminders (they have no link yet)', () => {
+    const winner = newWinner('carol@ok.test', { autoPayAt: new Date(Date.now() + 3_600_000).toISOString() });
+    assertEqual(db.getWinnersAwaitingClaim().some(w => w.id === winner.id), false);
+});
+
+test('a failed payment is retried with backoff', async () => {
+    const winner = newWinner('dave@ok.test');
+    mock.failNextPayment('no route');
+    const result = await resultFor(winner);
+    assertEqual(result.outcome, 'retry');
+    assertEqual(result.error, 'Payment failed: no route');
+    const after = reload(winner);
+    assertEqual(after.auto_pay_status, 'scheduled');
+    assertEqual(after.auto_pay_attempts, 1);
+    assertEqual(Math.round((Date.parse(after.auto_pay_next_at) - Date.now()) / 60_000), 10);
+
+    makeDue(winner);
+    const retry = await resultFor(winner);
+    assertEqual(retry.outcome, 'paid');
+    assertEqual(retry.attempt, 2);
+});
+
+test('after the last attempt the winner gets their claim link instead', async () => {
+    const winner = newWinner('erin@ok.test');
+    let result;
+    for (let i = 0; i < autoPayout.MAX_ATTEMPTS; i++) {
+        mock.failNextPayment('no route');
+        makeDue(winner);
+        result = await resultFor(winner);
+    }
+    assertEqual(result.outcome, 'fallback');
+    assertEqual(result.error, `gave up after ${autoPayout.MAX_ATTEMPTS} attempts: Payment failed: no route`);
+    const after = reload(winner);
+    assertEqual(after.auto_pay_status, 'fallback');
+    assertEqual(after.paid_at, null);
+    assertEqual(Math.round((Date.parse(after.claim_expires_at) - Date.now()) / 86_400_000), 30, 'claim link valid for 30 days from now');
+    assertEqual(db.getWinnersAwaitingClaim().some(w => w.id === winner.id), true);
+});
+
+// ── Falling back ──────────────────────────────────────────────────────────────
+
+section('↩️  Falling back');
+
+test('a Bolt12-only (BIP-353) address falls back at once', async () => {
+    const winner = newWinner('frank@bolt12.test');
+    const result = await resultFor(winner);
+    assertEqual(result.outcome, 'fallback');
+    assertEqual(result.attempt, 1);
+    assertEqual(result.error.startsWith('frank@bolt12.test uses BIP-353/Bolt12'), true, result.error);
+    assertEqual(reload(winner).auto_pay_status, 'fallback');
+});
+
+test('a prize above the address limit falls back at once', async () => {
+    const winner = newWinner('grace@tiny.test');
+    const result = await resultFor(winner);
+    assertEqual(result.outcome, 'fallback');
+    assertEqual(result.error, 'Amount 2000 sats exceeds maximum 1 sats');
+});
+
+test('switching auto-pay off sends scheduled winners their claim link', async () => {
+    const winner = newWinner('heidi@ok.test');
+    db.setSetting('raffle_auto_trigger', 'false');
+    const result = await resultFor(winner);
+    db.setSetting('raffle_auto_trigger', 'true');
+    assertEqual(result.outcome, 'fallback');
+    assertEqual(result.error, 'auto-pay was switched off');
+    assertEqual(db.getActivePayment(winner.id), null, 'nothing paid');
+});
+
+// ── Payments already under way ────────────────────────────────────────────────
+
+section('⏳ Payments already under way');
+
+test('a payment in flight is waited for, then reported once it succeeds', async () => {
+    const winner = newWinner('ivan@ok.test');
+    mock.holdNextPayment();
+    const result = await resultFor(winner);
+    assertEqual(result.outcome, 'pending');
+    const payment = db.getPayment(result.paymentId);
+
+    makeDue(winner);
+    assertEqual(await resultFor(winner), null, 'nothing new to report');
+    assertEqual(mock.getPayments().filter(p => p.paymentHash === payment.payment_hash).length, 1, 'not sent twice');
+
+    mock.resolvePayment(payment.payment_hash, 'succeeded');
+    await payments.reconcilePayments();
+    makeDue(winner);
+    const settled = await resultFor(winner);
+    assertEqual(settled.outcome, 'paid');
+    assertEqual(settled.paymentId, payment.id);
+    assertEqual(reload(winner).auto_pay_status, 'paid');
+});
+
+test('a prize an admin marked paid is not paid again', async () => {
+    const winner = newWinner('judy@ok.test');
+    db.markWinnerPaid(winner.id, null, ledger.prizePayout(winner, 2_000, 0));
+    const sent = mock.getPayments().length;
+    assertEqual(await resultFor(winner), null);
+    assertEqual(mock.getPayments().length, sent, 'nothing sent');
+    assertEqual(reload(winner).auto_pay_status, 'paid');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => {
+    db.setSetting('raffle_auto_trigger', 'true');
+    ledger.post(ledger.donation({ id: 1, type: 'lightning' }, 100_000));
+    return run();
+}).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
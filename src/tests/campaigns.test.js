@@ -0,0 +1,214 @@
+/**
+ * Donation campaign tests
+ * Run with: npm test
+ *
+ * Tests goals and sponsor matching:
+ *  - Campaigns are validated when an admin creates them
+ *  - Donations credited inside a campaign's block window count toward it
+ *  - Sponsors match them at their ratio until the cap runs out
+ *  - Lightning and on-chain deposits are matched as they are credited
+ *  - Recording the sponsor's payment settles what they owe
+ *
+ * The chain tip comes from a stubbed fetch; the node is the mock backend.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'reviews.db');
+
+const db = require('../services/database');
+const ledger = require('../services/ledger');
+const lightning = require('../services/lightning');
+const backends = require('../services/lightning-backends');
+const { createMockBackend } = require('../services/lightning-backends/mock');
+const campaigns = require('../services/campaigns');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertThrows(fn, code, msg) {
+    try {
+        fn();
+    } catch (err) {
+        assertEqual(err.code, code, msg);
+        return err;
+    }
+    throw new Error(`${msg || 'assertThrows failed'}: expected ${code}, but nothing was thrown`);
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const mock = createMockBackend();
+backends.setBackend(mock);
+
+// The chain tip, as mempool.space reports it
+const TIP = 870_000;
+global.fetch = async (url) => {
+    if (String(url).endsWith('/blocks/tip/height')) return { ok: true, status: 200, text: async () => String(TIP) };
+    throw new Error(`unexpected fetch: ${url}`);
+};
+
+let depositCount = 0;
+function newDeposit() {
+    const { id } = db.createDepositAddress(`test-deposit-${++depositCount}`, 'lightning', null, null, 'test');
+    return db.getAllDepositAddresses().find(d => d.id === id);
+}
+
+const base = { name: 'Match month', goalSats: 100_000, startBlock: TIP - 10, endBlock: TIP + 100 };
+let matched;
+
+// ── Creating campaigns ────────────────────────────────────────────────────────
+
+section('📝 Creating campaigns');
+
+test('bad campaigns are refused', () => {
+    assertThrows(() => campaigns.createCampaign({ ...base, name: ' ' }), 'CAMPAIGN_INVALID', 'no name');
+    assertThrows(() => campaigns.createCampaign({ ...base, goalSats: 0 }), 'CAMPAIGN_INVALID', 'no goal');
+    assertThrows(() => campaigns.createCampaign({ ...base, endBlock: TIP - 20 }), 'CAMPAIGN_INVALID', 'ends before it starts');
+    assertThrows(() => campaigns.createCampaign({ ...base, matchCapSats: 500 }), 'CAMPAIGN_INVALID', 'match without sponsor');
+    assertThrows(() => campaigns.createCampaign({ ...base, sponsorName: 'Acme', matchCapSats: 500, matchRatioPct: 0 }), 'CAMPAIGN_INVALID', 'zero ratio');
+    assertEqual(db.getAllCampaigns().length, 0);
+});
+
+test('the sponsor matches at their ratio within the cap', () => {
+    const campaign = { match_ratio_pct: 50, match_cap_sats: 1_000, matched_sats: 900 };
+    assertEqual(campaigns.matchFor(campaign, 100), 50);
+    assertEqual(campaigns.matchFor(campaign, 1_000), 100, 'capped');
+    assertEqual(campaigns.matchFor({ ...campaign, matched_sats: 1_000 }, 100), 0, 'cap used up');
+    assertEqual(campaigns.matchFor({ match_ratio_pct: 100, match_cap_sats: 0, matched_sats: 0 }, 100), 0, 'no matching');
+});
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+section('🤝 Matching donations');
+
+test('a donation in the window is matched and counted once', async () => {
+    matched = campaigns.createCampaign({ ...base, sponsorName: 'Acme', matchCapSats: 5_000 });
+    const deposit = newDeposit();
+    const fund = ledger.getFundSats();
+
+    const results = await campaigns.recordDonation(deposit, 2_000);
+    assertEqual(JSON.stringify(results), JSON.stringify([{ campaignId: matched.id, matchedSats: 2_000 }]));
+    assertEqual(ledger.getFundSats(), fund + 2_000, 'match goes to the fund');
+    assertEqual(ledger.getBalances().sponsors, -2_000, 'sponsor owes it');
+
+    assertEqual((await campaigns.recordDonation(deposit, 2_000)).length, 0, 'same deposit again');
+    assertEqual(ledger.getFundSats(), fund + 2_000);
+});
+
+test('matching stops at the cap, but donations still count toward the goal', async () => {
+    await campaigns.recordDonation(newDeposit(), 4_000);
+    await campaigns.recordDonation(newDeposit(), 1_000);
+    const progress = campaigns.toProgress(db.getCampaign(matched.id), TIP);
+    assertEqual(progress.donatedSats, 7_000);
+    assertEqual(progress.matchedSats, 5_000);
+    assertEqual(progress.matchRemainingSats, 0);
+    assertEqual(progress.raisedSats, 12_000);
+    assertEqual(progress.percent, 12);
+    assertEqual(progress.blocksLeft, 100);
+});
+
+test('campaigns outside their window or cancelled do not count donations', async () => {
+    const later = campaigns.createCampaign({ ...base, name: 'Next month', startBlock: TIP + 200, endBlock: TIP + 300 });
+    const cancelled = campaigns.createCampaign({ ...base, name: 'Called off' });
+    db.cancelCampaign(cancelled.id);
+    await campaigns.recordDonation(newDeposit(), 1_000);
+    assertEqual(db.getCampaign(later.id).contributions, 0, 'not started');
+    assertEqual(db.getCampaign(cancelled.id).contributions, 0, 'cancelled');
+    assertEqual(campaigns.getActiveProgress(TIP).map(c => c.name).join(','), 'Match month');
+});
+
+test('Lightning and on-chain deposits are matched as they are credited', async () => {
+    const boost = campaigns.createCampaign({ ...base, name: 'Boost', sponsorName: 'Beta', matchCapSats: 10_000, matchRatioPct: 200 });
+    const fund = ledger.getFundSats();
+
+    const { paymentHash } = await lightning.createDonationInvoice(1_000);
+    await mock.settleInvoice(paymentHash);
+    const { onchainAddress } = lightning.getDepositInfoCached();
+    await mock.receiveOnChain(onchainAddress, 3_000);
+
+    const progress = campaigns.toProgress(db.getCampaign(boost.id));
+    assertEqual(progress.donatedSats, 4_000);
+    assertEqual(progress.matchedSats, 8_000, '200% match');
+    assertEqual(ledger.getFundSats(), fund + 4_000 + 8_000);
+});
+
+// ── Sponsor payments ──────────────────────────────────────────────────────────
+
+section('💸 Sponsor payments');
+
+test('recording the sponsor payment settles what they owe', () => {
+    const held = ledger.getHeldSats();
+    const fund = ledger.getFundSats();
+    assertThrows(() => campaigns.recordSponsorPayment(matched.id, 5_001), 'CAMPAIGN_INVALID', 'more than owed');
+    assertThrows(() => campaigns.recordSponsorPayment(matched.id, 0), 'CAMPAIGN_INVALID', 'nothing');
+
+    const campaign = campaigns.recordSponsorPayment(matched.id, 3_000);
+    assertEqual(campaigns.toProgress(campaign).sponsorOwedSats, 2_000);
+    assertEqual(ledger.getHeldSats(), held + 3_000, 'real sats arrived');
+    assertEqual(ledger.getFundSats(), fund, 'the fund already had them');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => {
+    // Creates the deposit address and invoice, and subscribes to settlements
+    return lightning.warmDepositCache();
+}).then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
@@ -0,0 +1,260 @@
+/**
+ * Unclaimed prize expiry tests
+ * Run with: npm test
+ *
+ * Tests the sweeper that settles prizes whose claim link lapsed:
+ *  - rollover returns the prize to the fund, and the ledger still balances
+ *  - redraw hands the same prize to the draw's next winner, who points back at the expired one
+ *  - v1 raffles, and draws with no entrants left, fall back to rollover
+ *  - A settled prize is never settled again
+ *  - Winners with a payment in flight are left alone until it ends
+ *
+ * Nothing is sent: the winner email and Telegram notifiers are replaced with recorders.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claim-expiry-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'expiry.db');
+
+const db = require('../services/database');
+const ledger = require('../services/ledger');
+const bitcoin = require('../services/bitcoin');
+const email = require('../services/email');
+const telegram = require('../services/telegram');
+const claimExpiry = require('../services/claim-expiry');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const winnerEmails = [];
+const adminSummaries = [];
+email.sendWinnerEmail = async (to, prizeSats, claimToken) => {
+    winnerEmails.push({ to, prizeSats, claimToken });
+    return { success: true };
+};
+telegram.notifyWinner = async () => ({ success: true });
+telegram.notifyExpiredClaims = async (results) => {
+    adminSummaries.push(results);
+};
+
+const PRIZE_SATS = 5_000;
+const EXPIRED = () => new Date(Date.now() - 60_000).toISOString();
+
+let nextBlock = 800_000;
+let nextUser = 0;
+
+// A committed raffle with `entrants` tickets (one per user) whose first
+// winner, drawn the way the watcher draws it, let the claim link lapse
+function expiredWinner({ algoVersion = 2, entrants = 3 } = {}) {
+    const blockHeight = nextBlock += 2016;
+    const tickets = [];
+    for (let i = 0; i < entrants; i++) {
+        const { id: userId } = db.createUser(`entrant${++nextUser}@example.com`, null, `opt-out-${nextUser}`);
+        const { id } = db.createTicket(userId, `https://maps.google.com/?cid=${nextUser}`, 'Great coffee', 'Cafe', blockHeight, true, true);
+        tickets.push({ id, user_id: userId });
+    }
+
+    const blockHash = (blockHeight % 256).toString(16).padStart(2, '0').repeat(32);
+    const extraBlockHashes = ['cd', 'ef', '01'].slice(0, bitcoin.getExtraBlocksForAlgo(algoVersion)).map(h => h.repeat(32));
+    const entrantKeys = db.buildEntryList(tickets).map(e => e.entrantHash);
+    const [position] = bitcoin.selectWinners(algoVersion, [blockHash, ...extraBlockHashes], entrantKeys, 1);
+
+    const { id } = db.createRaffleWithEntries(blockHeight, blockHash, entrants, position, tickets[position].id, PRIZE_SATS, tickets, {
+        algoVersion,
+        extraBlockHashes,
+        winners: [{
+            rank: 0, tier: 0, tierName: 'Grand prize', winningIndex: position, ticketId: tickets[position].id,
+            prizeSats: PRIZE_SATS, claimToken: `claim-${blockHeight}`, claimExpiresAt: EXPIRED()
+        }],
+        posting: ledger.prizeReservation(PRIZE_SATS, `Block #${blockHeight}`)
+    });
+    return db.getRaffleWinners(id)[0];
+}
+
+const reload = (winner) => db.getRaffleWinnerById(winner.id);
+const resultFor = (results, winner) => results.find(r => r.winnerId === winner.id) || null;
+
+// Every posting sums to zero, so all accounts together always do too
+function assertLedgerBalances() {
+    const total = Object.values(ledger.getBalances()).reduce((sum, sats) => sum + sats, 0);
+    assertEqual(total, 0, 'sum of every ledger account');
+}
+
+// ── Rollover ──────────────────────────────────────────────────────────────────
+
+section('⏰ Rollover');
+
+test('an expired prize goes back to the fund', async () => {
+    ledger.post(ledger.fundAdjustment(100_000, 'Opening fund'));
+    const winner = expiredWinner();
+    const before = ledger.getBalances();
+
+    const results = await claimExpiry.sweepExpiredClaims();
+    const result = resultFor(results, winner);
+    assertEqual(result.action, 'rollover');
+    assertEqual(result.fallbackReason, null);
+    assertEqual(result.fundSats, before.fund + PRIZE_SATS);
+
+    const after = ledger.getBalances();
+    assertEqual(after.fund, before.fund + PRIZE_SATS);
+    assertEqual(after.reserved, before.reserved - PRIZE_SATS);
+    assertLedgerBalances();
+
+    const settled = reload(winner);
+    assertEqual(settled.claim_status, 'expired');
+    assertEqual(settled.expiry_action, 'rollover');
+    assertEqual(adminSummaries.length, 1, 'admins told once per sweep');
+});
+
+test('a second sweep settles nothing again', async () => {
+    const fundBefore = ledger.getFundSats();
+    assertEqual((await claimExpiry.sweepExpiredClaims()).length, 0);
+    assertEqual(ledger.getFundSats(), fundBefore);
+    assertEqual(adminSummaries.length, 1, 'no summary for an empty sweep');
+});
+
+// ── Redraw ────────────────────────────────────────────────────────────────────
+
+section('🔁 Redraw');
+
+test('a redraw gives the same prize to the next winner of the draw', async () => {
+    db.setSetting('unclaimed_prize_policy', 'redraw');
+    const winner = expiredWinner();
+    const before = ledger.getBalances();
+    winnerEmails.length = 0;
+
+    const result = resultFor(await claimExpiry.sweepExpiredClaims(), winner);
+    assertEqual(result.action, 'redrawn');
+    assertEqual(result.newRank, 1);
+
+    const replacement = result.newWinner;
+    assertEqual(replacement.replaces_winner_id, winner.id);
+    assertEqual(replacement.raffle_id, winner.raffle_id);
+    assertEqual(replacement.prize_amount_sats, PRIZE_SATS);
+    assertEqual(replacement.tier_name, 'Grand prize');
+    assertEqual(replacement.claim_status, 'pending');
+    assertEqual(replacement.ticket_id !== winner.ticket_id, true, 'not the winner whose prize expired');
+    assertEqual(reload(winner).expiry_action, 'redrawn');
+    assertEqual(db.getRaffleWinners(winner.raffle_id).length, 2);
+
+    // The replacement is the draw's second pick, so anyone can replay it
+    const raffle = db.getRaffleById(winner.raffle_id);
+    const positions = bitcoin.selectWinners(2, [raffle.block_hash, ...JSON.parse(raffle.draw_block_hashes)],
+        db.getRaffleEntries(raffle.id).map(e => e.entrant_hash), 2);
+    assertEqual(replacement.winning_index, positions[1]);
+
+    // The sats stay reserved, now for the replacement
+    const after = ledger.getBalances();
+    assertEqual(after.fund, before.fund);
+    assertEqual(after.reserved, before.reserved);
+    assertLedgerBalances();
+
+    assertEqual(winnerEmails.length, 1);
+    assertEqual(winnerEmails[0].to, replacement.email);
+    assertEqual(winnerEmails[0].claimToken, replacement.claim_token);
+});
+
+test('v1 raffles fall back to rollover', async () => {
+    const winner = expiredWinner({ algoVersion: 1 });
+    const fundBefore = ledger.getFundSats();
+
+    const result = resultFor(await claimExpiry.sweepExpiredClaims(), winner);
+    assertEqual(result.action, 'rollover');
+    assertEqual(result.fallbackReason, 'v1 raffles draw a single winner');
+    assertEqual(ledger.getFundSats(), fundBefore + PRIZE_SATS);
+    assertEqual(db.getRaffleWinners(winner.raffle_id).length, 1, 'no replacement drawn');
+    assertLedgerBalances();
+});
+
+test('a draw with no entrants left falls back to rollover', async () => {
+    const winner = expiredWinner({ entrants: 1 });
+    const result = resultFor(await claimExpiry.sweepExpiredClaims(), winner);
+    assertEqual(result.action, 'rollover');
+    assertEqual(result.fallbackReason, 'no entrants left to draw');
+    assertEqual(db.getRaffleWinners(winner.raffle_id).length, 1);
+});
+
+// ── Payments in flight ────────────────────────────────────────────────────────
+
+section('⚡ Payments in flight');
+
+test('a winner whose payment is in flight is skipped until it ends', async () => {
+    db.setSetting('unclaimed_prize_policy', 'rollover');
+    const winner = expiredWinner();
+    const paymentId = db.createPayment({
+        winnerId: winner.id, raffleId: winner.raffle_id, source: 'claim',
+        bolt11: 'lnbc50u1inflight', paymentHash: 'ab'.repeat(32), amountSats: PRIZE_SATS
+    });
+    const fundBefore = ledger.getFundSats();
+
+    assertEqual(resultFor(await claimExpiry.sweepExpiredClaims(), winner), null);
+    assertEqual(reload(winner).expiry_action, null);
+    assertEqual(ledger.getFundSats(), fundBefore, 'the prize stays reserved');
+
+    db.failPayment(paymentId, 'no route');
+    assertEqual(resultFor(await claimExpiry.sweepExpiredClaims(), winner).action, 'rollover');
+    assertLedgerBalances();
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
@@ -0,0 +1,225 @@
+/**
+ * Claim reminder tests
+ * Run with: npm test
+ *
+ * Tests which reminder is due for a winner:
+ *  - 7 days, 3 days and 24 hours before the claim link expires
+ *  - Nothing is sent twice
+ *  - After downtime only the most urgent due reminder is sent
+ *
+ * And that the watcher's sendDueReminders():
+ *  - Records each reminder once per linked channel, and doesn't resend it
+ *  - Stops once the prize is claimed or paid
+ *
+ * Nothing is sent: the reminder email and Telegram message are replaced with recorders.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claim-reminders-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'reminders.db');
+
+const db = require('../services/database');
+const email = require('../services/email');
+const telegram = require('../services/telegram');
+const { REMINDER_SCHEDULE, dueReminder, formatTimeLeft, sendDueReminders } = require('../services/claim-reminders');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+const key = (reminder) => (reminder ? reminder.key : null);
+
+// ── dueReminder() ─────────────────────────────────────────────────────────────
+
+section('⏳ dueReminder()');
+
+test('schedule is 7 days, 3 days, then 24 hours', () => {
+    assertEqual(REMINDER_SCHEDULE.map(r => r.key).join(','), '7d,3d,24h');
+});
+
+test('nothing is due more than 7 days out', () => {
+    assertEqual(key(dueReminder(29 * 24, [])), null);
+    assertEqual(key(dueReminder(7 * 24 + 1, [])), null);
+});
+
+test('each reminder becomes due at its threshold', () => {
+    assertEqual(key(dueReminder(7 * 24, [])), '7d');
+    assertEqual(key(dueReminder(3 * 24, ['7d'])), '3d');
+    assertEqual(key(dueReminder(24, ['7d', '3d'])), '24h');
+});
+
+test('a reminder already recorded is not sent again', () => {
+    assertEqual(key(dueReminder(6 * 24, ['7d'])), null);
+    assertEqual(key(dueReminder(2 * 24, ['7d', '3d'])), null);
+    assertEqual(key(dueReminder(1, ['7d', '3d', '24h'])), null);
+});
+
+test('after downtime only the most urgent reminder is sent', () => {
+    assertEqual(key(dueReminder(12, [])), '24h');
+    assertEqual(key(dueReminder(12, ['24h'])), null, 'earlier reminders are not sent afterwards');
+    assertEqual(key(dueReminder(2 * 24, [])), '3d');
+});
+
+test('nothing is due once the link has expired', () => {
+    assertEqual(key(dueReminder(0, [])), null);
+    assertEqual(key(dueReminder(-5, [])), null);
+});
+
+// ── formatTimeLeft() ──────────────────────────────────────────────────────────
+
+section('🕐 formatTimeLeft()');
+
+test('states the time left in days, then hours', () => {
+    assertEqual(formatTimeLeft(7 * 24 - 0.1), '7 days');
+    assertEqual(formatTimeLeft(2 * 24), '2 days');
+    assertEqual(formatTimeLeft(24 - 0.1), '24 hours');
+    assertEqual(formatTimeLeft(0.2), '1 hour');
+});
+
+// ── sendDueReminders() ────────────────────────────────────────────────────────
+
+section('📨 sendDueReminders()');
+
+const sent = [];
+email.sendClaimReminderEmail = async (to, prizeSats, claimToken, blockHeight, expiresAt, timeLeft) => {
+    sent.push({ channel: 'email', to, timeLeft });
+    return { success: true };
+};
+telegram.notifyClaimReminder = async (chatId, prizeSats, claimToken, blockHeight, timeLeft) => {
+    sent.push({ channel: 'telegram', chatId, timeLeft });
+    return true;
+};
+
+const HOUR = 60 * 60 * 1000;
+let nextBlock = 700_000;
+let nextUser = 0;
+
+// A committed raffle whose one winner's claim link expires in `hoursLeft`
+function newWinner({ hoursLeft = 6 * 24, telegramChatId = null } = {}) {
+    const blockHeight = nextBlock += 2016;
+    const { id: userId } = db.createUser(`winner${++nextUser}@example.com`, null, `opt-out-${nextUser}`);
+    if (telegramChatId) db.setUserTelegramChatId(userId, telegramChatId);
+    const { id: ticketId } = db.createTicket(userId, `https://maps.google.com/?cid=${nextUser}`, 'Great coffee', 'Cafe', blockHeight, true, true);
+    const { id } = db.createRaffleWithEntries(blockHeight, 'ab'.repeat(32), 1, 0, ticketId, 2_000, [], {
+        winners: [{
+            rank: 0, tier: 0, tierName: 'Grand prize', winningIndex: 0, ticketId, prizeSats: 2_000,
+            claimToken: `claim-${blockHeight}`, claimExpiresAt: new Date(Date.now() + hoursLeft * HOUR).toISOString()
+        }]
+    });
+    return db.getRaffleWinners(id)[0];
+}
+
+const recorded = (winner) => db.getClaimReminders(winner.id).map(r => `${r.reminder}:${r.channel}:${r.status}`).sort().join(',');
+const sentTo = (winner) => sent.filter(s => s.to === winner.email || s.chatId === winner.telegram_chat_id);
+
+test('a due reminder is sent and recorded once per linked channel', async () => {
+    const ana = newWinner({ telegramChatId: '1001' });
+    const bo = newWinner();
+
+    assertEqual(await sendDueReminders(), 2);
+    assertEqual(recorded(ana), '7d:email:sent,7d:telegram:sent');
+    assertEqual(recorded(bo), '7d:email:sent');
+    assertEqual(sentTo(ana).map(s => `${s.channel} ${s.timeLeft}`).sort().join(','), 'email 6 days,telegram 6 days');
+});
+
+test('a second run does not send the same reminder again', async () => {
+    sent.length = 0;
+    assertEqual(await sendDueReminders(), 0);
+    assertEqual(await sendDueReminders(Date.now() + HOUR), 0);
+    assertEqual(sent.length, 0);
+});
+
+test('the next reminder goes out when its time comes', async () => {
+    const cy = newWinner();
+    await sendDueReminders();
+    sent.length = 0;
+
+    assertEqual(await sendDueReminders(Date.now() + 4 * 24 * HOUR), 3, 'each winner so far gets the 3-day reminder');
+    assertEqual(recorded(cy), '3d:email:sent,7d:email:sent');
+    assertEqual(await sendDueReminders(Date.now() + 4 * 24 * HOUR), 0);
+});
+
+test('reminders stop once the prize is claimed', async () => {
+    const dee = newWinner();
+    const paymentId = db.createPayment({
+        winnerId: dee.id, raffleId: dee.raffle_id, source: 'lnurl_withdraw',
+        bolt11: 'lnbc20u1claimed', paymentHash: 'cd'.repeat(32), amountSats: 2_000
+    });
+    db.completePayment(paymentId, { preimage: 'ef'.repeat(32) });
+    assertEqual(db.getRaffleWinnerById(dee.id).claim_status, 'claimed');
+
+    sent.length = 0;
+    await sendDueReminders();
+    assertEqual(sentTo(dee).length, 0);
+    assertEqual(recorded(dee), '');
+});
+
+test('reminders stop once an admin has paid the prize', async () => {
+    const eve = newWinner();
+    db.markWinnerPaid(eve.id, 'aa'.repeat(32));
+
+    sent.length = 0;
+    await sendDueReminders();
+    assertEqual(sentTo(eve).length, 0);
+    assertEqual(recorded(eve), '');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
@@ -0,0 +1,314 @@
+/**
+ * Email verification tests
+ * Run with: npm test
+ *
+ * Tests the double opt-in:
+ *  - New users with an email start unverified; Lightning-only users have nothing to confirm
+ *  - An unverified user's approved tickets don't enter the raffle until the confirm link is opened
+ *  - Links are single-use, and opted-out users can't confirm
+ *  - Reminders go out 24 hours after the welcome email and 72 hours after the first, then stop
+ *  - Admins can confirm by hand or send the link again
+ *  - Confirming, or needing to confirm again, never changes a raffle's committed entries
+ *  - Entering again can't change an account's Lightning address without a /me login
+ *
+ * Emails aren't sent: the email service's senders are replaced with recorders.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-verification-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'verification.db');
+
+const db = require('../services/database');
+const email = require('../services/email');
+const emailVerification = require('../services/email-verification');
+const commitment = require('../services/commitment');
+const playerPortal = require('../services/player-portal');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+async function assertRejects(promise, code) {
+    try {
+        await promise;
+    } catch (e) {
+        assertEqual(e.code, code, e.message);
+        return;
+    }
+    throw new Error(`expected a ${code} error`);
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const sent = [];
+email.sendRegistrationEmail = async (to, optOutToken, verifyToken) => {
+    sent.push({ kind: 'welcome', to, verifyToken });
+    return { success: true };
+};
+email.sendVerificationReminderEmail = async (to, verifyToken, optOutToken, ticketCount) => {
+    sent.push({ kind: 'reminder', to, verifyToken, ticketCount });
+    return { success: true };
+};
+
+const RAFFLE_BLOCK = 1000;
+const HOUR = 60 * 60 * 1000;
+
+function newUser(address, lnurl = null) {
+    return db.findOrCreateUser(address, lnurl, `opt-out-${address || lnurl}`).user;
+}
+
+function approvedTicket(user) {
+    const { id } = db.createTicket(user.id, `https://maps.app.goo.gl/${Math.random().toString(36).slice(2)}`, null, 'Beach Shack', RAFFLE_BLOCK, true, true, 'roatan');
+    db.validateTicket(id, true, 'Manually approved by admin');
+    return id;
+}
+
+const entrants = () => db.getValidTicketsForBlock(RAFFLE_BLOCK).map(t => t.email);
+
+// ── Opt-in ────────────────────────────────────────────────────────────────────
+
+section('📧 Opt-in');
+
+let ana;
+
+test('a new user with an email starts unverified and gets a confirm link', async () => {
+    ana = newUser('ana@example.com');
+    assertEqual(ana.email_verified, 0);
+    await emailVerification.sendConfirmation(ana);
+    assertEqual(sent.length, 1);
+    assertEqual(sent[0].kind, 'welcome');
+    assertEqual(sent[0].verifyToken.length, 48);
+    assertEqual(db.getUserById(ana.id).verify_token, sent[0].verifyToken);
+});
+
+test('a Lightning-only user has nothing to confirm, until they add an email', async () => {
+    const lightningOnly = newUser(null, 'sats@getalby.com');
+    assertEqual(lightningOnly.email_verified, 1);
+    const withEmail = newUser('sats@example.com', 'sats@getalby.com');
+    assertEqual(withEmail.id, lightningOnly.id);
+    assertEqual(withEmail.email_verified, 0);
+});
+
+test('approved tickets only enter the raffle once the email is confirmed', async () => {
+    approvedTicket(ana);
+    assertEqual(entrants().length, 0);
+    assertEqual(db.countValidTicketsForBlock(RAFFLE_BLOCK), 0);
+
+    const user = emailVerification.verify(sent[0].verifyToken);
+    assertEqual(user.email_verified, 1);
+    assertEqual(typeof user.verified_at, 'string');
+    assertEqual(entrants().join(','), 'ana@example.com');
+    assertEqual(db.countValidTicketsForBlock(RAFFLE_BLOCK), 1);
+});
+
+test('a link works once, and not for someone who opted out', async () => {
+    assertEqual(emailVerification.verify(sent[0].verifyToken), null, 'already used');
+    assertEqual(emailVerification.verify('nonsense'), null);
+
+    const gone = newUser('gone@example.com');
+    await emailVerification.sendConfirmation(gone);
+    db.deactivateUser(gone.opt_out_token);
+    assertEqual(emailVerification.verify(sent[sent.length - 1].verifyToken), null);
+});
+
+// ── Reminders ─────────────────────────────────────────────────────────────────
+
+section('⏰ Reminders');
+
+let bo;
+
+test('an unverified user with tickets is reminded 24 hours after the welcome email', async () => {
+    bo = newUser('bo@example.com');
+    await emailVerification.sendConfirmation(bo);
+    approvedTicket(bo);
+    const welcomeAt = new Date(db.getUserById(bo.id).verify_sent_at).getTime();
+    sent.length = 0;
+
+    assertEqual(await emailVerification.sendDueReminders(welcomeAt + 23 * HOUR), 0);
+    assertEqual(await emailVerification.sendDueReminders(welcomeAt + 24 * HOUR), 1);
+    const reminders = sent.filter(s => s.to === 'bo@example.com');
+    assertEqual(reminders.length, 1);
+    assertEqual(reminders[0].kind, 'reminder');
+    assertEqual(reminders[0].ticketCount, 1);
+    assertEqual(reminders[0].verifyToken, db.getUserById(bo.id).verify_token, 'the same link as before');
+});
+
+test('the second reminder comes 72 hours later, and then they stop', async () => {
+    const firstAt = new Date(db.getUserById(bo.id).verify_sent_at).getTime();
+    assertEqual(await emailVerification.sendDueReminders(firstAt + 71 * HOUR), 0);
+    assertEqual(await emailVerification.sendDueReminders(firstAt + 72 * HOUR), 1);
+    assertEqual(db.getUserById(bo.id).verify_reminders, 2);
+    assertEqual(await emailVerification.sendDueReminders(firstAt + 30 * 24 * HOUR), 0);
+});
+
+test('users without waiting tickets are not reminded', async () => {
+    const rejectedOnly = newUser('cy@example.com');
+    await emailVerification.sendConfirmation(rejectedOnly);
+    const { id } = db.createTicket(rejectedOnly.id, 'https://maps.app.goo.gl/rejected', null, null, RAFFLE_BLOCK, true, true, 'roatan');
+    db.validateTicket(id, false, 'Not about a Bitcoin purchase');
+    newUser('dee@example.com'); // no tickets at all
+
+    const waiting = db.getUnverifiedUsersWithTickets().map(u => u.email);
+    assertEqual(waiting.join(','), 'bo@example.com');
+});
+
+// ── Admin ─────────────────────────────────────────────────────────────────────
+
+section('🛠️  Admin');
+
+test('an admin can send the link again, without it counting as a reminder', async () => {
+    sent.length = 0;
+    const token = db.getUserById(bo.id).verify_token;
+    await emailVerification.resend(bo.id);
+    assertEqual(sent[0].kind, 'reminder');
+    assertEqual(sent[0].verifyToken, token);
+    assertEqual(db.getUserById(bo.id).verify_reminders, 2);
+
+    const noTickets = db.findUserByEmail('dee@example.com');
+    await emailVerification.resend(noTickets.id);
+    assertEqual(sent[1].kind, 'welcome', 'no tickets waiting: the welcome email again');
+});
+
+test('an admin can confirm by hand', async () => {
+    emailVerification.markVerified(bo.id);
+    assertEqual(entrants().sort().join(','), 'ana@example.com,bo@example.com');
+});
+
+test('admin actions on unknown or confirmed users are refused', async () => {
+    await assertRejects(emailVerification.resend(bo.id), 'VERIFICATION_INVALID');
+    await assertRejects(emailVerification.resend(9999), 'USER_NOT_FOUND');
+    await assertRejects((async () => emailVerification.markVerified(9999))(), 'USER_NOT_FOUND');
+    const lightningOnly = newUser(null, 'zap@getalby.com');
+    await assertRejects((async () => emailVerification.markVerified(lightningOnly.id))(), 'VERIFICATION_INVALID');
+});
+
+// ── Committed raffles ─────────────────────────────────────────────────────────
+
+section('🔒 Committed raffles');
+
+const FROZEN_BLOCK = 4032;
+const frozenCheck = () => commitment.checkAgainstCommitment(FROZEN_BLOCK, db.getValidTicketsForBlock(FROZEN_BLOCK));
+
+test('confirming after the entries are committed moves the tickets to the next raffle', async () => {
+    const early = newUser('early@example.com');
+    emailVerification.markVerified(early.id);
+    const { id: earlyTicket } = db.createTicket(early.id, 'https://maps.app.goo.gl/early', null, null, FROZEN_BLOCK, true, true, 'roatan');
+    db.validateTicket(earlyTicket, true, 'Manually approved by admin');
+
+    const late = newUser('late@example.com');
+    await emailVerification.sendConfirmation(late);
+    const { id: lateTicket } = db.createTicket(late.id, 'https://maps.app.goo.gl/late', null, null, FROZEN_BLOCK, true, true, 'roatan');
+    db.validateTicket(lateTicket, true, 'Manually approved by admin');
+
+    commitment.freezeRaffleEntries(FROZEN_BLOCK, FROZEN_BLOCK - 6);
+    emailVerification.verify(db.getUserById(late.id).verify_token);
+
+    const check = frozenCheck();
+    assertEqual(check.matches, true, `added ${JSON.stringify(check.added)}`);
+    assertEqual(db.getTicketById(lateTicket).raffle_block, FROZEN_BLOCK + 2016);
+    assertEqual(db.getTicketById(earlyTicket).raffle_block, FROZEN_BLOCK);
+});
+
+test('adding an email to a committed Lightning-only entrant keeps their entry', async () => {
+    const zapper = newUser(null, 'frozen@getalby.com');
+    const { id } = db.createTicket(zapper.id, 'https://maps.app.goo.gl/zapper', null, null, FROZEN_BLOCK + 2016, true, true, 'roatan');
+    db.validateTicket(id, true, 'Manually approved by admin');
+    commitment.freezeRaffleEntries(FROZEN_BLOCK + 2016, FROZEN_BLOCK + 2010);
+
+    assertEqual(newUser('frozen@example.com', 'frozen@getalby.com').email_verified, 0);
+    const next = commitment.checkAgainstCommitment(FROZEN_BLOCK + 2016, db.getValidTicketsForBlock(FROZEN_BLOCK + 2016));
+    assertEqual(next.matches, true, `removed ${JSON.stringify(next.removed)}`);
+    assertEqual(frozenCheck().matches, true);
+});
+
+// ── Lightning address ─────────────────────────────────────────────────────────
+
+section('⚡ Lightning address');
+
+// A request carrying a /me session for `userId`
+function loggedInAs(userId) {
+    const headers = {};
+    playerPortal.setSessionCookie({ setHeader: (k, v) => { headers[k] = v; } }, { headers: {} }, userId);
+    return { headers: { cookie: headers['Set-Cookie'].split(';')[0] } };
+}
+
+test('an unconfirmed submission leaves a confirmed user\'s address unchanged', async () => {
+    const owner = newUser('owner@example.com', 'owner@getalby.com');
+    emailVerification.markVerified(owner.id);
+
+    const { user, lnurlKept } = db.findOrCreateUser('owner@example.com', 'thief@getalby.com', 'opt-out-thief');
+    assertEqual(lnurlKept, true);
+    assertEqual(playerPortal.applySubmittedLnurl({ headers: {} }, user, 'thief@getalby.com'), null);
+    assertEqual(db.getUserById(owner.id).lnurl_address, 'owner@getalby.com');
+
+    const other = newUser('other@example.com');
+    emailVerification.markVerified(other.id);
+    assertEqual(playerPortal.applySubmittedLnurl(loggedInAs(other.id), user, 'thief@getalby.com'), null, 'logged in as someone else');
+    assertEqual(db.getUserById(owner.id).lnurl_address, 'owner@getalby.com');
+});
+
+test('the owner logged in to /me can change it from the form', async () => {
+    const owner = db.findUserByEmail('owner@example.com');
+    const { user } = db.findOrCreateUser('owner@example.com', 'new@getalby.com', 'opt-out-owner');
+    assertEqual(playerPortal.applySubmittedLnurl(loggedInAs(owner.id), user, 'new@getalby.com').lnurl_address, 'new@getalby.com');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
@@ -0,0 +1,202 @@
+/**
+ * Fraud scoring tests
+ * Run with: npm test
+ *
+ * Tests the submission risk score:
+ *  - IPs are stored as a salted hash, and disposable email domains are recognised
+ *  - A normal submission scores 0; each signal adds its factor, up to 100
+ *  - Emails per IP, submission velocity and Lightning addresses shared between emails are counted
+ *  - Tickets at fraud_hold_score are held back from automatic approval, and nothing is held by default
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-scoring-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'fraud.db');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.OPENAI_API_KEY;
+delete process.env.OPENAI_BASE_URL;
+
+const db = require('../services/database');
+const fraudScoring = require('../services/fraud-scoring');
+const reviewJobs = require('../services/review-jobs');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const PHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const GOOD_REVIEW = 'Great baleadas by the beach, and I paid with bitcoin over lightning in seconds.';
+
+// Submit a ticket the way POST /api/submit does, and score it
+function submit({ email, ip, userAgent = PHONE, lnurl = null, reviewText = null }) {
+    const user = db.findOrCreateUser(email, null, `token-${email}`).user;
+    const { id } = db.createTicket(user.id, `https://www.opentable.com/r/${Math.random().toString(36).slice(2)}`, reviewText, 'Beach Shack', null, true, true, 'roatan');
+    db.validateTicket(id, false, null);
+    const risk = fraudScoring.scoreSubmission(id, { ip, userAgent, email, lnurl });
+    return { id, ...risk, factorNames: risk.factors.map(f => f.factor).join(',') };
+}
+
+// ── Signals ───────────────────────────────────────────────────────────────────
+
+section('🔍 Signals');
+
+test('IPs are stored as a salted hash', async () => {
+    const hash = fraudScoring.hashIp('203.0.113.7');
+    assertEqual(hash.length, 64);
+    assertEqual(hash.includes('203'), false);
+    assertEqual(fraudScoring.hashIp('::ffff:203.0.113.7'), hash, 'an IPv4-mapped address is the same IP');
+    assertEqual(fraudScoring.hashIp('203.0.113.8') === hash, false);
+    assertEqual(fraudScoring.hashIp(null), null);
+});
+
+test('disposable email domains are recognised, subdomains too', async () => {
+    assertEqual(fraudScoring.isDisposableEmail('someone@mailinator.com'), true);
+    assertEqual(fraudScoring.isDisposableEmail('someone@abc.mailinator.com'), true);
+    assertEqual(fraudScoring.isDisposableEmail('someone@gmail.com'), false);
+    assertEqual(fraudScoring.isDisposableEmail('someone@notmailinator.com'), false);
+});
+
+// ── Scores ────────────────────────────────────────────────────────────────────
+
+section('🚩 Scores');
+
+test('an ordinary submission scores 0', async () => {
+    const risk = submit({ email: 'ana@example.com', ip: '198.51.100.1' });
+    assertEqual(risk.score, 0);
+    const ticket = db.getTicketById(risk.id);
+    assertEqual(ticket.risk_score, 0);
+    assertEqual(fraudScoring.parseFactors(ticket).length, 0);
+    assertEqual(db.getSubmissionSignals(risk.id).ip_hash, fraudScoring.hashIp('198.51.100.1'));
+});
+
+test('a disposable email from a script adds both factors', async () => {
+    const risk = submit({ email: 'x1@yopmail.com', ip: '198.51.100.2', userAgent: 'curl/8.4.0' });
+    assertEqual(risk.factorNames, 'disposable_email,automated_client');
+    assertEqual(risk.score, 70);
+    assertEqual(risk.factors[0].detail, 'disposable email domain (yopmail.com)');
+    assertEqual(submit({ email: 'x2@example.com', ip: '198.51.100.3', userAgent: '' }).factorNames, 'no_user_agent');
+});
+
+test('several emails from one IP, submitting fast, add up', async () => {
+    const ip = '198.51.100.10';
+    assertEqual(submit({ email: 'one@example.com', ip }).score, 0);
+    const second = submit({ email: 'two@example.com', ip });
+    assertEqual(second.factorNames, 'emails_per_ip');
+    assertEqual(second.score, 15);
+    const third = submit({ email: 'three@example.com', ip });
+    assertEqual(third.factorNames, 'emails_per_ip,ip_velocity');
+    assertEqual(third.factors[1].detail, '3 submissions from this IP in 60 minutes');
+    assertEqual(third.score, 40);
+});
+
+test('one email submitting fast from different IPs is counted too', async () => {
+    submit({ email: 'busy@example.com', ip: '192.0.2.1' });
+    submit({ email: 'busy@example.com', ip: '192.0.2.2' });
+    const third = submit({ email: 'busy@example.com', ip: '192.0.2.3' });
+    assertEqual(third.factorNames, 'email_velocity');
+});
+
+test('a Lightning address used with other emails is flagged', async () => {
+    assertEqual(submit({ email: 'first@example.com', ip: '192.0.2.20', lnurl: 'shared@getalby.com' }).score, 0);
+    const second = submit({ email: 'second@example.com', ip: '192.0.2.21', lnurl: 'Shared@GetAlby.com' });
+    assertEqual(second.factorNames, 'shared_lnurl');
+    assertEqual(second.factors[0].detail, 'Lightning address used by 2 emails');
+});
+
+test('the score stops at 100', async () => {
+    const ip = '192.0.2.30';
+    let risk;
+    for (let i = 0; i < 5; i++) risk = submit({ email: `bot${i}@mailinator.com`, ip, userAgent: 'python-requests/2.31' });
+    assertEqual(risk.score, fraudScoring.MAX_SCORE);
+});
+
+// ── Holding ───────────────────────────────────────────────────────────────────
+
+section('✋ Holding');
+
+test('nothing is held by default', async () => {
+    assertEqual(fraudScoring.getHoldScore(), 0);
+    assertEqual(fraudScoring.shouldHold(100), false);
+});
+
+test('at fraud_hold_score a ticket is held, with the reason', async () => {
+    db.setSetting('fraud_hold_score', '60');
+    assertEqual(fraudScoring.shouldHold(59), false);
+    assertEqual(fraudScoring.shouldHold(60), true);
+    const risk = submit({ email: 'y@yopmail.com', ip: '192.0.2.40', userAgent: 'curl/8.4.0' });
+    assertEqual(fraudScoring.holdReason(db.getTicketById(risk.id)), 'risk score 70/100 (disposable email domain (yopmail.com), automated client (curl/8.4.0))');
+});
+
+test('a review the validator approves stays pending when the ticket is risky', async () => {
+    db.setSetting('review_validator_chain', 'rules');
+    const risky = submit({ email: 'z@yopmail.com', ip: '192.0.2.50', userAgent: 'curl/8.4.0', reviewText: GOOD_REVIEW });
+    const result = await reviewJobs.scrapeAndValidateReview(risky.id, db.getTicketById(risky.id).review_link);
+    assertEqual(result.startsWith('Held for an admin: approved by rules, but risk score 70/100'), true);
+    assertEqual(db.getTicketById(risky.id).validation_reason, null, 'still pending');
+
+    db.setSetting('fraud_hold_score', '0');
+    await reviewJobs.scrapeAndValidateReview(risky.id, db.getTicketById(risky.id).review_link);
+    assertEqual(db.getTicketById(risky.id).is_valid, 1, 'approved once holding is off');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
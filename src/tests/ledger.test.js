@@ -0,0 +1,136 @@
+/**
+ * Treasury ledger tests
+ * Run with: npm test
+ *
+ * Tests the postings the ledger builds:
+ *  - Every posting balances (its entries sum to zero)
+ *  - Payouts release the reserved prize, returning any unpaid part to the fund
+ *  - Deleted raffles only release prizes that are still reserved
+ *  - Nothing is posted for zero amounts
+ */
+
+'use strict';
+
+const ledger = require('../services/ledger');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } catch (e) {
+        console.error(`  ❌ ${name}\n     ${e.message}`);
+        failures.push({ name, error: e.message });
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const winner = (fields = {}) => ({
+    id: 7, raffle_id: 3, block_height: 900_000, tier_name: 'Grand prize', rank: 0, prize_amount_sats: 5_000, ...fields
+});
+
+// { account: balance change } for a posting, after checking it balances
+function moves(posting) {
+    const total = posting.entries.reduce((sum, e) => sum + e.amountSats, 0);
+    assertEqual(total, 0, `${posting.kind} balances`);
+    const byAccount = {};
+    for (const e of posting.entries) byAccount[e.account] = (byAccount[e.account] || 0) + e.amountSats;
+    return JSON.stringify(Object.fromEntries(Object.entries(byAccount).filter(([, sats]) => sats !== 0).sort()));
+}
+
+// ── Donations and adjustments ─────────────────────────────────────────────────
+
+console.log('\n💰 Donations and adjustments');
+
+test('a donation moves sats from donations into the fund', () => {
+    const posting = ledger.donation({ id: 12, type: 'lightning', memo: null }, 21_000);
+    assertEqual(moves(posting), JSON.stringify({ donations: -21_000, fund: 21_000 }));
+    assertEqual(posting.refType, 'deposit');
+    assertEqual(posting.refId, 12);
+});
+
+test('a negative adjustment takes sats out of the fund', () => {
+    assertEqual(moves(ledger.fundAdjustment(-1_500, 'Correction')), JSON.stringify({ adjustments: 1_500, fund: -1_500 }));
+});
+
+test('zero amounts post nothing', () => {
+    assertEqual(ledger.donation({ id: 1, type: 'onchain' }, 0), null);
+    assertEqual(ledger.fundAdjustment(0, 'No change'), null);
+    assertEqual(ledger.prizeReturn(winner({ prize_amount_sats: null }), 'expired'), null);
+});
+
+// ── Payouts ───────────────────────────────────────────────────────────────────
+
+console.log('\n⚡ Payouts');
+
+test('paying the stamped prize moves it from reserved to paid out', () => {
+    assertEqual(moves(ledger.prizePayout(winner(), 5_000)), JSON.stringify({ paid_out: 5_000, reserved: -5_000 }));
+});
+
+test('routing fees are paid from the fund', () => {
+    assertEqual(moves(ledger.prizePayout(winner(), 5_000, 3)), JSON.stringify({ fees: 3, fund: -3, paid_out: 5_000, reserved: -5_000 }));
+});
+
+test('paying less than the prize returns the rest to the fund', () => {
+    assertEqual(moves(ledger.prizePayout(winner(), 4_000)), JSON.stringify({ fund: 1_000, paid_out: 4_000, reserved: -5_000 }));
+});
+
+test('a prize that was never reserved is paid from the fund', () => {
+    assertEqual(moves(ledger.prizePayout(winner({ prize_amount_sats: null }), 2_500)), JSON.stringify({ fund: -2_500, paid_out: 2_500 }));
+});
+
+// ── Expired and deleted prizes ────────────────────────────────────────────────
+
+console.log('\n⏰ Expired and deleted prizes');
+
+test('an expired prize returns from reserved to the fund', () => {
+    assertEqual(moves(ledger.prizeReturn(winner(), 'claim expired')), JSON.stringify({ fund: 5_000, reserved: -5_000 }));
+});
+
+test('a redrawn prize stays reserved', () => {
+    const posting = ledger.prizeRedraw(winner(), 'entry #4');
+    assertEqual(moves(posting), JSON.stringify({}));
+    assertEqual(posting.entries.length, 2);
+});
+
+test('deleting a raffle releases only its unpaid, unsettled prizes', () => {
+    const raffle = {
+        id: 3, block_height: 900_000,
+        winners: [
+            winner({ id: 1, prize_amount_sats: 5_000 }),
+            winner({ id: 2, prize_amount_sats: 2_000, paid_at: '2026-01-01 00:00:00' }),
+            winner({ id: 3, prize_amount_sats: 1_000, expiry_action: 'rollover' }),
+            winner({ id: 4, prize_amount_sats: 500 })
+        ]
+    };
+    assertEqual(moves(ledger.raffleRelease(raffle, true)), JSON.stringify({ fund: 5_500, reserved: -5_500 }));
+    assertEqual(moves(ledger.raffleRelease(raffle, false)), JSON.stringify({ adjustments: 5_500, reserved: -5_500 }));
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+console.log(`\n${'─'.repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failures.length > 0) {
+    console.error('\nFailed tests:');
+    failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+    process.exit(1);
+} else {
+    console.log('✅ All tests passed!\n');
+    process.exit(0);
+}
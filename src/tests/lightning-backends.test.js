@@ -0,0 +1,264 @@
+/**
+ * Lightning backend tests
+ * Run with: npm test
+ *
+ * Tests the backend layer against the in-process mock node:
+ *  - BOLT11 invoices round-trip through the local codec
+ *  - Mock invoices settle, push to subscribers and expire
+ *  - Mock payments report fees, and can be made to fail or stay in flight
+ *  - The budget guard in lightning.js refuses payments on any backend
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ln-backends-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'reviews.db');
+
+const { bech32 } = require('bech32');
+const bolt11 = require('../services/lightning-backends/bolt11');
+const backends = require('../services/lightning-backends');
+const { createMockBackend } = require('../services/lightning-backends/mock');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+async function assertRejects(promise, pattern, msg) {
+    try {
+        await promise;
+    } catch (e) {
+        if (!pattern.test(e.message)) throw new Error(`${msg || 'assertRejects failed'}: unexpected error "${e.message}"`);
+        return e;
+    }
+    throw new Error(`${msg || 'assertRejects failed'}: expected a rejection`);
+}
+
+const HASH = 'ab'.repeat(32);
+const T0 = Date.UTC(2026, 0, 1);
+
+// ── BOLT11 codec ──────────────────────────────────────────────────────────────
+
+section('🧾 BOLT11 codec');
+
+test('an encoded invoice decodes to the same fields', () => {
+    const invoice = bolt11.encode({ amountSats: 2_500, paymentHash: HASH, description: 'Donation', timestamp: T0 / 1000, expirySecs: 604_800 });
+    assertEqual(invoice.startsWith('lnbcrt25000n1'), true, 'prefix');
+    const decoded = bolt11.decode(invoice);
+    assertEqual(decoded.network, 'bcrt');
+    assertEqual(decoded.amountSats, 2_500);
+    assertEqual(decoded.paymentHash, HASH);
+    assertEqual(decoded.description, 'Donation');
+    assertEqual(decoded.timestamp, T0 / 1000);
+    assertEqual(decoded.expirySecs, 604_800);
+});
+
+test('a zero-amount invoice has no amount', () => {
+    const decoded = bolt11.decode(bolt11.encode({ amountSats: 0, paymentHash: HASH, timestamp: T0 / 1000 }));
+    assertEqual(decoded.amountSats, null);
+    assertEqual(decoded.expirySecs, 3600);
+});
+
+test('amount multipliers follow BOLT11', () => {
+    const { words } = bech32.decode(bolt11.encode({ amountSats: 1, paymentHash: HASH, timestamp: 1 }), 10000);
+    const withPrefix = (prefix) => bolt11.decode(bech32.encode(prefix, words, 10000));
+    assertEqual(withPrefix('lnbc25m').amountSats, 2_500_000);
+    assertEqual(withPrefix('lntb3u').amountSats, 300);
+    assertEqual(withPrefix('lnbcrt1500p').amountSats, 0);
+});
+
+test('anything else is rejected', () => {
+    let threw = false;
+    try { bolt11.decode('lnurl1dp68gurn8ghj7'); } catch (e) { threw = true; }
+    assertEqual(threw, true);
+});
+
+// ── Mock node ─────────────────────────────────────────────────────────────────
+
+section('🧪 Mock node');
+
+test('invoices are deterministic across runs', async () => {
+    const a = createMockBackend({ now: () => T0 });
+    const b = createMockBackend({ now: () => T0 });
+    const first = await a.createInvoice({ amountSats: 100, memo: 'x' });
+    assertEqual((await b.createInvoice({ amountSats: 100, memo: 'x' })).bolt11, first.bolt11);
+    assertEqual((await a.decodeInvoice(first.bolt11)).paymentHash, first.paymentHash);
+});
+
+test('settling an invoice updates lookups and notifies subscribers', async () => {
+    const mock = createMockBackend({ now: () => T0 });
+    const seen = [];
+    assertEqual(mock.subscribeInvoices(event => seen.push(event)), true);
+    const { paymentHash } = await mock.createInvoice({ amountSats: 0, memo: 'Donation' });
+    assertEqual((await mock.lookupInvoice(paymentHash)).state, 'open');
+    await mock.settleInvoice(paymentHash, 4_200);
+    const invoice = await mock.lookupInvoice(paymentHash);
+    assertEqual(invoice.state, 'settled');
+    assertEqual(invoice.amountPaidSats, 4_200);
+    assertEqual(JSON.stringify(seen), JSON.stringify([{ paymentHash, amountPaidSats: 4_200 }]));
+});
+
+test('unpaid invoices expire', async () => {
+    let clock = T0;
+    const mock = createMockBackend({ now: () => clock });
+    const { paymentHash } = await mock.createInvoice({ amountSats: 10, expirySecs: 60 });
+    clock += 61_000;
+    assertEqual((await mock.lookupInvoice(paymentHash)).state, 'cancelled');
+});
+
+test('payments report fees and are logged', async () => {
+    const mock = createMockBackend({ feePpm: 1_000, now: () => T0 });
+    const { bolt11: invoice } = await mock.createInvoice({ amountSats: 5_000 });
+    const result = await mock.payInvoice(invoice, { maxFeeSats: 100 });
+    assertEqual(result.feeSats, 5);
+    assertEqual(mock.getPayments().length, 1);
+    assertEqual(mock.getPayments()[0].amountSats, 5_000);
+});
+
+test('failures and fee limits come back as failed payments', async () => {
+    const mock = createMockBackend({ feePpm: 10_000, now: () => T0 });
+    const { bolt11: invoice } = await mock.createInvoice({ amountSats: 50_000 });
+    const tooExpensive = await mock.payInvoice(invoice, { maxFeeSats: 100 });
+    assertEqual(tooExpensive.status, 'failed');
+    assertEqual(/exceeds limit/.test(tooExpensive.failureReason), true);
+    mock.failNextPayment('no route');
+    assertEqual((await mock.payInvoice(invoice, { maxFeeSats: 1_000 })).failureReason, 'no route');
+    assertEqual(mock.getPayments().length, 0);
+});
+
+test('held payments stay in flight until resolved', async () => {
+    const mock = createMockBackend({ now: () => T0 });
+    const { bolt11: invoice, paymentHash } = await mock.createInvoice({ amountSats: 1_000 });
+    assertEqual((await mock.trackPayment(paymentHash)).status, 'unknown');
+    mock.holdNextPayment();
+    assertEqual((await mock.payInvoice(invoice)).status, 'in_flight');
+    assertEqual((await mock.lookupInvoice(paymentHash)).state, 'open');
+    mock.resolvePayment(paymentHash, 'succeeded');
+    assertEqual((await mock.trackPayment(paymentHash)).status, 'succeeded');
+});
+
+test('on-chain receipts reach subscribers', async () => {
+    const mock = createMockBackend();
+    const seen = [];
+    mock.subscribeOnChain(receipt => seen.push(receipt.amountSats));
+    const address = await mock.newOnChainAddress();
+    await mock.receiveOnChain(address, 21_000);
+    assertEqual(seen[0], 21_000);
+    assertEqual((await mock.getOnChainReceipts())[0].address, address);
+});
+
+// ── Backend selection ─────────────────────────────────────────────────────────
+
+section('🔌 Backend selection');
+
+test('LIGHTNING_BACKEND picks the backend, defaulting to LND', () => {
+    assertEqual(backends.createBackend({}).name, 'lnd');
+    assertEqual(backends.createBackend({ LIGHTNING_BACKEND: 'CLN' }).name, 'cln');
+    assertEqual(backends.createBackend({ LIGHTNING_BACKEND: 'lnbits' }).supportsOnChain, false);
+});
+
+test('an unknown backend is an error', () => {
+    let message = '';
+    try { backends.createBackend({ LIGHTNING_BACKEND: 'eclair' }); } catch (e) { message = e.message; }
+    assertEqual(/Unknown LIGHTNING_BACKEND "eclair"/.test(message), true);
+});
+
+test('unconfigured backends say what is missing', () => {
+    assertEqual(backends.createBackend({ LIGHTNING_BACKEND: 'cln' }).isConfigured().reason, 'CLN_REST_URL or CLN_RUNE not set');
+    assertEqual(backends.createBackend({ LIGHTNING_BACKEND: 'lnbits', LNBITS_URL: 'http://x' }).isConfigured().configured, false);
+});
+
+// ── Budget guard ──────────────────────────────────────────────────────────────
+
+section('🛡️ Budget guard (above the backend)');
+
+test('payments beyond the ledger balance never reach the backend', async () => {
+    const db = require('../services/database');
+    const ledger = require('../services/ledger');
+    const lightning = require('../services/lightning');
+    await db.initializeDatabase();
+
+    const mock = createMockBackend({ now: () => T0 });
+    backends.setBackend(mock);
+    ledger.post(ledger.donation({ id: 1, type: 'lightning' }, 1_000));
+
+    const { bolt11: big } = await mock.createInvoice({ amountSats: 1_500 });
+    const err = await assertRejects(lightning.payInvoice(big), /Refusing to pay 1,500 sats/);
+    assertEqual(err.code, 'BUDGET_EXCEEDED');
+    await assertRejects(lightning.payInvoice(big, 1_001), /Refusing to pay/);
+    assertEqual(mock.getPayments().length, 0, 'no payment sent');
+
+    const { bolt11: small } = await mock.createInvoice({ amountSats: 400 });
+    const result = await lightning.payInvoice(small);
+    assertEqual(result.status, 'succeeded');
+    assertEqual(result.feeSats, 0);
+    assertEqual(mock.getPayments().length, 1);
+});
+
+test('a payment the node gave up on throws PAYMENT_FAILED', async () => {
+    const lightning = require('../services/lightning');
+    const mock = createMockBackend({ now: () => T0 });
+    backends.setBackend(mock);
+    const { bolt11: invoice } = await mock.createInvoice({ amountSats: 100 });
+    mock.failNextPayment('no route');
+    const err = await assertRejects(lightning.payInvoice(invoice), /Payment failed: no route/);
+    assertEqual(err.code, 'PAYMENT_FAILED');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+run().then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
@@ -0,0 +1,231 @@
+/**
+ * Lightning Address (LNURL-pay) donation tests
+ * Run with: npm test
+ *
+ * Tests donations sent to donate@ or a location's handle:
+ *  - The payRequest wallets fetch, for enabled handles only
+ *  - Callback invoices commit to the metadata hash and are tracked as deposits
+ *  - Amounts and comments are validated with reasons a wallet can show
+ *  - Paying the invoice credits the raffle fund through the usual subscription
+ *  - Comments reach the donor wall, and hidden ones leave it
+ *
+ * The node is the mock backend.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lnurl-pay-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'reviews.db');
+process.env.BASE_URL = 'https://raffle.example';
+
+const db = require('../services/database');
+const ledger = require('../services/ledger');
+const lightning = require('../services/lightning');
+const backends = require('../services/lightning-backends');
+const bolt11 = require('../services/lightning-backends/bolt11');
+const { createMockBackend } = require('../services/lightning-backends/mock');
+const lnurlPay = require('../services/lnurl-pay');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+async function assertRejects(promise, code, msg) {
+    try {
+        await promise;
+    } catch (err) {
+        assertEqual(err.code, code, msg);
+        return err;
+    }
+    throw new Error(`${msg || 'assertRejects failed'}: expected ${code}, but it resolved`);
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const mock = createMockBackend();
+backends.setBackend(mock);
+
+const donate = lnurlPay.resolveHandle('donate');
+const roatan = lnurlPay.resolveHandle('roatan');
+
+function depositFor(pr) {
+    return db.getDepositAddressByPaymentHash(bolt11.decode(pr).paymentHash);
+}
+
+// ── Pay requests ──────────────────────────────────────────────────────────────
+
+section('📇 Pay requests');
+
+test('donate@ and enabled location handles resolve; others do not', () => {
+    assertEqual(donate.location, null);
+    assertEqual(roatan.location.slug, 'roatan');
+    assertEqual(lnurlPay.resolveHandle('ROATAN').name, 'roatan', 'case-insensitive');
+    assertEqual(lnurlPay.resolveHandle('austin'), null, 'disabled location');
+    assertEqual(lnurlPay.resolveHandle('nobody'), null);
+});
+
+test('addresses use the host from BASE_URL', () => {
+    assertEqual(lnurlPay.getAddress(), 'donate@raffle.example');
+    assertEqual(lnurlPay.getAddress(roatan.location), 'roatan@raffle.example');
+});
+
+test('the pay request points at the handle callback', () => {
+    const request = lnurlPay.getPayRequest(roatan);
+    assertEqual(request.tag, 'payRequest');
+    assertEqual(request.callback, 'https://raffle.example/api/lnurlp/roatan/callback');
+    assertEqual(request.minSendable, 1000);
+    assertEqual(request.maxSendable, 10_000_000_000);
+    assertEqual(request.commentAllowed, lnurlPay.COMMENT_MAX_LENGTH);
+    const metadata = JSON.parse(request.metadata);
+    assertEqual(metadata.find(([type]) => type === 'text/identifier')[1], 'roatan@raffle.example');
+});
+
+// ── Callback ──────────────────────────────────────────────────────────────────
+
+section('🧾 Callback invoices');
+
+test('the invoice is for the amount and commits to the metadata hash', async () => {
+    const { pr, successAction } = await lnurlPay.createPayInvoice(donate, { amount: 21_000 });
+    const decoded = bolt11.decode(pr);
+    assertEqual(decoded.amountSats, 21);
+    assertEqual(decoded.descriptionHash, crypto.createHash('sha256').update(lnurlPay.buildMetadata(donate)).digest('hex'));
+    assertEqual(successAction.tag, 'message');
+});
+
+test('the invoice is tracked as a deposit with its comment and location', async () => {
+    const { pr } = await lnurlPay.createPayInvoice(roatan, { amount: 5_000, comment: '  Pura vida!\n' });
+    const deposit = depositFor(pr);
+    assertEqual(deposit.type, 'lightning');
+    assertEqual(deposit.comment, 'Pura vida!');
+    assertEqual(deposit.location_slug, 'roatan');
+    assertEqual(!!deposit.expires_at, true, 'expiry recorded');
+    assertEqual(deposit.is_active, 1);
+});
+
+test('the cached donation invoice is left alone', async () => {
+    const cached = lightning.getDepositInfoCached().lightningInvoice;
+    await lnurlPay.createPayInvoice(donate, { amount: 1_000 });
+    assertEqual(lightning.getDepositInfoCached().lightningInvoice, cached);
+});
+
+test('amounts outside the limits or not in whole sats are refused', async () => {
+    await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 999 }), 'LNURL_INVALID', 'below min');
+    await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 10_000_001_000 }), 'LNURL_INVALID', 'above max');
+    await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 1_500 }), 'LNURL_INVALID', 'msat remainder');
+    await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 'abc' }), 'LNURL_INVALID', 'not a number');
+});
+
+test('comments over the limit are refused', async () => {
+    const err = await assertRejects(
+        lnurlPay.createPayInvoice(donate, { amount: 1_000, comment: 'x'.repeat(lnurlPay.COMMENT_MAX_LENGTH + 1) }),
+        'LNURL_INVALID'
+    );
+    assertEqual(/280 characters/.test(err.message), true, 'reason mentions the limit');
+});
+
+// ── Settlement and donor wall ─────────────────────────────────────────────────
+
+section('💬 Settlement and donor wall');
+
+test('paying the invoice credits the raffle fund', async () => {
+    const before = ledger.getFundSats();
+    const { pr } = await lnurlPay.createPayInvoice(donate, { amount: 42_000, comment: 'For the merchants' });
+    await mock.settleInvoice(bolt11.decode(pr).paymentHash);
+    assertEqual(ledger.getFundSats(), before + 42);
+    const deposit = depositFor(pr);
+    assertEqual(deposit.amount_received_sats, 42);
+    assertEqual(deposit.is_active, 0);
+});
+
+test('paid comments show on the donor wall; unpaid ones do not', () => {
+    const wall = db.getDonorWall();
+    assertEqual(wall.length, 1);
+    assertEqual(wall[0].comment, 'For the merchants');
+    assertEqual(wall[0].amount_received_sats, 42);
+});
+
+test('a hidden comment leaves the public wall but stays for admins', async () => {
+    const { pr } = await lnurlPay.createPayInvoice(roatan, { amount: 7_000, comment: 'spam spam' });
+    await mock.settleInvoice(bolt11.decode(pr).paymentHash);
+    const deposit = depositFor(pr);
+    assertEqual(db.getDonorWall().length, 2);
+
+    db.setDonorCommentHidden(deposit.id, true);
+    assertEqual(db.getDonorWall().map(d => d.comment).join(','), 'For the merchants');
+    assertEqual(db.getDonorWall({ includeHidden: true }).length, 2);
+
+    db.setDonorCommentHidden(deposit.id, false);
+    assertEqual(db.getDonorWall().length, 2, 'shown again');
+});
+
+test('expired unpaid invoices drop out of the deposit poll after an hour', () => {
+    const hourAgo = (hours) => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+    db.createDepositAddress('lnbc-old', 'lightning', 'lnbc-old', 'aa'.repeat(32), 'old', { expiresAt: hourAgo(2) });
+    db.createDepositAddress('lnbc-recent', 'lightning', 'lnbc-recent', 'bb'.repeat(32), 'recent', { expiresAt: hourAgo(0.5) });
+    const polled = db.getUnpaidLightningInvoices().map(d => d.payment_hash);
+    assertEqual(polled.includes('aa'.repeat(32)), false, 'expired 2h ago');
+    assertEqual(polled.includes('bb'.repeat(32)), true, 'expired 30 min ago');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => {
+    // Creates the cached invoice and subscribes to settlements
+    return lightning.warmDepositCache();
+}).then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
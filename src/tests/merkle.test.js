@@ -0,0 +1,142 @@
+/**
+ * Merkle commitment tests
+ * Run with: npm test
+ *
+ * Tests the pre-draw commitment primitives:
+ *  - computeRoot() determinism and sensitivity to order / content
+ *  - buildProof() + verifyProof() round-trip for every position, odd and even trees
+ *  - Tampered proofs and leaves are rejected
+ */
+
+'use strict';
+
+const merkle = require('../services/merkle');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } catch (e) {
+        console.error(`  ❌ ${name}\n     ${e.message}`);
+        failures.push({ name, error: e.message });
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+function makeEntries(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        position: i,
+        ticketId: 100 + i,
+        entrantHash: String(i % 3).repeat(64)
+    }));
+}
+
+// ── computeRoot() ─────────────────────────────────────────────────────────────
+
+console.log('\n🌳 computeRoot()');
+
+test('empty entry list has no root', () => {
+    assertEqual(merkle.computeRoot([]), null);
+});
+
+test('single entry root is its leaf hash', () => {
+    const entries = makeEntries(1);
+    assertEqual(merkle.computeRoot(entries), merkle.hashLeaf(entries[0]));
+});
+
+test('same entries always give the same root', () => {
+    assertEqual(merkle.computeRoot(makeEntries(7)), merkle.computeRoot(makeEntries(7)));
+});
+
+test('root is a 64-char hex string', () => {
+    const root = merkle.computeRoot(makeEntries(5));
+    assertEqual(/^[0-9a-f]{64}$/.test(root), true, 'hex format');
+});
+
+test('adding a ticket changes the root', () => {
+    if (merkle.computeRoot(makeEntries(4)) === merkle.computeRoot(makeEntries(5))) {
+        throw new Error('root did not change');
+    }
+});
+
+test('swapping two tickets changes the root', () => {
+    const entries = makeEntries(4);
+    const swapped = entries.map(e => ({ ...e }));
+    [swapped[1].ticketId, swapped[2].ticketId] = [swapped[2].ticketId, swapped[1].ticketId];
+    if (merkle.computeRoot(entries) === merkle.computeRoot(swapped)) {
+        throw new Error('root did not change');
+    }
+});
+
+test('odd tree is not equal to tree with last entry duplicated', () => {
+    const odd = makeEntries(3);
+    const dup = [...odd, { ...odd[2], position: 3 }];
+    if (merkle.computeRoot(odd) === merkle.computeRoot(dup)) {
+        throw new Error('duplicate-last-leaf collision');
+    }
+});
+
+// ── buildProof() / verifyProof() ──────────────────────────────────────────────
+
+console.log('\n🧾 Inclusion proofs');
+
+for (const size of [1, 2, 3, 5, 8, 13]) {
+    test(`every proof verifies in a ${size}-entry tree`, () => {
+        const entries = makeEntries(size);
+        const root = merkle.computeRoot(entries);
+        for (let i = 0; i < size; i++) {
+            const built = merkle.buildProof(entries, i);
+            assertEqual(built.root, root, `root for index ${i}`);
+            assertEqual(merkle.verifyProof(built.leaf, built.proof, root), true, `proof for index ${i}`);
+        }
+    });
+}
+
+test('out-of-range index has no proof', () => {
+    assertEqual(merkle.buildProof(makeEntries(3), 3), null);
+    assertEqual(merkle.buildProof(makeEntries(3), -1), null);
+});
+
+test('proof for one leaf does not verify another', () => {
+    const entries = makeEntries(6);
+    const root = merkle.computeRoot(entries);
+    const built = merkle.buildProof(entries, 2);
+    assertEqual(merkle.verifyProof(merkle.hashLeaf(entries[3]), built.proof, root), false);
+});
+
+test('tampered sibling hash fails verification', () => {
+    const entries = makeEntries(6);
+    const root = merkle.computeRoot(entries);
+    const built = merkle.buildProof(entries, 4);
+    const tampered = built.proof.map((step, i) => i === 0 ? { ...step, hash: 'f'.repeat(64) } : step);
+    assertEqual(merkle.verifyProof(built.leaf, tampered, root), false);
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+console.log(`\n${'─'.repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failures.length > 0) {
+    console.error('\nFailed tests:');
+    failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+    process.exit(1);
+} else {
+    console.log('✅ All tests passed!\n');
+    process.exit(0);
+}
@@ -0,0 +1,243 @@
+/**
+ * Prize payment tests
+ * Run with: npm test
+ *
+ * Tests the payments state machine against the mock Lightning node:
+ *  - A paid prize is recorded with its ledger payout, once
+ *  - The claim lock stops a second payment; a retried invoice isn't re-sent
+ *  - Failed payments free the prize for another attempt
+ *  - Payments whose result was lost stay in flight until the reconciler
+ *    hears from the node
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'reviews.db');
+
+const db = require('../services/database');
+const ledger = require('../services/ledger');
+const backends = require('../services/lightning-backends');
+const { createMockBackend } = require('../services/lightning-backends/mock');
+const payments = require('../services/payments');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+async function assertRejects(promise, code, msg) {
+    try {
+        await promise;
+    } catch (e) {
+        if (e.code !== code) throw new Error(`${msg || 'assertRejects failed'}: expected ${code}, got "${e.message}"`);
+        return e;
+    }
+    throw new Error(`${msg || 'assertRejects failed'}: expected a rejection`);
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const mock = createMockBackend();
+backends.setBackend(mock);
+
+let nextBlock = 900_000;
+
+// A committed raffle with one winner whose prize is reserved in the ledger
+function newWinner(prizeSats = 5_000, fields = {}) {
+    const blockHeight = nextBlock += 2016;
+    const { id } = db.createRaffleWithEntries(blockHeight, 'ab'.repeat(32), 0, 0, null, prizeSats, [], {
+        winners: [{ rank: 0, tier: 0, tierName: 'Grand prize', winningIndex: 0, ticketId: null, prizeSats, ...fields }],
+        posting: ledger.prizeReservation(prizeSats, `Block #${blockHeight}`)
+    });
+    return db.getRaffleWinners(id)[0];
+}
+
+// The winner's wallet: an invoice for `sats`
+async function walletInvoice(sats) {
+    return (await mock.createInvoice({ amountSats: sats, memo: 'Prize' })).bolt11;
+}
+
+const paidOut = () => ledger.getBalances().paid_out;
+
+// ── Paying a prize ────────────────────────────────────────────────────────────
+
+section('⚡ Paying a prize');
+
+test('a successful claim marks the winner paid and posts the payout', async () => {
+    const winner = newWinner(5_000);
+    const before = paidOut();
+    const payment = await payments.payWinnerInvoice(winner, await walletInvoice(5_000), { source: 'lnurl_withdraw' });
+    assertEqual(payment.status, 'succeeded');
+    const after = db.getRaffleWinnerById(winner.id);
+    assertEqual(after.claim_status, 'claimed');
+    assertEqual(after.claim_payment_hash, payment.payment_hash);
+    assertEqual(!!after.paid_at, true, 'paid_at set');
+    assertEqual(paidOut() - before, 5_000);
+});
+
+test('a retried callback with the same invoice is not paid twice', async () => {
+    const winner = newWinner(2_000);
+    const invoice = await walletInvoice(2_000);
+    const first = await payments.payWinnerInvoice(winner, invoice, { source: 'lnurl_withdraw' });
+    const sent = mock.getPayments().length;
+    const before = paidOut();
+    const retry = await payments.payWinnerInvoice(winner, invoice, { source: 'lnurl_withdraw' });
+    assertEqual(retry.id, first.id);
+    assertEqual(mock.getPayments().length, sent, 'nothing sent');
+    assertEqual(paidOut(), before, 'nothing posted');
+});
+
+test('another invoice for a paid prize is refused', async () => {
+    const winner = newWinner(1_000);
+    await payments.payWinnerInvoice(winner, await walletInvoice(1_000), { source: 'lnurl_withdraw' });
+    const err = await assertRejects(payments.payWinnerInvoice(winner, await walletInvoice(1_000), { source: 'admin' }), 'PAYMENT_LOCKED');
+    assertEqual(err.message, 'This prize has already been paid');
+});
+
+test('a failed payment frees the prize for another attempt', async () => {
+    const winner = newWinner(1_500);
+    mock.failNextPayment('no route');
+    const first = await payments.payWinnerInvoice(winner, await walletInvoice(1_500), { source: 'lnurl_withdraw' });
+    assertEqual(first.status, 'failed');
+    assertEqual(first.failure_reason, 'Payment failed: no route');
+    assertEqual(db.getRaffleWinnerById(winner.id).payment_status, 'failed');
+
+    const second = await payments.payWinnerInvoice(winner, await walletInvoice(1_500), { source: 'lnurl_withdraw' });
+    assertEqual(second.status, 'succeeded');
+});
+
+test('payments beyond the budget are refused before anything is recorded', async () => {
+    const winner = newWinner(10_000_000);
+    await assertRejects(payments.payWinnerInvoice(winner, await walletInvoice(10_000_000), { source: 'admin' }), 'BUDGET_EXCEEDED');
+    assertEqual(db.getActivePayment(winner.id), null);
+});
+
+// ── In flight and reconciliation ──────────────────────────────────────────────
+
+section('🔎 In flight and reconciliation');
+
+test('a lost result keeps the lock until the reconciler sees the payment succeeded', async () => {
+    const winner = newWinner(3_000);
+    mock.loseNextResult();
+    const payment = await payments.payWinnerInvoice(winner, await walletInvoice(3_000), { source: 'lnurl_withdraw' });
+    assertEqual(payment.status, 'in_flight');
+    assertEqual(db.getRaffleWinnerById(winner.id).paid_at, null);
+    const err = await assertRejects(payments.payWinnerInvoice(winner, await walletInvoice(3_000), { source: 'lnurl_withdraw' }), 'PAYMENT_LOCKED');
+    assertEqual(err.message, 'A payment for this prize is already in progress');
+
+    const before = paidOut();
+    await payments.reconcilePayments();
+    assertEqual(db.getPayment(payment.id).status, 'succeeded');
+    assertEqual(db.getRaffleWinnerById(winner.id).claim_status, 'claimed');
+    assertEqual(paidOut() - before, 3_000);
+
+    await payments.reconcilePayments();
+    assertEqual(paidOut() - before, 3_000, 'posted once');
+});
+
+test('a payment still in flight stays open until the node settles it', async () => {
+    const winner = newWinner(800);
+    mock.holdNextPayment();
+    const payment = await payments.payWinnerInvoice(winner, await walletInvoice(800), { source: 'admin' });
+    assertEqual(payment.status, 'in_flight');
+
+    assertEqual((await payments.reconcilePayments()).inFlight, 1);
+    mock.resolvePayment(payment.payment_hash, 'failed', 'timeout');
+    assertEqual((await payments.reconcilePayments()).failed, 1);
+    assertEqual(db.getPayment(payment.id).failure_reason, 'timeout');
+    assertEqual(db.getActivePayment(winner.id), null, 'lock released');
+});
+
+test('a payment the node never received fails on reconciliation', async () => {
+    const winner = newWinner(700);
+    // As if the process died right after recording the payment
+    const paymentId = db.createPayment({
+        winnerId: winner.id, raffleId: winner.raffle_id, source: 'lnurl_withdraw',
+        bolt11: await walletInvoice(700), paymentHash: 'cd'.repeat(32), amountSats: 700
+    });
+    await payments.reconcilePayments();
+    const payment = db.getPayment(paymentId);
+    assertEqual(payment.status, 'failed');
+    assertEqual(payment.failure_reason, 'the node never received this payment');
+});
+
+test('the expiry sweeper skips prizes with a payment in flight', async () => {
+    const winner = newWinner(600, { claimToken: 'expired-token', claimExpiresAt: '2020-01-01 00:00:00' });
+    const isExpiring = () => db.getExpiredUnclaimedWinners().some(w => w.id === winner.id);
+    assertEqual(isExpiring(), true);
+    mock.holdNextPayment();
+    const payment = await payments.payWinnerInvoice(winner, await walletInvoice(600), { source: 'lnurl_withdraw' });
+    assertEqual(isExpiring(), false);
+    mock.resolvePayment(payment.payment_hash, 'failed');
+    await payments.reconcilePayments();
+    assertEqual(isExpiring(), true);
+});
+
+test('settled payments cannot change state again', () => {
+    const settled = db.getRecentPayments().find(p => p.status === 'succeeded');
+    let message = '';
+    try { db.failPayment(settled.id, 'late failure'); } catch (e) { message = e.message; }
+    assertEqual(message, `Payment #${settled.id} can't go from succeeded to failed`);
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => {
+    ledger.post(ledger.donation({ id: 1, type: 'lightning' }, 100_000));
+    return run();
+}).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
@@ -0,0 +1,321 @@
+/**
+ * Player portal tests
+ * Run with: npm test
+ *
+ * Tests the passwordless /me area:
+ *  - Login links are only emailed to entrants, at most once a minute, and work once within 30 minutes
+ *  - Opening one confirms an unconfirmed email; opted-out users can't log in
+ *  - The session cookie identifies the player and never passes as an admin session
+ *  - The dashboard shows each ticket's status and reason, the next raffle's odds, wins and open claim links
+ *  - Players can change their Lightning address (not to another player's) and unlink Telegram
+ *
+ * Emails aren't sent: the login email is replaced with a recorder.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'player-portal-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'portal.db');
+
+const db = require('../services/database');
+const email = require('../services/email');
+const auth = require('../services/auth');
+const playerPortal = require('../services/player-portal');
+const commitment = require('../services/commitment');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertThrows(fn, code) {
+    try {
+        fn();
+    } catch (e) {
+        assertEqual(e.code, code, e.message);
+        return;
+    }
+    throw new Error(`expected a ${code} error`);
+}
+
+async function assertRejects(promise, code) {
+    try {
+        await promise;
+    } catch (e) {
+        assertEqual(e.code, code, e.message);
+        return;
+    }
+    throw new Error(`expected a ${code} error`);
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const sent = [];
+email.sendLoginLinkEmail = async (to, token, minutes) => {
+    sent.push({ to, token, minutes });
+    return { success: true };
+};
+
+const NEXT_BLOCK = 2016;
+const MINUTE = 60 * 1000;
+
+function newUser(address) {
+    return db.findOrCreateUser(address, null, `opt-out-${address}`).user;
+}
+
+function ticket(user, { block = NEXT_BLOCK, valid = null, reason = null, merchant = 'Beach Shack' } = {}) {
+    const { id } = db.createTicket(user.id, `https://maps.app.goo.gl/${Math.random().toString(36).slice(2)}`, null, merchant, block, true, true, 'roatan');
+    if (valid !== null) db.validateTicket(id, valid, reason);
+    return id;
+}
+
+// The session cookie a response set, as a request would send it back
+function loginAs(userId) {
+    const headers = {};
+    playerPortal.setSessionCookie({ setHeader: (k, v) => { headers[k] = v; } }, { headers: {} }, userId);
+    return { headers: { cookie: headers['Set-Cookie'].split(';')[0] } };
+}
+
+// ── Login links ───────────────────────────────────────────────────────────────
+
+section('🔑 Login links');
+
+let ana;
+
+test('only entrants are emailed a link, and a bad address is refused', async () => {
+    ana = newUser('ana@example.com');
+    db.markEmailVerified(ana.id);
+    await assertRejects(playerPortal.requestLoginLink('not-an-email'), 'PORTAL_INVALID');
+
+    assertEqual((await playerPortal.requestLoginLink('nobody@example.com')).sent, false);
+    assertEqual(sent.length, 0);
+
+    const result = await playerPortal.requestLoginLink('  Ana@Example.com ');
+    assertEqual(result.sent, true);
+    assertEqual(sent.length, 1);
+    assertEqual(sent[0].to, 'ana@example.com');
+    assertEqual(sent[0].minutes, 30);
+    assertEqual(sent[0].token.length, 48);
+});
+
+test('a new link is not sent within a minute of the last one', async () => {
+    const issuedAt = new Date(db.getUserById(ana.id).login_token_expires_at).getTime() - 30 * MINUTE;
+    assertEqual((await playerPortal.requestLoginLink('ana@example.com', issuedAt + 30 * 1000)).sent, false);
+    assertEqual(sent.length, 1);
+
+    assertEqual((await playerPortal.requestLoginLink('ana@example.com', issuedAt + 61 * 1000)).sent, true);
+    assertEqual(sent.length, 2);
+    assertEqual(playerPortal.redeemLoginLink(sent[0].token, issuedAt + 2 * MINUTE), null, 'the older link is replaced');
+});
+
+test('a link works once', async () => {
+    await playerPortal.requestLoginLink('ana@example.com', Date.now() + 10 * MINUTE);
+    const token = sent[sent.length - 1].token;
+    const user = playerPortal.redeemLoginLink(token, Date.now() + 11 * MINUTE);
+    assertEqual(user.id, ana.id);
+    assertEqual(playerPortal.redeemLoginLink(token, Date.now() + 11 * MINUTE), null);
+});
+
+test('a link stops working after 30 minutes', async () => {
+    const now = Date.now() + 60 * MINUTE;
+    await playerPortal.requestLoginLink('ana@example.com', now);
+    assertEqual(playerPortal.redeemLoginLink(sent[sent.length - 1].token, now + 31 * MINUTE), null);
+});
+
+test('logging in confirms an unconfirmed email; opted-out users get nothing', async () => {
+    const bo = newUser('bo@example.com');
+    assertEqual(bo.email_verified, 0);
+    await playerPortal.requestLoginLink('bo@example.com');
+    assertEqual(playerPortal.redeemLoginLink(sent[sent.length - 1].token).email_verified, 1);
+
+    const gone = newUser('gone@example.com');
+    await playerPortal.requestLoginLink('gone@example.com');
+    const token = sent[sent.length - 1].token;
+    db.deactivateUser(gone.opt_out_token);
+    assertEqual(playerPortal.redeemLoginLink(token), null);
+    assertEqual((await playerPortal.requestLoginLink('gone@example.com')).sent, false);
+});
+
+test('logging in after a raffle\'s entries are committed leaves the committed set alone', async () => {
+    const FROZEN_BLOCK = 6048;
+    const eve = newUser('eve@example.com');
+    const ticketId = ticket(eve, { block: FROZEN_BLOCK, valid: true, reason: 'Auto-validated' });
+    commitment.freezeRaffleEntries(FROZEN_BLOCK, FROZEN_BLOCK - 6);
+
+    await playerPortal.requestLoginLink('eve@example.com');
+    assertEqual(playerPortal.redeemLoginLink(sent[sent.length - 1].token).email_verified, 1);
+    const check = commitment.checkAgainstCommitment(FROZEN_BLOCK, db.getValidTicketsForBlock(FROZEN_BLOCK));
+    assertEqual(check.matches, true, `added ${JSON.stringify(check.added)}`);
+    assertEqual(db.getTicketById(ticketId).raffle_block, FROZEN_BLOCK + 2016, 'counts from the next raffle');
+});
+
+// ── Session ───────────────────────────────────────────────────────────────────
+
+section('🍪 Session');
+
+test('the session cookie identifies the player', async () => {
+    const req = loginAs(ana.id);
+    assertEqual(req.headers.cookie.startsWith(`${playerPortal.SESSION_COOKIE}=`), true);
+    assertEqual(playerPortal.getSessionUser(req).id, ana.id);
+    assertEqual(playerPortal.getSessionUser({ headers: {} }), null);
+    const last = req.headers.cookie.slice(-1);
+    const tampered = req.headers.cookie.slice(0, -1) + (last === '0' ? '1' : '0');
+    assertEqual(playerPortal.getSessionUser({ headers: { cookie: tampered } }), null, 'tampered');
+});
+
+test('a player session never passes as an admin session', async () => {
+    const value = loginAs(ana.id).headers.cookie.split('=')[1];
+    assertEqual(auth.hasValidSession({ headers: { cookie: `${auth.COOKIE_NAME}=${value}` } }), false);
+    const admin = decodeURIComponent(auth.createSessionToken());
+    assertEqual(playerPortal.getSessionUser({ headers: { cookie: `${playerPortal.SESSION_COOKIE}=${admin}` } }), null);
+});
+
+test('opting out ends the session', async () => {
+    const cy = newUser('cy@example.com');
+    const req = loginAs(cy.id);
+    db.deactivateUser(cy.opt_out_token);
+    assertEqual(playerPortal.getSessionUser(req), null);
+});
+
+// ── Dashboard ─────────────────────────────────────────────────────────────────
+
+section('🎟️  Dashboard');
+
+test('tickets show their status and validation reason', async () => {
+    ticket(ana, { valid: true, reason: 'Manually approved by admin' });
+    ticket(ana, { valid: false, reason: 'Not about a Bitcoin purchase' });
+    ticket(ana, { merchant: 'Bayman Coffee' });
+    ticket(ana, { block: NEXT_BLOCK - 2016, valid: true, reason: 'Auto-validated' });
+
+    const me = playerPortal.getDashboard(db.getUserById(ana.id), NEXT_BLOCK);
+    assertEqual(me.email, 'ana@example.com');
+    assertEqual(me.tickets.map(t => t.status).sort().join(','), 'approved,approved,pending,rejected');
+    assertEqual(me.tickets.find(t => t.status === 'rejected').reason, 'Not about a Bitcoin purchase');
+    assertEqual(me.tickets.find(t => t.status === 'pending').merchantName, 'Bayman Coffee');
+    assertEqual(me.tickets.filter(t => t.inNextRaffle).length, 1, 'only the approved ticket for the next block');
+});
+
+test('the odds are the player\'s share of the next raffle\'s entries', async () => {
+    const dee = newUser('dee@example.com');
+    db.markEmailVerified(dee.id);
+    for (let i = 0; i < 3; i++) ticket(dee, { valid: true, reason: 'Auto-validated' });
+
+    const { nextRaffle } = playerPortal.getDashboard(db.getUserById(ana.id), NEXT_BLOCK);
+    assertEqual(nextRaffle.block, NEXT_BLOCK);
+    assertEqual(nextRaffle.myEntries, 1);
+    assertEqual(nextRaffle.totalEntries, 4);
+    assertEqual(nextRaffle.firstPrizeChance, 0.25);
+    assertEqual(nextRaffle.prizeCount, 1);
+    assertEqual(playerPortal.getDashboard(db.getUserById(ana.id), null).nextRaffle, null, 'unknown chain height');
+});
+
+test('wins are listed, with claim links that can still be opened', async () => {
+    const [won, paid, lapsed] = db.getTicketsByUser(ana.id);
+    const future = new Date(Date.now() + 7 * 24 * 60 * MINUTE).toISOString();
+    const past = new Date(Date.now() - MINUTE).toISOString();
+    const raffle = (block, ticketId, claimToken, claimExpiresAt) => db.createRaffleWithEntries(block, 'ab'.repeat(32), 1, 0, ticketId, 1000, [db.getTicketById(ticketId)], {
+        winners: [{ rank: 0, tier: 0, tierName: 'Grand prize', winningIndex: 0, ticketId, prizeSats: 1000, claimToken, claimExpiresAt }]
+    });
+    raffle(1000, won.id, 'claim-open', future);
+    raffle(1100, paid.id, 'claim-paid', future);
+    raffle(1200, lapsed.id, 'claim-lapsed', past);
+    db.markWinnerPaid(db.findWinnerByClaimToken('claim-paid').id);
+
+    const me = playerPortal.getDashboard(db.getUserById(ana.id), NEXT_BLOCK);
+    assertEqual(me.wins.length, 3);
+    assertEqual(me.wins.filter(w => w.paid).length, 1);
+    assertEqual(me.pendingClaims.length, 1);
+    assertEqual(me.pendingClaims[0].claimUrl, '/claim/claim-open');
+    assertEqual(me.pendingClaims[0].blockHeight, 1000);
+    assertEqual(playerPortal.getDashboard(db.getUserById(db.findUserByEmail('dee@example.com').id), NEXT_BLOCK).wins.length, 0);
+});
+
+// ── Preferences ───────────────────────────────────────────────────────────────
+
+section('⚙️  Preferences');
+
+test('a player can set and clear their Lightning address', async () => {
+    assertEqual(playerPortal.updatePreferences(ana.id, { lnurl: ' ana@getalby.com ' }).lnurl_address, 'ana@getalby.com');
+    assertThrows(() => playerPortal.updatePreferences(ana.id, { lnurl: 'lnbc1notanaddress' }), 'PORTAL_INVALID');
+    assertEqual(db.getUserById(ana.id).lnurl_address, 'ana@getalby.com', 'unchanged after a bad address');
+    assertEqual(playerPortal.updatePreferences(ana.id, {}).lnurl_address, 'ana@getalby.com', 'left alone when not given');
+    assertEqual(playerPortal.updatePreferences(ana.id, { lnurl: '' }).lnurl_address, null);
+});
+
+test('a Lightning address another active player has is refused', async () => {
+    const gus = newUser('gus@example.com');
+    const hal = newUser('hal@example.com');
+    playerPortal.updatePreferences(gus.id, { lnurl: 'gus@getalby.com' });
+    assertThrows(() => playerPortal.updatePreferences(hal.id, { lnurl: 'gus@getalby.com' }), 'PORTAL_INVALID');
+    assertEqual(db.getUserById(hal.id).lnurl_address, null);
+    assertEqual(playerPortal.updatePreferences(gus.id, { lnurl: 'gus@getalby.com' }).lnurl_address, 'gus@getalby.com', 'saving your own again is fine');
+
+    db.deactivateUser(gus.opt_out_token);
+    assertEqual(playerPortal.updatePreferences(hal.id, { lnurl: 'gus@getalby.com' }).lnurl_address, 'gus@getalby.com', 'free once its owner opts out');
+});
+
+test('a player can unlink Telegram', async () => {
+    db.setUserTelegramChatId(ana.id, '123456');
+    assertEqual(playerPortal.getDashboard(db.getUserById(ana.id)).telegramLinked, true);
+    playerPortal.updatePreferences(ana.id, { unlinkTelegram: true });
+    assertEqual(playerPortal.getDashboard(db.getUserById(ana.id)).telegramLinked, false);
+    assertThrows(() => playerPortal.updatePreferences(9999, { unlinkTelegram: true }), 'USER_NOT_FOUND');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
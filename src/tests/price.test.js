@@ -0,0 +1,189 @@
+/**
+ * Price feed and fiat invoice tests
+ * Run with: npm test
+ *
+ * Tests BTC prices in several fiat currencies:
+ *  - Each currency's price is the median of the sources that quote it
+ *  - A source that is down or answers nonsense is left out
+ *  - Stale prices are kept when every source is down
+ *  - Locations show prices in their own currency
+ *  - Fiat invoices keep the rate they were converted at
+ *
+ * The price sources are played by a stubbed fetch; the node is the mock backend.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'reviews.db');
+
+const db = require('../services/database');
+const lightning = require('../services/lightning');
+const backends = require('../services/lightning-backends');
+const bolt11 = require('../services/lightning-backends/bolt11');
+const { createMockBackend } = require('../services/lightning-backends/mock');
+const price = require('../services/price');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const mock = createMockBackend();
+backends.setBackend(mock);
+
+// What each source answers; null means it is down
+const feeds = {
+    coingecko: { bitcoin: { usd: 60_000, eur: 55_000 } },
+    coinbase: { data: { rates: { USD: '62000.5', EUR: '56000', HNL: '1500000' } } },
+    yadio: { BTC: { USD: 61_000, HNL: 1_520_000 }, base: 'BTC' }
+};
+let fetches = 0;
+
+global.fetch = async (url) => {
+    fetches++;
+    const name = Object.keys(feeds).find(n => String(url).includes(n));
+    const body = name ? feeds[name] : null;
+    if (!body) return { ok: false, status: 503, json: async () => ({}) };
+    return { ok: true, status: 200, json: async () => body };
+};
+
+// ── Sources ───────────────────────────────────────────────────────────────────
+
+section('📈 Price sources');
+
+test('each currency is the median of the sources that quote it', async () => {
+    const { rates, sources } = await price.fetchRates();
+    assertEqual(rates.USD, 61_000, 'middle of three');
+    assertEqual(rates.EUR, 55_500, 'average of the middle two');
+    assertEqual(rates.HNL, 1_510_000);
+    assertEqual(sources.USD, 3);
+    assertEqual(sources.HNL, 2);
+    assertEqual(rates.GBP, undefined, 'nobody quoted it');
+});
+
+test('a source that is down or answers nonsense is left out', async () => {
+    const saved = { ...feeds };
+    feeds.coingecko = null;
+    feeds.yadio = { error: 'rate limited' };
+    try {
+        const { rates, sources } = await price.fetchRates();
+        assertEqual(rates.USD, 62_000.5);
+        assertEqual(sources.USD, 1);
+    } finally {
+        Object.assign(feeds, saved);
+    }
+});
+
+test('prices are cached, and kept when every source is down', async () => {
+    assertEqual(await price.getBtcUsdPrice(), 61_000);
+    const before = fetches;
+    assertEqual(await price.getBtcPrice('hnl'), 1_510_000, 'codes are case-insensitive');
+    assertEqual(fetches, before, 'served from the cache');
+    assertEqual(await price.getBtcPrice('XYZ'), null, 'unsupported currency');
+    assertEqual(Math.round(await price.satsToFiat(100_000, 'HNL')), 1_510);
+
+    // Six minutes later, with every source down
+    const saved = { ...feeds };
+    const now = Date.now;
+    Date.now = () => now() + 6 * 60 * 1000;
+    Object.keys(feeds).forEach(name => { feeds[name] = null; });
+    try {
+        assertEqual(await price.getBtcUsdPrice(), 61_000, 'stale price kept');
+        assertEqual(fetches, before + 3, 'asked every source again');
+    } finally {
+        Date.now = now;
+        Object.assign(feeds, saved);
+    }
+});
+
+// ── Locations and invoices ────────────────────────────────────────────────────
+
+section('🌎 Location currencies and fiat invoices');
+
+test('locations show prices in their own currency', () => {
+    assertEqual(price.getLocationCurrency('roatan'), 'HNL');
+    assertEqual(price.getLocationCurrency('austin'), 'USD');
+    assertEqual(price.getLocationCurrency(), 'HNL', 'the default location');
+    assertEqual(price.getLocationCurrency('nowhere'), 'USD');
+});
+
+test('fiat amounts convert to whole sats', () => {
+    assertEqual(price.fiatToSats(10, 61_000), 16_393);
+    assertEqual(price.fiatToSats(0.01, 61_000), 16);
+});
+
+test('a fiat invoice keeps the rate it was converted at', async () => {
+    const rate = await price.getBtcPrice('HNL');
+    const amountSats = price.fiatToSats(250, rate);
+    const { bolt11: pr, paymentHash, expiresInSecs } = await lightning.createDonationInvoice(
+        amountSats, 'Donation to Reviews Raffle - 250.00 HNL', { fiat: { currency: 'HNL', amount: 250, rate } });
+
+    assertEqual(bolt11.decode(pr).amountSats, amountSats);
+    assertEqual(expiresInSecs, 3600);
+    const deposit = db.getDepositAddressByPaymentHash(paymentHash);
+    assertEqual(deposit.fiat_currency, 'HNL');
+    assertEqual(deposit.fiat_amount, 250);
+    assertEqual(deposit.fiat_rate, 1_510_000);
+    assertEqual(deposit.memo, 'Donation to Reviews Raffle - 250.00 HNL');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
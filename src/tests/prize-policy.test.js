@@ -0,0 +1,232 @@
+/**
+ * Prize policy tests
+ * Run with: npm test
+ *
+ * Tests the prize policy rules:
+ *  - Percent and fixed pools, min/max caps and the reserve floor
+ *  - Location overrides and the default location fallback
+ *  - Per-winner allocation never dips into the reserve
+ *  - Invalid policies are rejected with a readable message
+ */
+
+'use strict';
+
+const prizePolicy = require('../services/prize-policy');
+const prizes = require('../services/prizes');
+const locations = require('../../locations.config');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } catch (e) {
+        console.error(`  ❌ ${name}\n     ${e.message}`);
+        failures.push({ name, error: e.message });
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertThrows(fn, pattern, msg) {
+    let error = null;
+    try { fn(); } catch (e) { error = e; }
+    if (!error) throw new Error(msg || 'Expected function to throw');
+    if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${msg || 'Wrong error'}: "${error.message}" does not match ${pattern}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const DEFAULT_SLUG = (locations.find(l => l.isDefault) || locations[0]).slug;
+const OTHER_SLUG = locations.find(l => l.slug !== DEFAULT_SLUG).slug;
+
+function policy(fields) {
+    return prizePolicy.parsePrizePolicy({ ...prizePolicy.DEFAULT_PRIZE_POLICY, ...fields });
+}
+
+function pool(fund, fields, slug = null) {
+    return prizePolicy.computePrizePool(fund, prizePolicy.resolvePolicy(policy(fields), slug));
+}
+
+// ── computePrizePool() ────────────────────────────────────────────────────────
+
+console.log('\n💰 computePrizePool()');
+
+test('default policy pays half the fund, rounded down', () => {
+    assertEqual(pool(1001, {}).prizeSats, 500);
+    assertEqual(pool(0, {}).prizeSats, 0);
+});
+
+test('percentage applies to the fund above the reserve', () => {
+    const result = pool(10_000, { percent: 50, reserveSats: 2_000 });
+    assertEqual(result.spendableSats, 8_000);
+    assertEqual(result.prizeSats, 4_000);
+});
+
+test('fixed mode pays the fixed amount when the fund allows', () => {
+    assertEqual(pool(50_000, { mode: 'fixed', fixedSats: 21_000 }).prizeSats, 21_000);
+});
+
+test('fixed mode never pays out the reserve', () => {
+    const result = pool(25_000, { mode: 'fixed', fixedSats: 21_000, reserveSats: 10_000 });
+    assertEqual(result.prizeSats, 15_000);
+    assertEqual(result.limitedBy, 'reserve');
+});
+
+test('maximum caps the prize', () => {
+    const result = pool(1_000_000, { percent: 50, maxSats: 100_000 });
+    assertEqual(result.prizeSats, 100_000);
+    assertEqual(result.limitedBy, 'max');
+});
+
+test('minimum raises the prize when the fund allows', () => {
+    const result = pool(10_000, { percent: 10, minSats: 5_000 });
+    assertEqual(result.prizeSats, 5_000);
+    assertEqual(result.limitedBy, 'min');
+});
+
+test('minimum never beats the reserve', () => {
+    assertEqual(pool(4_000, { percent: 10, minSats: 5_000, reserveSats: 1_000 }).prizeSats, 3_000);
+});
+
+test('fund below the reserve pays nothing', () => {
+    const result = pool(500, { reserveSats: 1_000 });
+    assertEqual(result.spendableSats, 0);
+    assertEqual(result.prizeSats, 0);
+});
+
+// ── resolvePolicy() ───────────────────────────────────────────────────────────
+
+console.log('\n📍 resolvePolicy()');
+
+test('location override replaces only the fields it names', () => {
+    const p = policy({ percent: 50, maxSats: 100_000, locations: { [OTHER_SLUG]: { percent: 25 } } });
+    const effective = prizePolicy.resolvePolicy(p, OTHER_SLUG);
+    assertEqual(effective.percent, 25);
+    assertEqual(effective.maxSats, 100_000);
+    assertEqual(prizePolicy.resolvePolicy(p, DEFAULT_SLUG).percent, 50);
+});
+
+test('a null location is the default location', () => {
+    const p = policy({ locations: { [DEFAULT_SLUG]: { mode: 'fixed', fixedSats: 1_000 } } });
+    assertEqual(prizePolicy.resolvePolicy(p, null).locationSlug, DEFAULT_SLUG);
+    assertEqual(prizePolicy.computePrizePool(50_000, prizePolicy.resolvePolicy(p, null)).prizeSats, 1_000);
+});
+
+test('the reserve cannot be overridden per location', () => {
+    const p = policy({ reserveSats: 5_000, locations: { [OTHER_SLUG]: { reserveSats: 0, percent: 20 } } });
+    assertEqual(prizePolicy.resolvePolicy(p, OTHER_SLUG).reserveSats, 5_000);
+});
+
+// ── allocateWinnerPrizes() ────────────────────────────────────────────────────
+
+console.log('\n🏆 allocateWinnerPrizes()');
+
+const TIERS = prizes.parsePrizeTiers([
+    { name: 'Grand prize', count: 1, percent: 70 },
+    { name: 'Runner-up', count: 3, percent: 10 }
+]);
+
+test('tiers split the pool of a single location', () => {
+    const winners = [0, 1, 1, 1].map(tier => ({ tier, locationSlug: DEFAULT_SLUG }));
+    const result = prizePolicy.allocateWinnerPrizes(20_000, winners, policy({}), TIERS);
+    assertEqual(JSON.stringify(result.prizes), JSON.stringify([7_000, 1_000, 1_000, 1_000]));
+    assertEqual(result.totalPrizeSats, 10_000);
+});
+
+test('each winner is paid under their own location policy', () => {
+    const p = policy({ percent: 50, locations: { [OTHER_SLUG]: { mode: 'fixed', fixedSats: 2_000 } } });
+    const result = prizePolicy.allocateWinnerPrizes(20_000, [
+        { tier: 0, locationSlug: OTHER_SLUG },
+        { tier: 1, locationSlug: null }
+    ], p, TIERS);
+    assertEqual(JSON.stringify(result.prizes), JSON.stringify([1_400, 1_000]));
+});
+
+test('prizes from several location pools never touch the reserve', () => {
+    // Both location pools ask for more than the 10,000 sats above the reserve
+    const p = policy({ mode: 'fixed', fixedSats: 12_000, reserveSats: 5_000, locations: { [OTHER_SLUG]: { fixedSats: 20_000 } } });
+    const tiers = prizes.parsePrizeTiers([{ name: 'Prize', count: 2, percent: 50 }]);
+    const result = prizePolicy.allocateWinnerPrizes(15_000, [
+        { tier: 0, locationSlug: DEFAULT_SLUG },
+        { tier: 0, locationSlug: OTHER_SLUG }
+    ], p, tiers);
+    assertEqual(JSON.stringify(result.prizes), JSON.stringify([5_000, 5_000]));
+    assertEqual(result.totalPrizeSats, 10_000);
+});
+
+test('an empty fund allocates nothing', () => {
+    const result = prizePolicy.allocateWinnerPrizes(0, [{ tier: 0, locationSlug: null }], policy({}), TIERS);
+    assertEqual(result.totalPrizeSats, 0);
+});
+
+// ── parsePrizePolicy() ────────────────────────────────────────────────────────
+
+console.log('\n🧾 parsePrizePolicy()');
+
+test('accepts the default policy and JSON strings', () => {
+    const p = prizePolicy.parsePrizePolicy(JSON.stringify(prizePolicy.DEFAULT_PRIZE_POLICY));
+    assertEqual(p.mode, 'percent');
+    assertEqual(p.percent, 50);
+    assertEqual(p.maxSats, null);
+});
+
+test('rejects bad modes, percents and amounts', () => {
+    assertThrows(() => policy({ mode: 'lottery' }), /mode/);
+    assertThrows(() => policy({ percent: 0 }), /percent/);
+    assertThrows(() => policy({ percent: 150 }), /percent/);
+    assertThrows(() => policy({ reserveSats: -1 }), /reserve/);
+    assertThrows(() => policy({ minSats: 1.5 }), /minimum/);
+    assertThrows(() => prizePolicy.parsePrizePolicy('not json'), /JSON/);
+});
+
+test('rejects a fixed prize without an amount', () => {
+    assertThrows(() => policy({ mode: 'fixed', fixedSats: 0 }), /fixed prize/);
+    assertThrows(() => policy({ locations: { [OTHER_SLUG]: { mode: 'fixed' } } }), /fixed prize/);
+});
+
+test('rejects a minimum above the maximum, including through an override', () => {
+    assertThrows(() => policy({ minSats: 10, maxSats: 5 }), /minimum/);
+    assertThrows(() => policy({ maxSats: 5, locations: { [OTHER_SLUG]: { minSats: 10 } } }), /minimum/);
+});
+
+test('rejects unknown locations', () => {
+    assertThrows(() => policy({ locations: { atlantis: { percent: 10 } } }), /unknown location/);
+});
+
+// ── describePolicy() ──────────────────────────────────────────────────────────
+
+console.log('\n📝 describePolicy()');
+
+test('describes every rule that applies', () => {
+    const effective = prizePolicy.resolvePolicy(policy({ percent: 40, minSats: 1_000, maxSats: 100_000, reserveSats: 5_000 }), null);
+    assertEqual(prizePolicy.describePolicy(effective), '40% of the fund, at least 1,000 sats, at most 100,000 sats, 5,000 sats always kept in reserve');
+    assertEqual(prizePolicy.describePolicy(prizePolicy.resolvePolicy(policy({ mode: 'fixed', fixedSats: 21_000 }), null)), '21,000 sats');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+console.log(`\n${'─'.repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failures.length > 0) {
+    console.error('\nFailed tests:');
+    failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+    process.exit(1);
+} else {
+    console.log('✅ All tests passed!\n');
+    process.exit(0);
+}
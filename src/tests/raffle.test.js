@@ -7,10 +7,13 @@
  *  - getNextRaffleBlock() / getCurrentRaffleBlock() math
  *  - Block-hash mod distribution (basic sanity check)
  *  - Edge cases: 1 ticket, max tickets
+ *  - Algorithm v2: multi-block seed, rejection sampling, uniform distribution
+ *  - v1 results stay reproducible
  */
 
 'use strict';
 
+const crypto = require('crypto');
 const bitcoin = require('../services/bitcoin');
 
 // ── Tiny test harness (no external deps) ──────────────────────────────────────
@@ -197,6 +200,123 @@ test('blocks remaining at exact raffle block → 2016 (start of next cycle)', ()
     assertEqual(remaining, 2016, 'At exact raffle block, 2016 blocks until next raffle');
 });
 
+// ── Test: algorithm versions ──────────────────────────────────────────────────
+
+console.log('\n🧬 Algorithm versions');
+
+test('v1 is frozen — known hash still gives the historical winner', () => {
+    assertEqual(bitcoin.selectWinnerIndex(REAL_BLOCK_HASH, 1000), 377, 'v1 index for 1000 tickets');
+    assertEqual(bitcoin.selectWinnerIndex(REAL_BLOCK_HASH, 7), 2, 'v1 index for 7 tickets');
+});
+
+test('selectWinner(1, ...) is exactly v1 and ignores later blocks', () => {
+    for (const count of [1, 7, 1000, 2016]) {
+        assertEqual(
+            bitcoin.selectWinner(1, [REAL_BLOCK_HASH, KNOWN_HASH_2, ALL_ONES], count),
+            bitcoin.selectWinnerIndex(REAL_BLOCK_HASH, count),
+            `v1 dispatch for ${count} tickets`
+        );
+    }
+});
+
+test('selectWinner(2, ...) dispatches to v2', () => {
+    const hashes = [REAL_BLOCK_HASH, KNOWN_HASH_2, ALL_ONES, ALL_ZEROS];
+    assertEqual(bitcoin.selectWinner(2, hashes, 1000), bitcoin.selectWinnerIndexV2(hashes, 1000));
+});
+
+test('unknown algorithm version throws', () => {
+    assertThrows(() => bitcoin.selectWinner(99, [REAL_BLOCK_HASH], 10), 'Should reject unknown versions');
+});
+
+test('v2 needs extra blocks after the raffle block, v1 needs none', () => {
+    assertEqual(bitcoin.getExtraBlocksForAlgo(1), 0);
+    assertEqual(bitcoin.getExtraBlocksForAlgo(2), bitcoin.ALGO_V2_EXTRA_BLOCKS);
+    if (bitcoin.ALGO_V2_EXTRA_BLOCKS < 1) throw new Error('v2 must chain in at least one later block');
+});
+
+// ── Test: v2 seed ─────────────────────────────────────────────────────────────
+
+console.log('\n🔗 deriveDrawSeed()');
+
+const V2_HASHES = [REAL_BLOCK_HASH, KNOWN_HASH_2, ALL_ONES, ALL_ZEROS];
+
+test('single block seed is sha256 of the raw hash bytes', () => {
+    const expected = crypto.createHash('sha256').update(Buffer.from(REAL_BLOCK_HASH, 'hex')).digest('hex');
+    assertEqual(bitcoin.deriveDrawSeed([REAL_BLOCK_HASH]), expected);
+});
+
+test('seed chains each following block onto the previous seed', () => {
+    const seed0 = crypto.createHash('sha256').update(Buffer.from(REAL_BLOCK_HASH, 'hex')).digest();
+    const seed1 = crypto.createHash('sha256').update(Buffer.concat([seed0, Buffer.from(KNOWN_HASH_2, 'hex')])).digest('hex');
+    assertEqual(bitcoin.deriveDrawSeed([REAL_BLOCK_HASH, KNOWN_HASH_2]), seed1);
+});
+
+test('changing any later block changes the seed', () => {
+    const base = bitcoin.deriveDrawSeed(V2_HASHES);
+    for (let i = 1; i < V2_HASHES.length; i++) {
+        const altered = V2_HASHES.slice();
+        altered[i] = KNOWN_HASH_2.replace(/1$/, '2');
+        if (bitcoin.deriveDrawSeed(altered) === base) throw new Error(`seed ignored block ${i}`);
+    }
+});
+
+test('block order matters', () => {
+    const reordered = [V2_HASHES[0], V2_HASHES[2], V2_HASHES[1], V2_HASHES[3]];
+    if (bitcoin.deriveDrawSeed(reordered) === bitcoin.deriveDrawSeed(V2_HASHES)) {
+        throw new Error('swapping blocks did not change the seed');
+    }
+});
+
+test('empty block list throws', () => {
+    assertThrows(() => bitcoin.deriveDrawSeed([]), 'Should require at least one hash');
+});
+
+// ── Test: selectWinnerIndexV2 ─────────────────────────────────────────────────
+
+console.log('\n🎯 selectWinnerIndexV2()');
+
+test('returns null when totalTickets is 0', () => {
+    assertEqual(bitcoin.selectWinnerIndexV2(V2_HASHES, 0), null);
+});
+
+test('returns 0 when totalTickets is 1', () => {
+    assertEqual(bitcoin.selectWinnerIndexV2(V2_HASHES, 1), 0);
+});
+
+test('is deterministic and pinned for a known block set', () => {
+    const same = [REAL_BLOCK_HASH, REAL_BLOCK_HASH, REAL_BLOCK_HASH, REAL_BLOCK_HASH];
+    assertEqual(bitcoin.selectWinnerIndexV2(same, 1000), 837, 'pinned v2 index');
+    assertEqual(bitcoin.selectWinnerIndexV2(V2_HASHES, 1000), bitcoin.selectWinnerIndexV2(V2_HASHES, 1000));
+});
+
+test('result is always within valid range [0, totalTickets-1]', () => {
+    for (const count of [1, 2, 3, 10, 999, 2016, 10_000_000]) {
+        assertBetween(bitcoin.selectWinnerIndexV2(V2_HASHES, count), 0, count - 1, `count=${count}`);
+    }
+});
+
+test('rejection limit is the largest multiple of n within 2^256', () => {
+    const twoPow256 = 1n << 256n;
+    for (const count of [1, 3, 7, 1000, 2016, 10_000_000]) {
+        const { limit } = bitcoin.explainWinnerIndexV2(V2_HASHES, count);
+        const n = BigInt(count);
+        const limitBig = BigInt(limit);
+        assertEqual(limitBig % n, 0n, `limit divisible by ${count}`);
+        assertEqual(twoPow256 - limitBig < n, true, `limit is maximal for ${count}`);
+    }
+});
+
+test('accepted candidate is below the limit and maps to the index', () => {
+    const explained = bitcoin.explainWinnerIndexV2(V2_HASHES, 2016);
+    const last = explained.rounds[explained.rounds.length - 1];
+    assertEqual(last.accepted, true, 'last round accepted');
+    assertEqual(BigInt(last.candidate) < BigInt(explained.limit), true, 'candidate < limit');
+    assertEqual(Number(BigInt(last.candidate) % 2016n), explained.index, 'index = candidate mod n');
+    explained.rounds.slice(0, -1).forEach(r => {
+        if (r.accepted || BigInt(r.candidate) < BigInt(explained.limit)) throw new Error('earlier round should have been rejected');
+    });
+});
+
 // ── Test: distribution sanity (statistical) ──────────────────────────────────
 
 console.log('\n📊 Distribution sanity');
@@ -220,6 +340,130 @@ test('10 different sequential hashes spread across 10 buckets reasonably', () =>
     }
 });
 
+// Deterministic pseudo-random block sets so the statistical tests never flake
+function fakeBlockSet(round) {
+    return [0, 1, 2, 3].map(k => crypto.createHash('sha256').update(`block-${round}-${k}`).digest('hex'));
+}
+
+// Chi-square critical values at p = 0.001, keyed by ticket count (df = count - 1)
+const CHI_SQUARE_P001 = { 2: 10.83, 3: 13.82, 7: 22.46, 10: 27.88 };
+
+for (const ticketCount of [2, 3, 7, 10]) {
+    test(`v2 is uniform over ${ticketCount} tickets (chi-square, p=0.001)`, () => {
+        const rounds = ticketCount * 1000;
+        const counts = new Array(ticketCount).fill(0);
+        for (let i = 0; i < rounds; i++) {
+            counts[bitcoin.selectWinnerIndexV2(fakeBlockSet(i), ticketCount)]++;
+        }
+        const expected = rounds / ticketCount;
+        const chiSquare = counts.reduce((sum, c) => sum + (c - expected) ** 2 / expected, 0);
+        if (chiSquare > CHI_SQUARE_P001[ticketCount]) {
+            throw new Error(`chi-square ${chiSquare.toFixed(2)} too high, counts ${JSON.stringify(counts)}`);
+        }
+    });
+}
+
+test('v2 picks every ticket over many draws', () => {
+    const TICKET_COUNT = 25;
+    const seen = new Set();
+    for (let i = 0; i < 1000; i++) seen.add(bitcoin.selectWinnerIndexV2(fakeBlockSet(i), TICKET_COUNT));
+    assertEqual(seen.size, TICKET_COUNT, 'every index should be reachable');
+});
+
+test('v2 is not skewed toward low indices', () => {
+    // With plain modulo, low indices are (very slightly) favoured; v2's mean
+    // index should sit at the midpoint within statistical noise.
+    const TICKET_COUNT = 1000;
+    const ROUNDS = 5000;
+    let sum = 0;
+    for (let i = 0; i < ROUNDS; i++) sum += bitcoin.selectWinnerIndexV2(fakeBlockSet(i), TICKET_COUNT);
+    const mean = sum / ROUNDS;
+    // σ of the mean ≈ 288.7 / √5000 ≈ 4.1 → allow ±5σ
+    assertBetween(mean, 499.5 - 20.5, 499.5 + 20.5, 'mean winning index');
+});
+
+// ── Test: selectWinners (multi-winner draws) ─────────────────────────────────
+
+console.log('\n🏆 selectWinners()');
+
+// Entrant keys with repeats: entrant "a" owns entries 0, 3, 6, ...
+function entrantKeys(count, people) {
+    return Array.from({ length: count }, (_, i) => 'entrant-' + (i % people));
+}
+
+test('first winner is the single-winner v2 result', () => {
+    for (let i = 0; i < 50; i++) {
+        const hashes = fakeBlockSet(i);
+        const [first] = bitcoin.selectWinners(2, hashes, entrantKeys(40, 13), 4);
+        assertEqual(first, bitcoin.selectWinnerIndexV2(hashes, 40), `block set ${i}`);
+    }
+});
+
+test('winners are distinct entrants, not just distinct entries', () => {
+    const keys = entrantKeys(60, 7);
+    for (let i = 0; i < 50; i++) {
+        const positions = bitcoin.selectWinners(2, fakeBlockSet(i), keys, 5);
+        assertEqual(positions.length, 5, 'winner count');
+        assertEqual(new Set(positions.map(p => keys[p])).size, 5, `distinct entrants for block set ${i}`);
+    }
+});
+
+test('stops when the pool runs out of distinct entrants', () => {
+    const keys = entrantKeys(12, 3);
+    const positions = bitcoin.selectWinners(2, V2_HASHES, keys, 5);
+    assertEqual(positions.length, 3, 'only three people entered');
+    assertEqual(new Set(positions.map(p => keys[p])).size, 3);
+});
+
+test('is deterministic and explained round by round', () => {
+    const keys = entrantKeys(30, 30);
+    const positions = bitcoin.selectWinners(2, V2_HASHES, keys, 3);
+    const explained = bitcoin.explainWinnersV2(V2_HASHES, keys, 3);
+    assertEqual(JSON.stringify(explained.winners.map(w => w.position)), JSON.stringify(positions));
+    assertEqual(explained.seed, bitcoin.deriveDrawSeed(V2_HASHES));
+    explained.winners.forEach((w, i) => {
+        assertEqual(w.poolSize, 30 - i, `pool size for winner ${i}`);
+        assertEqual(w.rounds[w.rounds.length - 1].accepted, true, 'last round accepted');
+    });
+    // Counters carry on from one winner to the next
+    const counters = explained.winners.flatMap(w => w.rounds.map(r => r.counter));
+    counters.forEach((c, i) => assertEqual(c, i, 'counter sequence'));
+});
+
+test('drawing one more winner keeps every earlier winner (expiry redraws)', () => {
+    const keys = entrantKeys(40, 11);
+    for (let i = 0; i < 50; i++) {
+        const three = bitcoin.selectWinners(2, fakeBlockSet(i), keys, 3);
+        const four = bitcoin.selectWinners(2, fakeBlockSet(i), keys, 4);
+        assertEqual(JSON.stringify(four.slice(0, 3)), JSON.stringify(three), `block set ${i}`);
+        assertEqual(three.some(p => keys[p] === keys[four[3]]), false, `redraw skips earlier winners for block set ${i}`);
+    }
+});
+
+test('v1 draws a single winner only', () => {
+    const keys = entrantKeys(10, 10);
+    assertEqual(JSON.stringify(bitcoin.selectWinners(1, [REAL_BLOCK_HASH], keys, 1)), JSON.stringify([bitcoin.selectWinnerIndex(REAL_BLOCK_HASH, 10)]));
+    assertThrows(() => bitcoin.selectWinners(1, [REAL_BLOCK_HASH], keys, 2), 'v1 cannot draw several winners');
+});
+
+test('no entries or no prizes gives no winners', () => {
+    assertEqual(bitcoin.selectWinners(2, V2_HASHES, [], 3).length, 0);
+    assertEqual(bitcoin.selectWinners(2, V2_HASHES, entrantKeys(5, 5), 0).length, 0);
+});
+
+test('later winners are uniform over the remaining entries', () => {
+    // Five people with one entry each: by symmetry every entry should come
+    // second 1/5 of the time (σ ≈ 25 over 4000 draws → allow ±6σ).
+    const keys = entrantKeys(5, 5);
+    const counts = new Array(5).fill(0);
+    const ROUNDS = 4000;
+    for (let i = 0; i < ROUNDS; i++) {
+        const [, second] = bitcoin.selectWinners(2, fakeBlockSet(i), keys, 2);
+        counts[second]++;
+    }
+    counts.forEach((c, i) => assertBetween(c, ROUNDS / 5 - 150, ROUNDS / 5 + 150, `entry ${i} as second winner`));
+});
+
 // ── Summary ───────────────────────────────────────────────────────────────────
 
 console.log(`\n${'─'.repeat(50)}`);
@@ -0,0 +1,213 @@
+/**
+ * Review extractor tests
+ * Run with: npm test
+ *
+ * Tests reading reviews off review sites, offline:
+ *  - Links are matched to an extractor by domain, subdomains included
+ *  - TripAdvisor, Yelp, Trustpilot and Facebook pages give the review text,
+ *    rating, author and place name (saved pages in services/review-extractors/fixtures)
+ *  - The right review is picked when a page lists several
+ *  - Pages that can't be loaded or have no review come back as failures
+ *
+ * Nothing is fetched: the page loader is replaced with one that reads the saved pages.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const reviewExtractors = require('../services/review-extractors');
+const html = require('../services/review-extractors/html');
+const tripadvisor = require('../services/review-extractors/tripadvisor');
+const yelp = require('../services/review-extractors/yelp');
+const trustpilot = require('../services/review-extractors/trustpilot');
+const facebook = require('../services/review-extractors/facebook');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'services', 'review-extractors', 'fixtures');
+const page = (name) => fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+
+const URLS = {
+    tripadvisor: 'https://www.tripadvisor.com/ShowUserReviews-g292019-d1234567-r912345678-Beach_Shack-West_Bay_Roatan_Bay_Islands.html',
+    yelp: 'https://www.yelp.com/biz/bayman-coffee-roatan?hrid=Xk2v9QabcD',
+    trustpilot: 'https://www.trustpilot.com/reviews/66f1c0ffee0123456789abcd',
+    facebook: 'https://www.facebook.com/sundownersroatan/reviews/'
+};
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+section('🔗 Matching links');
+
+test('links are matched by domain, with or without subdomains', async () => {
+    assertEqual(reviewExtractors.findExtractor(URLS.tripadvisor).name, 'tripadvisor');
+    assertEqual(reviewExtractors.findExtractor('https://tripadvisor.co.uk/ShowUserReviews-g1-d2-r3-X.html').name, 'tripadvisor');
+    assertEqual(reviewExtractors.findExtractor('https://m.yelp.com/biz/bayman-coffee').name, 'yelp');
+    assertEqual(reviewExtractors.findExtractor('https://uk.trustpilot.com/reviews/abc').name, 'trustpilot');
+    assertEqual(reviewExtractors.findExtractor('https://m.facebook.com/beachshack/reviews').name, 'facebook');
+    assertEqual(reviewExtractors.findExtractor('https://maps.app.goo.gl/AbCdEf').name, 'google');
+    assertEqual(reviewExtractors.findExtractor('https://www.google.com/maps/reviews/data=x').name, 'google');
+});
+
+test('other sites and lookalike domains have no extractor', async () => {
+    assertEqual(reviewExtractors.findExtractor('https://www.opentable.com/r/beach-shack'), null);
+    assertEqual(reviewExtractors.findExtractor('https://notyelp.com/biz/x'), null);
+    assertEqual(reviewExtractors.findExtractor('https://yelp.com.evil.example/biz/x'), null);
+    assertEqual(reviewExtractors.findExtractor('not a url'), null);
+});
+
+// ── Saved pages ───────────────────────────────────────────────────────────────
+
+section('📄 Saved pages');
+
+test('TripAdvisor: the review named in the link, from the place\'s JSON-LD', async () => {
+    const review = tripadvisor.extract(page('tripadvisor'), URLS.tripadvisor);
+    assertEqual(review.reviewText, 'Bitcoin beach bar!\n\nFresh fish tacos and cold drinks right on the sand. We paid with bitcoin over lightning & it took two seconds.\nWill be back!');
+    assertEqual(review.rating, 5);
+    assertEqual(review.author, 'SatsOnTheSand');
+    assertEqual(review.placeName, 'Beach Shack');
+});
+
+test('TripAdvisor: another review id picks that review', async () => {
+    const review = tripadvisor.extract(page('tripadvisor'), URLS.tripadvisor.replace('r912345678', 'r900000001'));
+    assertEqual(review.author, 'TravelerTom');
+    assertEqual(review.rating, 2);
+});
+
+test('TripAdvisor: without JSON-LD, the link preview tags are used', async () => {
+    const bare = '<meta property="og:title" content="Beach Shack, West Bay - Restaurant Reviews - Tripadvisor">'
+        + '<meta property="og:description" content="Paid in sats, great tacos">';
+    const review = tripadvisor.extract(bare, URLS.tripadvisor);
+    assertEqual(review.reviewText, 'Paid in sats, great tacos');
+    assertEqual(review.placeName, 'Beach Shack');
+    assertEqual(review.rating, null);
+});
+
+test('Yelp: the highlighted review, with the author as a plain name', async () => {
+    const review = yelp.extract(page('yelp'), URLS.yelp);
+    assertEqual(review.reviewText.startsWith('Best iced latte on the island.'), true);
+    assertEqual(review.reviewText.includes('Lightning wallet — no card fees'), true, 'entities decoded');
+    assertEqual(review.rating, 4);
+    assertEqual(review.author, 'Maria G.');
+    assertEqual(review.placeName, 'Bayman Coffee');
+});
+
+test('Trustpilot: headline and body, with the company resolved from its @id', async () => {
+    const review = trustpilot.extract(page('trustpilot'), URLS.trustpilot);
+    assertEqual(review.reviewText.startsWith('Paid for my open water course in sats\n\nInstructors were patient'), true);
+    assertEqual(review.rating, 5);
+    assertEqual(review.author, 'Jon Diver');
+    assertEqual(review.placeName, 'Island Dive Center');
+});
+
+test('Facebook: the recommendation from the Open Graph tags, with no rating', async () => {
+    const review = facebook.extract(page('facebook'), URLS.facebook);
+    assertEqual(review.reviewText, 'Happy hour every day and they\'re set up for Lightning payments. Bartender showed us how to tip in sats!');
+    assertEqual(review.rating, null);
+    assertEqual(review.author, 'Ana López');
+    assertEqual(review.placeName, 'Sundowners Bar');
+});
+
+test('broken JSON-LD blocks are skipped, not fatal', async () => {
+    const broken = '<script type="application/ld+json">{ not json</script>' + page('yelp');
+    assertEqual(html.findJsonLd(broken).some(o => html.isType(o, 'LocalBusiness')), true);
+    assertEqual(html.findReviews('<p>no data</p>').length, 0);
+});
+
+// ── Extracting ────────────────────────────────────────────────────────────────
+
+section('🔎 Extracting');
+
+test('each platform is extracted through the registry, rendering where needed', async () => {
+    const loads = [];
+    reviewExtractors.setPageLoader(async (url, extractor) => {
+        loads.push(`${extractor.name}:${extractor.render}`);
+        return page(extractor.name);
+    });
+
+    for (const platform of ['tripadvisor', 'yelp', 'trustpilot', 'facebook']) {
+        const result = await reviewExtractors.extractReview(URLS[platform]);
+        assertEqual(result.success, true, platform);
+        assertEqual(result.platform, platform);
+        assertEqual(typeof result.reviewText, 'string');
+        assertEqual(typeof result.placeName, 'string');
+    }
+    assertEqual(loads.join(' '), 'tripadvisor:true yelp:true trustpilot:false facebook:false');
+    reviewExtractors.setPageLoader();
+});
+
+test('a page that fails to load, or has no review, is a failure', async () => {
+    reviewExtractors.setPageLoader(async () => { throw new Error('HTTP 403'); });
+    let result = await reviewExtractors.extractReview(URLS.trustpilot);
+    assertEqual(result.success, false);
+    assertEqual(result.platform, 'trustpilot');
+    assertEqual(result.error, 'Could not load the Trustpilot page: HTTP 403');
+
+    reviewExtractors.setPageLoader(async () => '<html><head><meta property="og:title" content="Bayman Coffee - Roatan - Yelp"></head></html>');
+    result = await reviewExtractors.extractReview(URLS.yelp);
+    assertEqual(result.success, false);
+    assertEqual(result.error, 'No review text found on the Yelp page');
+    assertEqual(result.placeName, 'Bayman Coffee - Roatan - Yelp', 'the place is still passed on');
+
+    result = await reviewExtractors.extractReview('https://www.opentable.com/r/beach-shack');
+    assertEqual(result.success, false);
+    assertEqual(result.platform, null);
+    reviewExtractors.setPageLoader();
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+run().then(() => {
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
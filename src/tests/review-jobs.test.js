@@ -0,0 +1,308 @@
+/**
+ * Review job queue tests
+ * Run with: npm test
+ *
+ * Tests the persistent scrape-and-validate queue:
+ *  - Queued tickets are validated and the verdict lands on the ticket
+ *  - A ticket is only queued once at a time, and pending tickets can be queued in bulk
+ *  - Failures are retried with backoff, kept in the error history, and give up after MAX_ATTEMPTS
+ *  - Reviews are read off their page when the site has an extractor, or else from the pasted text
+ *  - Unreadable reviews, and approved ones copying another ticket's text, stay pending for an admin
+ *  - Jobs can be queued again, run with limited concurrency, and survive a restart
+ *
+ * Nothing is fetched: review pages come from the extractors' saved pages or
+ * fail to load, verdicts come from the rule-based validator, and the other
+ * tests stand in for the whole job.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-jobs-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'jobs.db');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.OPENAI_API_KEY;
+delete process.env.OPENAI_BASE_URL;
+
+const db = require('../services/database');
+const reviewExtractors = require('../services/review-extractors');
+const reviewJobs = require('../services/review-jobs');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const GOOD_REVIEW = 'Great baleadas by the beach, and I paid with bitcoin over lightning in seconds.';
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const savedPage = (name) => fs.readFileSync(path.join(__dirname, '..', 'services', 'review-extractors', 'fixtures', `${name}.html`), 'utf8');
+
+// No review page can be loaded unless a test says otherwise
+const offline = async () => { throw new Error('offline'); };
+reviewExtractors.setPageLoader(offline);
+
+// A pending ticket, as POST /api/submit leaves it in ai_assisted mode
+function pendingTicket(reviewLink, reviewText = null) {
+    const { id } = db.createTicket(null, reviewLink, reviewText, 'Beach Shack', null, true, true, 'roatan');
+    db.validateTicket(id, false, null);
+    return id;
+}
+
+// Wait for the workers enqueue() started to run out of due jobs
+async function settle() {
+    for (let i = 0; i < 200; i++) {
+        await sleep(5);
+        if (db.getReviewJobCounts().running === 0) return;
+    }
+    throw new Error('review jobs never settled');
+}
+
+function jobFor(ticketId) {
+    return reviewJobs.listJobs().find(job => job.ticket_id === ticketId);
+}
+
+// ── Processing ────────────────────────────────────────────────────────────────
+
+section('📥 Processing');
+
+test('pending tickets are queued in bulk, once each', async () => {
+    const first = pendingTicket('https://www.tripadvisor.com/r/1', GOOD_REVIEW);
+    const second = pendingTicket('https://www.tripadvisor.com/r/2', GOOD_REVIEW);
+    reviewJobs.setProcessor(() => sleep(20).then(() => 'ok'));
+
+    const result = reviewJobs.revalidateAllPending();
+    assertEqual(result.queued, 2);
+    assertEqual(reviewJobs.enqueue(first), null, 'already queued or running');
+    assertEqual(reviewJobs.revalidateAllPending().skipped, 2);
+
+    await settle();
+    assertEqual(jobFor(first).status, 'done');
+    assertEqual(jobFor(second).result, 'ok');
+    reviewJobs.setProcessor();
+});
+
+test('a queued review is validated and the verdict lands on the ticket', async () => {
+    db.setSetting('review_validator_chain', 'rules');
+    // The Yelp page can't be loaded, so the pasted text is judged instead
+    const ticketId = pendingTicket('https://www.yelp.com/biz/beach-shack', GOOD_REVIEW);
+
+    reviewJobs.enqueue(ticketId);
+    await settle();
+
+    const job = jobFor(ticketId);
+    assertEqual(job.status, 'done');
+    assertEqual(job.attempts, 1);
+    assertEqual(job.result.startsWith('Approved by rules'), true);
+    const ticket = db.getTicketById(ticketId);
+    assertEqual(ticket.is_valid, 1);
+    assertEqual(ticket.validated_by, 'rules');
+    assertEqual(db.getReviewValidations(ticketId).length, 1, 'the transcript is stored too');
+});
+
+test('a review read off its page is stored on the ticket and validated', async () => {
+    reviewExtractors.setPageLoader(async () => savedPage('trustpilot'));
+    const ticketId = pendingTicket('https://www.trustpilot.com/reviews/66f1c0ffee0123456789abcd');
+
+    reviewJobs.enqueue(ticketId);
+    await settle();
+    reviewExtractors.setPageLoader(offline);
+
+    assertEqual(jobFor(ticketId).status, 'done');
+    const ticket = db.getTicketById(ticketId);
+    assertEqual(ticket.review_text.startsWith('Paid for my open water course in sats'), true);
+    assertEqual(ticket.merchant_name, 'Island Dive Center');
+    assertEqual(ticket.review_platform, 'trustpilot');
+    assertEqual(ticket.review_rating, 5);
+    assertEqual(ticket.review_author, 'Jon Diver');
+    assertEqual(ticket.is_valid, 1);
+});
+
+test('an approved review whose text copies another ticket is held for an admin', async () => {
+    // The same words as the approved ticket above, for another place
+    const ticketId = pendingTicket('https://www.yelp.com/biz/bayman-coffee', GOOD_REVIEW);
+
+    reviewJobs.enqueue(ticketId);
+    await settle();
+
+    const job = jobFor(ticketId);
+    assertEqual(job.status, 'done');
+    assertEqual(job.result.startsWith('Held for an admin: approved by rules, but review text 100% similar to ticket #'), true);
+    const ticket = db.getTicketById(ticketId);
+    assertEqual(ticket.similar_to !== null, true);
+    assertEqual(ticket.is_valid, 0);
+    assertEqual(ticket.validation_reason, null, 'still pending');
+});
+
+test('a review page that fails to load, with nothing pasted, is retried', async () => {
+    const ticketId = pendingTicket('https://www.tripadvisor.com/ShowUserReviews-g1-d2-r3-Beach_Shack.html');
+    db.createReviewJob(ticketId, reviewJobs.MAX_ATTEMPTS);
+
+    const [result] = await reviewJobs.processJobs();
+    assertEqual(result.outcome, 'retry');
+    assertEqual(result.error, 'Scrape failed: Could not load the TripAdvisor page: offline');
+    assertEqual(db.getTicketById(ticketId).review_platform, null);
+});
+
+test('a review that cannot be read fails straight away and stays pending', async () => {
+    const ticketId = pendingTicket('https://www.opentable.com/r/beach-shack');
+
+    reviewJobs.enqueue(ticketId);
+    await settle();
+
+    const job = jobFor(ticketId);
+    assertEqual(job.status, 'failed');
+    assertEqual(job.attempts, 1, 'not retried');
+    assertEqual(job.last_error, 'Not a review site we can read, and no review text was pasted');
+    assertEqual(db.getTicketById(ticketId).validation_reason, null, 'left for an admin');
+});
+
+// ── Retries ───────────────────────────────────────────────────────────────────
+
+section('🔁 Retries');
+
+test('a failure is retried later, with the error kept', async () => {
+    reviewJobs.setProcessor(async () => { throw new Error('Scrape failed: timeout'); });
+    const ticketId = pendingTicket('https://maps.app.goo.gl/retry');
+    const jobId = db.createReviewJob(ticketId, reviewJobs.MAX_ATTEMPTS);
+
+    const now = Date.now();
+    const [result] = await reviewJobs.processJobs(now);
+    assertEqual(result.outcome, 'retry');
+    assertEqual(result.nextAt, new Date(now + reviewJobs.retryDelay(1)).toISOString());
+
+    const job = jobFor(ticketId);
+    assertEqual(job.id, jobId);
+    assertEqual(job.status, 'queued');
+    assertEqual(job.errors.length, 1);
+    assertEqual(job.errors[0].attempt, 1);
+    assertEqual(job.errors[0].error, 'Scrape failed: timeout');
+    assertEqual((await reviewJobs.processJobs()).length, 0, 'not due yet');
+    assertEqual(reviewJobs.retryDelay(3), 4 * 60 * 1000);
+    assertEqual(reviewJobs.retryDelay(20), 60 * 60 * 1000, 'capped at an hour');
+});
+
+test('a job gives up after MAX_ATTEMPTS and can be queued again', async () => {
+    const ticketId = pendingTicket('https://maps.app.goo.gl/gives-up');
+    db.createReviewJob(ticketId, reviewJobs.MAX_ATTEMPTS);
+    // A clock a day behind makes every retry due straight away
+    await reviewJobs.processJobs(Date.now() - 24 * 60 * 60 * 1000);
+
+    let job = jobFor(ticketId);
+    assertEqual(job.status, 'failed');
+    assertEqual(job.attempts, reviewJobs.MAX_ATTEMPTS);
+    assertEqual(job.errors.length, reviewJobs.MAX_ATTEMPTS);
+
+    reviewJobs.setProcessor(async () => 'Approved on the second go');
+    assertEqual(reviewJobs.requeue(job.id), true);
+    await settle();
+    job = jobFor(ticketId);
+    assertEqual(job.status, 'done');
+    assertEqual(job.attempts, 1, 'a fresh set of attempts');
+    assertEqual(job.errors.length, reviewJobs.MAX_ATTEMPTS, 'the history is kept');
+
+    // The job from the test before is still waiting for its retry
+    const waiting = reviewJobs.listJobs({ status: 'queued' })[0];
+    assertEqual(reviewJobs.requeue(waiting.id), false, 'a queued job');
+});
+
+// ── Workers ───────────────────────────────────────────────────────────────────
+
+section('⚙️  Workers');
+
+test('no more jobs run at once than the concurrency setting', async () => {
+    db.setSetting('review_job_concurrency', '2');
+    let inFlight = 0;
+    let most = 0;
+    reviewJobs.setProcessor(async () => {
+        inFlight++;
+        most = Math.max(most, inFlight);
+        await sleep(15);
+        inFlight--;
+        return 'ok';
+    });
+
+    const tickets = [1, 2, 3, 4, 5].map(n => pendingTicket(`https://maps.app.goo.gl/c${n}`));
+    tickets.forEach(id => reviewJobs.enqueue(id));
+    await settle();
+
+    assertEqual(most, 2);
+    assertEqual(tickets.every(id => jobFor(id).status === 'done'), true);
+    db.setSetting('review_job_concurrency', '99');
+    assertEqual(reviewJobs.getConcurrency(), reviewJobs.MAX_CONCURRENCY, 'capped');
+    db.setSetting('review_job_concurrency', '1');
+});
+
+test('jobs a restart caught running go back in the queue', async () => {
+    const ticketId = pendingTicket('https://maps.app.goo.gl/restart');
+    db.createReviewJob(ticketId, reviewJobs.MAX_ATTEMPTS);
+    db.claimNextReviewJob();
+    assertEqual(jobFor(ticketId).status, 'running');
+
+    assertEqual(reviewJobs.recoverInterruptedJobs(), 1);
+    const job = jobFor(ticketId);
+    assertEqual(job.status, 'queued');
+    assertEqual(job.last_error, 'Interrupted by a restart');
+
+    await reviewJobs.processJobs();
+    assertEqual(jobFor(ticketId).status, 'done');
+    reviewJobs.setProcessor();
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
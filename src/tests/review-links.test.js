@@ -0,0 +1,245 @@
+/**
+ * Review link tests
+ * Run with: npm test
+ *
+ * Tests canonical review ids and duplicate detection:
+ *  - Short links are followed, and each platform's links give stable review and place ids
+ *  - Other links are tidied (tracking parameters, www., trailing slash) before comparing
+ *  - The same review from the same person is always turned away
+ *  - The same review from someone else is turned away or flagged, per duplicate_review_policy
+ *  - Tickets sharing an id are grouped into clusters, older tickets included after a scan
+ *
+ * Short links are followed on a local HTTP server, or by a stand-in.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-links-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'links.db');
+
+const db = require('../services/database');
+const reviewLinks = require('../services/review-links');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const REVIEW_ID = 'ChZDSUhNMG9nS0VJQ0FnSURxbW9yaWNnEAE';
+const GOOGLE_REVIEW = `https://www.google.com/maps/reviews/data=!4m8!14m7!1m6!2m5!1s${REVIEW_ID}!2m1!1s0x0:0x8aea2ba6c9ce23bd!3m1!1s2@1:CIHM0ogKEICAgIDqmoricg%7C%7C?hl=en&entry=ttu`;
+const GOOGLE_PLACE = 'https://www.google.com/maps/place/Beach+Shack/@16.31,-86.59,17z/data=!3m1!4b1!4m6!3m5!1s0x8f5e3e1a0b0c0d0e:0x8aea2ba6c9ce23bd!8m2!3d16.31!4d-86.59';
+const SHORT_LINK = 'https://maps.app.goo.gl/AbCdEf123';
+
+let userCount = 0;
+function newUser() {
+    userCount++;
+    return db.findOrCreateUser(`links${userCount}@example.com`, null, `token-${userCount}`).user;
+}
+
+// Submit a link the way POST /api/submit does; null if it was turned away
+async function submit(user, link) {
+    const canonical = await reviewLinks.canonicalize(link);
+    const duplicate = reviewLinks.checkDuplicate(canonical, user ? user.id : null);
+    if (duplicate.reject) return null;
+    const { id } = db.createTicket(user ? user.id : null, link, null, null, null, true, true, 'roatan');
+    reviewLinks.recordTicket(id, canonical, duplicate.duplicateOf);
+    return db.getTicketById(id);
+}
+
+// ── Canonical ids ─────────────────────────────────────────────────────────────
+
+section('🔗 Canonical ids');
+
+test('a Google review link names the review and its place', async () => {
+    const ids = reviewLinks.identify(GOOGLE_REVIEW);
+    assertEqual(ids.kind, 'review');
+    assertEqual(ids.canonicalReviewId, `google:review:${REVIEW_ID}`);
+    assertEqual(ids.canonicalPlaceId, 'google:cid:10009861117134644157');
+    assertEqual(reviewLinks.identify(GOOGLE_PLACE).canonicalPlaceId, ids.canonicalPlaceId, 'the place link agrees');
+    assertEqual(reviewLinks.identify(GOOGLE_PLACE).kind, 'place');
+    assertEqual(reviewLinks.identify('https://maps.google.com/?cid=10009861117134644157').canonicalPlaceId, ids.canonicalPlaceId, 'so does ?cid=');
+});
+
+test('each platform\'s review links give the review id', async () => {
+    assertEqual(reviewLinks.identify('https://www.tripadvisor.com/ShowUserReviews-g292019-d1234567-r912345678-Beach_Shack.html').canonicalReviewId, 'tripadvisor:review:912345678');
+    assertEqual(reviewLinks.identify('https://www.tripadvisor.co.uk/ShowUserReviews-g292019-d1234567-r912345678-Beach_Shack.html').canonicalReviewId, 'tripadvisor:review:912345678', 'any TripAdvisor site');
+    assertEqual(reviewLinks.identify('https://m.yelp.com/biz/Bayman-Coffee-Roatan?hrid=Xk2v9Q&utm_source=share').canonicalReviewId, 'yelp:review:Xk2v9Q');
+    assertEqual(reviewLinks.identify('https://www.yelp.com/biz/bayman-coffee-roatan').canonicalReviewId, 'yelp:place:bayman-coffee-roatan');
+    assertEqual(reviewLinks.identify('https://uk.trustpilot.com/reviews/66F1C0FFEE0123456789ABCD').canonicalReviewId, 'trustpilot:review:66f1c0ffee0123456789abcd');
+    assertEqual(reviewLinks.identify('https://www.facebook.com/permalink.php?story_fbid=pfbid02abc&id=1000123').canonicalReviewId, 'facebook:review:pfbid02abc');
+    assertEqual(reviewLinks.identify('https://www.facebook.com/sundowners/posts/pfbid02abc').canonicalReviewId, 'facebook:review:pfbid02abc');
+});
+
+test('other links are tidied before comparing', async () => {
+    const a = reviewLinks.identify('https://www.opentable.com/r/beach-shack/?utm_source=x&fbclid=abc#reviews');
+    const b = reviewLinks.identify('https://opentable.com/r/beach-shack');
+    assertEqual(a.kind, 'url');
+    assertEqual(a.canonicalReviewId, 'url:opentable.com/r/beach-shack');
+    assertEqual(b.canonicalReviewId, a.canonicalReviewId);
+    assertEqual(reviewLinks.identify('not a link'), null);
+});
+
+test('short links are followed to the review they point at', async () => {
+    reviewLinks.setResolver(async () => GOOGLE_REVIEW);
+    const ids = await reviewLinks.canonicalize(SHORT_LINK);
+    assertEqual(ids.canonicalReviewId, `google:review:${REVIEW_ID}`);
+    assertEqual(ids.resolvedUrl, GOOGLE_REVIEW);
+
+    reviewLinks.setResolver(async () => { throw new Error('should not be called'); });
+    assertEqual((await reviewLinks.canonicalize(GOOGLE_PLACE)).kind, 'place', 'full links are left alone');
+    reviewLinks.setResolver();
+});
+
+test('redirects are followed without loading the page', async () => {
+    let finalHits = 0;
+    const server = http.createServer((req, res) => {
+        if (req.url === '/short') {
+            res.writeHead(302, { Location: '/hop' });
+        } else if (req.url === '/hop') {
+            res.writeHead(301, { Location: `http://127.0.0.1:${server.address().port}/final?cid=1` });
+        } else {
+            finalHits++;
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+        }
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        assertEqual(await reviewLinks.followRedirects(`${base}/short`), `${base}/final?cid=1`);
+        assertEqual(finalHits, 1);
+        assertEqual(await reviewLinks.followRedirects('http://127.0.0.1:1/nothing-here'), 'http://127.0.0.1:1/nothing-here', 'unchanged when it fails');
+    } finally {
+        server.close();
+    }
+});
+
+// ── Duplicates ────────────────────────────────────────────────────────────────
+
+section('🧬 Duplicates');
+
+test('the same review from the same person is turned away, short link or long', async () => {
+    const user = newUser();
+    const first = await submit(user, GOOGLE_REVIEW);
+    assertEqual(first.canonical_review_id, `google:review:${REVIEW_ID}`);
+    assertEqual(first.duplicate_of, null);
+
+    reviewLinks.setResolver(async () => GOOGLE_REVIEW);
+    assertEqual(await submit(user, SHORT_LINK), null);
+    reviewLinks.setResolver();
+    assertEqual(await submit(user, GOOGLE_PLACE), null, 'one review per place per person');
+});
+
+test('the same review from someone else is turned away under the reject policy', async () => {
+    assertEqual(reviewLinks.getPolicy(), 'reject', 'the default');
+    assertEqual(await submit(newUser(), `${GOOGLE_REVIEW}&utm_source=whatsapp`), null);
+});
+
+test('under the flag policy it is kept, pointing at the first ticket', async () => {
+    db.setSetting('duplicate_review_policy', 'flag');
+    const ticket = await submit(newUser(), GOOGLE_REVIEW);
+    const first = db.findTicketsByCanonicalId(`google:review:${REVIEW_ID}`)[0];
+    assertEqual(ticket.duplicate_of, first.id);
+    db.setSetting('duplicate_review_policy', 'reject');
+});
+
+test('links that only name a place are flagged, never turned away', async () => {
+    const first = await submit(newUser(), 'https://www.yelp.com/biz/bayman-coffee-roatan');
+    const second = await submit(newUser(), 'https://m.yelp.com/biz/bayman-coffee-roatan/');
+    assertEqual(first.duplicate_of, null);
+    assertEqual(second.duplicate_of, first.id);
+});
+
+test('different reviews of the same place by different people are not duplicates', async () => {
+    const ticket = await submit(newUser(), GOOGLE_REVIEW.replace(REVIEW_ID, 'ChdDSUhNMG9nS0VJQ0FnSUR4c2FiY2RlZhAB'));
+    assertEqual(ticket.duplicate_of, null);
+});
+
+// ── Clusters ──────────────────────────────────────────────────────────────────
+
+section('🗂️  Clusters');
+
+test('tickets sharing an id are grouped, with how many people sent them', async () => {
+    const clusters = reviewLinks.listClusters();
+    const google = clusters.find(c => c.canonicalReviewId === `google:review:${REVIEW_ID}`);
+    assertEqual(google.kind, 'review');
+    assertEqual(google.tickets.length, 2);
+    assertEqual(google.users, 2);
+    assertEqual(google.tickets[0].email, 'links1@example.com');
+    const yelp = clusters.find(c => c.canonicalReviewId === 'yelp:place:bayman-coffee-roatan');
+    assertEqual(yelp.kind, 'place');
+    assertEqual(clusters[0].canonicalReviewId, yelp.canonicalReviewId, 'most recent first');
+});
+
+test('older tickets are scanned and their repeats flagged', async () => {
+    // As submitted before canonical ids were stored
+    const older = db.createTicket(newUser().id, 'https://www.trustpilot.com/reviews/66f1c0ffee0123456789abcd', null, null, null, true, true, 'roatan');
+    const repeat = db.createTicket(newUser().id, 'https://www.trustpilot.com/reviews/66f1c0ffee0123456789abcd?utm_medium=email', null, null, null, true, true, 'roatan');
+
+    const result = await reviewLinks.backfillCanonicalIds();
+    assertEqual(result.scanned, 2);
+    assertEqual(result.duplicates, 1);
+    assertEqual(db.getTicketById(repeat.id).duplicate_of, older.id);
+    assertEqual((await reviewLinks.backfillCanonicalIds()).scanned, 0, 'nothing left to scan');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
@@ -0,0 +1,191 @@
+/**
+ * Review similarity tests
+ * Run with: npm test
+ *
+ * Tests near-duplicate review text detection:
+ *  - Signatures ignore case, accents and punctuation, and skip texts too short to compare
+ *  - Light rewording scores high, different reviews score low
+ *  - A ticket close to an earlier one is flagged against it; the earlier one isn't
+ *  - The threshold setting decides what counts, and re-indexing replaces the flag
+ *  - Matches are found both ways, and older tickets are indexed on startup
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-similarity-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'similarity.db');
+
+const db = require('../services/database');
+const reviewSimilarity = require('../services/review-similarity');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+function assert(condition, msg) {
+    if (!condition) throw new Error(msg || 'assertion failed');
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const ORIGINAL = 'Great baleadas by the beach, and I paid with bitcoin over lightning in seconds. Friendly staff too!';
+const REWORDED = 'Great baleadas by the beach and I paid with Bitcoin over Lightning in seconds. Friendly staff!';
+const OTHER = 'Lovely coffee shop in West End, the barista showed me how to pay in sats with my phone.';
+
+function ticketWith(text, { email = null, merchant = 'Beach Shack' } = {}) {
+    const user = email ? db.findOrCreateUser(email, null, `token-${email}`).user : null;
+    const { id } = db.createTicket(user ? user.id : null, `https://maps.app.goo.gl/${Math.random().toString(36).slice(2)}`, text, merchant, null, true, true, 'roatan');
+    return id;
+}
+
+// ── Signatures ────────────────────────────────────────────────────────────────
+
+section('✍️  Signatures');
+
+test('case, accents and punctuation make no difference', async () => {
+    const a = reviewSimilarity.fingerprint('Pagué con bitcoin en la playa, ¡súper rápido y fácil!');
+    const b = reviewSimilarity.fingerprint('pague con BITCOIN en la playa super rapido y facil');
+    assertEqual(a.length, 64);
+    assertEqual(reviewSimilarity.similarity(a, b), 1);
+});
+
+test('texts too short to compare get no signature', async () => {
+    assertEqual(reviewSimilarity.fingerprint('Paid with bitcoin, great!'), null);
+    assertEqual(reviewSimilarity.fingerprint(''), null);
+});
+
+test('light rewording scores high, a different review low', async () => {
+    const original = reviewSimilarity.fingerprint(ORIGINAL);
+    assert(reviewSimilarity.similarity(original, reviewSimilarity.fingerprint(REWORDED)) >= 0.8, 'reworded');
+    assert(reviewSimilarity.similarity(original, reviewSimilarity.fingerprint(OTHER)) < 0.2, 'different');
+});
+
+// ── Flagging ──────────────────────────────────────────────────────────────────
+
+section('🪞 Flagging');
+
+let originalId;
+let copyId;
+
+test('a ticket close to an earlier one is flagged against it', async () => {
+    assertEqual(reviewSimilarity.getThreshold(), reviewSimilarity.DEFAULT_THRESHOLD);
+    originalId = ticketWith(ORIGINAL, { email: 'first@example.com' });
+    assertEqual(reviewSimilarity.indexTicket(originalId, ORIGINAL), null, 'nothing earlier');
+
+    copyId = ticketWith(REWORDED, { email: 'copier@example.com' });
+    const match = reviewSimilarity.indexTicket(copyId, REWORDED);
+    assertEqual(match.ticketId, originalId);
+
+    const copy = db.getTicketById(copyId);
+    assertEqual(copy.similar_to, originalId);
+    assertEqual(copy.text_similarity, match.similarity);
+    assertEqual(db.getTicketById(originalId).similar_to, null, 'the earlier ticket is not flagged');
+    assertEqual(reviewSimilarity.holdReason(copy), `review text ${Math.round(match.similarity * 100)}% similar to ticket #${originalId}`);
+    assertEqual(reviewSimilarity.holdReason(db.getTicketById(originalId)), null);
+});
+
+test('the same text for another merchant is flagged too', async () => {
+    const id = ticketWith(ORIGINAL, { email: 'first@example.com', merchant: 'Bayman Coffee' });
+    const match = reviewSimilarity.indexTicket(id, ORIGINAL);
+    assertEqual(match.ticketId, originalId);
+    assertEqual(match.similarity, 1);
+});
+
+test('a different review is not flagged', async () => {
+    const id = ticketWith(OTHER);
+    assertEqual(reviewSimilarity.indexTicket(id, OTHER), null);
+    assertEqual(db.getTicketById(id).similar_to, null);
+});
+
+test('matches are found both ways, closest first', async () => {
+    const fromOriginal = reviewSimilarity.findSimilar(originalId);
+    assertEqual(fromOriginal.length, 2);
+    assertEqual(fromOriginal[0].similarity, 1, 'the exact copy first');
+    assertEqual(fromOriginal[1].ticketId, copyId);
+    assertEqual(reviewSimilarity.findSimilar(copyId)[0].ticketId, originalId);
+});
+
+test('the threshold setting decides what counts', async () => {
+    db.setSetting('review_similarity_threshold', '0.99');
+    assertEqual(reviewSimilarity.indexTicket(copyId, REWORDED), null);
+    assertEqual(db.getTicketById(copyId).similar_to, null, 'the flag is replaced');
+    db.setSetting('review_similarity_threshold', 'nonsense');
+    assertEqual(reviewSimilarity.getThreshold(), reviewSimilarity.DEFAULT_THRESHOLD);
+    db.setSetting('review_similarity_threshold', String(reviewSimilarity.DEFAULT_THRESHOLD));
+});
+
+test('new text replaces the old: scraped text can clear a flag', async () => {
+    assertEqual(reviewSimilarity.indexTicket(copyId, REWORDED).ticketId, originalId);
+    const scraped = 'Snorkel trip was fun and the dive shop took lightning payments at the front desk.';
+    assertEqual(reviewSimilarity.indexTicket(copyId, scraped), null);
+    assertEqual(reviewSimilarity.findSimilar(originalId).some(m => m.ticketId === copyId), false);
+});
+
+test('tickets from before the index are indexed in order', async () => {
+    // As submitted before fingerprints were stored
+    const older = ticketWith(OTHER.replace('West End', 'West Bay'));
+    const short = ticketWith('Paid in sats!');
+    assertEqual(reviewSimilarity.indexMissing(), 1, 'the short one is skipped');
+    assertEqual(db.getTicketById(older).similar_to !== null, true, 'close to the earlier coffee review');
+    assertEqual(db.getReviewFingerprint(short), null);
+    assertEqual(reviewSimilarity.indexMissing(), 0, 'nothing left');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+db.initializeDatabase().then(() => run()).then(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
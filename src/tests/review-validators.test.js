@@ -0,0 +1,356 @@
+/**
+ * Review validator tests
+ * Run with: npm test
+ *
+ * Tests the review validator chain:
+ *  - The rule-based validator scores payment phrases in several languages, offline
+ *  - Negated phrases ("no aceptan bitcoin") count against a review
+ *  - The chain is checked, and the first validator that answers gives the verdict
+ *  - A validator that errors hands over to the next instead of rejecting the review
+ *  - Tickets record which validator judged them
+ *  - Every attempt is stored with its prompt version, model, raw reply and latency
+ *  - Prompts come from versioned files, and the evaluation scores a validator
+ *
+ * The OpenAI-compatible endpoint is played by a local HTTP server.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-validators-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'reviews.db');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.OPENAI_API_KEY;
+delete process.env.OPENAI_BASE_URL;
+
+const db = require('../services/database');
+const validators = require('../services/review-validators');
+const { createOpenAiValidator } = require('../services/review-validators/openai');
+const { createRulesValidator, scoreReview } = require('../services/review-validators/rules');
+const llm = require('../services/review-validators/llm');
+const reviewEval = require('../services/review-validators/eval');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertThrows(fn, msg) {
+    try {
+        fn();
+    } catch (err) {
+        return err;
+    }
+    throw new Error(`${msg || 'assertThrows failed'}: nothing was thrown`);
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+// An OpenAI-compatible chat completions endpoint; `reply` decides what it answers
+const llmServer = {
+    server: null,
+    requests: [],
+    reply: null,
+    url() {
+        return `http://127.0.0.1:${this.server.address().port}/v1`;
+    }
+};
+
+function startLlmServer() {
+    return new Promise((resolve) => {
+        llmServer.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                llmServer.requests.push({ path: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+                const { status, content } = llmServer.reply;
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(status === 200 ? JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }) : '{"error":"overloaded"}');
+            });
+        });
+        llmServer.server.listen(0, '127.0.0.1', resolve);
+    });
+}
+
+const rules = createRulesValidator();
+const GOOD_REVIEW = 'Great baleadas by the beach, and I paid with bitcoin over lightning in seconds.';
+
+// ── Rule-based validator ──────────────────────────────────────────────────────
+
+section('📏 Rule-based validator');
+
+test('payment phrases count in several languages, accents or not', async () => {
+    for (const text of [
+        GOOD_REVIEW,
+        'Pagué con Bitcoin y todo salió perfecto, muy recomendado',
+        'pague con bitcoin, excelente servicio',
+        'Paguei com sats pela Lightning, atendimento ótimo',
+        'Wir haben mit Bitcoin bezahlt, super Kaffee',
+        'Bitcoin accepted here, friendly staff!'
+    ]) {
+        const verdict = await rules.validate(text);
+        assertEqual(verdict.isValid, true, text);
+    }
+});
+
+test('a negated phrase counts against the review', async () => {
+    const verdict = await rules.validate('Lamentablemente ya no aceptan bitcoin, solo efectivo.');
+    assertEqual(verdict.isValid, false);
+    assertEqual(verdict.details.negated[0], 'aceptan bitcoin');
+    assertEqual((await rules.validate("They don't accept btc anymore, sadly")).isValid, false);
+});
+
+test('mentioning bitcoin is not paying with it', async () => {
+    const mention = await rules.validate('I love bitcoin and this place has a nice view');
+    assertEqual(mention.isValid, false);
+    assertEqual(mention.confidence, 'low');
+    const none = await rules.validate('Sat down for lunch, the fish was great');
+    assertEqual(none.isValid, false);
+    assertEqual(none.confidence, 'high');
+    assertEqual(scoreReview('Sat down for lunch').terms.length, 0, '"sat" is not sats');
+});
+
+// ── The chain ─────────────────────────────────────────────────────────────────
+
+section('⛓️  Validator chain');
+
+test('chains are checked and normalized', () => {
+    assertEqual(validators.parseChain(' OpenAI , rules ').join(','), 'openai,rules');
+    assertThrows(() => validators.parseChain('rules,gpt'), 'unknown name');
+    assertThrows(() => validators.parseChain('rules,rules'), 'repeated name');
+    assertThrows(() => validators.parseChain(''), 'empty chain');
+    assertEqual(validators.getChain().join(','), 'anthropic,openai,rules', 'the default');
+});
+
+test('unconfigured validators are skipped, so the rules answer offline', async () => {
+    const verdict = await validators.validateReview(GOOD_REVIEW, 'Beach Shack');
+    assertEqual(verdict.isValid, true);
+    assertEqual(verdict.validator, 'rules');
+    const described = validators.describeValidators();
+    assertEqual(described.find(v => v.name === 'anthropic').configured, false);
+    assertEqual(described.find(v => v.name === 'openai').reason, 'OPENAI_API_KEY or OPENAI_BASE_URL not set');
+});
+
+test('an OpenAI-compatible endpoint gives the verdict when it is first', async () => {
+    db.setSetting('review_validator_chain', 'openai,rules');
+    validators.setValidator('openai', createOpenAiValidator({ baseUrl: llmServer.url(), model: 'llama3' }));
+    llmServer.reply = {
+        status: 200,
+        content: '```json\n{"mentions_bitcoin_payment": false, "is_genuine_review": true, "confidence": "high", "reason": "No payment mentioned"}\n```'
+    };
+
+    const verdict = await validators.validateReview(GOOD_REVIEW);
+    assertEqual(verdict.validator, 'openai');
+    assertEqual(verdict.isValid, false, 'the model, not the rules');
+    assertEqual(verdict.reason, 'No payment mentioned');
+
+    const request = llmServer.requests[llmServer.requests.length - 1];
+    assertEqual(request.path, '/v1/chat/completions');
+    assertEqual(request.body.model, 'llama3');
+    assertEqual(request.auth, undefined, 'no key for a local server');
+    assertEqual(request.body.messages[0].content.includes(GOOD_REVIEW), true);
+});
+
+test('a validator that errors hands over to the next one', async () => {
+    llmServer.reply = { status: 503 };
+    const verdict = await validators.validateReview(GOOD_REVIEW);
+    assertEqual(verdict.validator, 'rules');
+    assertEqual(verdict.isValid, true);
+
+    llmServer.reply = { status: 200, content: 'Sure! The review looks good to me.' };
+    assertEqual((await validators.validateReview(GOOD_REVIEW)).validator, 'rules', 'unparseable reply');
+});
+
+test('with no validator left to answer, the review is left for an admin', async () => {
+    db.setSetting('review_validator_chain', 'anthropic,openai');
+    llmServer.reply = { status: 503 };
+    const verdict = await validators.validateReview(GOOD_REVIEW);
+    assertEqual(verdict.isValid, false);
+    assertEqual(verdict.validator, null);
+    assertEqual(verdict.confidence, 'low');
+    assertEqual(verdict.reason.includes('ANTHROPIC_API_KEY not set'), true);
+});
+
+test('too-short reviews are refused before any validator runs', async () => {
+    const seen = llmServer.requests.length;
+    const verdict = await validators.validateReview('ok');
+    assertEqual(verdict.isValid, false);
+    assertEqual(llmServer.requests.length, seen);
+});
+
+// ── Tickets ───────────────────────────────────────────────────────────────────
+
+section('🎟️  Tickets');
+
+test('tickets record which validator judged them', async () => {
+    db.setSetting('review_validator_chain', 'rules');
+    const { id } = db.createTicket(null, 'https://maps.app.goo.gl/abc', GOOD_REVIEW, 'Beach Shack', null, true, true, 'roatan');
+    const verdict = await validators.validateReview(GOOD_REVIEW);
+    db.validateTicket(id, verdict.isValid, verdict.reason, verdict.validator);
+    assertEqual(db.getTicketById(id).validated_by, 'rules');
+
+    db.validateTicket(id, false, 'Rejected by admin');
+    assertEqual(db.getTicketById(id).validated_by, null, "an admin's own decision");
+});
+
+// ── Transcripts ───────────────────────────────────────────────────────────────
+
+section('🧾 Transcripts');
+
+test('every attempt is stored against the ticket, failures included', async () => {
+    db.setSetting('review_validator_chain', 'openai,rules');
+    validators.setValidator('openai', createOpenAiValidator({ baseUrl: llmServer.url(), model: 'llama3' }));
+    llmServer.reply = { status: 200, content: 'Sure! The review looks good to me.' };
+    const { id } = db.createTicket(null, 'https://maps.app.goo.gl/def', GOOD_REVIEW, 'Beach Shack', null, true, true, 'roatan');
+
+    const verdict = await validators.validateReview(GOOD_REVIEW, 'Beach Shack', { ticketId: id });
+    const [won, failed] = db.getReviewValidations(id);
+    assertEqual(verdict.validationId, won.id);
+
+    assertEqual(failed.validator, 'openai');
+    assertEqual(failed.model, 'llama3');
+    assertEqual(failed.prompt_version, 'v1');
+    assertEqual(failed.raw_response, 'Sure! The review looks good to me.', 'what the model said');
+    assertEqual(failed.error.startsWith('Unparseable model reply'), true);
+    assertEqual(failed.verdict, null);
+
+    assertEqual(won.validator, 'rules');
+    assertEqual(won.prompt_version, null, 'the rules use no prompt');
+    assertEqual(won.is_valid, 1);
+    assertEqual(won.confidence, verdict.confidence);
+    assertEqual(JSON.parse(won.verdict).details.phrases.length > 0, true);
+    assertEqual(typeof won.latency_ms, 'number');
+});
+
+test('a parsed reply is stored raw and parsed', async () => {
+    const content = '{"mentions_bitcoin_payment": true, "is_genuine_review": true, "confidence": "medium", "reason": "Paid with lightning"}';
+    llmServer.reply = { status: 200, content };
+    const { id } = db.createTicket(null, 'https://maps.app.goo.gl/ghi', GOOD_REVIEW, 'Beach Shack', null, true, true, 'roatan');
+
+    await validators.validateReview(GOOD_REVIEW, 'Beach Shack', { ticketId: id });
+    const [row] = db.getReviewValidations(id);
+    assertEqual(row.validator, 'openai');
+    assertEqual(row.raw_response, content);
+    assertEqual(row.reason, 'Paid with lightning');
+    assertEqual(JSON.parse(row.verdict).details.is_genuine_review, true);
+});
+
+// ── Prompts and evaluation ────────────────────────────────────────────────────
+
+section('🧪 Prompts and evaluation');
+
+test('prompts come from versioned files', () => {
+    assertEqual(llm.listPromptVersions().includes('v1'), true);
+    const prompt = llm.buildPrompt('Paid {{merchant_line}} in sats', 'Beach Shack', 'v1');
+    assertEqual(prompt.includes('"""\nPaid {{merchant_line}} in sats\n"""'), true, 'review text is left alone');
+    assertEqual(prompt.includes('Merchant name: Beach Shack'), true);
+    assertEqual(llm.buildPrompt('Paid in sats').includes('Merchant name'), false);
+    assertThrows(() => llm.buildPrompt('Paid in sats', null, 'v999'), 'unknown version');
+
+    db.setSetting('review_prompt_version', 'v999');
+    assertEqual(validators.getPromptVersion(), 'v1', 'a missing file falls back to the default');
+});
+
+test('precision and recall count valid as positive and leave errors out', async () => {
+    const fixtures = [
+        { id: 'a', text: 'tp', expected: true },
+        { id: 'b', text: 'fn', expected: true },
+        { id: 'c', text: 'fp', expected: false },
+        { id: 'd', text: 'tn', expected: false },
+        { id: 'e', text: 'tp', expected: true },
+        { id: 'f', text: 'boom', expected: true }
+    ];
+    const seen = [];
+    const stub = {
+        name: 'stub',
+        usesPrompt: true,
+        async validate(text, merchant, { promptVersion }) {
+            seen.push(promptVersion);
+            if (text === 'boom') throw new Error('down');
+            return { isValid: text === 'tp' || text === 'fp', reason: text, confidence: 'high' };
+        }
+    };
+
+    const report = await reviewEval.evaluate(stub, fixtures, { promptVersion: 'v1' });
+    assertEqual(report.errors, 1);
+    assertEqual(report.truePositives, 2);
+    assertEqual(report.falsePositives, 1);
+    assertEqual(report.falseNegatives, 1);
+    assertEqual(report.precision, 2 / 3);
+    assertEqual(report.recall, 2 / 3);
+    assertEqual(report.accuracy, 3 / 5);
+    assertEqual(seen.every(v => v === 'v1'), true, 'the chosen prompt is used');
+    const text = reviewEval.formatReport(report);
+    assertEqual(text.includes('Precision: 66.7%'), true);
+    assertEqual(text.includes('✗ f: error — down'), true);
+});
+
+test('the shipped fixtures load, with both labels', async () => {
+    const fixtures = reviewEval.loadFixtures();
+    assertEqual(fixtures.some(f => f.expected) && fixtures.some(f => !f.expected), true);
+    const report = await reviewEval.evaluate(rules, fixtures);
+    assertEqual(report.recall, 1, 'the rules pass every review that should pass');
+
+    const badFile = path.join(tmpDir, 'bad.json');
+    fs.writeFileSync(badFile, JSON.stringify([{ id: 'x', text: 'paid in sats' }]));
+    assertThrows(() => reviewEval.loadFixtures(badFile), 'missing label');
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+startLlmServer().then(() => db.initializeDatabase()).then(() => run()).then(() => {
+    llmServer.server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});
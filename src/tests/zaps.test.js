@@ -0,0 +1,282 @@
+/**
+ * Nostr zap (NIP-57) tests
+ * Run with: npm test
+ *
+ * Tests zapping the donation Lightning Address:
+ *  - Nostr events are signed and verified (NIP-01)
+ *  - The pay request advertises zaps only when a key is configured
+ *  - Zap requests are checked before an invoice is issued for them
+ *  - Paying a zap credits the fund and publishes a signed receipt (kind 9735)
+ *  - Zappers show up for the landing page
+ *
+ * Relays are played by a local WebSocket server; the node is the mock backend.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+
+// A throwaway database, set before anything loads services/database.js
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zaps-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'reviews.db');
+process.env.BASE_URL = 'https://raffle.example';
+process.env.NOSTR_PRIVATE_KEY = '11'.repeat(32);
+
+const db = require('../services/database');
+const ledger = require('../services/ledger');
+const lightning = require('../services/lightning');
+const backends = require('../services/lightning-backends');
+const bolt11 = require('../services/lightning-backends/bolt11');
+const { createMockBackend } = require('../services/lightning-backends/mock');
+const lnurlPay = require('../services/lnurl-pay');
+const nostr = require('../services/nostr');
+const zaps = require('../services/zaps');
+
+// ── Tiny test harness (no external deps) ──────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+const queue = [];
+
+// Tests are async here, so they are queued and run in order at the end
+function test(name, fn) {
+    queue.push({ name, fn });
+}
+
+function section(title) {
+    queue.push({ section: title });
+}
+
+async function run() {
+    for (const t of queue) {
+        if (t.section) {
+            console.log(`\n${t.section}`);
+            continue;
+        }
+        try {
+            await t.fn();
+            console.log(`  ✅ ${t.name}`);
+            passed++;
+        } catch (e) {
+            console.error(`  ❌ ${t.name}\n     ${e.message}`);
+            failures.push({ name: t.name, error: e.message });
+            failed++;
+        }
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    if (actual !== expected) {
+        throw new Error(`${msg || 'assertEqual failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+async function assertRejects(promise, code, msg) {
+    try {
+        await promise;
+    } catch (err) {
+        assertEqual(err.code, code, msg);
+        return err;
+    }
+    throw new Error(`${msg || 'assertRejects failed'}: expected ${code}, but it resolved`);
+}
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+const mock = createMockBackend();
+backends.setBackend(mock);
+
+// A relay stand-in: accepts every event and remembers which path it came in on
+const relay = {
+    server: null,
+    received: [],
+    waiters: [],
+    url(name) {
+        return `ws://127.0.0.1:${this.server.address().port}/${name}`;
+    },
+    // Resolves once `count` events have arrived in total
+    waitFor(count) {
+        if (this.received.length >= count) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`relay got ${this.received.length} of ${count} events`)), 3000);
+            this.waiters.push({ count, resolve: () => { clearTimeout(timer); resolve(); } });
+        });
+    }
+};
+
+function startRelay() {
+    return new Promise((resolve) => {
+        relay.server = new WebSocketServer({ host: '127.0.0.1', port: 0 }, resolve);
+        relay.server.on('connection', (socket, req) => {
+            socket.on('message', (data) => {
+                const [type, event] = JSON.parse(data.toString());
+                if (type !== 'EVENT') return;
+                relay.received.push({ path: req.url, event });
+                socket.send(JSON.stringify(['OK', event.id, true, '']));
+                relay.waiters = relay.waiters.filter(w => relay.received.length < w.count || (w.resolve(), false));
+            });
+        });
+    });
+}
+
+const zapperKey = '22'.repeat(32);
+const donate = lnurlPay.resolveHandle('donate');
+const sitePubkey = () => nostr.getPublicKey();
+
+function zapRequest({ amountMsat = 21_000, content = 'Zap for the raffle', tags = null, kind = 9734 } = {}) {
+    return nostr.signEvent({
+        kind,
+        content,
+        tags: tags || [
+            ['p', sitePubkey()],
+            ['e', 'ab'.repeat(32)],
+            ['amount', String(amountMsat)],
+            ['relays', relay.url('zapper')]
+        ]
+    }, zapperKey);
+}
+
+// ── Events ────────────────────────────────────────────────────────────────────
+
+section('🔑 Nostr events');
+
+test('the npub encoding matches NIP-19', () => {
+    assertEqual(
+        nostr.toNpub('3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d'),
+        'npub180cvv07tjdrrgpa0j7j7tmnyl2yr6yr7l8j4s3evf6u64th6gkwsyjh6w6'
+    );
+});
+
+test('signed events verify; tampered ones do not', () => {
+    const event = nostr.signEvent({ kind: 1, content: 'hello', tags: [] });
+    assertEqual(event.pubkey, sitePubkey());
+    assertEqual(nostr.verifyEvent(event), true);
+    assertEqual(nostr.verifyEvent({ ...event, content: 'hellO' }), false, 'content changed');
+    const otherSig = nostr.signEvent({ kind: 1, content: 'hello', tags: [] }, zapperKey).sig;
+    assertEqual(nostr.verifyEvent({ ...event, sig: otherSig }), false, 'signature swapped');
+});
+
+// ── Zap requests ──────────────────────────────────────────────────────────────
+
+section('📨 Zap requests');
+
+test('the pay request allows zaps with our key', () => {
+    const request = lnurlPay.getPayRequest(donate);
+    assertEqual(request.allowsNostr, true);
+    assertEqual(request.nostrPubkey, sitePubkey());
+});
+
+test('a zap invoice commits to the zap request, not the metadata', async () => {
+    const json = JSON.stringify(zapRequest());
+    const { pr } = await lnurlPay.createPayInvoice(donate, { amount: 21_000, nostr: json });
+    const decoded = bolt11.decode(pr);
+    assertEqual(decoded.descriptionHash, crypto.createHash('sha256').update(json).digest('hex'));
+    const deposit = db.getDepositAddressByPaymentHash(decoded.paymentHash);
+    assertEqual(deposit.zap_request, json);
+    assertEqual(deposit.zapper_pubkey, nostr.signEvent({ kind: 1 }, zapperKey).pubkey);
+    assertEqual(deposit.comment, 'Zap for the raffle', 'zap content is the comment');
+});
+
+test('bad zap requests are refused', async () => {
+    const forged = { ...zapRequest(), content: 'changed after signing' };
+    await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 21_000, nostr: JSON.stringify(forged) }), 'LNURL_INVALID', 'bad signature');
+    await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 21_000, nostr: JSON.stringify(zapRequest({ kind: 1 })) }), 'LNURL_INVALID', 'wrong kind');
+    await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 5_000, nostr: JSON.stringify(zapRequest()) }), 'LNURL_INVALID', 'amount mismatch');
+    await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 21_000, nostr: '{not json' }), 'LNURL_INVALID', 'not JSON');
+    const twoRecipients = zapRequest({ tags: [['p', sitePubkey()], ['p', 'cd'.repeat(32)]] });
+    await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 21_000, nostr: JSON.stringify(twoRecipients) }), 'LNURL_INVALID', 'two p tags');
+});
+
+test('zaps are refused when no Nostr key is configured', async () => {
+    const json = JSON.stringify(zapRequest());
+    const key = process.env.NOSTR_PRIVATE_KEY;
+    delete process.env.NOSTR_PRIVATE_KEY;
+    try {
+        assertEqual(lnurlPay.getPayRequest(donate).allowsNostr, undefined);
+        await assertRejects(lnurlPay.createPayInvoice(donate, { amount: 21_000, nostr: json }), 'LNURL_INVALID');
+    } finally {
+        process.env.NOSTR_PRIVATE_KEY = key;
+    }
+});
+
+// ── Receipts ──────────────────────────────────────────────────────────────────
+
+section('🧾 Zap receipts');
+
+test('paying a zap credits the fund and publishes the receipt', async () => {
+    const request = zapRequest({ amountMsat: 50_000, content: 'Pura vida' });
+    const json = JSON.stringify(request);
+    const { pr } = await lnurlPay.createPayInvoice(donate, { amount: 50_000, nostr: json });
+    const before = ledger.getFundSats();
+    const seen = relay.received.length;
+
+    await mock.settleInvoice(bolt11.decode(pr).paymentHash);
+    assertEqual(ledger.getFundSats(), before + 50);
+
+    // Once to NOSTR_RELAYS, once to the relay the zapper asked for
+    await relay.waitFor(seen + 2);
+    const published = relay.received.slice(seen);
+    assertEqual(published.map(r => r.path).sort().join(','), '/site,/zapper');
+
+    const receipt = published[0].event;
+    assertEqual(receipt.kind, 9735);
+    assertEqual(receipt.pubkey, sitePubkey());
+    assertEqual(nostr.verifyEvent(receipt), true, 'receipt signature');
+    const tag = (name) => (receipt.tags.find(t => t[0] === name) || [])[1];
+    assertEqual(tag('p'), sitePubkey());
+    assertEqual(tag('e'), 'ab'.repeat(32));
+    assertEqual(tag('P'), request.pubkey);
+    assertEqual(tag('bolt11'), pr);
+    assertEqual(tag('description'), json);
+    assertEqual(db.getDepositAddressByPaymentHash(bolt11.decode(pr).paymentHash).zap_receipt_id, receipt.id);
+});
+
+test('a relay that is down does not stop the receipt', async () => {
+    const deposit = db.getAllDepositAddresses().find(d => d.zap_receipt_id);
+    const relays = process.env.NOSTR_RELAYS;
+    process.env.NOSTR_RELAYS = `${relays},ws://127.0.0.1:1/down`;
+    try {
+        const results = await zaps.publishReceipt(deposit);
+        assertEqual(results.length, 3);
+        assertEqual(results.filter(r => r.ok).length, 2);
+    } finally {
+        process.env.NOSTR_RELAYS = relays;
+    }
+});
+
+test('zappers are listed with their npub and amount', () => {
+    const zappers = zaps.getRecentZappers();
+    assertEqual(zappers.length, 1, 'only paid zaps');
+    assertEqual(zappers[0].npub, nostr.toNpub(nostr.signEvent({ kind: 1 }, zapperKey).pubkey));
+    assertEqual(zappers[0].amountSats, 50);
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+startRelay().then(() => {
+    process.env.NOSTR_RELAYS = relay.url('site');
+    return db.initializeDatabase();
+}).then(() => {
+    // Subscribes to settlements
+    return lightning.warmDepositCache();
+}).then(() => run()).then(() => {
+    relay.server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log(`\n${'─'.repeat(50)}`);
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failures.length > 0) {
+        console.error('\nFailed tests:');
+        failures.forEach(f => console.error(`  • ${f.name}: ${f.error}`));
+        process.exit(1);
+    } else {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    }
+});